@@ -0,0 +1,331 @@
+'use strict'
+
+import {
+   datastoreCreateRequest,
+   datastoreCreate,
+   datastoreMount,
+   datastoreMountOrCreate,
+   mkdir,
+   putFile,
+   getFile,
+   deleteFile,
+   listdir,
+} from './datastore';
+
+import {
+   decodePrivateKey,
+} from './inode';
+
+import {
+   NotFoundError,
+   AlreadyExistsError,
+   InvalidArgumentError,
+   ReadOnlyError,
+} from './errors';
+
+import {
+   getLogger,
+} from './logger';
+
+const crypto = require('crypto');
+const Promise = require('promise');
+
+// where the app's datastore lists the collections it created
+const COLLECTION_DIR = '/.collections';
+
+const log = getLogger();
+
+
+/*
+ * Collections are datastores of their own (with type 'collection'), i.e. for shared photo albums
+ * and contact lists.  Each one has its own key, derived from the app private key and the
+ * collection's name, so it can be shared without sharing the app's datastore.
+ * Items are files in the collection's root directory, written with the same inode and signing
+ * machinery as datastore files.
+ */
+
+
+/*
+ * Derive a collection's private key from the app private key and its name.
+ *
+ * @param app_privkey_hex (String) the app private key
+ * @param name (String) the collection name
+ *
+ * Returns the hex-encoded private key
+ */
+function collectionPrivateKey(app_privkey_hex, name) {
+   const hmac = crypto.createHmac('sha256', decodePrivateKey(app_privkey_hex));
+   hmac.update(`collection:${name}`);
+   return hmac.digest('hex');
+}
+
+
+/*
+ * Check a collection or item name.
+ * Names that start with '.' are kept for the library's own use (i.e. chunks of large items).
+ * Throws InvalidArgumentError if it cannot be used.
+ */
+function checkName(name, what) {
+   if (typeof(name) !== 'string' || name.length === 0 || name.includes('/') || name.startsWith('.')) {
+      throw new InvalidArgumentError(`Invalid ${what} name ${name}`);
+   }
+}
+
+
+/*
+ * Get the mount context of the app's own datastore, which collections are created from.
+ * Asynchronous; returns a Promise
+ */
+function getAppContext(opts) {
+   if (opts.ds) {
+      return Promise.resolve(opts.ds);
+   }
+
+   const mount_opts = {
+      'persistence': opts.persistence,
+      'onSessionExpired': opts.onSessionExpired,
+      'signal': opts.signal,
+   };
+
+   return datastoreMountOrCreate(opts.replicationStrategy, opts.sessionToken || null, opts.appPrivateKey || null, mount_opts);
+}
+
+
+/*
+ * Make sure a mounted datastore record is a collection.
+ * Returns the context; throws InvalidArgumentError if it is an ordinary datastore
+ */
+function checkCollection(ctx, name) {
+   if (ctx.datastore.type !== 'collection') {
+      throw new InvalidArgumentError(`Datastore ${ctx.datastore_id} is not a collection`, name, 'mountCollection');
+   }
+   return ctx;
+}
+
+
+/*
+ * Create a collection.
+ *
+ * @param name (String) the collection name; unique among the app's collections
+ * @param opts (Object) optional arguments:
+ *      .ds (Object) the mount context of the app's datastore (mounted or created with
+ *              datastoreMountOrCreate() if not given)
+ *      .sessionToken, .appPrivateKey, .replicationStrategy, .persistence, .onSessionExpired: passed to
+ *              datastoreMountOrCreate() if .ds is not given
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *
+ * The collection is stored with the same drivers as the app's datastore, and listed in
+ * the app's datastore (see listCollections()).
+ *
+ * Asynchronous; returns a Promise that resolves to the collection's mount context.
+ * Rejects with AlreadyExistsError if the collection exists, ReadOnlyError if the app's datastore
+ * was mounted without its private key, and with a StorageError on all other errors.
+ */
+export function createCollection(name, opts={}) {
+   return Promise.resolve()
+   .then(() => {
+      checkName(name, 'collection');
+      return getAppContext(opts);
+   })
+   .then((app_ctx) => {
+      if (app_ctx.read_only) {
+         throw new ReadOnlyError(`Cannot create collection ${name} in read-only datastore ${app_ctx.datastore_id}`, name, 'createCollection');
+      }
+
+      const privkey_hex = collectionPrivateKey(app_ctx.privkey_hex, name);
+      const device_ids = app_ctx.app_public_keys.map((key) => key.device_id);
+      const info = datastoreCreateRequest('collection', privkey_hex, app_ctx.datastore.drivers, app_ctx.device_id, device_ids,
+                                          null, app_ctx.datastore.replication_strategy || null);
+
+      log.info('Creating collection', {'operation': 'createCollection', 'collection': name, 'datastore_id': info.datastore_info.datastore_id});
+
+      return datastoreCreate(app_ctx.session.api_endpoint, app_ctx.session_token, info, {'signal': opts.signal})
+      .then(() => {
+         return mkdir(COLLECTION_DIR, {'ds': app_ctx, 'signal': opts.signal})
+         .catch((e) => {
+            if (!(e instanceof AlreadyExistsError)) {
+               throw e;
+            }
+         });
+      })
+      .then(() => {
+         const entry = JSON.stringify({'datastore_id': info.datastore_info.datastore_id});
+         return putFile(`${COLLECTION_DIR}/${name}`, entry, {'ds': app_ctx, 'signal': opts.signal});
+      })
+      .then(() => mountCollection(name, Object.assign({}, opts, {'ds': app_ctx})));
+   });
+}
+
+
+/*
+ * Mount a collection.
+ *
+ * @param name (String) the name of one of the app's collections.  Ignored if .datastorePubkey or
+ *      .datastoreID is given.
+ * @param opts (Object) optional arguments:
+ *      .ds, .sessionToken, .appPrivateKey, .replicationStrategy, .persistence, .onSessionExpired:
+ *              find the app's datastore, as for createCollection()
+ *      .datastorePubkey or .datastoreID (String) mount someone else's collection read-only instead
+ *              (needs .appPublicKeys; see datastoreMount())
+ *      .appPublicKeys, .apiEndpoint, .blockchainID: passed to datastoreMount() for a read-only mount
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *
+ * Collection mount contexts are not cached; keep the one this returns.
+ *
+ * Asynchronous; returns a Promise that resolves to the collection's mount context.
+ * Rejects with NotFoundError if the collection does not exist, InvalidArgumentError if the datastore
+ * is not a collection, and with a StorageError on all other errors.
+ */
+export function mountCollection(name, opts={}) {
+
+   if (opts.datastorePubkey || opts.datastoreID) {
+      const mount_opts = {
+         'datastorePubkey': opts.datastorePubkey,
+         'datastoreID': opts.datastoreID,
+         'appPublicKeys': opts.appPublicKeys,
+         'apiEndpoint': opts.apiEndpoint,
+         'blockchainID': opts.blockchainID,
+         'sessionToken': opts.sessionToken,
+         'persistence': opts.persistence,
+         'onSessionExpired': opts.onSessionExpired,
+         'signal': opts.signal,
+         'cache': false,
+      };
+
+      return datastoreMount(mount_opts)
+      .then((ctx) => {
+         if (!ctx) {
+            throw new NotFoundError(`No such collection ${opts.datastoreID || opts.datastorePubkey}`, name, 'mountCollection');
+         }
+         return checkCollection(ctx, name);
+      });
+   }
+
+   return Promise.resolve()
+   .then(() => {
+      checkName(name, 'collection');
+      return getAppContext(opts);
+   })
+   .then((app_ctx) => {
+      if (app_ctx.read_only) {
+         throw new InvalidArgumentError('Need the app\'s private key to mount a collection by name; use .datastoreID', name, 'mountCollection');
+      }
+
+      const mount_opts = {
+         'appPrivateKey': collectionPrivateKey(app_ctx.privkey_hex, name),
+         'sessionToken': app_ctx.session_token,
+         'persistence': opts.persistence,
+         'onSessionExpired': opts.onSessionExpired,
+         'signal': opts.signal,
+         'cache': false,
+      };
+
+      return datastoreMount(mount_opts);
+   })
+   .then((ctx) => {
+      if (!ctx) {
+         throw new NotFoundError(`No such collection ${name}`, name, 'mountCollection');
+      }
+      return checkCollection(ctx, name);
+   });
+}
+
+
+/*
+ * List the app's collections.
+ *
+ * @param opts (Object) optional arguments:
+ *      .ds, .sessionToken, .appPrivateKey, .replicationStrategy, .persistence, .onSessionExpired:
+ *              find the app's datastore, as for createCollection()
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *
+ * Asynchronous; returns a Promise that resolves to the sorted list of collection names.
+ * Rejects with a StorageError on error
+ */
+export function listCollections(opts={}) {
+   return getAppContext(opts)
+   .then((app_ctx) => listdir(COLLECTION_DIR, {'ds': app_ctx, 'signal': opts.signal}))
+   .then((dir) => Object.keys(dir.children).sort())
+   .catch((e) => {
+      if (e instanceof NotFoundError) {
+         // no collections created yet
+         return [];
+      }
+      throw e;
+   });
+}
+
+
+/*
+ * Add an item to a collection, or replace it.
+ *
+ * @param collection (Object) the collection's mount context, from createCollection() or mountCollection()
+ * @param item_id (String) the item's name
+ * @param data (String or Buffer) the item's data
+ * @param opts (Object) optional arguments; passed to putFile()
+ *
+ * Asynchronous; returns a Promise.
+ * Rejects with InvalidArgumentError if the item name is invalid, ReadOnlyError if the collection
+ * was mounted read-only, and with a StorageError on all other errors.
+ */
+export function addCollectionItem(collection, item_id, data, opts={}) {
+   return Promise.resolve()
+   .then(() => {
+      checkName(item_id, 'item');
+      return putFile(`/${item_id}`, data, Object.assign({}, opts, {'ds': collection}));
+   });
+}
+
+
+/*
+ * Get an item from a collection.
+ *
+ * @param collection (Object) the collection's mount context
+ * @param item_id (String) the item's name
+ * @param opts (Object) optional arguments; passed to getFile()
+ *
+ * Asynchronous; returns a Promise that resolves to the item's data, or null if there is no such item.
+ * Rejects with a StorageError on error
+ */
+export function getCollectionItem(collection, item_id, opts={}) {
+   return Promise.resolve()
+   .then(() => {
+      checkName(item_id, 'item');
+      return getFile(`/${item_id}`, Object.assign({}, opts, {'ds': collection}));
+   });
+}
+
+
+/*
+ * Remove an item from a collection.
+ *
+ * @param collection (Object) the collection's mount context
+ * @param item_id (String) the item's name
+ * @param opts (Object) optional arguments; passed to deleteFile()
+ *
+ * Asynchronous; returns a Promise.
+ * Rejects with NotFoundError if there is no such item, ReadOnlyError if the collection was mounted
+ * read-only, and with a StorageError on all other errors.
+ */
+export function removeCollectionItem(collection, item_id, opts={}) {
+   return Promise.resolve()
+   .then(() => {
+      checkName(item_id, 'item');
+      return deleteFile(`/${item_id}`, Object.assign({}, opts, {'ds': collection}));
+   });
+}
+
+
+/*
+ * List the items in a collection.
+ *
+ * @param collection (Object) the collection's mount context
+ * @param opts (Object) optional arguments; passed to listdir()
+ *
+ * Asynchronous; returns a Promise that resolves to the sorted list of item names.
+ * Rejects with a StorageError on error
+ */
+export function listCollectionItems(collection, opts={}) {
+   return listdir('/', Object.assign({}, opts, {'ds': collection}))
+   .then((dir) => Object.keys(dir.children).filter((name) => !name.startsWith('.')).sort());
+}
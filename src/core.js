@@ -0,0 +1,656 @@
+'use strict'
+
+import {
+   CORE_ERROR_SCHEMA,
+} from './schemas';
+
+import {
+   EPERM,
+   ENOENT,
+   EACCES,
+   EINVAL,
+   RemoteIOError,
+   InvalidCoreResponseError,
+   AbortedError,
+   TimeoutError,
+} from './errors';
+
+import {
+   getLogger,
+} from './logger';
+
+import {
+   emitStorageEvent,
+} from './events';
+
+const assert = require('assert');
+const Ajv = require('ajv');
+
+const DEFAULT_PORTS = {
+   'http': 80,
+   'https': 443,
+};
+
+const DEFAULT_RETRY_POLICY = {
+   'maxAttempts': 3,
+   'baseDelay': 500,
+   'maxDelay': 10000,
+   'jitter': true,
+   'retryStatuses': [502, 503, 504],
+   'unappliedStatuses': [503],
+   'onAttempt': null,
+};
+
+// the client used by every storage operation, unless one is passed explicitly
+let defaultCoreClient = null;
+
+const log = getLogger();
+
+
+/*
+ * Make a retry policy for requests to Core.
+ * GET requests that fail with a network error or with a retryable HTTP status are
+ * retried with exponential backoff: the n-th retry waits up to baseDelay * 2^(n-1) milliseconds,
+ * capped at maxDelay.  With jitter, the actual wait is chosen uniformly at random up to that bound.
+ * Other requests (writes) are only retried on a status that shows Core never applied them,
+ * since after a network error or a gateway error there is no telling whether the write went through.
+ *
+ * @param opts (Object) optional arguments:
+ *      .maxAttempts (Int) the maximum number of attempts per request, including the first (default 3).  1 disables retries.
+ *      .baseDelay (Int) milliseconds to wait before the first retry (default 500)
+ *      .maxDelay (Int) the maximum number of milliseconds to wait between attempts (default 10000)
+ *      .jitter (Bool) whether or not to randomize the wait (default true)
+ *      .retryStatuses (Array) the HTTP statuses that are worth retrying a GET on (default [502, 503, 504])
+ *      .unappliedStatuses (Array) the HTTP statuses that mean a write was refused before it was applied,
+ *                                 and can be retried (default [503])
+ *      .onAttempt (Function) called after each attempt with an object describing it:
+ *          .method, .url, .attempt, .maxAttempts, .status (null on network error), .error (null on success),
+ *          .willRetry (Bool), .delay (milliseconds until the next attempt, if .willRetry)
+ *
+ * Returns the retry policy object.
+ */
+export function makeRetryPolicy(opts={}) {
+
+   const policy = Object.assign({}, DEFAULT_RETRY_POLICY, opts);
+
+   assert(Number.isInteger(policy.maxAttempts) && policy.maxAttempts >= 1, 'maxAttempts must be a positive integer');
+   assert(policy.baseDelay >= 0 && policy.maxDelay >= 0, 'Retry delays must be non-negative');
+   assert(Array.isArray(policy.retryStatuses), 'retryStatuses must be an Array');
+   assert(Array.isArray(policy.unappliedStatuses), 'unappliedStatuses must be an Array');
+
+   if (policy.onAttempt) {
+      assert(typeof(policy.onAttempt) === 'function', 'onAttempt must be a function');
+   }
+
+   policy.retryStatuses = policy.retryStatuses.slice();
+   policy.unappliedStatuses = policy.unappliedStatuses.slice();
+   return policy;
+}
+
+
+/*
+ * How long to wait before the next attempt.
+ *
+ * @param policy (Object) the retry policy
+ * @param attempt (Int) the number of the attempt that just failed (starting at 1)
+ */
+function getRetryDelay(policy, attempt) {
+   const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+   if (policy.jitter) {
+      return Math.floor(Math.random() * delay);
+   }
+   return delay;
+}
+
+
+/*
+ * Make a client for talking to Blockstack Core.
+ *
+ * @param opts (Object) optional arguments:
+ *      .scheme (String) 'http' or 'https'.  If given, it overrides the scheme in the session's api_endpoint.
+ *      .baseURL (String) if given, send every request to this URL prefix (i.e. 'https://core.example.com:6270')
+ *                        instead of to the host and port in the session's api_endpoint.
+ *      .fetch (Function) the fetch() implementation to use.  Defaults to the global fetch().
+ *      .headers (Object) HTTP headers to add to every request.
+ *      .retry (Object) the retry policy options (see makeRetryPolicy())
+ *
+ * Returns the client object.
+ */
+export function makeCoreClient(opts={}) {
+
+   if (opts.scheme) {
+      assert(Object.keys(DEFAULT_PORTS).includes(opts.scheme), `Unsupported scheme ${opts.scheme}`);
+   }
+
+   if (opts.fetch) {
+      assert(typeof(opts.fetch) === 'function', 'fetch must be a function');
+   }
+
+   const client = {
+      'scheme': opts.scheme || null,
+      'baseURL': opts.baseURL ? opts.baseURL.replace(/\/+$/, '') : null,
+      'fetch': opts.fetch || null,
+      'headers': Object.assign({}, opts.headers || {}),
+      'retry': makeRetryPolicy(opts.retry || {}),
+   };
+
+   return client;
+}
+
+
+/*
+ * Set the Core client used by all storage operations.
+ *
+ * @param client (Object) a client from makeCoreClient(), or the options to pass to makeCoreClient().
+ *                        Pass null to go back to the default client.
+ *
+ * Returns the new client.
+ */
+export function setCoreClient(client) {
+   // a client is also a valid set of client options
+   defaultCoreClient = client ? makeCoreClient(client) : null;
+   return getCoreClient();
+}
+
+
+/*
+ * Get the Core client used by all storage operations.
+ */
+export function getCoreClient() {
+   if (!defaultCoreClient) {
+      defaultCoreClient = makeCoreClient();
+   }
+   return defaultCoreClient;
+}
+
+
+/*
+ * Parse a Core API endpoint into its scheme, host, and port.
+ * Accepts 'scheme://host:port', 'scheme://host', 'host:port' and 'host'.
+ * The port defaults to the scheme's well-known port, and the scheme defaults to 'http'.
+ *
+ * @param api_endpoint (String) the endpoint (i.e. session.api_endpoint)
+ *
+ * Returns an object with:
+ *      .scheme
+ *      .host
+ *      .port
+ */
+export function parseCoreEndpoint(api_endpoint) {
+
+   let scheme = 'http';
+   let hostport = api_endpoint;
+
+   const scheme_parts = api_endpoint.split('://');
+   if (scheme_parts.length > 1) {
+      scheme = scheme_parts[0].toLowerCase();
+      hostport = scheme_parts[1];
+   }
+
+   // ignore any trailing path
+   hostport = hostport.split('/')[0];
+
+   let host = hostport;
+   let port = DEFAULT_PORTS[scheme] || 80;
+   const parts = hostport.split(':');
+   if (parts.length > 1) {
+      host = parts[0];
+      port = parseInt(parts[1]);
+   }
+
+   return {'scheme': scheme, 'host': host, 'port': port};
+}
+
+
+/*
+ * Build the URL to a Core API path.
+ *
+ * @param client (Object) the Core client
+ * @param options (Object) the request options (.scheme, .host, .port, .path, or .url)
+ */
+function makeRequestURL(client, options) {
+   if (options.url) {
+      // not a Core request (i.e. a storage driver's public URL)
+      return options.url;
+   }
+
+   if (client.baseURL) {
+      return `${client.baseURL}${options.path}`;
+   }
+
+   const scheme = client.scheme || options.scheme || 'http';
+   return `${scheme}://${options.host}:${options.port}${options.path}`;
+}
+
+
+/*
+ * Combine a caller's AbortSignal and a timeout into the one signal that an operation runs under.
+ *
+ * @param opts (Object) the operation's options:
+ *      .signal (AbortSignal) if given, the operation is cancelled when this signal is aborted
+ *      .timeout (Int) if given, the operation is cancelled after this many milliseconds
+ *
+ * Returns an object with:
+ *      .signal (AbortSignal) the signal to pass to httpRequest(), or null if the operation can't be cancelled
+ *      .cleanup (Function) call this once the operation finishes, to clear the timeout
+ */
+export function makeOperationSignal(opts={}) {
+
+   const parent = opts.signal || null;
+   if (!opts.timeout) {
+      return {'signal': parent, 'cleanup': () => {}};
+   }
+
+   assert(typeof(AbortController) !== 'undefined', 'AbortController is required to use timeouts');
+
+   const controller = new AbortController();
+   const onParentAbort = () => controller.abort(parent.reason);
+
+   const timer = setTimeout(() => {
+      controller.abort(new TimeoutError(`Timed out after ${opts.timeout} ms`));
+   }, opts.timeout);
+
+   if (parent) {
+      if (parent.aborted) {
+         onParentAbort();
+      }
+      else {
+         parent.addEventListener('abort', onParentAbort);
+      }
+   }
+
+   const cleanup = () => {
+      clearTimeout(timer);
+      if (parent) {
+         parent.removeEventListener('abort', onParentAbort);
+      }
+   };
+
+   return {'signal': controller.signal, 'cleanup': cleanup};
+}
+
+
+/*
+ * Get the error to fail with once a signal has been aborted.
+ * Returns a TimeoutError if the operation's timeout expired, and an AbortedError otherwise.
+ *
+ * @param signal (AbortSignal) the aborted signal
+ */
+export function getAbortError(signal) {
+   if (signal && signal.reason instanceof TimeoutError) {
+      // fresh error each time, since it gets annotated with the failing operation
+      return new TimeoutError(signal.reason.message);
+   }
+   return new AbortedError();
+}
+
+
+/*
+ * Throw an AbortedError or TimeoutError if the signal has been aborted.
+ *
+ * @param signal (AbortSignal) the signal; may be null
+ */
+export function checkSignal(signal) {
+   if (signal && signal.aborted) {
+      throw getAbortError(signal);
+   }
+}
+
+
+/*
+ * Helper method to validate a JSON response
+ * against a schema.  Returns the validated object
+ * on success, and throw an exception on error.
+ */
+function validateJSONResponse(resp, result_schema) {
+
+   const ajv = new Ajv();
+   if (result_schema) {
+      try {
+         const valid = ajv.validate(result_schema, resp);
+         assert(valid);
+         return resp;
+      }
+      catch(e) {
+         try {
+            // error message
+            const valid = ajv.validate(CORE_ERROR_SCHEMA, resp);
+            assert(valid);
+            return resp;
+         }
+         catch(e2) {
+            log.warn('Core response does not match the expected schema', {'error': e.message});
+            log.debug('Invalid Core response', {'schema': result_schema, 'response': resp});
+            throw new InvalidCoreResponseError("Invalid core message");
+         }
+      }
+   }
+   else {
+      return resp;
+   }
+}
+
+
+/*
+ * Wait for a while, unless the operation is cancelled first: between retries, and between the
+ * inodes of a rate-limited walk.
+ *
+ * @param delay (Int) how many milliseconds to wait
+ * @param signal (AbortSignal) the operation's signal; may be null
+ *
+ * Asynchronous; returns a Promise that rejects with AbortedError or TimeoutError if the signal is aborted.
+ */
+export function waitFor(delay, signal=null) {
+   return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+         reject(getAbortError(signal));
+         return;
+      }
+
+      const onAbort = () => {
+         clearTimeout(timer);
+         reject(getAbortError(signal));
+      };
+      const timer = setTimeout(() => {
+         if (signal) {
+            signal.removeEventListener('abort', onAbort);
+         }
+         resolve();
+      }, delay);
+
+      if (signal) {
+         signal.addEventListener('abort', onAbort);
+      }
+   });
+}
+
+
+/*
+ * Helper method to issue an HTTP request to Core.
+ * Requests are retried according to the client's retry policy (see makeRetryPolicy()).
+ *
+ * @param options (Object) set of HTTP request options
+ *      .method (String) the HTTP method
+ *      .scheme (String) the scheme of the Core endpoint
+ *      .host (String) the Core host
+ *      .port (Int) the Core port
+ *      .path (String) the API path, with the query string
+ *      .url (String) fetch this URL instead of a Core API path (.scheme, .host, .port and .path are ignored).
+ *                    The request is sent without credentials, and without the client's default headers.
+ *      .headers (Object) request headers (merged over the client's default headers)
+ *      .client (Object) the Core client to use instead of the default one
+ *      .signal (AbortSignal) if given, abort the request (and any retries) when this signal is aborted
+ * @param result_schema (Object) JSON schema of the expected result, or 'bytes' for raw data
+ * @param body (String) the request body, if any
+ *
+ * Returns a structured JSON response on success, conformant to the result_schema.
+ * Returns plaintext on success if the content-type is application/octet-stream,
+ * or the raw bytes (a Buffer or Uint8Array) if result_schema is 'bytes'.
+ * Returns a structured {'error': ...} object on client-side error
+ * Throws RemoteIOError on server-side or network error, and InvalidCoreResponseError on a malformed response
+ * Throws AbortedError or TimeoutError if options.signal is aborted.  A request is never sent once this has happened.
+ */
+export function httpRequest(options, result_schema, body) {
+
+    const client = options.client || getCoreClient();
+    const fetchImpl = client.fetch || (typeof(fetch) !== 'undefined' ? fetch : null);
+    if (!fetchImpl) {
+       return Promise.reject(new Error('No fetch() implementation available; pass one to setCoreClient()'));
+    }
+
+    const policy = client.retry || makeRetryPolicy();
+    // a write that may have been applied must not be replayed
+    const is_read = (options.method === 'GET');
+    const retry_statuses = is_read ? policy.retryStatuses : policy.unappliedStatuses;
+    const maxAttempts = policy.maxAttempts;
+
+    const url = makeRequestURL(client, options);
+    const fetch_options = {
+       'method': options.method,
+       'headers': Object.assign({}, client.headers, options.headers || {}),
+    };
+
+    if (options.url) {
+       // not Core, so it gets neither the client's headers (i.e. its auth) nor cookies
+       fetch_options['headers'] = Object.assign({}, options.headers || {});
+       fetch_options['credentials'] = 'omit';
+    }
+
+    if (body) {
+       fetch_options['body'] = body;
+    }
+
+    const signal = options.signal || null;
+    if (signal) {
+       fetch_options['signal'] = signal;
+    }
+
+    let last_attempt = 1;
+    let last_status = null;
+    let last_content_length = null;
+
+    // report an attempt, and decide whether or not to try again
+    const reportAttempt = (attempt, status, error, retryable) => {
+       last_attempt = attempt;
+       last_status = status;
+
+       const willRetry = (!!error && retryable && attempt < maxAttempts);
+       const delay = willRetry ? getRetryDelay(policy, attempt) : 0;
+
+       if (policy.onAttempt) {
+          policy.onAttempt({
+             'method': options.method,
+             'url': url,
+             'attempt': attempt,
+             'maxAttempts': maxAttempts,
+             'status': status,
+             'error': error,
+             'willRetry': willRetry,
+             'delay': delay,
+          });
+       }
+
+       return {'willRetry': willRetry, 'delay': delay};
+    };
+
+    const retryAfter = (delay, attempt) => {
+       return waitFor(delay, signal)
+       .then(() => tryRequest(attempt + 1));
+    };
+
+    const tryRequest = (attempt) => {
+       try {
+          checkSignal(signal);
+       }
+       catch(e) {
+          return Promise.reject(e);
+       }
+
+       return fetchImpl(url, fetch_options)
+       .then((response) => {
+          last_content_length = response.headers.get('content-length');
+
+          if (retry_statuses.includes(response.status)) {
+             const error = new Error(response.statusText || `HTTP status ${response.status}`);
+             const next = reportAttempt(attempt, response.status, error, true);
+             if (next.willRetry) {
+                return retryAfter(next.delay, attempt);
+             }
+          }
+          else {
+             reportAttempt(attempt, response.status, null, false);
+          }
+
+          return handleResponse(response, result_schema, signal);
+       },
+       (error) => {
+          if (signal && signal.aborted) {
+             throw getAbortError(signal);
+          }
+
+          // network error; a write may or may not have been applied
+          const next = reportAttempt(attempt, null, error, is_read);
+          if (next.willRetry) {
+             return retryAfter(next.delay, attempt);
+          }
+
+          const remote_error = new RemoteIOError(`Failed to reach Core: ${error.message || error}`);
+          remote_error.cause = error;
+          throw remote_error;
+       });
+    };
+
+    const bytes_sent = body ? Buffer.byteLength(body) : 0;
+    const started = Date.now();
+
+    emitStorageEvent({
+       'type': 'request.start',
+       'method': options.method,
+       'url': url,
+       'bytesSent': bytes_sent,
+    });
+
+    return tryRequest(1)
+    .then((result) => {
+       const event = {
+          'type': 'request.success',
+          'method': options.method,
+          'url': url,
+          'status': last_status,
+          'duration': Date.now() - started,
+          'bytesSent': bytes_sent,
+          'retries': last_attempt - 1,
+       };
+
+       if (result && result.errno && result.error) {
+          // Core answered with an error
+          event['type'] = 'request.failure';
+          event['errno'] = result.errno;
+          event['error'] = result.error;
+       }
+       else {
+          event['bytesReceived'] = getResponseSize(result, last_content_length);
+       }
+
+       emitStorageEvent(event);
+       return result;
+    },
+    (error) => {
+       emitStorageEvent({
+          'type': 'request.failure',
+          'method': options.method,
+          'url': url,
+          'status': last_status,
+          'duration': Date.now() - started,
+          'bytesSent': bytes_sent,
+          'errno': error.errno || null,
+          'error': error.message,
+          'retries': last_attempt - 1,
+       });
+       throw error;
+    });
+}
+
+
+/*
+ * Get the size of a response body, for metrics.
+ *
+ * @param result (any) the response data
+ * @param content_length (String) the response's Content-Length header, if any
+ *
+ * Returns the size in bytes, or null if it is unknown.
+ */
+function getResponseSize(result, content_length) {
+    if (result && typeof(result.byteLength) === 'number') {
+       return result.byteLength;
+    }
+
+    if (typeof(result) === 'string') {
+       return Buffer.byteLength(result);
+    }
+
+    const size = parseInt(content_length, 10);
+    return isNaN(size) ? null : size;
+}
+
+
+/*
+ * Interpret a response from Core.
+ *
+ * @param response (Object) the fetch() response
+ * @param result_schema (Object) JSON schema of the expected result
+ * @param signal (AbortSignal) the request's signal, if any
+ *
+ * Returns (a Promise for) the response data, or an {'error': ...} object on client-side error.
+ * Throws RemoteIOError on server-side error.
+ */
+function handleResponse(response, result_schema, signal) {
+
+    if(response.status >= 500) {
+       throw new RemoteIOError(response.statusText || `HTTP status ${response.status}`);
+    }
+
+    if(response.status === 404) {
+       return {'error': 'No such file or directory', 'errno': ENOENT};
+    }
+
+    if(response.status === 403) {
+       return {'error': 'Access denied', 'errno': EACCES};
+    }
+
+    if(response.status === 401) {
+       // Core says so in its challenge if it turned the session token down (i.e. it expired or
+       // was revoked), as in RFC 6750; any other 401 is an invalid request.
+       const challenge = response.headers.get('www-authenticate') || '';
+       if (/error="?invalid_token"?/i.test(challenge)) {
+          return {'error': 'Session token rejected', 'errno': EINVAL, 'unauthorized': true};
+       }
+       return {'error': 'Invalid request', 'errno': EINVAL};
+    }
+
+    if(response.status === 400) {
+       return {'error': 'Operation not permitted', 'errno': EPERM};
+    }
+
+    const content_type = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+
+    if (content_type === 'application/json') {
+       return response.json().then( (resp) => {
+          return validateJSONResponse(resp, result_schema);
+       },
+       (error) => {
+          checkSignal(signal);
+          throw new InvalidCoreResponseError(`Failed to parse Core response: ${error.message}`);
+       });
+    }
+    else {
+       const body = (result_schema === 'bytes' ? readResponseBytes(response) : response.text());
+       return body.then(null, (error) => {
+          checkSignal(signal);
+          throw new RemoteIOError(`Failed to read Core response: ${error.message}`);
+       });
+    }
+}
+
+
+/*
+ * Read a response body as raw bytes, without any text decoding.
+ *
+ * @param response (Object) the fetch() response
+ *
+ * Returns a Promise that resolves to a Buffer where Buffer is available (i.e. in node.js),
+ * and to a Uint8Array otherwise.
+ */
+function readResponseBytes(response) {
+    if (typeof(response.arrayBuffer) !== 'function') {
+       // node-fetch 1.x
+       return response.buffer();
+    }
+
+    return response.arrayBuffer().then((array_buffer) => {
+       if (typeof(Buffer) !== 'undefined') {
+          return Buffer.from(array_buffer);
+       }
+       return new Uint8Array(array_buffer);
+    });
+}
@@ -5,21 +5,27 @@ import {
    MUTABLE_DATUM_FILE_TYPE,
    DATASTORE_SCHEMA,
    DATASTORE_RESPONSE_SCHEMA,
+   NAME_INFO_RESPONSE_SCHEMA,
+   PROFILE_TOKEN_FILE_SCHEMA,
+   APP_DATASTORE_SCHEMA,
    MUTABLE_DATUM_INODE_SCHEMA,
    MUTABLE_DATUM_DIR_IDATA_SCHEMA,
-   MUTABLE_DATUM_EXTENDED_RESPONS_SCHEMA,
+   MUTABLE_DATUM_EXTENDED_RESPONSE_SCHEMA,
    SUCCESS_FAIL_SCHEMA,
    DATASTORE_LOOKUP_RESPONSE_SCHEMA,
    DATASTORE_LOOKUP_EXTENDED_RESPONSE_SCHEMA,
    CORE_ERROR_SCHEMA,
+   INODE_HEADER_BLOB_RESPONSE_SCHEMA,
 } from './schemas';
 
 import {
    makeFileInodeBlob,
    makeDirInodeBlob,
    makeMutableDataInfo,
+   makeFullyQualifiedDataId,
    signDataPayload,
    signRawData,
+   verifyDataPayload,
    hashDataPayload,
    hashRawData,
    inodeDirLink,
@@ -29,14 +35,77 @@ import {
    makeMutableDataTombstones,
    signMutableDataTombstones,
    getChildVersion,
+   makeChunkManifest,
+   parseChunkManifest,
 } from './inode';
 
 import {
    jsonStableSerialize
 } from './util';
 
+import {
+   httpRequest,
+   parseCoreEndpoint,
+   makeOperationSignal,
+   checkSignal,
+   waitFor,
+} from './core';
+
+import {
+   ENOENT,
+   EREMOTEIO,
+   NotFoundError,
+   AccessDeniedError,
+   AlreadyExistsError,
+   NotADirectoryError,
+   InvalidArgumentError,
+   RemoteIOError,
+   InvalidCoreResponseError,
+   ReadOnlyError,
+   SessionExpiredError,
+   makeStorageError,
+   asStorageError,
+} from './errors';
+
+import {
+   getLogger,
+} from './logger';
+
+import {
+   emitStorageEvent,
+   nextOperationId,
+} from './events';
+
+import {
+   getPersistenceAdapter,
+} from './persistence';
+
+import {
+   checkReplicationStrategy,
+   planReplication,
+   selectDrivers,
+} from './replication';
+
+import {
+   decodeSessionToken,
+   forgetVerifiedSession,
+   clearVerifiedSessions,
+} from './session';
+
+import {
+   recordDriverResult,
+   isDriverAvailable,
+   queueRepair,
+   getPendingRepairs,
+   clearPendingRepair,
+} from './health';
+
+import {
+   getDriverURL,
+   parseDriverURL,
+} from './drivers';
+
 
-const http = require('http');
 const uuid4 = require('uuid/v4');
 const bitcoinjs = require('bitcoinjs-lib');
 const BigInteger = require('bigi');
@@ -45,113 +114,137 @@ const assert = require('assert');
 const Ajv = require('ajv');
 const jsontokens = require('jsontokens');
 
-const EPERM = 1;
-const ENOENT = 2;
-const EACCES = 13;
-const EEXIST = 17;
-const ENOTDIR = 20;
-const EINVAL = 22;
-const EREMOTEIO = 121;
-
 const LOCAL_STORAGE_ID = "blockstack";
-const SUPPORTED_STORAGE_CLASSES = ["read_public", "write_public", "read_private", "write_private", "read_local", "write_local"];
-const REPLICATION_STRATEGY_CLASSES = {
-   'local': new Set(['read_local', 'write_local']),
-   'publish': new Set(['read_public', 'write_private']),
-   'public': new Set(['read_public', 'write_public']),
-   'private': new Set(['read_private', 'write_private']),
-};
+const FILE_ENCODINGS = ['utf8', 'utf-8', 'binary'];
 
-/*
- * Helper method to validate a JSON response
- * against a schema.  Returns the validated object
- * on success, and throw an exception on error.
- */
-function validateJSONResponse(resp, result_schema) {
+// large files are split into chunks of this many bytes, which are kept under CHUNK_DIR
+export const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+const CHUNK_DIR = '/.chunks';
 
-   const ajv = new Ajv();
-   if (result_schema) {
-      try {
-         const valid = ajv.validate(result_schema, resp);
-         assert(valid);
-         return resp;
-      }
-      catch(e) {
-         try {
-            // error message
-            const valid = ajv.validate(CORE_ERROR_SCHEMA, resp);
-            assert(valid);
-            return resp;
-         }
-         catch(e2) {
-            console.log("Failed to validate with desired schema");
-            console.log(e.stack);
-            console.log("Failed to validate with error schema");
-            console.log(e2.stack);
-            console.log("Desired schema:");
-            console.log(result_schema);
-            console.log("Parsed message:");
-            console.log(resp);
-            throw new Error("Invalid core message");
-         }
-      }
-   }
-   else {
-      return resp;
-   }
-}
+// replica states that scrubDatastore() repairs by writing the newest version again
+const SCRUB_REPAIRABLE = ['lagging', 'missing', 'invalid'];
+
+// a cached mount context is used for this many milliseconds before the datastore record is fetched again
+export const DEFAULT_CONTEXT_MAX_AGE = 5 * 60 * 1000;
+
+const log = getLogger();
+
+// called to get a fresh session token when one expires (see setSessionExpiredCallback())
+let sessionExpiredCallback = null;
 
 
 /*
- * Helper method to issue an HTTP request.
- * @param options (Object) set of HTTP request options
- * @param result_schema (Object) JSON schema of the expected result
+ * Run a storage operation, and make sure that it only ever rejects
+ * with a StorageError that records the operation and path.
+ *
+ * The operation runs under the caller's opts.signal and opts.timeout, and
+ * rejects with AbortedError or TimeoutError once either fires.  The signal is passed
+ * to every request the operation makes, so no request is sent after that, and the
+ * request in flight is cancelled; the operation does not settle until its work has stopped.
+ * It emits operation.start, and then operation.success or operation.failure (see addStorageListener()).
  *
- * Returns a structured JSON response on success, conformant to the result_schema.
- * Returns plaintext on success if the content-type is application/octet-stream
- * Returns a structured {'error': ...} object on client-side error
- * Throws on server-side error
+ * @param operation (String) the name of the operation
+ * @param path (String) the path the operation acts on, if any
+ * @param opts (Object) the caller's options (.signal, .timeout)
+ * @param func (Function) the operation; called with the AbortSignal to pass to httpRequest() (or null),
+ *                        and an object to put metrics for the operation.success event in.
+ *                        Returns a Promise or a value
+ *
+ * Returns a Promise
  */
-function httpRequest(options, result_schema, body) {
+function storageOperation(operation, path, opts, func) {
+
+   const op_signal = makeOperationSignal(opts || {});
+   const signal = op_signal.signal;
+   const operation_id = nextOperationId();
+   const metrics = {};
+   const started = Date.now();
+
+   emitStorageEvent({
+      'type': 'operation.start',
+      'operationId': operation_id,
+      'operation': operation,
+      'path': path,
+   });
 
-    if (body) {
-       options['body'] = body;
-    }
+   const result = Promise.resolve()
+   .then(() => {
+      checkSignal(signal);
+      return func(signal, metrics);
+   })
+   .then((res) => {
+      // a step that does not talk to Core may have finished after the signal fired
+      checkSignal(signal);
+      return res;
+   });
 
-    const url = `http://${options.host}:${options.port}${options.path}`;
-    return fetch(url, options)
-    .then((response) => {
+   return result.then((res) => {
+      op_signal.cleanup();
+      emitStorageEvent(Object.assign({}, metrics, {
+         'type': 'operation.success',
+         'operationId': operation_id,
+         'operation': operation,
+         'path': path,
+         'duration': Date.now() - started,
+      }));
+      return res;
+   },
+   (error) => {
+      op_signal.cleanup();
+      const storage_error = asStorageError(error, operation, path);
+      log.debug('Storage operation failed', {'operation': operation, 'path': path, 'errno': storage_error.errno, 'error': storage_error.message});
+      emitStorageEvent({
+         'type': 'operation.failure',
+         'operationId': operation_id,
+         'operation': operation,
+         'path': path,
+         'duration': Date.now() - started,
+         'errno': storage_error.errno,
+         'error': storage_error.message,
+      });
+      throw storage_error;
+   });
+}
 
-        if(response.status >= 500) {
-           throw new Error(response.statusText);
-        }
 
-        if(response.status === 404) {
-           return {'error': 'No such file or directory', 'errno': ENOENT};
-        }
+/*
+ * Check a Core response for an {'error': ..., 'errno': ...} object,
+ * and throw the corresponding StorageError if there is one.
+ *
+ * @param response (Object) the response from httpRequest()
+ * @param operation (String) the name of the operation
+ * @param path (String) the path the operation acts on, if any
+ *
+ * Returns the response if it is not an error.
+ */
+function checkCoreResponse(response, operation, path) {
+   if (!response) {
+      throw new RemoteIOError('No response given', path, operation);
+   }
 
-        if(response.status === 403) {
-           return {'error': 'Access denied', 'errno': EACCES};
-        }
+   if (response.error || response.errno) {
+      const errorMsg = response.error || 'UNKNOWN';
+      const errorNo = response.errno || null;
+      const error = makeStorageError(errorNo, `Failed to ${operation}${path ? ' ' + path : ''}: ${errorMsg}`, path, operation);
+      if (response.unauthorized) {
+         // Core turned the session token down (see withDatastore())
+         error.unauthorized = true;
+      }
+      throw error;
+   }
 
-        if(response.status === 401) {
-           return {'error': 'Invalid request', 'errno': EINVAL};
-        }
+   return response;
+}
 
-        if(response.status === 400) {
-           return {'error': 'Operation not permitted', 'errno': EPERM};
-        }
 
-        let resp = null;
-        if (response.headers.get('content-type') === 'application/json') {
-           return response.json().then( (resp) => {
-              return validateJSONResponse(resp, result_schema);
-           });
-        }
-        else {
-           return response.text();
-        }
-    });
+/*
+ * Make sure that a datastore context can be written to.
+ * Throws ReadOnlyError if it was mounted without the datastore's private key.
+ */
+function checkWritable(ds, path) {
+   if (ds.read_only || !ds.privkey_hex) {
+      throw new ReadOnlyError(`Datastore ${ds.datastore_id} is mounted read-only`, path);
+   }
 }
 
 
@@ -247,38 +340,20 @@ export function basename(path) {
 }
 
 
-/*
- * Given a host:port string, split it into
- * a host and port
- *
- * @param hostport (String) the host:port
- *
- * Returns an object with:
- *      .host
- *      .port
- */
-function splitHostPort(hostport) {
-
-   let host = hostport;
-   let port = 80;
-   const parts = hostport.split(':');
-   if (parts.length > 1) {
-      host = parts[0];
-      port = parts[1];
-   }
-
-   return {'host': host, 'port': port};
-}
-
-
 /*
  * Create the signed request to create a datastore.
  * This information can be fed into datastoreCreate()
+ *
+ * path_drivers (optional) maps path prefixes (i.e. '/public') to the drivers that files
+ * and directories under them are written to, instead of drivers (see setPathDrivers()).
+ * replication_strategy (optional) is the strategy the drivers were chosen for; writes may
+ * leave out drivers that are down as long as the rest still fulfill it.
+ *
  * Returns an object with:
  *      .datastore_info: datastore information
  *      .datastore_sigs: signatures over the above.
  */
-export function datastoreCreateRequest( ds_type, ds_private_key_hex, drivers, device_id, all_device_ids) {
+export function datastoreCreateRequest( ds_type, ds_private_key_hex, drivers, device_id, all_device_ids, path_drivers=null, replication_strategy=null) {
 
    assert(ds_type === 'datastore' || ds_type === 'collection');
    const root_uuid = uuid4();
@@ -296,6 +371,14 @@ export function datastoreCreateRequest( ds_type, ds_private_key_hex, drivers, de
       'root_uuid': root_uuid,
    };
 
+   if (path_drivers && Object.keys(path_drivers).length > 0) {
+      datastore_info['path_drivers'] = path_drivers;
+   }
+
+   if (replication_strategy) {
+      datastore_info['replication_strategy'] = replication_strategy;
+   }
+
    const data_id = `${datastore_id}.datastore`;
    const datastore_blob = makeMutableDataInfo( data_id, jsonStableSerialize(datastore_info), device_id, 1 );
 
@@ -329,10 +412,25 @@ export function datastoreCreateRequest( ds_type, ds_private_key_hex, drivers, de
 
 /*
  * Create a datastore
- * Asynchronous; returns a Promise that resolves to either {'status': true} (on success)
- * or {'error': ...} (on error)
+ *
+ * @param api_endpoint (String) the Core API endpoint (i.e. 'https://localhost:6270'), or its host:port
+ * @param blockstack_session_token (String) the Core session token
+ * @param datastore_request (Object) the output of datastoreCreateRequest()
+ * @param opts (Object) optional arguments:
+ *      .signal (AbortSignal) cancel the request when this signal is aborted
+ *      .timeout (Int) give up after this many milliseconds
+ *
+ * Asynchronous; returns a Promise that resolves to {'status': true} on success,
+ * and rejects with a StorageError on error.
  */
-export function datastoreCreate( blockstack_hostport, blockstack_session_token, datastore_request) {
+export function datastoreCreate( api_endpoint, blockstack_session_token, datastore_request, opts={}) {
+   return storageOperation('datastoreCreate', null, opts, (signal) => {
+      return datastoreCreateImpl(api_endpoint, blockstack_session_token, datastore_request, signal);
+   });
+}
+
+
+function datastoreCreateImpl( api_endpoint, blockstack_session_token, datastore_request, signal) {
 
    const payload = {
       'datastore_info': {
@@ -347,24 +445,30 @@ export function datastoreCreate( blockstack_hostport, blockstack_session_token,
       'root_tombstones': datastore_request.root_tombstones,
    };
 
-   const hostinfo = splitHostPort(blockstack_hostport);
+   const hostinfo = parseCoreEndpoint(api_endpoint);
 
    const options = {
       'method': 'POST',
+      'scheme': hostinfo.scheme,
       'host': hostinfo.host,
       'port': hostinfo.port,
-      'path': '/v1/stores'
+      'path': '/v1/stores',
+      'headers': {},
+      'signal': signal,
    };
 
    if (blockstack_session_token) {
-      options['headers'] = {'Authorization': `bearer ${blockstack_session_token}`};
+      options['headers']['Authorization'] = `bearer ${blockstack_session_token}`;
    }
 
    const body = JSON.stringify(payload);
    options['headers']['Content-Type'] = 'application/json';
-   options['headers']['Content-Length'] = body.length;
+   options['headers']['Content-Length'] = Buffer.byteLength(body);
 
-   return httpRequest(options, SUCCESS_FAIL_SCHEMA, body);
+   return httpRequest(options, SUCCESS_FAIL_SCHEMA, body)
+   .then((response) => {
+      return checkCoreResponse(response, 'datastoreCreate', null);
+   });
 }
 
 
@@ -374,6 +478,7 @@ export function datastoreCreate( blockstack_hostport, blockstack_session_token,
  * @param ds (Object) a datastore context (will be loaded from localstorage if not given)
  *
  * Returns an object to be given to datastoreDelete()
+ * Throws ReadOnlyError if the datastore was mounted without its private key
  */
 export function datastoreDeleteRequest(ds=null) {
 
@@ -385,6 +490,8 @@ export function datastoreDeleteRequest(ds=null) {
       assert(ds);
    }
 
+   checkWritable(ds, null);
+
    const datastore_id = ds.datastore_id;
    const device_ids = ds.datastore.device_ids;
    const root_uuid = ds.datastore.root_uuid;
@@ -410,20 +517,33 @@ export function datastoreDeleteRequest(ds=null) {
  * @param ds (Object) OPTINOAL: the datastore context (will be loaded from localStorage if not given)
  * @param ds_tombstones (Object) OPTINOAL: signed information from datastoreDeleteRequest()
  * @param root_tombstones (Object) OPTINAL: signed information from datastoreDeleteRequest()
+ * @param opts (Object) OPTIONAL:
+ *      .signal (AbortSignal) cancel the request when this signal is aborted
+ *      .timeout (Int) give up after this many milliseconds
+ *      .persistence (Object) the persistence adapter to load the context from, if not the global one
  *
- * Asynchronous; returns a Promise that resolves to either {'status': true} on success
- * or {'error': ...} on error
+ * Asynchronous; returns a Promise that resolves to {'status': true} on success,
+ * and rejects with a StorageError on error.
  */
-export function datastoreDelete(ds=null, ds_tombstones=null, root_tombstones=null) {
+export function datastoreDelete(ds=null, ds_tombstones=null, root_tombstones=null, opts={}) {
+   return storageOperation('datastoreDelete', null, opts, (signal) => {
+      return datastoreDeleteImpl(ds, ds_tombstones, root_tombstones, signal, opts.persistence);
+   });
+}
+
+
+function datastoreDeleteImpl(ds, ds_tombstones, root_tombstones, signal, persistence) {
 
    if (!ds) {
-      const blockchain_id = getSessionBlockchainID();
+      const blockchain_id = getSessionBlockchainID(persistence);
       assert(blockchain_id);
 
-      ds = getCachedMountContext(blockchain_id);
+      ds = getCachedMountContext(blockchain_id, persistence);
       assert(ds);
    }
 
+   checkWritable(ds, null);
+
    if (!ds_tombstones || !root_tombstones) {
       const delete_info = datastoreDeleteRequest(ds);
       ds_tombstones = delete_info['datastore_tombstones'];
@@ -438,1253 +558,4869 @@ export function datastoreDelete(ds=null, ds_tombstones=null, root_tombstones=nul
 
    const options = {
       'method': 'DELETE',
+      'scheme': ds.scheme,
       'host': ds.host,
       'port': ds.port,
-      'path': `/v1/stores?device_ids=${device_list}`
+      'path': `/v1/stores?device_ids=${device_list}`,
+      'signal': signal,
    };
 
+   options['headers'] = {};
    if (ds.session_token) {
-      options['headers'] = {'Authorization': `bearer ${ds.session_token}`};
+      options['headers']['Authorization'] = `bearer ${ds.session_token}`;
    }
 
    const body = JSON.stringify(payload);
    options['headers']['Content-Type'] = 'application/json';
-   options['headers']['Content-Length'] = body.length;
+   options['headers']['Content-Length'] = Buffer.byteLength(body);
 
-   return httpRequest(options, SUCCESS_FAIL_SCHEMA, body);
+   return httpRequest(options, SUCCESS_FAIL_SCHEMA, body)
+   .then((response) => {
+      return checkCoreResponse(response, 'datastoreDelete', null);
+   });
 }
 
 
 /*
- * Look up a datastore and establish enough contextual information to do subsequent storage operations.
- * Asynchronous; returns a Promise
+ * Fetch a datastore's record, and the version Core has of it.
  *
- * opts is an object that must contain either:
- * * appPrivateKey (string) the application private key
- * * (optional) sessionToken (string) the Core session token, OR
- * * (optional) device_id (string) the device ID
- *
- * OR:
- *
- * * blockchainID (string) the blockchain ID of the user whose datastore we're going to access
- * * appName (string) the name of the application
- *
- * TODO: support accessing datastores from other users
- *
- * Returns a Promise that resolves to a datastore connection,
- * with the following properties:
- *      .host: blockstack host
- *      .datastore: datastore object
- *
- * Returns a Promise that resolves to null, if the datastore does not exist.
+ * @param ds (Object) the datastore context
+ * @param signal (AbortSignal) the operation's signal
  *
- * Throws an error on all other errors
+ * Asynchronous; returns a Promise that resolves to {'datastore': the record, 'version': its version}.
+ * Rejects with InvalidCoreResponseError if Core does not say which version it has.
  */
-export function datastoreMount(opts) {
+function getDatastoreRecord(ds, signal) {
+   const options = {
+      'method': 'GET',
+      'scheme': ds.scheme,
+      'host': ds.host,
+      'port': ds.port,
+      'path': `/v1/stores/${ds.datastore_id}?device_ids=${getDeviceList(ds)}&blockchain_id=${ds.blockchain_id}`,
+      'signal': signal,
+   };
 
-   const data_privkey_hex = opts.appPrivateKey;
-   let sessionToken = opts.sessionToken;
+   if (ds.session_token) {
+      options['headers'] = {'Authorization': `bearer ${ds.session_token}`};
+   }
 
-   // TODO: only support single-user datastore access
-   assert(data_privkey_hex);
+   return httpRequest(options, DATASTORE_RESPONSE_SCHEMA).then((response) => {
+      checkCoreResponse(response, 'datastoreUpdate', null);
 
-   let datastore_id = null;
-   let device_id = null;
-   let blockchain_id = null;
-   let api_endpoint = null;
-   let app_public_keys = null;
+      if (datastoreGetId(response.datastore.pubkey) !== ds.datastore_id) {
+         throw new InvalidCoreResponseError(`Datastore record does not match its ID ${ds.datastore_id}`, null, 'datastoreUpdate');
+      }
+      if (!Number.isInteger(response.version)) {
+         throw new InvalidCoreResponseError(`Core did not say which version of datastore ${ds.datastore_id} it has`, null, 'datastoreUpdate');
+      }
+      return response;
+   });
+}
 
-   if (!sessionToken) {
-      // load from user data
-      const userData = getUserData();
 
-      sessionToken = userData.coreSessionToken;
-      assert(sessionToken);
-   }
+/*
+ * Replace a datastore's record (i.e. its device list or path drivers).
+ * The record is fetched from Core, changed, and signed again with the next version.  Core has no
+ * way to update a record in place, so the old one is deleted (along with the given tombstones),
+ * and the new one is created with the root directory (signed again, unchanged, at its next version).
+ * If creating it fails, the old record is put back.  Another device that changes the record at the
+ * same time finds it gone, so only one of the two changes is made.
+ *
+ * @param ds (Object) the datastore context
+ * @param change (Function) called with the current datastore record; returns the new record
+ * @param app_public_keys (Array) the new list of device keys, as [{'device_id': ..., 'public_key': ...}]
+ * @param tombstones (Array) signed tombstones to send along (i.e. for a revoked device's data)
+ * @param persistence (Object) the persistence adapter whose cached mount contexts to update
+ * @param signal (AbortSignal) the operation's signal
+ *
+ * Asynchronous; returns a Promise that resolves to the updated datastore context.
+ * Rejects with InvalidCoreResponseError if Core does not say which version of the record it has,
+ * and with NotFoundError if another device deleted the record to change it first.
+ */
+function datastoreUpdateRecord(ds, change, app_public_keys, tombstones, persistence, signal) {
+
+   const api_endpoint = `${ds.scheme}://${ds.host}:${ds.port}`;
+   let record = null;
+   let datastore_info = null;
+   let version = null;
+   let root = null;
+
+   const makeRequest = (info) => {
+      const datastore_blob = makeMutableDataInfo( `${ds.datastore_id}.datastore`, jsonStableSerialize(info), ds.device_id, version );
+      const datastore_str = jsonStableSerialize(datastore_blob);
+      const root_blob_info = makeDirInodeBlob( ds.datastore_id, root.owner, root.uuid, root.idata.children, ds.device_id, root.version + 1 );
+
+      return {
+         'datastore_info': {
+            'datastore_blob': datastore_str,
+            'root_blob_header': root_blob_info.header,
+            'root_blob_idata': root_blob_info.idata,
+         },
+         'datastore_sigs': {
+            'datastore_sig': signDataPayload( datastore_str, ds.privkey_hex ),
+            'root_sig': signDataPayload( root_blob_info.header, ds.privkey_hex ),
+         },
+         'root_tombstones': [],
+      };
+   };
 
-   const session = jsontokens.decodeToken(sessionToken).payload;
+   return getDatastoreRecord(ds, signal)
+   .then((current) => {
+      record = current.datastore;
+      datastore_info = change(record);
+      version = current.version + 1;
+      return getInode('/', {'ds': ds, 'signal': signal});
+   })
+   .then((root_inode) => {
+      root = root_inode;
+
+      // only the record goes; the root directory and everything under it stays on the drivers
+      const record_tombstones = signMutableDataTombstones(makeMutableDataTombstones(record.device_ids, `${ds.datastore_id}.datastore`), ds.privkey_hex);
+      return datastoreDeleteImpl(ds, record_tombstones, tombstones, signal, persistence);
+   })
+   .then(() => {
+      return datastoreCreateImpl(api_endpoint, ds.session_token, makeRequest(datastore_info), signal)
+      .catch((e) => {
+         log.error('Failed to create the new datastore record; putting back the old one', {'operation': 'datastoreUpdate', 'datastore_id': ds.datastore_id, 'error': e.message});
+         return datastoreCreateImpl(api_endpoint, ds.session_token, makeRequest(record), signal)
+         .then(() => {
+            throw e;
+         }, () => {
+            throw e;
+         });
+      });
+   })
+   .then(() => {
+      const new_ds = Object.assign({}, ds, {
+         'datastore': datastore_info,
+         'datastore_version': version,
+         'app_public_keys': app_public_keys,
+      });
 
-   if (data_privkey_hex) {
-      datastore_id = datastoreGetId(getPubkeyHex(data_privkey_hex));
-   }
-   else {
-      blockchain_id = opts.blockchainID;
-      const app_name = opts.appName;
+      updateCachedMountContexts(new_ds, persistence);
+      return new_ds;
+   });
+}
 
-       if (!blockchain_id){
-          blockchain_id = getSessionBlockchainID();
-       }
 
-      assert(blockchain_id);
-      assert(app_name);
+/*
+ * Update every cached mount context of a datastore with its new record and device keys.
+ */
+function updateCachedMountContexts(ds, persistence=null) {
 
-      // TODO: look up the datastore information via Core
-      // TODO: blocked by Core's lack of support for token files
-      // TODO: set device_id, blockchain_id, app_public_keys
+   let userData = getUserData(persistence);
+   if (!userData.datastore_contexts) {
+      return;
    }
 
-   if (!device_id) {
-      device_id = session.device_id;
-      assert(device_id);
+   let changed = false;
+   for (let blockchain_id of Object.keys(userData.datastore_contexts)) {
+      const ctx = userData.datastore_contexts[blockchain_id];
+      if (ctx && ctx.datastore_id === ds.datastore_id) {
+         ctx.datastore = ds.datastore;
+         ctx.datastore_version = ds.datastore_version;
+         ctx.app_public_keys = ds.app_public_keys;
+         changed = true;
+      }
    }
 
-   if (!api_endpoint) {
-      api_endpoint = session.api_endpoint;
-      assert(api_endpoint);
+   if (changed) {
+      setUserData(userData, persistence);
    }
+}
 
-   if (!blockchain_id) {
-      blockchain_id = getBlockchainIDFromSessionOrDefault(session);
-   }
 
-   if (!app_public_keys) {
-      app_public_keys = session.app_public_keys;
-      assert(app_public_keys);
-   }
+/*
+ * Find the UUIDs of every inode under a directory, one directory at a time.
+ *
+ * Asynchronous; returns a Promise that resolves to the list of UUIDs (not including the directory's own)
+ */
+function listInodeUUIDs(ds, path, signal) {
+   return listdir(path, {'ds': ds, 'signal': signal})
+   .then((dir) => {
+      const uuids = [];
+      const subdirs = [];
+      for (let name of Object.keys(dir.children)) {
+         const child = dir.children[name];
+         uuids.push(child.uuid);
+         if (child.type === MUTABLE_DATUM_DIR_TYPE) {
+            subdirs.push(`${path === '/' ? '' : path}/${name}`);
+         }
+      }
 
-   const blockstack_hostport = api_endpoint.split('://').reverse()[0];
-   const hostinfo = splitHostPort(blockstack_hostport);
+      let result = Promise.resolve();
+      for (let subdir of subdirs) {
+         result = result.then(() => listInodeUUIDs(ds, subdir, signal))
+         .then((child_uuids) => {
+            uuids.push(...child_uuids);
+         });
+      }
+      return result.then(() => uuids);
+   });
+}
 
-   const ctx = {
-      'host': hostinfo.host,
-      'port': hostinfo.port,
-      'blockchain_id': blockchain_id,
-      'device_id': device_id,
-      'datastore_id': datastore_id,
-      'session_token': sessionToken,
-      'app_public_keys': app_public_keys,
-      'session': session,
-      'datastore': null,
-   };
 
-   if (data_privkey_hex) {
-      ctx.privkey_hex = data_privkey_hex;
-   }
+/*
+ * Add a device to a datastore, i.e. when the user signs in on a new laptop.
+ *
+ * @param device_id (String) the new device's ID
+ * @param public_key (String) the new device's hex-encoded app public key
+ * @param opts (Object) optional arguments:
+ *      .ds (datastore context) the datastore to change, if not the session's own
+ *      .blockchain_id (String) the blockchain ID whose mounted datastore to change
+ *      .persistence (Object) the persistence adapter to use instead of the global one
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *      .timeout (Int) give up after this many milliseconds
+ *
+ * The datastore record is signed again with the new device list, and its version is bumped.
+ * Cached mount contexts of the datastore get the new device's key.
+ *
+ * Asynchronous; returns a Promise that resolves to the updated datastore context.
+ * Rejects with AlreadyExistsError if the device is already in the datastore, ReadOnlyError
+ * if the datastore was mounted without its private key, and with a StorageError on all other errors.
+ */
+export function addDevice(device_id, public_key, opts={}) {
+   return storageOperation('addDevice', null, opts, (signal) => {
 
-   const options = {
-      'method': 'GET',
-      'host': hostinfo.host,
-      'port': hostinfo.port,
-      'path': `/v1/stores/${datastore_id}?device_ids=${device_id}&blockchain_id=${blockchain_id}`,
-   }
+      if (!device_id || typeof(device_id) !== 'string') {
+         throw new InvalidArgumentError(`Invalid device ID ${device_id}`, null, 'addDevice');
+      }
+      if (typeof(public_key) !== 'string' || !/^[0-9a-fA-F]+$/.test(public_key)) {
+         throw new InvalidArgumentError(`Invalid public key for device ${device_id}`, null, 'addDevice');
+      }
 
-   options['headers'] = {'Authorization': `bearer ${sessionToken}`};
+      return withDatastore(opts, signal, (ds) => {
+         assert(ds);
+         checkWritable(ds, null);
 
-   return httpRequest(options, DATASTORE_RESPONSE_SCHEMA).then((ds) => {
-      if (!ds || ds.error) {
-         // ENOENT?
-         if (!ds || ds.errno === ENOENT) {
-            return null;
+         const addToRecord = (record) => {
+            if (record.device_ids.includes(device_id)) {
+               throw new AlreadyExistsError(`Device ${device_id} is already in datastore ${ds.datastore_id}`, null, 'addDevice');
+            }
+            return Object.assign({}, record, {'device_ids': record.device_ids.concat([device_id])});
+         };
+
+         const app_public_keys = ds.app_public_keys
+            .filter((key) => key.device_id !== device_id)
+            .concat([{'device_id': device_id, 'public_key': public_key}]);
+
+         log.info('Adding device to datastore', {'operation': 'addDevice', 'datastore_id': ds.datastore_id, 'device_id': device_id});
+         return datastoreUpdateRecord(ds, addToRecord, app_public_keys, [], opts.persistence, signal);
+      });
+   });
+}
+
+
+/*
+ * Remove a device from a datastore, i.e. when the user loses a phone.
+ *
+ * @param device_id (String) the ID of the device to revoke
+ * @param opts (Object) optional arguments:
+ *      .ds (datastore context) the datastore to change, if not the session's own
+ *      .blockchain_id (String) the blockchain ID whose mounted datastore to change
+ *      .persistence (Object) the persistence adapter to use instead of the global one
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *      .timeout (Int) give up after this many milliseconds
+ *
+ * The datastore record is signed again without the device, and its version is bumped.
+ * Tombstones for the device's copies of every inode are sent along with the old record's,
+ * so Core and its drivers drop them; this walks the whole datastore.
+ * Cached mount contexts of the datastore lose the device's key.
+ *
+ * Asynchronous; returns a Promise that resolves to the updated datastore context.
+ * Rejects with NotFoundError if the device is not in the datastore, InvalidArgumentError if it is
+ * the device the datastore is mounted from, ReadOnlyError if the datastore was mounted without its
+ * private key, and with a StorageError on all other errors.
+ */
+export function removeDevice(device_id, opts={}) {
+   return storageOperation('removeDevice', null, opts, (signal) => {
+      return withDatastore(opts, signal, (ds) => {
+         assert(ds);
+         checkWritable(ds, null);
+
+         if (!ds.datastore.device_ids.includes(device_id)) {
+            throw new NotFoundError(`Device ${device_id} is not in datastore ${ds.datastore_id}`, null, 'removeDevice');
          }
-         else {
-             let errorMsg = ds.error || 'No response given';
-             throw new Error(`Failed to get datastore: ${errorMsg}`);
+         if (device_id === ds.device_id) {
+            throw new InvalidArgumentError(`Cannot remove device ${device_id}; the datastore is mounted from it`, null, 'removeDevice');
          }
-      }
-      else {
-         ctx['datastore'] = ds.datastore;
 
-         // save
-         setCachedMountContext(blockchain_id, ctx);
+         return listInodeUUIDs(ds, '/', signal)
+         .then((uuids) => {
+            let tombstones = [];
+            for (let uuid of [ds.datastore.root_uuid].concat(uuids)) {
+               tombstones = tombstones.concat(makeInodeTombstones(ds.datastore_id, uuid, [device_id]));
+            }
 
-         // this is required for testing purposes, since the core session token will not have been set
-         let userData = getUserData();
-         if (!userData.coreSessionToken) {
-            console.log("In test framework; saving session token");
-            userData.coreSessionToken = sessionToken;
-            setUserData(userData);
-         }
+            const removeFromRecord = (record) => {
+               return Object.assign({}, record, {'device_ids': record.device_ids.filter((id) => id !== device_id)});
+            };
+            const app_public_keys = ds.app_public_keys.filter((key) => key.device_id !== device_id);
 
-         return ctx;
-      }
+            log.info('Removing device from datastore', {'operation': 'removeDevice', 'datastore_id': ds.datastore_id, 'device_id': device_id, 'inodes': uuids.length + 1});
+            return datastoreUpdateRecord(ds, removeFromRecord, app_public_keys, signMutableDataTombstones(tombstones, ds.privkey_hex), opts.persistence, signal);
+         });
+      });
    });
 }
 
 
 /*
- * Get local storage object for Blockstack
- * Throws on error
+ * Get the names of all drivers a session's storage classification knows about.
  */
-function getUserData() {
-   let userData = localStorage.getItem(LOCAL_STORAGE_ID);
-   if (userData === null) {
-      userData = '{}';
+function getSessionDrivers(session) {
+   const drivers = new Set([]);
+   const classes = (session && session.storage && session.storage.classes) || {};
+   for (let storage_class of Object.keys(classes)) {
+      for (let driver of classes[storage_class]) {
+         drivers.add(driver);
+      }
    }
-
-   userData = JSON.parse(userData);
-   return userData;
+   return drivers;
 }
 
 
 /*
- * Save local storage
+ * Check a set of per-path driver preferences.
+ *
+ * @param path_drivers (Object) maps path prefixes to lists of drivers
+ * @param session (Object) the decoded session; if given, every driver must be in its storage classification
+ *
+ * Returns the preferences, with their prefixes sanitized.
+ * Throws InvalidArgumentError if a prefix or driver list is invalid.
  */
-function setUserData(userData) {
-
-   let u = getUserData();
-   if (u.coreSessionToken && userData.coreSessionToken) {
-      // only store the newer one 
-      let coreSessionToken = null;
-      if (u.coreSessionToken.timestamp < userData.coreSessionToken.timestamp) {
-         coreSessionToken = userData.coreSessionToken;
+function checkPathDrivers(path_drivers, session=null) {
+   const known_drivers = (session ? getSessionDrivers(session) : null);
+   const checked = {};
+
+   for (let prefix of Object.keys(path_drivers)) {
+      const drivers = path_drivers[prefix];
+      if (!prefix.startsWith('/')) {
+         throw new InvalidArgumentError(`Path prefix ${prefix} must be absolute`, prefix);
       }
-      else {
-         coreSessionToken = u.coreSessionToken;
+      if (!Array.isArray(drivers) || drivers.length === 0 || drivers.some((d) => typeof(d) !== 'string')) {
+         throw new InvalidArgumentError(`Drivers for ${prefix} must be a non-empty list of driver names`, prefix);
       }
-      userData.coreSessionToken = coreSessionToken;
+
+      if (known_drivers) {
+         for (let driver of drivers) {
+            if (!known_drivers.has(driver)) {
+               throw new InvalidArgumentError(`Unknown driver ${driver} for ${prefix}`, prefix);
+            }
+         }
+      }
+
+      checked[sanitizePath(prefix)] = drivers;
    }
-   
-   localStorage.setItem(LOCAL_STORAGE_ID, JSON.stringify(userData));
+
+   return checked;
 }
 
 
 /*
- * Get a cached app-specific datastore mount context for a given blockchain ID and application
- * Return null if not found
- * Throws on error
+ * Find the drivers a path is written to, from the datastore's per-path preferences.
+ * The longest prefix that contains the path wins.
+ *
+ * @param ds (Object) the datastore context
+ * @param path (String) the path being written
+ *
+ * Returns the list of drivers, or null if the datastore's default drivers apply.
  */
-function getCachedMountContext(blockchain_id) {
-
-   let userData = getUserData();
-   if (!userData.datastore_contexts) {
-      console.log("No datastore contexts defined");
+function getPathDrivers(ds, path) {
+   const path_drivers = ds.datastore.path_drivers;
+   if (!path_drivers) {
       return null;
    }
 
-   if (!userData.datastore_contexts[blockchain_id]) {
-      console.log(`No datastore contexts for ${blockchain_id}`);
-      return null;
-   }
-
-   let ctx = userData.datastore_contexts[blockchain_id];
-   if (!ctx) {
-      console.log(`Null datastore context for ${blockchain_id}`);
-      return null;
-   }
-
-   return ctx;
-}
-
-
-/*
- * Cache a mount context for a blockchain ID
- */
-function setCachedMountContext(blockchain_id, datastore_context) {
+   path = sanitizePath(path);
 
-   let userData = getUserData();
-   if (!userData.datastore_contexts) {
-      userData.datastore_contexts = {};
+   let best = null;
+   for (let prefix of Object.keys(path_drivers)) {
+      const contains = (prefix === '/' || path === prefix || path.startsWith(`${prefix}/`));
+      if (contains && (best === null || prefix.length > best.length)) {
+         best = prefix;
+      }
    }
 
-   userData.datastore_contexts[blockchain_id] = datastore_context;
-   setUserData(userData);
+   return (best === null ? null : path_drivers[best]);
 }
 
-function getBlockchainIDFromSessionOrDefault(session) {
-   if (! session.blockchain_id ){
-       return hashRawData(Buffer.from(session.app_user_id).toString('base64'));
-   }else{
-       return session.blockchain_id;
-   }
-}
 
 /*
- * Get the current session's blockchain ID
- * Throw if not defined or not present.
+ * Send files and directories under a path prefix to particular drivers, i.e. '/public' to a
+ * public driver and '/private' to a private one.  The preference is kept in the datastore record,
+ * so every device honors it.  Only later writes are affected.
+ *
+ * @param prefix (String) the path prefix (a directory path, i.e. '/public')
+ * @param drivers (Array) the drivers to write to; pass null to go back to the datastore's default drivers
+ * @param opts (Object) optional arguments:
+ *      .ds (datastore context) the datastore to change, if not the session's own
+ *      .blockchain_id (String) the blockchain ID whose mounted datastore to change
+ *      .persistence (Object) the persistence adapter to use instead of the global one
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *      .timeout (Int) give up after this many milliseconds
+ *
+ * The datastore record is signed again, and its version is bumped.
+ *
+ * Asynchronous; returns a Promise that resolves to the updated datastore context.
+ * Rejects with InvalidArgumentError if the prefix or a driver is invalid (drivers must be in the
+ * session's storage classification), ReadOnlyError if the datastore was mounted without its
+ * private key, and with a StorageError on all other errors.
  */
-function getSessionBlockchainID() {
-
-   let userData = getUserData();
-   assert(userData);
-   assert(userData.coreSessionToken);
+export function setPathDrivers(prefix, drivers, opts={}) {
+   return storageOperation('setPathDrivers', prefix, opts, (signal) => {
+      return withDatastore(opts, signal, (ds) => {
+         assert(ds);
+         checkWritable(ds, prefix);
+
+         const new_drivers = (drivers ? checkPathDrivers({[prefix]: drivers}, ds.session) : null);
+
+         const setInRecord = (record) => {
+            const path_drivers = Object.assign({}, record.path_drivers || {});
+            if (new_drivers) {
+               Object.assign(path_drivers, new_drivers);
+            }
+            else {
+               delete path_drivers[sanitizePath(prefix)];
+            }
 
-   const session = jsontokens.decodeToken(userData.coreSessionToken).payload;
+            const datastore_info = Object.assign({}, record, {'path_drivers': path_drivers});
+            if (Object.keys(path_drivers).length === 0) {
+               delete datastore_info['path_drivers'];
+            }
+            return datastore_info;
+         };
 
-   return getBlockchainIDFromSessionOrDefault(session);
+         log.info('Setting path drivers', {'operation': 'setPathDrivers', 'datastore_id': ds.datastore_id, 'path': prefix, 'drivers': drivers});
+         return datastoreUpdateRecord(ds, setInRecord, ds.app_public_keys, [], opts.persistence, signal);
+      });
+   });
 }
 
 
 /*
- * Fulfill a replication strategy using the drivers available to us.
+ * Look up a datastore and establish enough contextual information to do subsequent storage operations.
+ * Asynchronous; returns a Promise
+ *
+ * opts is an object that must contain either:
+ * * appPrivateKey (string) the application private key
+ * * (optional) sessionToken (string) the Core session token, OR
+ * * (optional) device_id (string) the device ID
+ *
+ * OR:
+ *
+ * * blockchainID (string) the blockchain ID of the user whose datastore we're going to access
+ * * appName (string) the name of the application
+ * * (optional) sessionToken (string) the Core session token to authenticate to Core with
+ *
+ * OR:
+ *
+ * * datastorePubkey (string) the datastore's public key, OR
+ * * datastoreID (string) the datastore's ID
+ * * appPublicKeys (array) the owner's devices, as [{'device_id': ..., 'public_key': ...}]
+ * * (optional) sessionToken (string) the Core session token to authenticate to Core with
+ * * (optional) apiEndpoint (string) the Core node to use, if there is no session token
+ * * (optional) blockchainID (string) the blockchain ID of the datastore's owner, if known
+ *
+ * opts may also contain:
+ * * (optional) signal (AbortSignal) cancel the lookup when this signal is aborted
+ * * (optional) timeout (Int) give up after this many milliseconds
+ * * (optional) cache (Bool) if false, then do not save the mount context or session token to localStorage
+ * * (optional) persistence (Object) the persistence adapter to use instead of the global one (see setPersistenceAdapter())
  *
- * replication_strategy (object): a dict that maps strategies (i.e. 'local', 'public', 'private') to integer counts
- * classes (object): this is session.storage.classes (i.e. the driver classification; maps a driver name to its list of classes)
+ * Mounting another user's datastore by blockchainID and appName looks the user's name up through Core,
+ * and reads the datastore ID and app public keys from the application's entry in the user's profile
+ * (which must be signed by the name's owner key).  The resulting
+ * context is read-only (it has .read_only set), and can be passed as opts.ds to getFile(),
+ * listdir(), stat() and lookup().  Unless opts.cache is false, it is also saved under the
+ * user's blockchain ID, so it can be used via opts.blockchain_id.
+ *
+ * Mounting by datastorePubkey or datastoreID needs neither a private key nor a session
+ * (i.e. for viewers and server-side rendering), and is read-only as well.  Write operations
+ * on a read-only context fail with ReadOnlyError before anything is sent to Core.
+ *
+ * Returns a Promise that resolves to a datastore connection,
+ * with the following properties:
+ *      .host: blockstack host
+ *      .datastore: datastore object
+ *
+ * Returns a Promise that resolves to null, if the datastore does not exist.
  *
- * Returns the list of drivers to use.
- * Throws on error.
+ * The session token is verified before anything in it is used (see setSessionVerification()).
+ * Rejects with AccessDeniedError if it fails verification, and with a StorageError on all other errors
  */
-function selectDrivers(replication_strategy, classes) {
+export function datastoreMount(opts) {
+   return storageOperation('datastoreMount', null, opts, (signal) => {
+      return datastoreMountImpl(opts, signal);
+   });
+}
 
-   // select defaults from classification and replication strategy
-   let driver_sets = [];            // driver_sets[i] is the set of drivers that support SUPPORTED_STORAGE_CLASSES[i]
-   let driver_classes = {};         // map driver name to set of classes
-   let all_drivers = new Set([]);   // set of all drivers available to us
-   let available_drivers = [];      // drivers available to us
-   let selected_drivers = [];       // drivers compatible with our replication strategy (return value)
-   let have_drivers = false;        // whether or not we selected drivers that fulfill our replication strategy
 
-   for (let i = 0; i < SUPPORTED_STORAGE_CLASSES.length; i++) {
-      let driver_set = new Set(classes[SUPPORTED_STORAGE_CLASSES[i]]);
-      driver_sets.push(driver_set);
+function datastoreMountImpl(opts, signal) {
 
-      for(let d of driver_set) {
-          all_drivers.add(d);
-      }
+   const data_privkey_hex = opts.appPrivateKey;
+   const by_public_key = (!data_privkey_hex && !!(opts.datastorePubkey || opts.datastoreID));
+   let sessionToken = opts.sessionToken;
 
-      for( let d of driver_set ) {
-         console.log(`Driver ${d} implementes ${SUPPORTED_STORAGE_CLASSES[i]}`);
-         if (driver_classes[d]) {
-            driver_classes[d].push(SUPPORTED_STORAGE_CLASSES[i]);
-         }
-         else {
-            driver_classes[d] = [SUPPORTED_STORAGE_CLASSES[i]];
-         }
-      }
+   if (!data_privkey_hex && !opts.appName && !by_public_key) {
+      throw new InvalidArgumentError('Need either appPrivateKey, blockchainID and appName, or datastorePubkey or datastoreID');
    }
 
-   let concern_fulfillment = {};
-
-   for (let d of all_drivers) {
-      let classes = driver_classes[d];
-
-      // a driver fits the replication strategy if all of its
-      // classes matches at least one concern (i.e. 'local', 'public')
-      for (let concern of Object.keys(replication_strategy)) {
-
-          let matches = false;
-          for (let dclass of classes) {
-             if (REPLICATION_STRATEGY_CLASSES[concern].has(dclass)) {
-                matches = true;
-                break;
-             }
-          }
-
-          if (matches) {
-             console.log(`Driver ${d} fulfills replication concern ${concern}`);
+   if (by_public_key && (!Array.isArray(opts.appPublicKeys) || opts.appPublicKeys.length === 0)) {
+      throw new InvalidArgumentError('Need appPublicKeys to mount a datastore by its public key or ID');
+   }
 
-             if (concern_fulfillment[concern]) {
-                concern_fulfillment[concern] += 1;
-             }
-             else {
-                concern_fulfillment[concern] = 1;
-             }
+   let datastore_id = null;
+   let device_id = null;
+   let blockchain_id = null;
+   let api_endpoint = opts.apiEndpoint || null;
+   let app_public_keys = null;
 
-             if (concern_fulfillment[concern] <= replication_strategy[concern]) {
-                console.log(`Select driver ${d}`);
-                selected_drivers.push(d);
-             }
-          }
+   if (!sessionToken) {
+      // load from user data
+      const userData = getUserData(opts.persistence);
 
-          // strategy fulfilled?
-          let fulfilled = true;
-          for (let concern of Object.keys(replication_strategy)) {
-             let count = 0;
-             if (concern_fulfillment[concern]) {
-                count = concern_fulfillment[concern];
-             }
+      sessionToken = userData.coreSessionToken;
+      assert(sessionToken || by_public_key);
+   }
 
-             if (count < replication_strategy[concern]) {
-                fulfilled = false;
-                break;
-             }
-          }
+   if (isSessionExpired(sessionToken)) {
+      return renewSession(sessionToken, opts, signal)
+      .then((fresh_token) => datastoreMountImpl(Object.assign({}, opts, {'sessionToken': fresh_token}), signal));
+   }
 
-          if (fulfilled) {
-             have_drivers = true;
-             break;
-          }
-      }
+   // a read-only mount by public key can go without a session
+   const session = (sessionToken ? decodeSessionToken(sessionToken) : null);
+   const session_blockchain_id = (session ? getBlockchainIDFromSessionOrDefault(session) : null);
 
-      if (have_drivers) {
-         break;
-      }
+   if (!device_id && session) {
+      device_id = session.device_id;
+      assert(device_id);
    }
 
-   if (!have_drivers) {
-      throw new Error("Unsatisfiable replication strategy");
+   if (!api_endpoint) {
+      if (!session) {
+         throw new InvalidArgumentError('Need a session token or apiEndpoint to reach Core');
+      }
+      api_endpoint = session.api_endpoint;
+      assert(api_endpoint);
    }
 
-   return selected_drivers;
-}
-
+   const hostinfo = parseCoreEndpoint(api_endpoint);
 
+   let owner_info = null;
 
-/*
- * Connect to or create a datastore.
- * Asynchronous, returns a Promise
- *
- * Returns a Promise that yields a datastore connection.
- * Throws on error.
- *
- */
-export function datastoreMountOrCreate(replication_strategy={'public': 1, 'local': 1}, sessionToken=null, appPrivateKey=null) {
-
-   if(!sessionToken) {
-      const userData = getUserData();
+   if (data_privkey_hex) {
+      datastore_id = datastoreGetId(getPubkeyHex(data_privkey_hex));
+      blockchain_id = session_blockchain_id;
+      app_public_keys = session.app_public_keys;
+      assert(app_public_keys);
 
-      sessionToken = userData.coreSessionToken;
-      assert(sessionToken);
+      owner_info = Promise.resolve(null);
    }
+   else if (by_public_key) {
+      datastore_id = (opts.datastorePubkey ? datastoreGetId(opts.datastorePubkey) : opts.datastoreID);
+      if (opts.datastorePubkey && opts.datastoreID && opts.datastoreID !== datastore_id) {
+         throw new InvalidArgumentError(`Datastore public key does not match datastore ID ${opts.datastoreID}`);
+      }
 
-   // decode
-   const session = jsontokens.decodeToken(sessionToken).payload;
-   var blockchain_id = getBlockchainIDFromSessionOrDefault(session);
+      blockchain_id = opts.blockchainID || '';
+      app_public_keys = opts.appPublicKeys;
 
-   let ds = getCachedMountContext(blockchain_id);
-   if (ds) {
-      return new Promise((resolve, reject) => { resolve(ds); });
+      owner_info = Promise.resolve(null);
    }
+   else {
+      blockchain_id = opts.blockchainID;
+      if (!blockchain_id) {
+         blockchain_id = session_blockchain_id;
+      }
 
-   // no cached datastore context.
-   // go ahead and create one (need appPrivateKey)
-   if(!appPrivateKey) {
-      const userData = getUserData();
-
-      appPrivateKey = userData.appPrivateKey;
-      assert(appPrivateKey);
+      // ask Core which datastore and keys this user has for the app
+      owner_info = getAppDatastoreInfo(hostinfo, sessionToken, blockchain_id, opts.appName, signal)
+      .then((info) => {
+         if (info) {
+            datastore_id = info.datastore_id;
+            app_public_keys = info.app_public_keys;
+         }
+         return info;
+      });
    }
 
-   // sanity check
-   for (let strategy of Object.keys(replication_strategy)) {
-      let supported = false;
-      for (let supported_strategy of Object.keys(REPLICATION_STRATEGY_CLASSES)) {
-         if (supported_strategy === strategy) {
-            supported = true;
-            break;
+   const mountContext = () => {
+      const ctx = {
+         'scheme': hostinfo.scheme,
+         'host': hostinfo.host,
+         'port': hostinfo.port,
+         'blockchain_id': blockchain_id,
+         'device_id': device_id,
+         'datastore_id': datastore_id,
+         'session_token': sessionToken,
+         'app_public_keys': app_public_keys,
+         'session': session,
+         'datastore': null,
+         'mounted_at': Date.now(),
+      };
+
+      if (data_privkey_hex) {
+         ctx.privkey_hex = data_privkey_hex;
+      }
+      else {
+         ctx.read_only = true;
+         if (opts.appName) {
+            ctx.app_name = opts.appName;
          }
       }
 
-      if (!supported) {
-         throw new Error(`Unsupported replication strategy ${strategy}`);
+      // a foreign datastore's inodes come from its owner's devices
+      const device_ids = (data_privkey_hex ? device_id : getDeviceList(ctx));
+
+      const options = {
+         'method': 'GET',
+         'scheme': hostinfo.scheme,
+         'host': hostinfo.host,
+         'port': hostinfo.port,
+         'path': `/v1/stores/${datastore_id}?device_ids=${device_ids}&blockchain_id=${blockchain_id}`,
+         'signal': signal,
       }
-   }
 
-   let drivers = null;
+      if (sessionToken) {
+         options['headers'] = {'Authorization': `bearer ${sessionToken}`};
+      }
 
-   // find satisfactory storage drivers
-   if (Object.keys(session.storage.preferences).includes(session.app_domain)) {
+      return httpRequest(options, DATASTORE_RESPONSE_SCHEMA).then((ds) => {
+         if (!ds || ds.error) {
+            // ENOENT?
+            if (!ds || ds.errno === ENOENT) {
+               return null;
+            }
+            else {
+               return checkCoreResponse(ds, 'datastoreMount', null);
+            }
+         }
 
-      // app-specific preference
-      drivers = session.storage.preferences[app_domain];
-   }
-   else {
+         if (!data_privkey_hex && datastoreGetId(ds.datastore.pubkey) !== datastore_id) {
+            throw new InvalidCoreResponseError(`Datastore for ${blockchain_id} does not match its ID ${datastore_id}`, null, 'datastoreMount');
+         }
 
-      // select defaults given the replication strategy
-      drivers = selectDrivers(replication_strategy, session.storage.classes);
-   }
+         ctx['datastore'] = ds.datastore;
+         ctx['datastore_version'] = (ds.version === undefined ? null : ds.version);
 
-   const hostport = session.api_endpoint.split('://').reverse()[0];
-   const appPublicKeys = session.app_public_keys;
-   const deviceID = session.device_id;
-   const allDeviceIDs = [];
+         if (opts.cache === false || (ctx.read_only && (!session || !blockchain_id || blockchain_id === session_blockchain_id))) {
+            // caller keeps track of the context
+            // (and a read-only context must not replace the session's own)
+            return ctx;
+         }
 
-   for (let i = 0; i < appPublicKeys.length; i++) {
-      allDeviceIDs.push(appPublicKeys[i].device_id);
-   }
+         // save
+         setCachedMountContext(blockchain_id, ctx, opts.persistence);
 
-   console.log(`Will use drivers ${drivers.join(',')}`);
-   console.log(`Datastore will span devices ${allDeviceIDs.join(',')}`);
+         // this is required for testing purposes, since the core session token will not have been set
+         let userData = getUserData(opts.persistence);
+         if (!userData.coreSessionToken) {
+            log.debug('In test framework; saving session token', {'operation': 'datastoreMount', 'datastore_id': datastore_id});
+            userData.coreSessionToken = sessionToken;
+            setUserData(userData, opts.persistence);
+         }
 
-   const datastoreOpts = {
-      'appPrivateKey': appPrivateKey,
-      'sessionToken': sessionToken,
+         return ctx;
+      });
    };
 
-   return datastoreMount(datastoreOpts)
-   .then((datastore_ctx) => {
-      if (!datastore_ctx) {
-         // does not exist
-         console.log("Datastore does not exist; creating...");
-
-         const info = datastoreCreateRequest('datastore', appPrivateKey, drivers, deviceID, allDeviceIDs );
-
-         // go create it
-         return datastoreCreate( hostport, sessionToken, info )
-         .then((res) => {
-            if (res.error) {
-               console.log(error);
-               let errorNo = res.errno || 'UNKNOWN';
-               let errorMsg = res.error || 'UNKNOWN';
-               throw new Error(`Failed to create datastore (errno ${errorNo}): ${errorMsg}`);
-            }
-
-            // connect to it now
-            return datastoreMount(datastoreOpts);
-         });
-      }
-      else if (datastore_ctx.error) {
-         // some other error
-         let errorMsg = datastore_ctx.error || 'UNKNOWN';
-         let errorNo = datastore_ctx.errno || 'UNKNOWN';
-         throw new Error(`Failed to access datastore (errno ${errorNo}): ${errorMsg}`);
-      }
-      else {
-         // exists
-         return datastore_ctx;
+   return owner_info.then(() => {
+      if (!datastore_id) {
+         // user has no datastore for this app
+         return null;
       }
+      return mountContext();
    });
 }
 
 
 /*
- * Path lookup
+ * Find the datastore ID and app public keys that a user published for an application.
+ * Core resolves the user's name to its owner address and zonefile.  The zonefile's first URI record
+ * points to the user's profile token file, whose token must be signed by the name's owner key.
+ * The application's entry in the profile's .apps lists the datastore ID and app public keys.
  *
- * @param ds (Object) a datastore context
- * @param path (String) the path to the inode
- * @param opts (Object) optional arguments:
- *      .extended (Bool) whether or not to include the entire path's inode information
- *      .force (Bool) if True, then ignore stale inode errors.
- *      .idata (Bool) if True, then get the inode payload as well
- *      .blockchain_id (String) this is the blockchain ID of the datastore owner, if different from the session token
- *      .ds (datastore context) if given, then use this datastore mount context instead of one from localstorage
+ * @param hostinfo (Object) the Core node's .scheme, .host and .port
+ * @param sessionToken (String) the Core session token to authenticate with
+ * @param blockchain_id (String) the user's blockchain ID
+ * @param app_name (String) the application name
+ * @param signal (AbortSignal) the operation's signal
  *
- * Returns a promise that resolves to a lookup response schema (or an extended lookup response schema, if opts.extended is set)
+ * Asynchronous; returns a Promise that resolves to {'datastore_id': ..., 'app_public_keys': [...]},
+ * or null if the user has no datastore for the application.
+ * Rejects with InvalidCoreResponseError if the profile is not signed by the name's owner, and with a StorageError on other errors.
  */
-export function lookup(path, opts={}) {
-
-   let blockchain_id = opts.blockchain_id;
+function getAppDatastoreInfo(hostinfo, sessionToken, blockchain_id, app_name, signal) {
+   const options = {
+      'method': 'GET',
+      'scheme': hostinfo.scheme,
+      'host': hostinfo.host,
+      'port': hostinfo.port,
+      'path': `/v1/names/${escape(blockchain_id)}`,
+      'signal': signal,
+   };
 
-   if (!opts.blockchain_id) {
-      blockchain_id = getSessionBlockchainID();
+   if (sessionToken) {
+      options['headers'] = {'Authorization': `bearer ${sessionToken}`};
    }
 
-   return datastoreMountOrCreate()
-   .then((ds) => {
-      assert(ds);
-
-      const datastore_id = ds.datastore_id;
-      const device_list = getDeviceList(ds);
-      const device_pubkeys = getPublicKeyList(ds);
-      const options = {
-         'method': 'GET',
-         'host': ds.host,
-         'port': ds.port,
-         'path': `/v1/stores/${datastore_id}/inodes?path=${escape(sanitizePath(path))}&device_ids=${device_list}&device_pubkeys=${device_pubkeys}&blockchain_id=${ds.blockchain_id}`,
-      };
+   let owner_address = null;
 
-      if (!opts) {
-         opts = {};
+   return httpRequest(options, NAME_INFO_RESPONSE_SCHEMA).then((name_info) => {
+      if (!name_info || name_info.error) {
+         if (!name_info || name_info.errno === ENOENT) {
+            return null;
+         }
+         return checkCoreResponse(name_info, 'datastoreMount', null);
       }
 
-      let schema = DATASTORE_LOOKUP_RESPONSE_SCHEMA;
-
-      if (opts.extended) {
-         options['path'] += '&extended=1';
-         schema = DATASTORE_LOOKUP_EXTENDED_RESPONSE_SCHEMA;
+      owner_address = name_info.address;
+      const profile_url = getZonefileProfileURL(name_info.zonefile);
+      if (!profile_url) {
+         log.debug('Name has no profile', {'operation': 'datastoreMount', 'blockchain_id': blockchain_id});
+         return null;
       }
 
-      if (opts.force) {
-         options['path'] += '&force=1';
+      // the profile is stored outside of Core; it is trusted only once its signature checks out
+      return httpRequest({'method': 'GET', 'url': profile_url, 'signal': signal}, null);
+   })
+   .then((token_file) => {
+      if (!token_file || token_file.error) {
+         if (!token_file || token_file.errno === ENOENT) {
+            return null;
+         }
+         return checkCoreResponse(token_file, 'datastoreMount', null);
       }
 
-      if (opts.idata) {
-         options['idata'] += '&idata=1';
+      const profile = verifyProfileTokenFile(token_file, owner_address, blockchain_id);
+      const app_info = (profile.apps && typeof(profile.apps) === 'object' ? profile.apps[app_name] : null);
+      if (!app_info || !(new Ajv().validate(APP_DATASTORE_SCHEMA, app_info))) {
+         // no datastore for this app (i.e. the app stores its data somewhere else)
+         return null;
       }
 
-
-      return httpRequest(options, schema)
-      .then((lookup_response) => {
-         if (lookup_response.error || lookup_response.errno) {
-            let errorMsg = lookup_response.error || 'UNKNOWN';
-            let errorNo = lookup_response.errno || 'UNKNOWN';
-            throw new Error(`Failed to look up ${path} (errno: ${errorNo}): ${errorMsg}`);
-         }
-         else {
-            return lookup_response;
-         }
-      });
+      return {'datastore_id': app_info.datastore_id, 'app_public_keys': app_info.app_public_keys};
    });
 }
 
 
 /*
- * List a directory.
+ * Get the URL of a user's profile from their zonefile, i.e. from the record
+ * _http._tcp IN URI 10 1 "https://example.com/profile.json"
  *
- * @param ds (Object) a datastore context
- * @param path (String) the path to the directory to list
- * @param opts (Object) optional arguments:
- *      .extended (Bool) whether or not to include the entire path's inode inforamtion
- *      .force (Bool) if True, then ignore stale inode errors.
- *      .blockchain_id (string) this is the blockchain ID of the datastore owner (if different from the session)
- *      .ds (datastore context) this is the mount context for the datastore, if different from one that we have cached
+ * @param zonefile (String) the zonefile text
  *
- * Asynchronous; returns a Promise that resolves to either directory idata, or an extended mutable datum response (if opts.extended is set)
+ * Returns the URL in the first URI record, or null if there is none.
  */
-export function listdir(path, opts={}) {
-
-   let blockchain_id = opts.blockchain_id;
+function getZonefileProfileURL(zonefile) {
+   if (!zonefile) {
+      return null;
+   }
 
-   if (!opts.blockchain_id) {
-      blockchain_id = getSessionBlockchainID();
+   for (let line of zonefile.split('\n')) {
+      const match = line.match(/\sURI\s+\d+\s+\d+\s+"([^"]+)"/);
+      if (match) {
+         return match[1];
+      }
    }
+   return null;
+}
 
-   return datastoreMountOrCreate()
-   .then((ds) => {
 
-      assert(ds);
+/*
+ * Verify a user's profile token file, and get the profile out of it.
+ * The first token must be signed by the key in its issuer claim, and that key must own the name.
+ *
+ * @param token_file (Object|String) the token file, as a list of {'token': ...}
+ * @param owner_address (String) the address that owns the user's name
+ * @param blockchain_id (String) the user's blockchain ID, for error messages
+ *
+ * Returns the profile (the token's claim).
+ * Throws InvalidCoreResponseError if the token file is malformed, or is not signed by the name's owner.
+ */
+function verifyProfileTokenFile(token_file, owner_address, blockchain_id) {
+   try {
+      if (typeof(token_file) === 'string') {
+         token_file = JSON.parse(token_file);
+      }
+      assert(new Ajv().validate(PROFILE_TOKEN_FILE_SCHEMA, token_file));
+   }
+   catch(e) {
+      throw new InvalidCoreResponseError(`Invalid profile for ${blockchain_id}`, null, 'datastoreMount');
+   }
 
-      const datastore_id = ds.datastore_id;
+   const token = token_file[0].token;
+   let payload = null;
+   let signer_address = null;
+   try {
+      payload = jsontokens.decodeToken(token).payload;
+      signer_address = bitcoinjs.ECPair.fromPublicKeyBuffer(Buffer.from(payload.issuer.publicKey, 'hex')).getAddress();
+   }
+   catch(e) {
+      throw new InvalidCoreResponseError(`Invalid profile for ${blockchain_id}`, null, 'datastoreMount');
+   }
+
+   if (signer_address !== owner_address) {
+      throw new InvalidCoreResponseError(`Profile for ${blockchain_id} is not signed by the name's owner`, null, 'datastoreMount');
+   }
+
+   let valid = false;
+   try {
+      valid = new jsontokens.TokenVerifier('ES256K', payload.issuer.publicKey).verify(token);
+   }
+   catch(e) {
+      valid = false;
+   }
+
+   if (!valid || !payload.claim || typeof(payload.claim) !== 'object') {
+      throw new InvalidCoreResponseError(`Profile for ${blockchain_id} has an invalid signature`, null, 'datastoreMount');
+   }
+
+   return payload.claim;
+}
+
+
+/*
+ * Mount a datastore that we do not have the private key for.
+ * Unlike datastoreMount(), a missing datastore is an error.
+ *
+ * @param opts (Object) datastoreMount() options
+ *
+ * Asynchronous; returns a Promise that resolves to a read-only datastore context.
+ * Rejects with NotFoundError if the datastore does not exist.
+ */
+function mountReadOnly(opts) {
+   return datastoreMount(opts)
+   .then((datastore_ctx) => {
+      if (!datastore_ctx) {
+         const owner = (opts.appName ? `${opts.appName} datastore of ${opts.blockchainID}` : `datastore ${opts.datastoreID || datastoreGetId(opts.datastorePubkey)}`);
+         throw new NotFoundError(`No such datastore: ${owner}`);
+      }
+      return datastore_ctx;
+   });
+}
+
+
+/*
+ * Get local storage object for Blockstack
+ *
+ * @param persistence (Object) the persistence adapter to read from (the global one if not given)
+ *
+ * Throws on error
+ */
+function getUserData(persistence=null) {
+   let userData = getPersistenceAdapter(persistence).getItem(LOCAL_STORAGE_ID);
+   if (!userData) {
+      userData = '{}';
+   }
+
+   userData = JSON.parse(userData);
+   return userData;
+}
+
+
+/*
+ * Save local storage
+ *
+ * @param userData (Object) the user data to save
+ * @param persistence (Object) the persistence adapter to write to (the global one if not given)
+ */
+function setUserData(userData, persistence=null) {
+
+   let u = getUserData(persistence);
+   if (u.coreSessionToken && userData.coreSessionToken && u.coreSessionToken !== userData.coreSessionToken) {
+      // only store the newer one (unless the stored one has expired)
+      if (!isSessionExpired(u.coreSessionToken) && getSessionTimes(u.coreSessionToken).issued > getSessionTimes(userData.coreSessionToken).issued) {
+         userData.coreSessionToken = u.coreSessionToken;
+      }
+   }
+   
+   getPersistenceAdapter(persistence).setItem(LOCAL_STORAGE_ID, JSON.stringify(userData));
+}
+
+
+/*
+ * Get a cached app-specific datastore mount context for a given blockchain ID and application
+ * Return null if not found
+ * Throws on error
+ */
+function getCachedMountContext(blockchain_id, persistence=null) {
+
+   let userData = getUserData(persistence);
+   if (!userData.datastore_contexts) {
+      log.debug('No datastore contexts defined');
+      return null;
+   }
+
+   if (!userData.datastore_contexts[blockchain_id]) {
+      log.debug('No datastore context for blockchain ID', {'blockchain_id': blockchain_id});
+      return null;
+   }
+
+   let ctx = userData.datastore_contexts[blockchain_id];
+   if (!ctx) {
+      log.debug('Null datastore context for blockchain ID', {'blockchain_id': blockchain_id});
+      return null;
+   }
+
+   return ctx;
+}
+
+
+/*
+ * Cache a mount context for a blockchain ID
+ */
+function setCachedMountContext(blockchain_id, datastore_context, persistence=null) {
+
+   let userData = getUserData(persistence);
+   if (!userData.datastore_contexts) {
+      userData.datastore_contexts = {};
+   }
+
+   userData.datastore_contexts[blockchain_id] = datastore_context;
+   setUserData(userData, persistence);
+}
+
+function getBlockchainIDFromSessionOrDefault(session) {
+   if (! session.blockchain_id ){
+       return hashRawData(Buffer.from(session.app_user_id).toString('base64'));
+   }else{
+       return session.blockchain_id;
+   }
+}
+
+/*
+ * Get the current session's blockchain ID
+ * Throw if not defined or not present.
+ */
+function getSessionBlockchainID(persistence=null) {
+
+   let userData = getUserData(persistence);
+   assert(userData);
+   assert(userData.coreSessionToken);
+
+   const session = decodeSessionToken(userData.coreSessionToken);
+
+   return getBlockchainIDFromSessionOrDefault(session);
+}
+
+
+/*
+ * Remove a cached mount context, so the next operation mounts the datastore again.
+ */
+function dropCachedMountContext(blockchain_id, persistence=null) {
+
+   let userData = getUserData(persistence);
+   if (!userData.datastore_contexts || !userData.datastore_contexts[blockchain_id]) {
+      return;
+   }
+
+   delete userData.datastore_contexts[blockchain_id];
+   setUserData(userData, persistence);
+}
+
+
+/*
+ * Unmount a datastore: forget its cached mount context, including the
+ * app private key and session token in it.
+ *
+ * @param blockchain_id (String) the blockchain ID whose datastore to unmount.
+ *      If not given, the current session's is used.
+ * @param opts (Object) optional arguments:
+ *      .persistence (Object) the persistence adapter the context is kept in (the global one if not given)
+ *
+ * Returns true if a mount context was removed, false if none was cached.
+ * The session token and app private key of the session itself are kept; use clearAllContexts() to log out.
+ */
+export function datastoreUnmount(blockchain_id=null, opts={}) {
+
+   const persistence = opts.persistence || null;
+   const userData = getUserData(persistence);
+
+   if (!blockchain_id) {
+      if (!userData.coreSessionToken) {
+         return false;
+      }
+
+      // no need to verify a token we are about to stop using
+      blockchain_id = getBlockchainIDFromSessionOrDefault(jsontokens.decodeToken(userData.coreSessionToken).payload);
+   }
+
+   const ctx = getCachedMountContext(blockchain_id, persistence);
+   if (!ctx) {
+      return false;
+   }
+
+   dropCachedMountContext(blockchain_id, persistence);
+   if (ctx.session_token) {
+      forgetVerifiedSession(ctx.session_token);
+   }
+
+   log.debug('Unmounted datastore', {'blockchain_id': blockchain_id, 'datastore_id': ctx.datastore_id});
+   return true;
+}
+
+
+/*
+ * Log out: remove the session token, the app private key and every cached mount context
+ * from the persistence adapter, and forget which session tokens have been verified.
+ *
+ * @param opts (Object) optional arguments:
+ *      .persistence (Object) the persistence adapter to clear (the global one if not given)
+ *
+ * Other persistence adapters are left alone; clear each one a tenant used.
+ */
+export function clearAllContexts(opts={}) {
+   getPersistenceAdapter(opts.persistence || null).removeItem(LOCAL_STORAGE_ID);
+   clearVerifiedSessions();
+
+   log.debug('Cleared all datastore contexts');
+}
+
+
+/*
+ * Decode the times in a Core session token.
+ *
+ * @param sessionToken (String) the session token (a JWT)
+ *
+ * Returns an object with:
+ *      .expires (Int) when the token expires (its exp claim), in milliseconds; null if it does not expire
+ *      .issued (Int) when the token was issued (its iat claim), in milliseconds; 0 if unknown
+ */
+function getSessionTimes(sessionToken) {
+   const session = jsontokens.decodeToken(sessionToken).payload;
+   return {
+      'expires': (typeof(session.exp) === 'number' ? session.exp * 1000 : null),
+      'issued': (typeof(session.iat) === 'number' ? session.iat * 1000 : 0),
+   };
+}
+
+
+/*
+ * Has a session token expired?
+ * Returns false if there is no token, or it has no exp claim.
+ */
+function isSessionExpired(sessionToken) {
+   if (!sessionToken) {
+      return false;
+   }
+
+   const expires = getSessionTimes(sessionToken).expires;
+   return (expires !== null && expires <= Date.now());
+}
+
+
+/*
+ * Set the function that supplies a fresh session token when one expires.
+ * Operations that run into an expired token call it, and carry on with the token it gives back.
+ * It is also called once if Core turns an operation's token down (i.e. it was revoked),
+ * and the operation is then done again with the fresh token.
+ *
+ * @param callback (Function) called with an object with:
+ *      .sessionToken (String) the expired token
+ *      .blockchain_id (String) the blockchain ID the token is for
+ *      .expiredAt (Int) when it expired, in milliseconds (null if it has no exp claim)
+ *      .reason (String) 'expired', or 'rejected' if Core turned it down
+ *      Returns a fresh session token, or a Promise that resolves to one.  Returning null
+ *      makes the operation fail with SessionExpiredError.
+ *      Pass null to remove the callback.
+ *
+ * Operations and Datastore objects can use a different callback with opts.onSessionExpired.
+ * Throws Error if the callback is not a function.
+ */
+export function setSessionExpiredCallback(callback) {
+   if (callback && typeof(callback) !== 'function') {
+      throw new Error('Session expired callback must be a function');
+   }
+
+   sessionExpiredCallback = callback || null;
+}
+
+
+/*
+ * Get a fresh session token to replace an expired one (or one that Core turned down).
+ * The fresh token is saved as the session token, unless opts.cache is false.
+ *
+ * @param sessionToken (String) the expired token
+ * @param opts (Object) the operation's options (.onSessionExpired, .cache, .persistence)
+ * @param signal (AbortSignal) the operation's signal; the fresh token is not saved once it has been aborted
+ * @param reason (String) 'expired', or 'rejected' if Core turned the token down
+ *
+ * Asynchronous; returns a Promise that resolves to the fresh token.
+ * Rejects with SessionExpiredError if there is no callback, or it does not supply a different, unexpired token.
+ */
+function renewSession(sessionToken, opts, signal=null, reason='expired') {
+
+   const callback = opts.onSessionExpired || sessionExpiredCallback;
+   const session = jsontokens.decodeToken(sessionToken).payload;
+   const info = {
+      'sessionToken': sessionToken,
+      'blockchain_id': getBlockchainIDFromSessionOrDefault(session),
+      'expiredAt': getSessionTimes(sessionToken).expires,
+      'reason': reason,
+   };
+
+   if (!callback) {
+      return Promise.reject(new SessionExpiredError(`Session token for ${info.blockchain_id} ${reason}`));
+   }
+
+   log.info('Session token is no longer good; asking for a new one', {'blockchain_id': info.blockchain_id, 'reason': reason});
+
+   return Promise.resolve()
+   .then(() => callback(info))
+   .then((fresh_token) => {
+      checkSignal(signal);
+      if (!fresh_token || fresh_token === sessionToken || isSessionExpired(fresh_token)) {
+         throw new SessionExpiredError(`No fresh session token for ${info.blockchain_id}`);
+      }
+
+      if (opts.cache !== false) {
+         let userData = getUserData(opts.persistence);
+         userData.coreSessionToken = fresh_token;
+         setUserData(userData, opts.persistence);
+      }
+
+      return fresh_token;
+   });
+}
+
+
+/*
+ * Mount a datastore again, from the information in its mount context.
+ * An expired session token is renewed along the way (see renewSession()).
+ *
+ * @param ctx (Object) the datastore's current mount context
+ * @param opts (Object) the operation's options (.onSessionExpired, .cache, .persistence)
+ * @param signal (AbortSignal) the operation's signal
+ *
+ * Asynchronous; returns a Promise that resolves to the new mount context.
+ * Rejects with NotFoundError if the datastore no longer exists.
+ */
+function remountContext(ctx, opts, signal) {
+
+   const mount_opts = {
+      'sessionToken': ctx.session_token,
+      'onSessionExpired': opts.onSessionExpired,
+      'cache': opts.cache,
+      'persistence': opts.persistence,
+      'signal': signal,
+   };
+
+   if (ctx.privkey_hex) {
+      mount_opts.appPrivateKey = ctx.privkey_hex;
+   }
+   else if (ctx.app_name) {
+      mount_opts.blockchainID = ctx.blockchain_id;
+      mount_opts.appName = ctx.app_name;
+   }
+   else {
+      mount_opts.datastoreID = ctx.datastore_id;
+      mount_opts.appPublicKeys = ctx.app_public_keys;
+      mount_opts.blockchainID = ctx.blockchain_id;
+      mount_opts.apiEndpoint = `${ctx.scheme}://${ctx.host}:${ctx.port}`;
+   }
+
+   return datastoreMount(mount_opts)
+   .then((datastore_ctx) => {
+      if (!datastore_ctx) {
+         throw new NotFoundError(`Datastore ${ctx.datastore_id} no longer exists`);
+      }
+      return datastore_ctx;
+   });
+}
+
+
+/*
+ * Make sure a mount context's session token is still good, and mount the datastore again
+ * with a fresh one if it is not.
+ *
+ * Asynchronous; returns a Promise that resolves to a usable mount context
+ */
+function refreshContext(ctx, opts, signal) {
+   if (!isSessionExpired(ctx.session_token)) {
+      return Promise.resolve(ctx);
+   }
+
+   log.debug('Mount context has an expired session token; remounting', {'datastore_id': ctx.datastore_id});
+   return remountContext(ctx, opts, signal);
+}
+
+
+/*
+ * Find the datastore context an operation acts on.
+ * Uses opts.ds if given; otherwise, the context mounted for opts.blockchain_id;
+ * otherwise, the session's own datastore (mounting or creating it if needed).
+ *
+ * @param opts (Object) the operation's options
+ * @param signal (AbortSignal) the operation's signal
+ *
+ * Asynchronous; returns a Promise that resolves to a datastore context
+ * Rejects with InvalidArgumentError if opts.blockchain_id is not mounted
+ */
+function resolveDatastore(opts, signal) {
+   if (opts.ds) {
+      // the caller keeps track of this context
+      return refreshContext(opts.ds, Object.assign({}, opts, {'cache': false}), signal);
+   }
+
+   if (opts.blockchain_id) {
+      const ds = getCachedMountContext(opts.blockchain_id, opts.persistence);
+      if (!ds) {
+         return Promise.reject(new InvalidArgumentError(`No datastore is mounted for ${opts.blockchain_id}`));
+      }
+      return refreshContext(ds, opts, signal);
+   }
+
+   return datastoreMountOrCreate(undefined, null, null, {
+      'signal': signal,
+      'persistence': opts.persistence,
+      'onSessionExpired': opts.onSessionExpired,
+      'contextMaxAge': opts.contextMaxAge,
+   });
+}
+
+
+/*
+ * Find the datastore an operation acts on (see resolveDatastore()), and do the operation's work on it.
+ * If Core turns the session token down, a fresh token is asked for once (see renewSession()),
+ * the datastore is mounted again with it, and the work is done again.
+ *
+ * @param opts (Object) the operation's options.  If opts.ds has to be mounted again,
+ *                      opts.onRemount (Function) is called with the new mount context.
+ * @param signal (AbortSignal) the operation's signal
+ * @param func (Function) the work; called with the datastore context, and returns a Promise or a value
+ *
+ * Asynchronous; returns a Promise that resolves to what func resolves to.
+ * Rejects with the original error if there is no session expired callback, and with
+ * SessionExpiredError if the callback does not supply a fresh token.
+ */
+function withDatastore(opts, signal, func) {
+   let ds = null;
+
+   return resolveDatastore(opts, signal)
+   .then((datastore_ctx) => {
+      ds = datastore_ctx;
+      return func(ds);
+   })
+   .catch((error) => {
+      if (!error || !error.unauthorized || !(opts.onSessionExpired || sessionExpiredCallback)) {
+         throw error;
+      }
+
+      const ctx = ds || opts.ds || (opts.blockchain_id ? getCachedMountContext(opts.blockchain_id, opts.persistence) : null);
+      const session_token = (ctx ? ctx.session_token : getUserData(opts.persistence).coreSessionToken);
+      if (!session_token) {
+         throw error;
+      }
+
+      // the caller keeps track of opts.ds, so the fresh token is not saved
+      const renew_opts = (opts.ds ? Object.assign({}, opts, {'cache': false}) : opts);
+
+      log.info('Core turned the session token down', {'datastore_id': (ctx ? ctx.datastore_id : null), 'error': error.message});
+      return renewSession(session_token, renew_opts, signal, 'rejected')
+      .then((fresh_token) => {
+         if (!ctx) {
+            // renewSession() saved the fresh token, so the session's datastore is mounted with it
+            return resolveDatastore(opts, signal);
+         }
+
+         return remountContext(Object.assign({}, ctx, {'session_token': fresh_token}), renew_opts, signal)
+         .then((datastore_ctx) => {
+            if (opts.ds && opts.onRemount) {
+               opts.onRemount(datastore_ctx);
+            }
+            return datastore_ctx;
+         });
+      })
+      .then(func);
+   });
+}
+
+
+/*
+ * Choose the drivers to create a datastore with.
+ * The session's preference for the app (session.storage.preferences[session.app_domain]) wins;
+ * otherwise, drivers are picked to fulfill the replication strategy.
+ *
+ * @param replication_strategy (Object) maps replication concerns to driver counts
+ * @param session (Object) the decoded session
+ * @param plan (Object) the replication plan, if already made
+ *
+ * Returns the list of drivers.
+ * Throws InvalidArgumentError if the strategy cannot be fulfilled.
+ */
+function chooseDrivers(replication_strategy, session, plan=null) {
+   const preferences = session.storage.preferences || {};
+   const app_drivers = preferences[session.app_domain];
+
+   if (Array.isArray(app_drivers) && app_drivers.length > 0) {
+      log.debug('Using the app\'s preferred drivers', {'app_domain': session.app_domain, 'drivers': app_drivers});
+      return app_drivers;
+   }
+
+   if (plan) {
+      return (plan.satisfiable ? plan.drivers : null);
+   }
+
+   return selectDrivers(replication_strategy, session.storage.classes);
+}
+
+
+/*
+ * Connect to or create a datastore.
+ * Asynchronous, returns a Promise
+ *
+ * @param replication_strategy (Object) maps replication concerns ('local', 'public', ...) to driver counts
+ * @param sessionToken (String) the Core session token (loaded from localStorage if not given)
+ * @param appPrivateKey (String) the app private key (loaded from localStorage if not given)
+ * @param opts (Object) optional arguments:
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *      .timeout (Int) give up after this many milliseconds
+ *      .cache (Bool) if false, then neither use nor save a mount context in localStorage
+ *      .persistence (Object) the persistence adapter to use instead of the global one (see setPersistenceAdapter())
+ *      .datastorePubkey, .datastoreID, .appPublicKeys, .apiEndpoint, .blockchainID: mount this datastore read-only
+ *              instead (see datastoreMount()).  It is never created.
+ *      .onSessionExpired (Function) supplies a fresh session token if the current one has expired
+ *              (see setSessionExpiredCallback())
+ *      .contextMaxAge (Int) how many milliseconds to use a cached mount context before checking the
+ *              datastore record in Core again (DEFAULT_CONTEXT_MAX_AGE by default)
+ *      .pathDrivers (Object) if the datastore is created, send files and directories under these path
+ *              prefixes to these drivers, as {'/public': ['s3'], ...} (see setPathDrivers())
+ *      .dryRun (Bool) only work out what would happen: look the datastore up, but neither create it
+ *              nor cache a mount context, and resolve to a report instead (see below)
+ *
+ * In dry-run mode, the Promise resolves to an object with:
+ *      .dry_run (Bool) true
+ *      .datastore_id (String) the ID of the app's datastore
+ *      .exists (Bool) whether or not the datastore exists already
+ *      .drivers (Array) the drivers it uses, if it exists; otherwise the drivers it would be created with:
+ *              the session's preferred drivers for the app if it has any, or else the ones the plan
+ *              chose (null if the replication strategy cannot be fulfilled)
+ *      .plan (Object) the replication plan for creating it (see planReplication())
+ *
+ * A cached mount context is dropped, and the datastore mounted again, if its session token has
+ * expired or been replaced, or if it is older than opts.contextMaxAge.
+ *
+ * Returns a Promise that yields a datastore connection.
+ * Rejects with a StorageError on error (SessionExpiredError if the session token has expired,
+ * and no fresh one could be had).
+ *
+ */
+export function datastoreMountOrCreate(replication_strategy={'public': 1, 'local': 1}, sessionToken=null, appPrivateKey=null, opts={}) {
+
+   return storageOperation('datastoreMountOrCreate', null, opts, (signal) => {
+      return datastoreMountOrCreateImpl(replication_strategy, sessionToken, appPrivateKey, opts, signal);
+   });
+}
+
+
+function datastoreMountOrCreateImpl(replication_strategy, sessionToken, appPrivateKey, opts, signal) {
+
+   if (opts.datastorePubkey || opts.datastoreID) {
+      // read-only; no key to create it with
+      return mountReadOnly(Object.assign({}, opts, {'sessionToken': sessionToken, 'signal': signal, 'timeout': null}));
+   }
+
+   if(!sessionToken) {
+      const userData = getUserData(opts.persistence);
+
+      sessionToken = userData.coreSessionToken;
+      assert(sessionToken);
+   }
+
+   if (isSessionExpired(sessionToken)) {
+      return renewSession(sessionToken, opts, signal)
+      .then((fresh_token) => datastoreMountOrCreateImpl(replication_strategy, fresh_token, appPrivateKey, opts, signal));
+   }
+
+   // decode and verify
+   const session = decodeSessionToken(sessionToken);
+   var blockchain_id = getBlockchainIDFromSessionOrDefault(session);
+
+   if (opts.dryRun) {
+      return datastoreMountOrCreateDryRun(replication_strategy, session, sessionToken, appPrivateKey, opts, signal);
+   }
+
+   let ds = (opts.cache === false ? null : getCachedMountContext(blockchain_id, opts.persistence));
+   let stale_ds = null;
+   if (ds) {
+      const max_age = (opts.contextMaxAge === undefined || opts.contextMaxAge === null ? DEFAULT_CONTEXT_MAX_AGE : opts.contextMaxAge);
+
+      if (ds.session_token !== sessionToken || isSessionExpired(ds.session_token)) {
+         log.debug('Cached mount context has an old session token; remounting', {'blockchain_id': blockchain_id, 'datastore_id': ds.datastore_id});
+         dropCachedMountContext(blockchain_id, opts.persistence);
+      }
+      else if (!ds.mounted_at || Date.now() - ds.mounted_at >= max_age) {
+         log.debug('Cached mount context is old; checking the datastore record', {'blockchain_id': blockchain_id, 'datastore_id': ds.datastore_id});
+         dropCachedMountContext(blockchain_id, opts.persistence);
+         stale_ds = ds;
+      }
+      else {
+         return ds;
+      }
+   }
+
+   // no cached datastore context.
+   // go ahead and create one (need appPrivateKey)
+   if(!appPrivateKey) {
+      const userData = getUserData(opts.persistence);
+
+      appPrivateKey = userData.appPrivateKey;
+      assert(appPrivateKey);
+   }
+
+   // sanity check
+   checkReplicationStrategy(replication_strategy);
+
+   // find satisfactory storage drivers
+   const drivers = chooseDrivers(replication_strategy, session);
+   const path_drivers = checkPathDrivers(opts.pathDrivers || {}, session);
+
+   const api_endpoint = session.api_endpoint;
+   const appPublicKeys = session.app_public_keys;
+   const deviceID = session.device_id;
+   const allDeviceIDs = [];
+
+   for (let i = 0; i < appPublicKeys.length; i++) {
+      allDeviceIDs.push(appPublicKeys[i].device_id);
+   }
+
+   log.debug('Mounting datastore', {'operation': 'datastoreMountOrCreate', 'drivers': drivers, 'device_ids': allDeviceIDs});
+
+   const datastoreOpts = {
+      'appPrivateKey': appPrivateKey,
+      'sessionToken': sessionToken,
+      'signal': signal,
+      'cache': opts.cache,
+      'persistence': opts.persistence,
+   };
+
+   return datastoreMount(datastoreOpts)
+   .then((datastore_ctx) => {
+      if (!datastore_ctx) {
+         // does not exist
+         log.info('Datastore does not exist; creating it', {'operation': 'datastoreMountOrCreate', 'drivers': drivers});
+
+         const info = datastoreCreateRequest('datastore', appPrivateKey, drivers, deviceID, allDeviceIDs, path_drivers, replication_strategy );
+
+         // go create it
+         return datastoreCreate( api_endpoint, sessionToken, info, {'signal': signal} )
+         .then((res) => {
+            // connect to it now
+            return datastoreMount(datastoreOpts);
+         });
+      }
+      else {
+         // exists
+         if (datastore_ctx.datastore.type !== 'datastore') {
+            throw new InvalidArgumentError(`Datastore ${datastore_ctx.datastore_id} is a ${datastore_ctx.datastore.type}, not an app datastore`, null, 'datastoreMountOrCreate');
+         }
+         if (stale_ds && jsonStableSerialize(stale_ds.datastore) !== jsonStableSerialize(datastore_ctx.datastore)) {
+            log.info('Datastore record changed since it was mounted', {'operation': 'datastoreMountOrCreate', 'datastore_id': datastore_ctx.datastore_id});
+         }
+         return datastore_ctx;
+      }
+   });
+}
+
+
+/*
+ * Work out what datastoreMountOrCreate() would do, without creating or caching anything.
+ *
+ * Asynchronous; returns a Promise that resolves to the dry-run report.
+ */
+function datastoreMountOrCreateDryRun(replication_strategy, session, sessionToken, appPrivateKey, opts, signal) {
+
+   if(!appPrivateKey) {
+      const userData = getUserData(opts.persistence);
+
+      appPrivateKey = userData.appPrivateKey;
+      assert(appPrivateKey);
+   }
+
+   const plan = planReplication(replication_strategy, session.storage.classes);
+   const datastore_id = datastoreGetId(getPubkeyHex(appPrivateKey));
+
+   const datastoreOpts = {
+      'appPrivateKey': appPrivateKey,
+      'sessionToken': sessionToken,
+      'signal': signal,
+      'cache': false,
+      'persistence': opts.persistence,
+   };
+
+   return datastoreMount(datastoreOpts)
+   .then((datastore_ctx) => {
+      const report = {
+         'dry_run': true,
+         'datastore_id': datastore_id,
+         'exists': !!datastore_ctx,
+         'drivers': (datastore_ctx ? datastore_ctx.datastore.drivers : chooseDrivers(replication_strategy, session, plan)),
+         'plan': plan,
+      };
+
+      log.info('Dry run of datastoreMountOrCreate', {'operation': 'datastoreMountOrCreate', 'datastore_id': datastore_id, 'exists': report.exists, 'drivers': report.drivers, 'unmet': plan.unmet});
+      return report;
+   });
+}
+
+
+/*
+ * Path lookup
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the path to the inode
+ * @param opts (Object) optional arguments:
+ *      .extended (Bool) whether or not to include the entire path's inode information
+ *      .force (Bool) if True, then ignore stale inode errors.
+ *      .idata (Bool) if True, then get the inode payload as well
+ *      .blockchain_id (String) this is the blockchain ID of the datastore owner, if different from the session token
+ *      .ds (datastore context) if given, then use this datastore mount context instead of one from localstorage
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *      .timeout (Int) give up after this many milliseconds
+ *
+ * Returns a promise that resolves to a lookup response schema (or an extended lookup response schema, if opts.extended is set)
+ */
+export function lookup(path, opts={}) {
+
+   return storageOperation('lookup', path, opts, (signal) => {
+
+      return withDatastore(opts, signal, (ds) => {
+         assert(ds);
+
+         const datastore_id = ds.datastore_id;
+         const device_list = getDeviceList(ds);
+         const device_pubkeys = getPublicKeyList(ds);
+         const options = {
+            'method': 'GET',
+            'scheme': ds.scheme,
+            'host': ds.host,
+            'port': ds.port,
+            'path': `/v1/stores/${datastore_id}/inodes?path=${escape(sanitizePath(path))}&device_ids=${device_list}&device_pubkeys=${device_pubkeys}&blockchain_id=${ds.blockchain_id}`,
+         };
+
+         if (!opts) {
+            opts = {};
+         }
+
+         let schema = DATASTORE_LOOKUP_RESPONSE_SCHEMA;
+
+         if (opts.extended) {
+            options['path'] += '&extended=1';
+            schema = DATASTORE_LOOKUP_EXTENDED_RESPONSE_SCHEMA;
+         }
+
+         if (opts.force) {
+            options['path'] += '&force=1';
+         }
+
+         if (opts.idata) {
+            options['path'] += '&idata=1';
+         }
+
+         if (ds.session_token) {
+            options['headers'] = {'Authorization': `bearer ${ds.session_token}`};
+         }
+
+         options['signal'] = signal;
+         return httpRequest(options, schema)
+         .then((lookup_response) => {
+            return checkCoreResponse(lookup_response, 'lookup', path);
+         });
+      });
+   });
+}
+
+
+/*
+ * Check the signature on a published inode header (see getFileFromURL()).
+ *
+ * @param datastore_pubkey (String) the datastore's hex-encoded public key
+ * @param response (Object) the signed header, as {'header_blob': ..., 'signature': ...}
+ *
+ * Returns the header, or null if it is not validly signed by the datastore's key for this datastore.
+ */
+function verifySignedHeader(datastore_pubkey, response) {
+   const datastore_id = datastoreGetId(datastore_pubkey);
+   if (!verifyDataPayload(response.header_blob, datastore_pubkey, response.signature)) {
+      return null;
+   }
+
+   let blob = null;
+   let header = null;
+   try {
+      blob = JSON.parse(response.header_blob);
+      header = JSON.parse(blob.data);
+   }
+   catch(e) {
+      return null;
+   }
+
+   if (!header || typeof(header.version) !== 'number' || typeof(header.uuid) !== 'string') {
+      return null;
+   }
+
+   // a validly-signed header of some other inode or datastore does not count
+   if (!unescape(blob.fq_data_id).endsWith(`:${datastore_id}.${header.uuid}.hdr`)) {
+      return null;
+   }
+
+   return header;
+}
+
+
+/*
+ * Check an inode header that a replica returned (see getReplicaHeader()).  A validly-signed header
+ * of some other inode does not count: it must be the one the path's parent directory links to.
+ *
+ * @param header (Object) the replica's inode header
+ * @param uuid (String) the UUID of the path's inode
+ *
+ * Returns the header, or null if it is not the path's inode.
+ */
+function verifyReplicaHeader(header, uuid) {
+   if (!header || typeof(header.version) !== 'number' || header.uuid !== uuid) {
+      return null;
+   }
+   return header;
+}
+
+
+/*
+ * Get the UUID of the inode a path names: the root directory's is in the datastore record, and any
+ * other inode's is in its parent directory's entry for it.
+ *
+ * Asynchronous; returns a Promise that resolves to the UUID.
+ * Rejects with NotFoundError if the parent directory has no such entry.
+ */
+function getPathUUID(ds, path, signal) {
+   path = sanitizePath(path);
+   if (path === '/') {
+      return Promise.resolve(ds.datastore.root_uuid);
+   }
+
+   return getDirectoryData(ds, dirname(path), signal)
+   .then((parent_idata) => {
+      const entry = parent_idata.children[basename(path)];
+      if (!entry) {
+         throw new NotFoundError(`No such file or directory: ${path}`, path);
+      }
+      return entry.uuid;
+   });
+}
+
+
+/*
+ * Fetch a path's inode header from one driver, at the URL the driver serves it under (see setDriverURLs()).
+ * Each device writes a copy of its own, so the datastore's devices' copies are fetched, and the newest
+ * one is the driver's replica.  The requests go to the driver, not Core, so they are sent without credentials.
+ *
+ * @param uuid (String) the UUID of the path's inode (see getPathUUID())
+ *
+ * Asynchronous; returns a Promise that resolves to {'driver': ..., 'status': ..., 'header': ..., 'device_id': ..., 'error': ...},
+ * where status is 'valid', 'invalid' (not the inode the path names), 'missing' (the driver does not have it) or 'error'
+ * (including when the driver has no URL), and device_id is the device whose copy the header is.
+ * Rejects only if the operation is cancelled.
+ */
+function getReplicaHeader(ds, path, uuid, driver, signal) {
+   const url = getDriverURL(driver);
+   if (!url) {
+      const error = new InvalidArgumentError(`Driver ${driver} has no URL to read replicas from`, path, 'getReplicaHeader');
+      return Promise.resolve({'driver': driver, 'status': 'error', 'header': null, 'device_id': null, 'error': error});
+   }
+
+   const getCopy = (device_id) => {
+      const fq_data_id = makeFullyQualifiedDataId(device_id, `${ds.datastore_id}.${uuid}.hdr`);
+      return getPublishedHeader(`${url}${fq_data_id}`, ds.datastore.pubkey, signal, 'getReplicaHeader')
+      .then((published) => {
+         // a validly-signed header stored under some other inode's name does not count
+         const header = (unescape(published.fq_data_id) === unescape(fq_data_id) ? verifyReplicaHeader(published.header, uuid) : null);
+         return {'status': (header ? 'valid' : 'invalid'), 'header': header, 'device_id': device_id, 'error': null};
+      })
+      .catch((e) => {
+         if (signal && signal.aborted) {
+            throw e;
+         }
+
+         const error = asStorageError(e, 'getReplicaHeader', path);
+         const status = (error instanceof NotFoundError ? 'missing' : (error instanceof AccessDeniedError ? 'invalid' : 'error'));
+         return {'status': status, 'header': null, 'device_id': null, 'error': error};
+      });
+   };
+
+   return Promise.all(ds.datastore.device_ids.map(getCopy))
+   .then((copies) => {
+      let replica = null;
+      for (let copy of copies.filter((c) => c.status === 'valid')) {
+         if (!replica || copy.header.version > replica.header.version) {
+            replica = copy;
+         }
+      }
+
+      // one replica failing is part of the answer
+      if (!replica) {
+         replica = copies.find((c) => c.status === 'error') || copies.find((c) => c.status === 'invalid') || copies[0];
+      }
+
+      recordDriverResult(driver, replica.status !== 'error', replica.error ? replica.error.message : null);
+      return Object.assign({'driver': driver}, replica);
+   });
+}
+
+
+/*
+ * Read a path's inode header from each of the drivers it is replicated to, and pick the newest
+ * version of the inode the path names.  Each driver is read at the URL it serves data under
+ * (see setDriverURLs()); a driver without one is reported as an error.
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the path
+ * @param opts (Object) the operation's options:
+ *      .quorum (Int or true) how many replicas must agree on the newest version (true means 1)
+ *      .onReplicaReport (Function) called with the replica report (see below)
+ * @param signal (AbortSignal) the operation's signal
+ * @param drivers (Array) the drivers to read from, if not the ones the path is stored on
+ *
+ * The replica report has:
+ *      .path (String) the path
+ *      .version (Int) the newest version
+ *      .quorum (Int) how many replicas had to agree on it
+ *      .agreed (Int) how many did
+ *      .replicas (Array) each driver's answer, as {'driver': ..., 'status': ..., 'version': ..., 'error': ...}, where
+ *              status is 'current', 'lagging' (an older version), 'conflicting' (the same version with other data),
+ *              'missing', 'invalid' (some other inode) or 'error' (could not be read)
+ *      .lagging (Array) the drivers that have an older version, or none at all
+ *
+ * Asynchronous; returns a Promise that resolves to {'header': the newest header, 'driver': a driver that has it,
+ * 'device_id': the device whose copy of it that driver has, 'report': the report}.
+ * Rejects with NotFoundError if the path does not exist or no replica has it, RemoteIOError if no replica returned a valid header
+ * or too few agree, and InvalidArgumentError if the quorum is larger than the number of replicas.
+ */
+function quorumRead(ds, path, opts, signal, drivers=null) {
+
+   drivers = drivers || getPathDrivers(ds, path) || ds.datastore.drivers;
+   const quorum = (opts.quorum === true ? 1 : opts.quorum);
+
+   if (!Number.isInteger(quorum) || quorum < 1 || quorum > drivers.length) {
+      throw new InvalidArgumentError(`Quorum must be between 1 and ${drivers.length}, the number of replicas`, path);
+   }
+   if (opts.extended) {
+      throw new InvalidArgumentError('Quorum reads cannot be extended', path);
+   }
+
+   return getPathUUID(ds, path, signal)
+   .then((uuid) => Promise.all(drivers.map((driver) => getReplicaHeader(ds, path, uuid, driver, signal))))
+   .then((replicas) => {
+      const valid = replicas.filter((r) => r.status === 'valid');
+      if (valid.length === 0) {
+         if (replicas.every((r) => r.status === 'missing')) {
+            throw new NotFoundError(`No replica has ${path}`, path);
+         }
+         throw new RemoteIOError(`No replica returned a valid header for ${path}`, path);
+      }
+
+      let newest = valid[0].header;
+      for (let r of valid) {
+         if (r.header.version > newest.version) {
+            newest = r.header;
+         }
+      }
+
+      const agreeing = valid.filter((r) => r.header.version === newest.version && r.header.data_hash === newest.data_hash);
+
+      const replicaStatus = (r) => {
+         if (r.status !== 'valid') {
+            return r.status;
+         }
+         if (agreeing.includes(r)) {
+            return 'current';
+         }
+         return (r.header.version < newest.version ? 'lagging' : 'conflicting');
+      };
+
+      const report = {
+         'path': sanitizePath(path),
+         'version': newest.version,
+         'quorum': quorum,
+         'agreed': agreeing.length,
+         'replicas': replicas.map((r) => ({
+            'driver': r.driver,
+            'status': replicaStatus(r),
+            'version': (r.header ? r.header.version : null),
+            'error': (r.error ? r.error.message : null),
+         })),
+      };
+      report['lagging'] = report.replicas.filter((r) => r.status === 'lagging' || r.status === 'missing').map((r) => r.driver);
+
+      if (report.lagging.length > 0) {
+         log.warn('Replicas are lagging', {'datastore_id': ds.datastore_id, 'path': report.path, 'version': newest.version, 'lagging': report.lagging});
+      }
+
+      if (opts.onReplicaReport) {
+         opts.onReplicaReport(report);
+      }
+
+      if (agreeing.length < quorum) {
+         throw new RemoteIOError(`Only ${agreeing.length} of ${drivers.length} replicas agree on version ${newest.version} of ${path}; need ${quorum}`, path);
+      }
+
+      return {'header': newest, 'driver': agreeing[0].driver, 'device_id': agreeing[0].device_id, 'report': report};
+   });
+}
+
+
+/*
+ * Get the data of the version of an inode that a quorum read picked, from the driver it named,
+ * at the URL the driver serves it under (see getReplicaHeader()).
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the inode's path
+ * @param newest (Object) the inode's quorumRead() result
+ * @param signal (AbortSignal) the operation's signal
+ * @param operation (String) the operation, for errors
+ *
+ * Asynchronous; returns a Promise that resolves to the raw data.
+ * Rejects with NotFoundError if the driver no longer has it, and InvalidCoreResponseError if it does not match the header.
+ */
+function getReplicaData(ds, path, newest, signal, operation) {
+   const fq_data_id = makeFullyQualifiedDataId(newest.device_id, `${ds.datastore_id}.${newest.header.uuid}`);
+   return httpRequest({'method': 'GET', 'url': `${getDriverURL(newest.driver)}${fq_data_id}`, 'signal': signal}, 'bytes')
+   .then((data) => {
+      checkCoreResponse(data, operation, path);
+      checkReplicaData(data, newest.header, path, operation);
+      return data;
+   });
+}
+
+
+/*
+ * Make sure data read from a replica matches the header the quorum agreed on.
+ * Throws InvalidCoreResponseError if not.
+ */
+function checkReplicaData(data, header, path, operation) {
+   if (hashDataPayload(data) !== header.data_hash) {
+      throw new InvalidCoreResponseError(`Data for ${path} does not match version ${header.version}`, path, operation);
+   }
+}
+
+
+/*
+ * List a directory.
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the path to the directory to list
+ * @param opts (Object) optional arguments:
+ *      .extended (Bool) whether or not to include the entire path's inode inforamtion
+ *      .force (Bool) if True, then ignore stale inode errors.
+ *      .blockchain_id (string) this is the blockchain ID of the datastore owner (if different from the session)
+ *      .ds (datastore context) this is the mount context for the datastore, if different from one that we have cached
+ *      .quorum (Int or true) read the directory's header from every replica, and list the newest version
+ *              that at least this many replicas agree on (see quorumRead())
+ *      .onReplicaReport (Function) with .quorum, called with the replica report
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *      .timeout (Int) give up after this many milliseconds
+ *
+ * Asynchronous; returns a Promise that resolves to either directory idata, or an extended mutable datum response (if opts.extended is set)
+ */
+export function listdir(path, opts={}) {
+
+   return storageOperation('listdir', path, opts, (signal) => {
+
+      let ds = null;
+
+      return withDatastore(opts, signal, (datastore_ctx) => {
+         ds = datastore_ctx;
+         assert(ds);
+
+         const quorum = (opts.quorum ? quorumRead(ds, path, opts, signal) : Promise.resolve(null));
+         return quorum
+         .then((quorum_result) => {
+
+            if (quorum_result) {
+               // list the version the replicas agreed on, from a replica that has it
+               return getReplicaData(ds, path, quorum_result, signal, 'listdir')
+               .then((data) => JSON.parse(decodeFileData(data, 'utf8')));
+            }
+
+            const datastore_id = ds.datastore_id;
+            const device_list = getDeviceList(ds);
+            const device_pubkeys = getPublicKeyList(ds);
+            const options = {
+               'method': 'GET',
+               'scheme': ds.scheme,
+               'host': ds.host,
+               'port': ds.port,
+               'path': `/v1/stores/${datastore_id}/directories?path=${escape(sanitizePath(path))}&idata=1&device_ids=${device_list}&device_pubkeys=${device_pubkeys}&blockchain_id=${ds.blockchain_id}`,
+            };
+
+            let schema = MUTABLE_DATUM_DIR_IDATA_SCHEMA;
+
+            if (opts.extended) {
+               options['path'] += '&extended=1';
+               schema = MUTABLE_DATUM_EXTENDED_RESPONSE_SCHEMA;
+            }
+
+            if (opts.force) {
+               options['path'] += '&force=1';
+            }
+
+            if (ds.session_token) {
+               options['headers'] = {'Authorization': `bearer ${ds.session_token}`};
+            }
+
+            options['signal'] = signal;
+            return httpRequest(options, schema)
+            .then((response) => checkCoreResponse(response, 'listdir', path));
+         })
+         .then((response) => {
+            // the chunks of large files are not part of the namespace
+            if (!opts.extended && sanitizePath(path) === dirname(CHUNK_DIR)) {
+               delete response['children'][basename(CHUNK_DIR)];
+            }
+
+            return response;
+         });
+      });
+   });
+}
+
+
+/*
+ * Stat a file or directory (i.e. get the inode header)
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the path to the directory to list
+ * @param opts (Object) optional arguments:
+ *      .extended (Bool) whether or not to include the entire path's inode inforamtion
+ *      .force (Bool) if True, then ignore stale inode errors.
+ *      .blockchain_id (string) this is the blockchain ID of the datastore owner (if different from the session)
+ *      .ds (datastore context) this is the mount context for the datastore, if different from one that we have cached
+ *      .quorum (Int or true) read the header from every replica, and return the newest version
+ *              that at least this many replicas agree on (see quorumRead())
+ *      .onReplicaReport (Function) with .quorum, called with the replica report
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *      .timeout (Int) give up after this many milliseconds
+ *
+ * Asynchronous; returns a Promise that resolves to either an inode schema, or a mutable datum extended response schema (if opts.extended is set)
+ */
+export function stat(path, opts={}) {
+
+   return storageOperation('stat', path, opts, (signal) => {
+
+      return withDatastore(opts, signal, (ds) => {
+
+         assert(ds);
+
+         if (opts.quorum) {
+            return quorumRead(ds, path, opts, signal)
+            .then((quorum_result) => quorum_result.header);
+         }
+
+         const datastore_id = ds.datastore_id;
+         const device_list = getDeviceList(ds);
+         const device_pubkeys = getPublicKeyList(ds);
+         const options = {
+            'method': 'GET',
+            'scheme': ds.scheme,
+            'host': ds.host,
+            'port': ds.port,
+            'path': `/v1/stores/${datastore_id}/inodes?path=${escape(sanitizePath(path))}&device_ids=${device_list}&device_pubkeys=${device_pubkeys}&blockchain_id=${ds.blockchain_id}`,
+         };
+
+         let schema = MUTABLE_DATUM_INODE_SCHEMA;
+
+         if (!opts) {
+            opts = {};
+         }
+
+         if (opts.extended) {
+            options['path'] += '&extended=1';
+            schema = MUTABLE_DATUM_EXTENDED_RESPONSE_SCHEMA;
+         }
+
+         if (opts.force) {
+            options['path'] += '&force=1';
+         }
+
+         if (ds.session_token) {
+            options['headers'] = {'Authorization': `bearer ${ds.session_token}`};
+         }
+
+         options['signal'] = signal;
+         return httpRequest(options, schema)
+         .then((response) => {
+            return checkCoreResponse(response, 'stat', path);
+         });
+      });
+   });
+}
+
+
+/*
+ * Get an undifferentiated file or directory and its data.
+ * Low-level method, not meant for external consumption.
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the path to the directory to list
+ * @param opts (Object) optional arguments:
+ *      .extended (Bool) whether or not to include the entire path's inode inforamtion
+ *      .force (Bool) if True, then ignore stale inode errors.
+ *      .blockchain_id (string) this is the blockchain ID of the datastore owner (if different from the session)
+ *      .ds (datastore context) this is the mount context for the datastore, if different from one that we have cached
+ *
+ * Asynchronous; returns a Promise that resolves to an inode and its data, or an extended mutable datum response (if opts.extended is set)
+ */
+function getInode(path, opts=null) {
+
+   return resolveDatastore(opts, opts.signal)
+   .then((ds) => {
+
+      assert(ds);
+
+      const datastore_id = ds.datastore_id;
       const device_list = getDeviceList(ds);
       const device_pubkeys = getPublicKeyList(ds);
       const options = {
          'method': 'GET',
+         'scheme': ds.scheme,
          'host': ds.host,
          'port': ds.port,
-         'path': `/v1/stores/${datastore_id}/directories?path=${escape(sanitizePath(path))}&idata=1&device_ids=${device_list}&device_pubkeys=${device_pubkeys}&blockchain_id=${ds.blockchain_id}`,
+         'path': `/v1/stores/${datastore_id}/inodes?path=${escape(sanitizePath(path))}&idata=1&device_ids=${device_list}&device_pubkeys=${device_pubkeys}&blockchain_id=${ds.blockchain_id}`,
+      };
+
+      let schema = MUTABLE_DATUM_INODE_SCHEMA;
+
+      if (!opts) {
+         opts = {};
+      }
+
+      if (opts.extended) {
+         options['path'] += '&extended=1';
+         schema = MUTABLE_DATUM_EXTENDED_RESPONSE_SCHEMA;
+      }
+
+      if (opts.force) {
+         options['path'] += '&force=1';
+      }
+
+      if (ds.session_token) {
+         options['headers'] = {'Authorization': `bearer ${ds.session_token}`};
+      }
+
+      options['signal'] = opts.signal;
+      return httpRequest(options, schema)
+      .then((response) => {
+         return checkCoreResponse(response, 'getInode', path);
+      });
+   });
+}
+
+
+/*
+ * Decode file data fetched from Core.
+ *
+ * @param data (Buffer or Uint8Array) the raw file data
+ * @param encoding (String) one of FILE_ENCODINGS
+ *
+ * Returns the data as-is if encoding is 'binary', and decodes it to a String otherwise.
+ */
+function decodeFileData(data, encoding) {
+   if (encoding === 'binary') {
+      return data;
+   }
+
+   if (typeof(Buffer) !== 'undefined') {
+      return Buffer.from(data.buffer, data.byteOffset, data.byteLength).toString('utf8');
+   }
+   return new TextDecoder('utf-8').decode(data);
+}
+
+
+/*
+ * Get a file.
+ *
+ * Large files are stored in chunks (see putFile()); their chunks are fetched one at a time,
+ * checked against the file's manifest, and reassembled.  Only a file whose signed header is
+ * marked as chunked is treated as a manifest.
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the path to the file to read
+ * @param opts (Object) optional arguments:
+ *      .extended (Bool) whether or not to include the entire path's inode inforamtion
+ *      .force (Bool) if True, then ignore stale inode errors.
+ *      .blockchain_id (string) this is the blockchain ID of the datastore owner (if different from the session)
+ *      .ds (datastore context) this is the mount context for the datastore, if different from one that we have cached
+ *      .encoding (String) 'utf8' (the default) to decode the file as text, or 'binary' to get the exact bytes
+ *      .onProgress (Function) called after each chunk of a large file is fetched, with {'path', 'uploadId', 'chunksDone', 'chunksTotal', 'bytesDone', 'bytesTotal'}
+ *      .onData (Function) called with each piece of the file's raw data (a Buffer), in order, once it is checked: each chunk
+ *              of a large file, or all of any other file.  The data is then not kept, so a large file is never
+ *              held in memory whole; the Promise resolves to the file's size instead.
+ *      .quorum (Int or true) read the file's header from every replica, and fetch the newest version
+ *              that at least this many replicas agree on (see quorumRead())
+ *      .onReplicaReport (Function) with .quorum, called with the replica report
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *      .timeout (Int) give up after this many milliseconds
+ *
+ * Asynchronous; returns a Promise that resolves to either the file data, or an extended mutable data response schema (if opts.extended is set).
+ * The file data is a String, unless opts.encoding is 'binary'; then it is a Buffer in node.js, and a Uint8Array in the browser.
+ * With opts.onData, it resolves to the file's size in bytes.
+ * If the file does not exist, then the Promise resolves to null.  Rejects with InvalidArgumentError if the path is a directory,
+ * and with a StorageError on any other error.
+ */
+export function getFile(path, opts={}) {
+
+   return storageOperation('getFile', path, opts, (signal, metrics) => {
+
+      const encoding = opts.encoding || 'utf8';
+      if (!FILE_ENCODINGS.includes(encoding)) {
+         throw new InvalidArgumentError(`Unsupported file encoding ${encoding}`, path);
+      }
+
+      let ds = null;
+      let header = null;
+
+      return withDatastore(opts, signal, (datastore_ctx) => {
+         ds = datastore_ctx;
+         assert(ds);
+
+         let read = null;
+         if (opts.extended) {
+            read = getFileData(ds, path, opts, signal);
+         }
+         else if (!opts.quorum) {
+            read = getFileAndHeader(ds, path, opts, signal)
+            .then((file_inode) => {
+               header = (file_inode ? file_inode.header : null);
+               return (file_inode ? file_inode.data : null);
+            });
+         }
+         else {
+            read = quorumRead(ds, path, opts, signal)
+            .then((quorum_result) => {
+               header = quorum_result.header;
+               return getReplicaData(ds, path, quorum_result, signal, 'getFile');
+            })
+            .catch((e) => {
+               if (e instanceof NotFoundError) {
+                  return null;
+               }
+               throw e;
+            });
+         }
+
+         return read
+         .then((data) => {
+            metrics['found'] = (data !== null);
+            if (data === null || opts.extended) {
+               return data;
+            }
+
+            if (!header || !header.chunked) {
+               metrics['bytes'] = data.length;
+               if (opts.onData) {
+                  opts.onData(data);
+                  return data.length;
+               }
+               return decodeFileData(data, encoding);
+            }
+
+            const manifest = parseChunkManifest(data);
+            if (!manifest) {
+               throw new InvalidCoreResponseError(`${path} is chunked, but has no valid chunk manifest`, path);
+            }
+
+            return getChunkedFileData(ds, sanitizePath(path), manifest, opts, signal)
+            .then((file_data) => {
+               if (opts.onData) {
+                  metrics['bytes'] = file_data;
+                  return file_data;
+               }
+               metrics['bytes'] = file_data.length;
+               return decodeFileData(file_data, encoding);
+            });
+         });
+      });
+   });
+}
+
+
+/*
+ * Fetch a file inode's data from Core.
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the path to the file
+ * @param opts (Object) getFile() options
+ * @param signal (AbortSignal) the operation's signal
+ *
+ * Asynchronous; returns a Promise that resolves to the raw data (or an extended response if opts.extended is set),
+ * or null if the file does not exist.
+ */
+function getFileData(ds, path, opts, signal) {
+
+   const datastore_id = ds.datastore_id;
+   const device_list = getDeviceList(ds);
+   const device_pubkeys = getPublicKeyList(ds);
+   const options = {
+      'method': 'GET',
+      'scheme': ds.scheme,
+      'host': ds.host,
+      'port': ds.port,
+      'path': `/v1/stores/${datastore_id}/files?path=${escape(sanitizePath(path))}&idata=1&device_ids=${device_list}&device_pubkeys=${device_pubkeys}&blockchain_id=${ds.blockchain_id}`,
+   };
+
+   let schema = 'bytes';
+
+   if (!opts) {
+      opts = {};
+   }
+
+   if (opts.extended) {
+      options['path'] += '&extended=1';
+      schema = MUTABLE_DATUM_EXTENDED_RESPONSE_SCHEMA;
+   }
+
+   if (opts.force) {
+      options['path'] += '&force=1';
+   }
+
+   if (ds.session_token) {
+      options['headers'] = {'Authorization': `bearer ${ds.session_token}`};
+   }
+
+   options['signal'] = signal;
+   return httpRequest(options, schema)
+   .then((response) => {
+      if (response.error || response.errno) {
+         // ENOENT?
+         if (response.errno === ENOENT) {
+            return null;
+         }
+
+         // some other error
+         return checkCoreResponse(response, 'getFile', path);
+      }
+      else {
+         return response;
+      }
+   });
+}
+
+
+/*
+ * Fetch a file's data from Core, and also its inode header if the data could be a chunk manifest.
+ * Only a manifest can belong to a chunked file, so no other file's header is fetched.  The header
+ * must be for the version of the file that the data came from; if the file was replaced in between,
+ * it is read again.
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the path to the file
+ * @param opts (Object) getFile() options (.force)
+ * @param signal (AbortSignal) the operation's signal
+ * @param attempts (Int) how many times to read the file before giving up on a version that holds still
+ *
+ * Asynchronous; returns a Promise that resolves to {'header': the inode header, or null if it was not fetched,
+ * 'data': the raw data}, or null if the file does not exist.
+ * Rejects with RemoteIOError if the file kept changing.
+ */
+function getFileAndHeader(ds, path, opts, signal, attempts=3) {
+   return getFileData(ds, path, {'force': opts.force}, signal)
+   .then((data) => {
+      if (data === null) {
+         return null;
+      }
+
+      // a manifest is a JSON object
+      if (data.length === 0 || data[0] !== 0x7b || !parseChunkManifest(data)) {
+         return {'header': null, 'data': data};
+      }
+
+      return stat(path, {'ds': ds, 'force': opts.force, 'signal': signal})
+      .then((header) => {
+         if (hashDataPayload(data) === header.data_hash) {
+            return {'header': header, 'data': data};
+         }
+
+         if (attempts <= 1) {
+            throw new RemoteIOError(`${path} kept changing while it was read`, path, 'getFile');
+         }
+         return getFileAndHeader(ds, path, opts, signal, attempts - 1);
+      },
+      (e) => {
+         if (e instanceof NotFoundError) {
+            // deleted in the meantime
+            return null;
+         }
+         throw e;
+      });
+   });
+}
+
+
+/*
+ * Get the chunk manifest of a large file, if its signed header says it is chunked.
+ * Only the header is fetched if it is not.
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the path to the file
+ * @param signal (AbortSignal) the operation's signal
+ *
+ * Asynchronous; returns a Promise that resolves to the manifest, or null if the path is not a chunked file
+ * (or does not exist).
+ */
+function getChunkManifest(ds, path, signal) {
+   return stat(path, {'ds': ds, 'signal': signal})
+   .then((inode) => {
+      if (inode.type !== MUTABLE_DATUM_FILE_TYPE || !inode.chunked) {
+         return null;
+      }
+
+      return getFileAndHeader(ds, path, {}, signal)
+      .then((file_inode) => {
+         if (!file_inode || !file_inode.header || !file_inode.header.chunked) {
+            // replaced in the meantime
+            return null;
+         }
+
+         const manifest = parseChunkManifest(file_inode.data);
+         if (!manifest) {
+            throw new InvalidCoreResponseError(`${path} is chunked, but has no valid chunk manifest`, path);
+         }
+         return manifest;
+      });
+   },
+   (e) => {
+      if (e instanceof NotFoundError) {
+         return null;
+      }
+      throw e;
+   });
+}
+
+
+/*
+ * Fetch and reassemble the chunks of a large file, or hand each one to opts.onData.
+ * Each chunk must match the size and hash recorded in the manifest.  Nothing is set aside for
+ * the size the manifest claims; the data only takes up the room of the chunks that check out.
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the path to the file
+ * @param manifest (Object) the file's chunk manifest
+ * @param opts (Object) getFile() options
+ * @param signal (AbortSignal) the operation's signal
+ *
+ * Asynchronous; returns a Promise that resolves to the file data, or to its size if opts.onData is given
+ */
+function getChunkedFileData(ds, path, manifest, opts, signal) {
+
+   const pieces = [];
+   let bytes_done = 0;
+
+   const getChunk = (i) => {
+      if (i >= manifest.chunks.length) {
+         if (bytes_done !== manifest.size) {
+            throw new InvalidCoreResponseError(`Chunks of ${path} do not add up to its size`, path);
+         }
+         return Promise.resolve(opts.onData ? bytes_done : Buffer.concat(pieces, bytes_done));
+      }
+
+      const chunk_path = `${manifest.chunk_path}/${i}`;
+      return getFileData(ds, chunk_path, {}, signal)
+      .then((chunk) => {
+         if (chunk === null) {
+            throw new RemoteIOError(`Missing chunk ${i} of ${path}`, path);
+         }
+
+         const expected = manifest.chunks[i];
+         if (chunk.length !== expected.size || bytes_done + chunk.length > manifest.size || hashDataPayload(chunk) !== expected.hash) {
+            throw new InvalidCoreResponseError(`Chunk ${i} of ${path} does not match its manifest`, path);
+         }
+
+         if (opts.onData) {
+            opts.onData(chunk);
+         }
+         else {
+            pieces.push(chunk);
+         }
+         bytes_done += chunk.length;
+
+         if (opts.onProgress) {
+            opts.onProgress({
+               'path': path,
+               'uploadId': manifest.upload_id,
+               'chunksDone': i + 1,
+               'chunksTotal': manifest.chunks.length,
+               'bytesDone': bytes_done,
+               'bytesTotal': manifest.size,
+            });
+         }
+
+         return getChunk(i + 1);
+      });
+   };
+
+   return getChunk(0);
+}
+
+
+/*
+ * Fetch a published file's signed inode header from a public driver, and check its signature.
+ * The request goes to the driver, not Core, so it is sent without credentials.
+ *
+ * @param url (String) the header's public URL
+ * @param datastore_pubkey (String) the hex-encoded public key of the datastore the file is in
+ * @param signal (AbortSignal) cancel the request when this signal is aborted
+ * @param operation (String) the storage operation this is part of
+ *
+ * Asynchronous; returns a Promise that resolves to {'header': the header, 'fq_data_id': the header's signed data ID}.
+ * Rejects with NotFoundError if there is nothing at the URL, AccessDeniedError if the header is not signed by
+ * the datastore's key, and with a StorageError on all other errors.
+ */
+function getPublishedHeader(url, datastore_pubkey, signal, operation) {
+   return httpRequest({'method': 'GET', 'url': url, 'signal': signal}, INODE_HEADER_BLOB_RESPONSE_SCHEMA)
+   .then((response) => {
+      if (typeof(response) === 'string') {
+         // drivers need not serve it as JSON
+         try {
+            response = JSON.parse(response);
+         }
+         catch(e) {
+            throw new InvalidCoreResponseError(`No signed header at ${url}`, url);
+         }
+      }
+      checkCoreResponse(response, operation, url);
+
+      const header = (typeof(response.header_blob) === 'string' && typeof(response.signature) === 'string' ?
+         verifySignedHeader(datastore_pubkey, response) : null);
+
+      if (!header) {
+         throw new AccessDeniedError(`Header at ${url} is not signed by datastore ${datastoreGetId(datastore_pubkey)}`, url);
+      }
+
+      return {'header': header, 'fq_data_id': JSON.parse(response.header_blob).fq_data_id};
+   });
+}
+
+
+/*
+ * Get the public URLs of a file: where each public driver that has its newest version serves it.
+ * The URL of a published file is the URL of its signed inode header; see getFileFromURL().
+ *
+ * A public driver serves each piece of data under the URL configured for it with setDriverURLs(),
+ * so only the file's drivers with a URL are used (and, if the session names its read_public
+ * storage class, only drivers in it).  Headers are named after the device that signed them,
+ * so the writer's header is looked for at each of the datastore's devices' URLs, this device's first.
+ *
+ * @param path (String) the path to the file
+ * @param opts (Object) optional arguments:
+ *      .ds (datastore context) this is the mount context for the datastore, if different from one that we have cached
+ *      .blockchain_id (string) this is the blockchain ID of the datastore owner (if different from the session)
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *      .timeout (Int) give up after this many milliseconds
+ *
+ * Asynchronous; returns a Promise that resolves to:
+ *      .path (String) the path
+ *      .uuid (String) the file's inode UUID
+ *      .version (Int) the file's version
+ *      .fq_data_id (String) the fully-qualified data ID of the file's signed header
+ *      .urls (Object) maps each public driver to its URL for the file
+ * Rejects with NotFoundError if the file does not exist or its newest version is not served at any of
+ * its URLs, InvalidArgumentError if it is a directory or is not stored on a public driver with a URL,
+ * and with a StorageError on all other errors.
+ */
+export function getPublicURL(path, opts={}) {
+
+   return storageOperation('getPublicURL', path, opts, (signal) => {
+
+      return withDatastore(opts, signal, (ds) => {
+         assert(ds);
+
+         const storage = (ds.session && ds.session.storage) || {};
+         const public_drivers = (storage.classes && storage.classes.read_public) || null;
+         const drivers = (getPathDrivers(ds, path) || ds.datastore.drivers)
+            .filter((driver) => getDriverURL(driver) && (!public_drivers || public_drivers.includes(driver)));
+
+         if (drivers.length === 0) {
+            throw new InvalidArgumentError(`${path} is not stored on a public driver with a URL`, path);
+         }
+
+         let newest = null;
+         let current = null;
+         const device_ids = [ds.device_id].concat((ds.datastore.device_ids || []).filter((device_id) => device_id !== ds.device_id));
+
+         // find the device that signed this version, from the header one of its drivers serves
+         const findWriter = (i) => {
+            if (i >= device_ids.length) {
+               throw new NotFoundError(`Version ${newest.header.version} of ${path} is not served at its public URLs`, path);
+            }
+
+            const fq_data_id = makeFullyQualifiedDataId(device_ids[i], `${ds.datastore_id}.${newest.header.uuid}.hdr`);
+            return getPublishedHeader(`${getDriverURL(current[0])}${fq_data_id}`, ds.datastore.pubkey, signal, 'getPublicURL')
+            .then((published) => {
+               if (published.header.version !== newest.header.version || published.header.data_hash !== newest.header.data_hash) {
+                  // an older version of it, signed by this device
+                  return findWriter(i + 1);
+               }
+               return fq_data_id;
+            })
+            .catch((e) => {
+               if (e instanceof NotFoundError || e instanceof AccessDeniedError) {
+                  return findWriter(i + 1);
+               }
+               throw e;
+            });
+         };
+
+         return quorumRead(ds, path, {'quorum': 1}, signal, drivers)
+         .then((result) => {
+            newest = result;
+            if (newest.header.type !== MUTABLE_DATUM_FILE_TYPE) {
+               throw new InvalidArgumentError(`${path} is not a file`, path);
+            }
+
+            current = newest.report.replicas.filter((replica) => replica.status === 'current').map((replica) => replica.driver);
+            return findWriter(0);
+         })
+         .then((fq_data_id) => {
+            const urls = {};
+            for (let driver of current) {
+               urls[driver] = `${getDriverURL(driver)}${fq_data_id}`;
+            }
+
+            return {
+               'path': sanitizePath(path),
+               'uuid': newest.header.uuid,
+               'version': newest.header.version,
+               'fq_data_id': fq_data_id,
+               'urls': urls,
+            };
+         });
+      });
+   });
+}
+
+
+/*
+ * Get a published file from one of its public URLs (see getPublicURL()), without a session.
+ * Only URLs under a public driver's URL (see setDriverURLs()) are fetched, and without credentials.
+ * The file's signed header is fetched from the URL and checked against the datastore's public key,
+ * and then its data is fetched from the same driver and checked against the header.
+ *
+ * @param url (String) the file's public URL
+ * @param datastore_pubkey (String) the hex-encoded public key of the datastore the file is in
+ * @param opts (Object) optional arguments:
+ *      .encoding (String) 'utf8' (the default) to decode the file as text, or 'binary' to get the exact bytes
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *      .timeout (Int) give up after this many milliseconds
+ *
+ * Large files are stored in chunks, which have no public URLs of their own; they cannot be fetched this way.
+ *
+ * Asynchronous; returns a Promise that resolves to the file data (a String, unless opts.encoding is 'binary').
+ * Rejects with NotFoundError if there is nothing at the URL, AccessDeniedError if the header is not signed by
+ * the datastore's key, InvalidCoreResponseError if the data does not match it, InvalidArgumentError if the URL
+ * is not a public driver's URL for a file or the file is chunked, and with a StorageError on all other errors.
+ */
+export function getFileFromURL(url, datastore_pubkey, opts={}) {
+
+   return storageOperation('getFileFromURL', url, opts, (signal, metrics) => {
+
+      const encoding = opts.encoding || 'utf8';
+      if (!FILE_ENCODINGS.includes(encoding)) {
+         throw new InvalidArgumentError(`Unsupported file encoding ${encoding}`, url);
+      }
+      if (typeof(datastore_pubkey) !== 'string' || !/^[0-9a-fA-F]+$/.test(datastore_pubkey)) {
+         throw new InvalidArgumentError('Invalid datastore public key', url);
+      }
+
+      // never send a request to a host that is not a public driver
+      const parsed = parseDriverURL(url);
+      if (!parsed) {
+         throw new InvalidArgumentError(`${url} is not served by a public driver`, url);
+      }
+
+      const datastore_id = datastoreGetId(datastore_pubkey);
+      let header = null;
+
+      return getPublishedHeader(url, datastore_pubkey, signal, 'getFileFromURL')
+      .then((published) => {
+         header = published.header;
+         if (header.type !== MUTABLE_DATUM_FILE_TYPE) {
+            throw new InvalidArgumentError(`${url} is not a file's public URL`, url);
+         }
+         if (header.chunked) {
+            throw new InvalidArgumentError(`${url} is a large file, whose chunks have no public URLs`, url);
+         }
+         if (unescape(parsed.fq_data_id) !== unescape(published.fq_data_id)) {
+            throw new InvalidArgumentError(`${url} does not name the header it serves`, url);
+         }
+
+         // the data is served by the same driver, under the data's own ID
+         const device_id = unescape(published.fq_data_id).split(':')[0];
+         const data_url = `${getDriverURL(parsed.driver)}${makeFullyQualifiedDataId(device_id, `${datastore_id}.${header.uuid}`)}`;
+
+         return httpRequest({'method': 'GET', 'url': data_url, 'signal': signal}, 'bytes');
+      })
+      .then((data) => {
+         checkCoreResponse(data, 'getFileFromURL', url);
+         checkReplicaData(data, header, url, 'getFileFromURL');
+
+         metrics['bytes'] = data.length;
+         return decodeFileData(data, encoding);
+      });
+   });
+}
+
+
+/*
+ * Plan the datastore's replication strategy (see planReplication()) with only some of the drivers.
+ *
+ * @param ds (Object) a datastore context
+ * @param drivers (Array) the drivers to count towards the strategy
+ *
+ * Returns the plan, or null if the datastore has no replication strategy (or the session no storage classification) to plan with.
+ */
+function planWithDrivers(ds, drivers) {
+   const replication_strategy = ds.datastore.replication_strategy;
+   const classes = (ds.session && ds.session.storage && ds.session.storage.classes) || null;
+   if (!replication_strategy || !classes) {
+      return null;
+   }
+
+   const driver_classes = {};
+   for (let storage_class of Object.keys(classes)) {
+      driver_classes[storage_class] = classes[storage_class].filter((driver) => drivers.includes(driver));
+   }
+   return planReplication(replication_strategy, driver_classes);
+}
+
+
+/*
+ * Choose the drivers to write to: leave out drivers that are down (see isDriverAvailable()), as long
+ * as the ones left still fulfill the datastore's replication strategy.  Otherwise, write to all of them.
+ *
+ * @param ds (Object) a datastore context
+ * @param targets (Array) the drivers the path is stored on
+ *
+ * Returns {'drivers': [the drivers to write to], 'skipped': [the drivers left out]}
+ */
+function chooseWriteDrivers(ds, targets) {
+   const available = targets.filter((driver) => isDriverAvailable(driver));
+   const skipped = targets.filter((driver) => !available.includes(driver));
+
+   if (skipped.length === 0 || available.length === 0) {
+      return {'drivers': targets, 'skipped': []};
+   }
+
+   // only the available drivers count towards the strategy
+   const plan = planWithDrivers(ds, available);
+   if (!plan) {
+      log.warn('Writing to drivers that are down; the datastore has no replication strategy to fail over with',
+               {'datastore_id': ds.datastore_id, 'drivers': skipped});
+      return {'drivers': targets, 'skipped': []};
+   }
+   if (!plan.satisfiable) {
+      log.warn('Writing to drivers that are down; the others do not fulfill the replication strategy',
+               {'datastore_id': ds.datastore_id, 'drivers': skipped, 'unmet': plan.unmet});
+      return {'drivers': targets, 'skipped': []};
+   }
+
+   log.info('Failing over writes to healthy drivers', {'datastore_id': ds.datastore_id, 'drivers': available, 'skipped': skipped});
+   return {'drivers': available, 'skipped': skipped};
+}
+
+
+/*
+ * Find out which drivers took a write that Core accepted.  Core answers a write with success if any of
+ * its drivers took it, without saying which, so each driver's copy of the written inode's header is
+ * read back at the URL the driver serves it under (see setDriverURLs()).  A driver without a URL
+ * cannot be checked, and is taken to have it.
+ *
+ * @param ds (Object) a datastore context
+ * @param inode_header (String) the written inode's signed header blob (the first of the write's inodes)
+ * @param targets (Array) the drivers the write was sent to
+ * @param signal (AbortSignal) the operation's signal
+ *
+ * Asynchronous; returns a Promise that resolves to each driver's result, as {'driver': ..., 'stored': ..., 'checked': ...}.
+ * Rejects only if the operation is cancelled.
+ */
+function checkWriteDrivers(ds, inode_header, targets, signal) {
+   const written = JSON.parse(JSON.parse(inode_header).data);
+   const fq_data_id = makeFullyQualifiedDataId(ds.device_id, `${ds.datastore_id}.${written.uuid}.hdr`);
+
+   return Promise.all(targets.map((driver) => {
+      const url = getDriverURL(driver);
+      if (!url) {
+         return {'driver': driver, 'stored': true, 'checked': false};
+      }
+
+      return getPublishedHeader(`${url}${fq_data_id}`, ds.datastore.pubkey, signal, 'checkWriteDrivers')
+      .then((published) => {
+         // a newer version means a later write got there too
+         return published.header.version > written.version ||
+            (published.header.version === written.version && published.header.data_hash === written.data_hash);
+      })
+      .catch((e) => {
+         if (signal && signal.aborted) {
+            throw e;
+         }
+         return false;
+      })
+      .then((stored) => ({'driver': driver, 'stored': stored, 'checked': true}));
+   }));
+}
+
+
+/*
+ * Record how each driver did in a write that Core accepted (see checkWriteDrivers()), and queue a repair
+ * of the paths written if some drivers were left out or missed it.
+ *
+ * @param ds (Object) a datastore context
+ * @param operation (String) the operation
+ * @param path (String) the path written
+ * @param inodes (Array) the inodes written
+ * @param results (Array) each driver's result, from checkWriteDrivers()
+ * @param skipped (Array) the drivers left out (see chooseWriteDrivers())
+ *
+ * Returns the drivers that took the write.
+ */
+function recordWriteResults(ds, operation, path, inodes, results, skipped) {
+   for (let result of results.filter((r) => r.checked)) {
+      recordDriverResult(result.driver, result.stored, (result.stored ? null : `Missed a ${operation} of ${path}`));
+   }
+
+   const stored = results.filter((r) => r.stored).map((r) => r.driver);
+   const missed = skipped.concat(results.filter((r) => !r.stored).map((r) => r.driver));
+   if (missed.length === 0) {
+      return stored;
+   }
+
+   const stored_on = results.map((result) => result.driver).concat(skipped);
+   log.warn('Drivers missed a write; queued for repair', {'datastore_id': ds.datastore_id, 'path': path, 'drivers': missed});
+
+   queueRepair(ds.datastore_id, sanitizePath(path), stored_on, missed);
+   if (inodes.length === 2) {
+      // the parent directory was written too
+      queueRepair(ds.datastore_id, sanitizePath(dirname(path)), stored_on, missed);
+   }
+   return stored;
+}
+
+
+/*
+ * Execute a datastore operation
+ *
+ * @param ds (Object) a datastore context
+ * @param operation (String) the specific operation being carried out.
+ * @param path (String) the path of the operation
+ * @param inodes (Array) the list of inode headers to replicate
+ * @param payloads (Array) the list of inode payloads in 1-to-1 correspondence to the headers
+ * @param signatures (Array) the list of signatures over each inode header (also 1-to-1 correspondence)
+ * @param tombstones (Array) the list of signed inode tombstones
+ * @param signal (AbortSignal) if given, cancel the operation when this signal is aborted.
+ *                             Nothing is sent once it has been aborted.
+ * @param drivers (Array) the drivers to write to, if not the datastore's defaults
+ *
+ * The request is only retried if Core refused it without applying it (see makeRetryPolicy()).
+ * Writes (mkdir and putFile) leave out drivers that are down if the replication strategy allows it.
+ * Once Core takes a write, each driver is checked for it (see checkWriteDrivers()), so that its result
+ * is recorded (see getDriverHealth()), and the drivers that missed it are queued for repair.  The write
+ * fails with RemoteIOError if the drivers that took it do not fulfill the replication strategy (it is
+ * still repaired); without a strategy, any driver taking it will do.
+ *
+ * Asynchronous; returns a Promise that resolves to True if the operation succeeded
+ */
+function datastoreOperation(ds, operation, path, inodes, payloads, signatures, tombstones, signal=null, drivers=null) {
+
+   let request_path = null;
+   let http_operation = null;
+   const datastore_id = ds.datastore_id;
+   const datastore_privkey = ds.privkey_hex;
+   const device_list = getDeviceList(ds);
+   const device_pubkeys = getPublicKeyList(ds);
+
+   assert(inodes.length === payloads.length);
+   assert(payloads.length === signatures.length);
+
+   if (operation === 'mkdir') {
+      request_path = `/v1/stores/${datastore_id}/directories?path=${escape(sanitizePath(path))}&device_ids=${device_list}&device_pubkeys=${device_pubkeys}&blockchain_id=${ds.blockchain_id}`;
+      http_operation = 'POST';
+
+      assert(inodes.length === 2);
+   }
+   else if (operation === 'putFile') {
+      request_path = `/v1/stores/${datastore_id}/files?path=${escape(sanitizePath(path))}&device_ids=${device_list}&device_pubkeys=${device_pubkeys}&blockchain_id=${ds.blockchain_id}`;
+      http_operation = 'PUT';
+
+      assert(inodes.length === 1 || inodes.length === 2);
+   }
+   else if (operation === 'rmdir') {
+      request_path = `/v1/stores/${datastore_id}/directories?path=${escape(sanitizePath(path))}&device_pubkeys=${device_pubkeys}&device_ids=${device_list}&blockchain_id=${ds.blockchain_id}`;
+      http_operation = 'DELETE';
+
+      assert(inodes.length === 1);
+      assert(tombstones.length >= 1);
+   }
+   else if (operation === 'deleteFile') {
+      request_path = `/v1/stores/${datastore_id}/files?path=${escape(sanitizePath(path))}&device_pubkeys=${device_pubkeys}&device_ids=${device_list}&blockchain_id=${ds.blockchain_id}`;
+      http_operation = 'DELETE';
+
+      assert(inodes.length === 1);
+      assert(tombstones.length >= 1);
+   }
+   else {
+      throw new InvalidArgumentError(`Invalid operation ${operation}`, path, operation);
+   }
+
+   let targets = drivers || ds.datastore.drivers;
+   let skipped = [];
+
+   if (operation === 'mkdir' || operation === 'putFile') {
+      const chosen = chooseWriteDrivers(ds, targets);
+      if (chosen.skipped.length > 0) {
+         targets = chosen.drivers;
+         skipped = chosen.skipped;
+         drivers = targets;
+      }
+   }
+
+   const options = {
+      'method': http_operation,
+      'scheme': ds.scheme,
+      'host': ds.host,
+      'port': ds.port,
+      'path': request_path,
+      'signal': signal,
+   };
+
+   options['headers'] = {};
+   if (ds.session_token) {
+      options['headers']['Authorization'] = `bearer ${ds.session_token}`;
+   }
+
+   // Core stores the inodes on the drivers of the datastore record it is sent, so
+   // writing to other drivers than the datastore's defaults takes a record that names them
+   const record = (drivers ? Object.assign({}, ds.datastore, {'drivers': drivers}) : ds.datastore);
+   const datastore_str = JSON.stringify(record);
+   const datastore_sig = signRawData( datastore_str, datastore_privkey );
+
+   const body_struct = {
+      'inodes': inodes,
+      'payloads': payloads,
+      'signatures': signatures,
+      'tombstones': tombstones,
+      'datastore_str': datastore_str,
+      'datastore_sig': datastore_sig,
+   }
+
+   const body = JSON.stringify(body_struct);
+   options['headers']['Content-Type'] = 'application/json';
+   options['headers']['Content-Length'] = Buffer.byteLength(body);
+
+   return httpRequest(options, SUCCESS_FAIL_SCHEMA, body)
+   .then((response) => {
+      if (operation !== 'mkdir' && operation !== 'putFile') {
+         if (response && !response.error && !response.errno) {
+            // Core does not say which driver failed a delete, so only its successes count
+            targets.forEach((driver) => recordDriverResult(driver, true));
+         }
+         checkCoreResponse(response, operation, path);
+         return true;
+      }
+
+      if (response && response.errno === EREMOTEIO) {
+         // Core only fails a write this way if every driver failed it
+         targets.forEach((driver) => recordDriverResult(driver, false, response.error || `Failed to ${operation} ${path}`));
+      }
+
+      // any other error (i.e. a stale version) means Core applied nothing
+      checkCoreResponse(response, operation, path);
+
+      return checkWriteDrivers(ds, inodes[0], targets, signal)
+      .then((results) => {
+         const stored = recordWriteResults(ds, operation, path, inodes, results, skipped);
+         if (stored.length === targets.length) {
+            return true;
+         }
+
+         const plan = planWithDrivers(ds, stored);
+         if ((plan && !plan.satisfiable) || stored.length === 0) {
+            throw new RemoteIOError(`Only ${stored.length} of ${targets.length} drivers took the ${operation} of ${path}, which does not fulfill the replication strategy`,
+                                    path, operation);
+         }
+         return true;
+      });
+   });
+}
+
+
+/*
+ * Given a path, get its parent directory
+ * Make sure it's a directory.
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the path to the inode in question
+ * @param opts (Object) lookup options
+ *      .extended (Bool) whether or not to include the entire path's inode inforamtion
+ *      .force (Bool) if True, then ignore stale inode errors.
+ *      .blockchain_id (string) this is the blockchain ID of the datastore owner (if different from the session)
+ *      .ds (datastore context) this is the mount context for the datastore, if different from one that we have cached
+ *
+ * Asynchronous; returns a Promise that resolves to the parent directory inode.
+ * Rejects with NotFoundError if it does not exist, and NotADirectoryError if it is not a directory.
+ */
+function getParent(path, opts={}) {
+   const dirpath = dirname(path);
+   return getInode(dirpath, opts)
+   .then((inode) => {
+      if (!inode) {
+         throw new RemoteIOError('Failed to get parent', dirpath);
+      }
+      if (inode.type !== MUTABLE_DATUM_DIR_TYPE) {
+         throw new NotADirectoryError(null, dirpath);
+      }
+      else {
+         return inode;
+      }
+   });
+}
+
+
+/*
+ * Create or update a file
+ *
+ * Files larger than opts.chunkSize are stored as a manifest inode that lists fixed-size chunk inodes,
+ * which are uploaded one at a time.  Smaller files are stored in a single inode.
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the path to the file to create (must not exist)
+ * @param file_buffer (String, Buffer, Uint8Array or ArrayBuffer) the file contents
+ * @param opts (Object) lookup options
+ *      .extended (Bool) whether or not to include the entire path's inode inforamtion
+ *      .force (Bool) if True, then ignore stale inode errors.
+ *      .blockchain_id (string) this is the blockchain ID of the datastore owner (if different from the session)
+ *      .ds (datastore context) this is the mount context for the datastore, if different from one that we have cached
+ *      .chunkSize (Int) the size of each chunk of a large file (defaults to DEFAULT_CHUNK_SIZE)
+ *      .uploadId (String) resume an interrupted chunked upload with this ID, instead of starting a new one
+ *      .onProgress (Function) called after each chunk is stored, with {'path', 'uploadId', 'chunksDone', 'chunksTotal', 'bytesDone', 'bytesTotal'}
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *      .timeout (Int) give up after this many milliseconds
+ *
+ * Asynchronous; returns a Promise.
+ * If a chunked upload fails, the StorageError it rejects with has an .uploadId that can be passed back as opts.uploadId to resume it.
+ */
+export function putFile(path, file_buffer, opts={}) {
+
+   let upload_id = null;
+
+   return storageOperation('putFile', path, opts, (signal, metrics) => {
+
+      const chunk_size = (opts.chunkSize === undefined ? DEFAULT_CHUNK_SIZE : opts.chunkSize);
+      if (!Number.isInteger(chunk_size) || chunk_size <= 0) {
+         throw new InvalidArgumentError(`Invalid chunk size ${chunk_size}`, path);
+      }
+
+      return withDatastore(opts, signal, (ds) => {
+
+         assert(ds);
+         checkWritable(ds, path);
+
+         path = sanitizePath(path);
+
+         if (file_buffer instanceof ArrayBuffer) {
+            file_buffer = Buffer.from(file_buffer);
+         }
+         else if (file_buffer instanceof Uint8Array && !(file_buffer instanceof Buffer)) {
+            file_buffer = Buffer.from(file_buffer.buffer, file_buffer.byteOffset, file_buffer.byteLength);
+         }
+
+         if (typeof(file_buffer) !== 'string' && !(file_buffer instanceof Buffer)) {
+            throw new InvalidArgumentError('File data must be a String, a Buffer, a Uint8Array or an ArrayBuffer', path);
+         }
+
+         if (typeof(file_buffer) === 'string' && file_buffer.length > chunk_size) {
+            file_buffer = Buffer.from(file_buffer);
+         }
+
+         metrics['bytes'] = (typeof(file_buffer) === 'string' ? Buffer.byteLength(file_buffer) : file_buffer.length);
+         metrics['chunks'] = 0;
+         metrics['phases'] = {'getParent': 0, 'sign': 0, 'write': 0};
+
+         if (file_buffer.length > chunk_size) {
+            upload_id = opts.uploadId || uuid4();
+            metrics['chunks'] = Math.ceil(file_buffer.length / chunk_size);
+            return putChunkedFile(ds, path, file_buffer, chunk_size, upload_id, opts, signal, metrics['phases']);
+         }
+
+         return putFileInode(ds, path, file_buffer, null, opts, signal, metrics['phases'])
+         .then((inode_info) => {
+            if (!inode_info.old_manifest) {
+               return true;
+            }
+
+            // drop the chunks of the large file this replaced
+            return removeChunks(ds, [inode_info.old_manifest.chunk_path], getPathDrivers(ds, path), signal);
+         });
+      });
+   })
+   .catch((e) => {
+      if (upload_id) {
+         e.uploadId = upload_id;
+      }
+      throw e;
+   });
+}
+
+
+/*
+ * Store a file's data in a single inode, and link it into its parent directory.
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the sanitized path to the file
+ * @param file_buffer (String or Buffer) the file contents
+ * @param inode_uuid (String) the inode ID to give the file if it does not exist yet (a new one is generated if not given)
+ * @param opts (Object) putFile() options
+ * @param signal (AbortSignal) the operation's signal
+ * @param phases (Object) if given, add the milliseconds spent in each phase (.getParent, .sign, .write) to it
+ * @param chunked (Bool) if True, then file_buffer is a chunk manifest, and the inode header is marked as chunked
+ *
+ * If the file existed, and was a large file, then its chunk manifest is fetched before it is replaced.
+ *
+ * Asynchronous; returns a Promise that resolves to
+ *      {'inode_uuid': the file's inode ID, 'replaced': whether or not the file existed, 'old_manifest': the chunk manifest it replaced, or null}
+ */
+function putFileInode(ds, path, file_buffer, inode_uuid, opts, signal, phases=null, chunked=false) {
+
+   const datastore_id = ds.datastore_id;
+   const device_id = ds.device_id;
+   const privkey_hex = ds.privkey_hex;
+   const child_name = basename(path);
+   let replaced = false;
+   let old_manifest = null;
+   let phase_start = Date.now();
+
+   const endPhase = (phase) => {
+      const now = Date.now();
+      if (phases) {
+         phases[phase] += now - phase_start;
+      }
+      phase_start = now;
+   };
+
+   // get parent dir
+   return getParent(path, Object.assign({}, opts, {'signal': signal, 'ds': ds}))
+   .then((parent_dir) => {
+      if (!Object.keys(parent_dir['idata']['children']).includes(child_name)) {
+         return parent_dir;
+      }
+
+      // the chunks of a large file are only found through its manifest, which is about to be replaced
+      return getChunkManifest(ds, path, signal)
+      .then((manifest) => {
+         old_manifest = manifest;
+         return parent_dir;
+      });
+   })
+   .then((parent_dir) => {
+      endPhase('getParent');
+      // make the file inode information
+      let file_payload = file_buffer;
+      let file_hash = null;
+      if (typeof(file_payload) !== 'string') {
+         // buffer; hash the bytes themselves, not a decoding of them
+         file_payload = file_buffer.toString('base64');
+         file_hash = hashDataPayload( file_buffer );
+      }
+      else {
+         // string
+         file_payload = Buffer.from(file_buffer).toString('base64');
+         file_hash = hashDataPayload( file_buffer );
+      }
+
+      assert(file_hash);
+
+      let new_parent_dir_inode = null;
+      let child_version = null;
+
+      // new or existing?
+      if (Object.keys(parent_dir['idata']['children']).includes(child_name)) {
+
+         // existing; no directory change
+         inode_uuid = parent_dir['idata']['children'][child_name]['uuid'];
+         new_parent_dir_inode = inodeDirLink(parent_dir, MUTABLE_DATUM_FILE_TYPE, child_name, inode_uuid, true );
+         replaced = true;
+      }
+      else {
+
+         // new
+         inode_uuid = inode_uuid || uuid4();
+         new_parent_dir_inode = inodeDirLink(parent_dir, MUTABLE_DATUM_FILE_TYPE, child_name, inode_uuid, false );
+      }
+
+      const version = getChildVersion(parent_dir, child_name);
+      const inode_info = makeFileInodeBlob( datastore_id, datastore_id, inode_uuid, file_hash, device_id, version, chunked );
+      const inode_sig = signDataPayload( inode_info['header'], privkey_hex );
+
+      // make the directory inode information
+      const new_parent_info = makeDirInodeBlob( datastore_id, new_parent_dir_inode['owner'], new_parent_dir_inode['uuid'], new_parent_dir_inode['idata']['children'], device_id, new_parent_dir_inode['version'] + 1);
+      const new_parent_sig = signDataPayload( new_parent_info['header'], privkey_hex );
+
+      // post them
+      const new_parent_info_b64 = new Buffer(new_parent_info['idata']).toString('base64');
+      endPhase('sign');
+
+      const drivers = getPathDrivers(ds, path);
+      return datastoreOperation(ds, 'putFile', path, [inode_info['header'], new_parent_info['header']], [file_payload, new_parent_info_b64], [inode_sig, new_parent_sig], [], signal, drivers);
+   })
+   .then(() => {
+      endPhase('write');
+      return {'inode_uuid': inode_uuid, 'replaced': replaced, 'old_manifest': old_manifest};
+   });
+}
+
+
+/*
+ * Store one chunk of a large file, and link it into its chunk directory (see putChunkedFile()).
+ * The chunk directory is kept in memory between chunks, so it is not fetched again for each one.
+ *
+ * @param ds (Object) a datastore context
+ * @param chunk_dir (Object) the chunk directory's inode, as last written
+ * @param chunk_path (String) the chunk directory's path
+ * @param index (Int) the chunk's index
+ * @param chunk (Buffer) the chunk data
+ * @param drivers (Array) the drivers to store it on (the file's)
+ * @param signal (AbortSignal) the operation's signal
+ * @param phases (Object) if given, add the milliseconds spent signing and writing to .sign and .write
+ *
+ * Asynchronous; returns a Promise that resolves to the chunk directory's inode, as it is now
+ */
+function putChunkInode(ds, chunk_dir, chunk_path, index, chunk, drivers, signal, phases=null) {
+
+   let phase_start = Date.now();
+   const inode_uuid = uuid4();
+   const new_dir_inode = inodeDirLink(chunk_dir, MUTABLE_DATUM_FILE_TYPE, `${index}`, inode_uuid, false);
+
+   const inode_info = makeFileInodeBlob( ds.datastore_id, ds.datastore_id, inode_uuid, hashDataPayload(chunk), ds.device_id, getChildVersion(new_dir_inode, `${index}`) );
+   const inode_sig = signDataPayload( inode_info['header'], ds.privkey_hex );
+
+   const new_dir_info = makeDirInodeBlob( ds.datastore_id, new_dir_inode['owner'], new_dir_inode['uuid'], new_dir_inode['idata']['children'], ds.device_id, new_dir_inode['version'] + 1 );
+   const new_dir_sig = signDataPayload( new_dir_info['header'], ds.privkey_hex );
+   const new_dir_info_b64 = new Buffer(new_dir_info['idata']).toString('base64');
+
+   if (phases) {
+      phases['sign'] += Date.now() - phase_start;
+      phase_start = Date.now();
+   }
+
+   return datastoreOperation(ds, 'putFile', `${chunk_path}/${index}`, [inode_info['header'], new_dir_info['header']], [chunk.toString('base64'), new_dir_info_b64], [inode_sig, new_dir_sig], [], signal, drivers)
+   .then(() => {
+      if (phases) {
+         phases['write'] += Date.now() - phase_start;
+      }
+      return Object.assign({}, new_dir_inode, {'version': new_dir_inode['version'] + 1});
+   });
+}
+
+
+/*
+ * Store a large file as a set of chunk inodes and a manifest inode.
+ *
+ * The chunks go in CHUNK_DIR/${inode_uuid}.${upload_id}/${index}, and each one is linked into the
+ * chunk directory as it is stored, so the directory lists exactly the chunks that made it.
+ * Chunks are uploaded one at a time, so only one chunk is ever encoded in memory, and chunks that
+ * are already stored (i.e. when resuming an upload) are not uploaded again.  Everything is stored on
+ * the file's drivers.  The manifest is written last, with its header marked as chunked, so readers
+ * never see a partial file.
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the sanitized path to the file
+ * @param file_buffer (Buffer) the file contents
+ * @param chunk_size (Int) the chunk size
+ * @param upload_id (String) the ID of this upload (opts.uploadId if resuming)
+ * @param opts (Object) putFile() options
+ * @param signal (AbortSignal) the operation's signal
+ * @param phases (Object) if given, add the milliseconds spent in each phase of each inode write to it (see putFileInode())
+ *
+ * Asynchronous; returns a Promise.
+ * Rejects with InvalidArgumentError if a resumed upload was of different data.
+ */
+function putChunkedFile(ds, path, file_buffer, chunk_size, upload_id, opts, signal, phases=null) {
+
+   const num_chunks = Math.ceil(file_buffer.length / chunk_size);
+   const chunks = [];
+   const drivers = getPathDrivers(ds, path);
+
+   let inode_uuid = null;
+   let chunk_dir_names = [];
+   let chunk_dir_name = null;
+   let chunk_dir = null;
+   let stored_hashes = {};
+   let bytes_done = 0;
+
+   const reportProgress = (chunks_done) => {
+      if (opts.onProgress) {
+         opts.onProgress({
+            'path': path,
+            'uploadId': upload_id,
+            'chunksDone': chunks_done,
+            'chunksTotal': num_chunks,
+            'bytesDone': bytes_done,
+            'bytesTotal': file_buffer.length,
+         });
+      }
+   };
+
+   // store chunks one after the other
+   const putChunk = (i) => {
+      if (i >= num_chunks) {
+         return Promise.resolve(true);
+      }
+
+      try {
+         checkSignal(signal);
+      }
+      catch(e) {
+         return Promise.reject(e);
+      }
+
+      const chunk = file_buffer.slice(i * chunk_size, Math.min((i + 1) * chunk_size, file_buffer.length));
+      const chunk_info = {
+         'size': chunk.length,
+         'hash': hashDataPayload(chunk),
       };
 
-      let schema = MUTABLE_DATUM_DIR_IDATA_SCHEMA;
+      chunks.push(chunk_info);
 
-      if (!opts) {
-         opts = {};
+      let stored = Promise.resolve(true);
+      if (!stored_hashes[`${i}`]) {
+         stored = putChunkInode(ds, chunk_dir, `${CHUNK_DIR}/${chunk_dir_name}`, i, chunk, drivers, signal, phases)
+         .then((new_chunk_dir) => {
+            chunk_dir = new_chunk_dir;
+         });
+      }
+      else if (stored_hashes[`${i}`] !== chunk_info.hash) {
+         return Promise.reject(new InvalidArgumentError(`Upload ${upload_id} was of different data`, path));
+      }
+
+      return stored.then(() => {
+         bytes_done += chunk.length;
+         reportProgress(i + 1);
+         return putChunk(i + 1);
+      });
+   };
+
+   return getParent(path, Object.assign({}, opts, {'signal': signal, 'ds': ds}))
+   .then((parent_dir) => {
+      const child_name = basename(path);
+      if (Object.keys(parent_dir['idata']['children']).includes(child_name)) {
+         inode_uuid = parent_dir['idata']['children'][child_name]['uuid'];
+      }
+
+      return listChunkDirs(ds, signal);
+   })
+   .then((names) => {
+      chunk_dir_names = names;
+
+      // resuming?
+      if (opts.uploadId) {
+         chunk_dir_name = chunk_dir_names.find((name) => name.endsWith(`.${upload_id}`)) || null;
+      }
+
+      if (chunk_dir_name) {
+         inode_uuid = inode_uuid || chunk_dir_name.slice(0, -(upload_id.length + 1));
+         return findStoredChunks(ds, `${CHUNK_DIR}/${chunk_dir_name}`, signal)
+         .then((found) => {
+            if (Object.keys(found.hashes).some((name) => !/^[0-9]+$/.test(name) || parseInt(name, 10) >= num_chunks)) {
+               throw new InvalidArgumentError(`Upload ${upload_id} was of different data`, path);
+            }
+            chunk_dir = found.dir;
+            stored_hashes = found.hashes;
+         });
+      }
+
+      inode_uuid = inode_uuid || uuid4();
+      chunk_dir_name = `${inode_uuid}.${upload_id}`;
+
+      let chunk_root = Promise.resolve(true);
+      if (chunk_dir_names.length === 0) {
+         chunk_root = mkdirIfMissing(ds, CHUNK_DIR, drivers, signal);
+      }
+
+      const chunk_path = `${CHUNK_DIR}/${chunk_dir_name}`;
+      return chunk_root
+      .then(() => makeDirectory(ds, chunk_path, {}, drivers, signal))
+      .then(() => getInode(chunk_path, {'ds': ds, 'signal': signal}))
+      .then((inode) => {
+         chunk_dir = inode;
+      });
+   })
+   .then(() => putChunk(0))
+   .then(() => {
+      const manifest = makeChunkManifest(upload_id, `${CHUNK_DIR}/${chunk_dir_name}`, chunk_size, chunks);
+      return putFileInode(ds, path, manifest, inode_uuid, opts, signal, phases, true);
+   })
+   .then((inode_info) => {
+      // drop the chunks of the previous version of this file, and of its interrupted uploads
+      const stale = chunk_dir_names
+      .filter((name) => name.startsWith(`${inode_uuid}.`) && name !== chunk_dir_name)
+      .map((name) => `${CHUNK_DIR}/${name}`);
+
+      const old_manifest = inode_info.old_manifest;
+      if (old_manifest && !stale.includes(old_manifest.chunk_path) && old_manifest.chunk_path !== `${CHUNK_DIR}/${chunk_dir_name}`) {
+         stale.push(old_manifest.chunk_path);
+      }
+
+      return removeChunks(ds, stale, drivers, signal);
+   });
+}
+
+
+/*
+ * Create a directory on the given drivers if it does not exist yet.
+ *
+ * Asynchronous; returns a Promise
+ */
+function mkdirIfMissing(ds, path, drivers, signal) {
+   return makeDirectory(ds, path, {}, drivers, signal)
+   .catch((e) => {
+      if (!(e instanceof AlreadyExistsError)) {
+         throw e;
+      }
+   });
+}
+
+
+/*
+ * List the names of the chunk directories in CHUNK_DIR.
+ *
+ * Asynchronous; returns a Promise that resolves to the list of names (empty if CHUNK_DIR does not exist)
+ */
+function listChunkDirs(ds, signal) {
+   return listdir(CHUNK_DIR, {'ds': ds, 'signal': signal})
+   .then((dir) => {
+      return Object.keys(dir['children']);
+   },
+   (e) => {
+      if (e instanceof NotFoundError) {
+         return [];
+      }
+      throw e;
+   });
+}
+
+
+/*
+ * Find the chunks of an interrupted upload that made it to the datastore.
+ *
+ * @param ds (Object) a datastore context
+ * @param chunk_path (String) the directory holding the chunks
+ * @param signal (AbortSignal) the operation's signal
+ *
+ * Asynchronous; returns a Promise that resolves to:
+ *      .dir (Object) the chunk directory's inode
+ *      .hashes (Object) maps each stored chunk's index to its data hash
+ */
+function findStoredChunks(ds, chunk_path, signal) {
+   const hashes = {};
+   return getInode(chunk_path, {'ds': ds, 'signal': signal})
+   .then((dir) => {
+      const names = Object.keys(dir['idata']['children']);
+      const statChunk = (i) => {
+         if (i >= names.length) {
+            return Promise.resolve({'dir': dir, 'hashes': hashes});
+         }
+
+         return stat(`${chunk_path}/${names[i]}`, {'ds': ds, 'signal': signal})
+         .then((inode) => {
+            hashes[names[i]] = inode['data_hash'];
+         })
+         .then(() => statChunk(i + 1));
+      };
+
+      return statChunk(0);
+   });
+}
+
+
+/*
+ * Remove chunk directories, and the chunks in them: those of a file's earlier versions, or of a deleted file.
+ * Failures are not fatal, since the file operation itself has already succeeded;
+ * at worst, the stale chunks are left behind.
+ *
+ * @param ds (Object) a datastore context
+ * @param chunk_paths (Array) the chunk directories to remove
+ * @param drivers (Array) the drivers the chunks are stored on (their file's), or null for the default drivers
+ * @param signal (AbortSignal) the operation's signal
+ *
+ * Asynchronous; returns a Promise
+ */
+function removeChunks(ds, chunk_paths, drivers, signal) {
+
+   const removeChunkDir = (chunk_path) => {
+      return listdir(chunk_path, {'ds': ds, 'signal': signal})
+      .then((dir) => {
+         const names = Object.keys(dir['children']);
+         const deleteChunk = (i) => {
+            if (i >= names.length) {
+               return Promise.resolve(true);
+            }
+
+            return deleteFileInode(ds, `${chunk_path}/${names[i]}`, {'ds': ds}, signal, drivers)
+            .then(() => deleteChunk(i + 1));
+         };
+
+         return deleteChunk(0);
+      })
+      .then(() => removeDirectory(ds, chunk_path, {'ds': ds}, signal, drivers));
+   };
+
+   const removeNext = (i) => {
+      if (i >= chunk_paths.length) {
+         return Promise.resolve(true);
+      }
+
+      return removeChunkDir(chunk_paths[i])
+      .catch((e) => {
+         if (signal && signal.aborted) {
+            throw e;
+         }
+
+         log.warn('Failed to remove stale chunks', {'operation': e.operation, 'path': e.path, 'datastore_id': ds.datastore_id, 'chunk_path': chunk_paths[i], 'error': e.message});
+      })
+      .then(() => removeNext(i + 1));
+   };
+
+   return removeNext(0);
+}
+
+
+/*
+ * Create a directory.
+ *
+ * @param ds (Object) datastore context
+ * @param path (String) path to the directory
+ * @param opts (object) optional arguments
+ *      .blockchain_id (string) this is the blockchain ID of the datastore owner (if different from the session)
+ *      .ds (datastore context) this is the mount context for the datastore, if different from one that we have cached
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *      .timeout (Int) give up after this many milliseconds
+ *
+ * Asynchronous; returns a Promise
+ */
+export function mkdir(path, opts={}) {
+
+   return storageOperation('mkdir', path, opts, (signal) => {
+
+      return withDatastore(opts, signal, (ds) => {
+
+         assert(ds);
+         checkWritable(ds, path);
+
+         path = sanitizePath(path);
+         return makeDirectory(ds, path, {}, getPathDrivers(ds, path), signal, opts);
+      });
+   });
+}
+
+
+/*
+ * Make a directory, and link it into its parent directory.
+ *
+ * @param ds (Object) datastore context
+ * @param path (String) the sanitized path to the directory
+ * @param children (Object) the directory's entries (i.e. for chunks that are stored later, see putChunkedFile())
+ * @param drivers (Array) the drivers to store it on
+ * @param signal (AbortSignal) the operation's signal
+ * @param opts (Object) mkdir() options
+ *
+ * Asynchronous; returns a Promise
+ * Rejects with AlreadyExistsError if the path exists.
+ */
+function makeDirectory(ds, path, children, drivers, signal, opts={}) {
+
+   const datastore_id = ds.datastore_id;
+   const device_id = ds.device_id;
+   const privkey_hex = ds.privkey_hex;
+   const child_name = basename(path);
+
+   return getParent(path, Object.assign({}, opts, {'signal': signal, 'ds': ds}))
+   .then((parent_dir) => {
+      // must not exist
+      if (Object.keys(parent_dir['idata']['children']).includes(child_name)) {
+         throw new AlreadyExistsError(null, path);
+      }
+
+      // make the directory inode information
+      const inode_uuid = uuid4();
+      const inode_info = makeDirInodeBlob( datastore_id, datastore_id, inode_uuid, children, device_id);
+      const inode_sig = signDataPayload( inode_info['header'], privkey_hex );
+
+      // make the new parent directory information
+      const new_parent_dir_inode = inodeDirLink(parent_dir, MUTABLE_DATUM_DIR_TYPE, child_name, inode_uuid);
+      const new_parent_info = makeDirInodeBlob( datastore_id, new_parent_dir_inode['owner'], new_parent_dir_inode['uuid'], new_parent_dir_inode['idata']['children'], device_id, new_parent_dir_inode['version'] + 1);
+      const new_parent_sig = signDataPayload( new_parent_info['header'], privkey_hex );
+
+      // post them
+      return datastoreOperation(ds, 'mkdir', path, [inode_info['header'], new_parent_info['header']], [inode_info['idata'], new_parent_info['idata']], [inode_sig, new_parent_sig], [], signal, drivers);
+   });
+}
+
+
+/*
+ * Delete a file
+ *
+ * @param ds (Object) datastore context
+ * @param path (String) path to the directory
+ * @param opts (Object) options for this call
+ *      .blockchain_id (string) this is the blockchain ID of the datastore owner (if different from the session)
+ *      .ds (datastore context) this is the mount context for the datastore, if different from one that we have cached
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *      .timeout (Int) give up after this many milliseconds
+ *
+ * Asynchronous; returns a Promise
+ */
+export function deleteFile(path, opts={}) {
+
+   return storageOperation('deleteFile', path, opts, (signal) => {
+
+      return withDatastore(opts, signal, (ds) => {
+
+         assert(ds);
+         checkWritable(ds, path);
+
+         path = sanitizePath(path);
+
+         // the chunks of a large file are only found through its manifest, which is about to be deleted
+         const drivers = getPathDrivers(ds, path);
+         let manifest = null;
+         return getChunkManifest(ds, path, signal)
+         .then((chunk_manifest) => {
+            manifest = chunk_manifest;
+            return deleteFileInode(ds, path, opts, signal, drivers);
+         })
+         .then(() => {
+            return (manifest ? removeChunks(ds, [manifest.chunk_path], drivers, signal) : true);
+         });
+      });
+   });
+}
+
+
+/*
+ * Unlink a file from its parent directory, and tombstone its inode.
+ *
+ * @param ds (Object) datastore context
+ * @param path (String) the sanitized path to the file
+ * @param opts (Object) deleteFile() options
+ * @param signal (AbortSignal) the operation's signal
+ * @param drivers (Array) the drivers the file is stored on, or null for the default drivers
+ *
+ * Asynchronous; returns a Promise that resolves to the deleted file's inode ID
+ */
+function deleteFileInode(ds, path, opts, signal, drivers=null) {
+
+   const datastore_id = ds.datastore_id;
+   const device_id = ds.device_id;
+   const privkey_hex = ds.privkey_hex;
+   const all_device_ids = ds.datastore.device_ids;
+   const child_name = basename(path);
+   let inode_uuid = null;
+
+   return getParent(path, Object.assign({}, opts, {'signal': signal, 'ds': ds}))
+   .then((parent_dir) => {
+      // no longer exists?
+      if (!Object.keys(parent_dir['idata']['children']).includes(child_name)) {
+         throw new NotFoundError(null, path);
       }
 
-      if (opts.extended) {
-         options['path'] += '&extended=1';
-         schema = MUTABLE_DATUM_EXTENDED_RESPONSE_SCHEMA;
-      }
+      inode_uuid = parent_dir['idata']['children'][child_name]['uuid'];
 
-      if (opts.force) {
-         optsion['path'] += '&force=1';
-      }
+      // unlink
+      const new_parent_dir_inode = inodeDirUnlink(parent_dir, child_name);
+      const new_parent_info = makeDirInodeBlob( datastore_id, new_parent_dir_inode['owner'], new_parent_dir_inode['uuid'], new_parent_dir_inode['idata']['children'], device_id, new_parent_dir_inode['version'] + 1 );
+      const new_parent_sig = signDataPayload( new_parent_info['header'], privkey_hex );
 
-      if (ds.session_token) {
-         options['headers'] = {'Authorization': `bearer ${ds.session_token}`};
-      }
+      // make tombstones
+      const tombstones = makeInodeTombstones(datastore_id, inode_uuid, all_device_ids);
+      const signed_tombstones = signMutableDataTombstones(tombstones, privkey_hex);
 
-      return httpRequest(options, schema)
-      .then((response) => {
-         if (response.error || response.errno) {
-            let errorMsg = response.error || 'UNKNOWN';
-            let errorNo = response.errno || 'UNKNOWN';
-            throw new Error(`Failed to listdir ${path} (errno: ${errorNo}): ${errorMsg}`);
-         }
-         else {
-            return response;
-         }
-      });
+      // post them
+      return datastoreOperation(ds, 'deleteFile', path, [new_parent_info['header']], [new_parent_info['idata']], [new_parent_sig], signed_tombstones, signal, drivers);
+   })
+   .then(() => {
+      return inode_uuid;
    });
 }
 
 
 /*
- * Stat a file or directory (i.e. get the inode header)
+ * Remove a directory
  *
- * @param ds (Object) a datastore context
- * @param path (String) the path to the directory to list
- * @param opts (Object) optional arguments:
- *      .extended (Bool) whether or not to include the entire path's inode inforamtion
- *      .force (Bool) if True, then ignore stale inode errors.
+ * @param ds (Object) datastore context
+ * @param path (String) path to the directory
+ * @param opts (Object) options for this call
  *      .blockchain_id (string) this is the blockchain ID of the datastore owner (if different from the session)
  *      .ds (datastore context) this is the mount context for the datastore, if different from one that we have cached
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *      .timeout (Int) give up after this many milliseconds
  *
- * Asynchronous; returns a Promise that resolves to either an inode schema, or a mutable datum extended response schema (if opts.extended is set)
+ * Asynchronous; returns a Promise
  */
-export function stat(path, opts={}) {
+export function rmdir(path, opts={}) {
 
-   let ds = opts.ds;
-   let blockchain_id = opts.blockchain_id;
+   return storageOperation('rmdir', path, opts, (signal) => {
 
-   if (!opts.blockchain_id) {
-      blockchain_id = getSessionBlockchainID();
-   }
+      return withDatastore(opts, signal, (ds) => {
 
-   return datastoreMountOrCreate()
-   .then((ds) => {
+         assert(ds);
+         checkWritable(ds, path);
 
-      assert(ds);
+         path = sanitizePath(path);
+         return removeDirectory(ds, path, opts, signal, getPathDrivers(ds, path));
+      });
+   });
+}
 
-      const datastore_id = ds.datastore_id;
-      const device_list = getDeviceList(ds);
-      const device_pubkeys = getPublicKeyList(ds);
-      const options = {
-         'method': 'GET',
-         'host': ds.host,
-         'port': ds.port,
-         'path': `/v1/stores/${datastore_id}/inodes?path=${escape(sanitizePath(path))}&device_ids=${device_list}&device_pubkeys=${device_pubkeys}&blockchain_id=${ds.blockchain_id}`,
-      };
 
-      let schema = MUTABLE_DATUM_INODE_SCHEMA;
+/*
+ * Unlink a directory from its parent directory, and tombstone its inode.
+ *
+ * @param ds (Object) datastore context
+ * @param path (String) the sanitized path to the directory
+ * @param opts (Object) rmdir() options
+ * @param signal (AbortSignal) the operation's signal
+ * @param drivers (Array) the drivers the directory is stored on, or null for the default drivers
+ *
+ * Asynchronous; returns a Promise
+ */
+function removeDirectory(ds, path, opts, signal, drivers=null) {
 
-      if (!opts) {
-         opts = {};
+   const datastore_id = ds.datastore_id;
+   const device_id = ds.device_id;
+   const privkey_hex = ds.privkey_hex;
+   const all_device_ids = ds.datastore.device_ids;
+   const child_name = basename(path);
+
+   return getParent(path, Object.assign({}, opts, {'signal': signal, 'ds': ds}))
+   .then((parent_dir) => {
+      // no longer exists?
+      if (!Object.keys(parent_dir['idata']['children']).includes(child_name)) {
+         throw new NotFoundError(null, path);
       }
 
-      if (opts.extended) {
-         options['path'] += '&extended=1';
-         schema = MUTABLE_DATUM_EXTENDED_RESPONSE_SCHEMA;
-      }
+      const inode_uuid = parent_dir['idata']['children'][child_name]['uuid'];
 
-      if (opts.force) {
-         optsion['path'] += '&force=1';
-      }
+      // unlink
+      const new_parent_dir_inode = inodeDirUnlink(parent_dir, child_name);
+      const new_parent_info = makeDirInodeBlob( datastore_id, new_parent_dir_inode['owner'], new_parent_dir_inode['uuid'], new_parent_dir_inode['idata']['children'], device_id, new_parent_dir_inode['version'] + 1 );
+      const new_parent_sig = signDataPayload( new_parent_info['header'], privkey_hex );
 
-      if (ds.session_token) {
-         options['headers'] = {'Authorization': `bearer ${ds.session_token}`};
-      }
+      // make tombstones
+      const tombstones = makeInodeTombstones(datastore_id, inode_uuid, all_device_ids);
+      const signed_tombstones = signMutableDataTombstones(tombstones, privkey_hex);
 
-      return httpRequest(options, schema)
-      .then((response) => {
-         if (response.error || response.errno) {
-            let errorMsg = response.error || 'UNKNOWN';
-            let errorNo = response.errno || 'UNKNOWN';
-            throw new Error(`Failed to stat ${path} (errno: ${errorNo}): ${errorMsg}`);
-         }
-         else {
-            return response;
-         }
-      });
+      // post them
+      return datastoreOperation(ds, 'rmdir', path, [new_parent_info['header']], [new_parent_info['idata']], [new_parent_sig], signed_tombstones, signal, drivers);
    });
 }
 
 
 /*
- * Get an undifferentiated file or directory and its data.
- * Low-level method, not meant for external consumption.
+ * Fetch a directory's idata from Core, as it is stored (i.e. with the chunk directory).
  *
  * @param ds (Object) a datastore context
- * @param path (String) the path to the directory to list
- * @param opts (Object) optional arguments:
- *      .extended (Bool) whether or not to include the entire path's inode inforamtion
- *      .force (Bool) if True, then ignore stale inode errors.
- *      .blockchain_id (string) this is the blockchain ID of the datastore owner (if different from the session)
- *      .ds (datastore context) this is the mount context for the datastore, if different from one that we have cached
+ * @param path (String) the path to the directory
+ * @param signal (AbortSignal) the operation's signal
  *
- * Asynchronous; returns a Promise that resolves to an inode and its data, or an extended mutable datum response (if opts.extended is set)
+ * Asynchronous; returns a Promise that resolves to the directory idata
  */
-function getInode(path, opts=null) {
+function getDirectoryData(ds, path, signal) {
+   const options = {
+      'method': 'GET',
+      'scheme': ds.scheme,
+      'host': ds.host,
+      'port': ds.port,
+      'path': `/v1/stores/${ds.datastore_id}/directories?path=${escape(sanitizePath(path))}&idata=1&device_ids=${getDeviceList(ds)}&device_pubkeys=${getPublicKeyList(ds)}&blockchain_id=${ds.blockchain_id}`,
+      'signal': signal,
+   };
+
+   if (ds.session_token) {
+      options['headers'] = {'Authorization': `bearer ${ds.session_token}`};
+   }
+
+   return httpRequest(options, MUTABLE_DATUM_DIR_IDATA_SCHEMA)
+   .then((response) => checkCoreResponse(response, 'getDirectoryData', path));
+}
 
-   let blockchain_id = opts.blockchain_id;
 
-   if (!opts.blockchain_id) {
-      blockchain_id = getSessionBlockchainID();
+/*
+ * Make sure a cursor is one the given operation made for this datastore.
+ * Returns a copy of it; throws InvalidArgumentError if not.
+ */
+function checkWalkCursor(ds, cursor, operation) {
+   if (!cursor || typeof(cursor) !== 'object' || cursor.operation !== operation || cursor.datastore_id !== ds.datastore_id ||
+       !Array.isArray(cursor.queue) || !Array.isArray(cursor.deferred) ||
+       !cursor.chunk_drivers || typeof(cursor.chunk_drivers) !== 'object') {
+      throw new InvalidArgumentError(`Invalid ${operation} cursor for datastore ${ds.datastore_id}`, null, operation);
    }
 
-   return datastoreMountOrCreate()
-   .then((ds) => {
+   return JSON.parse(JSON.stringify(cursor));
+}
 
-      assert(ds);
 
-      const datastore_id = ds.datastore_id;
-      const device_list = getDeviceList(ds);
-      const device_pubkeys = getPublicKeyList(ds);
-      const options = {
-         'method': 'GET',
-         'host': ds.host,
-         'port': ds.port,
-         'path': `/v1/stores/${datastore_id}/inodes?path=${escape(sanitizePath(path))}&idata=1&device_ids=${device_list}&device_pubkeys=${device_pubkeys}&blockchain_id=${ds.blockchain_id}`,
-      };
+/*
+ * Make a cursor that walks a datastore from its root directory.
+ */
+function makeWalkCursor(ds, operation) {
+   return {'operation': operation, 'datastore_id': ds.datastore_id, 'queue': ['/'], 'deferred': [], 'chunk_drivers': {}};
+}
 
-      let schema = MUTABLE_DATUM_INODE_SCHEMA;
 
-      if (!opts) {
-         opts = {};
-      }
+/*
+ * Check the options that limit a walk (.maxInodes and .rateLimit).
+ * Throws InvalidArgumentError if they are invalid.
+ */
+function checkWalkOptions(opts, operation) {
+   const rate = opts.rateLimit || 0;
+   if (typeof(rate) !== 'number' || !(rate >= 0)) {
+      throw new InvalidArgumentError(`Invalid rate limit ${opts.rateLimit}`, null, operation);
+   }
+   if (opts.maxInodes !== undefined && (!Number.isInteger(opts.maxInodes) || opts.maxInodes < 1)) {
+      throw new InvalidArgumentError(`Invalid inode limit ${opts.maxInodes}`, null, operation);
+   }
+}
 
-      if (opts.extended) {
-         options['path'] += '&extended=1';
-         schema = MUTABLE_DATUM_EXTENDED_RESPONSE_SCHEMA;
-      }
 
-      if (opts.force) {
-         options['path'] += '&force=1';
+/*
+ * Walk a datastore's tree one inode at a time, for scrubDatastore() and migrateDatastore().
+ * The cursor is updated as the walk goes, so it can be carried on later.
+ *
+ * @param cursor (Object) the walk cursor; .queue holds the paths to visit, and .deferred the paths to visit after them
+ * @param opts (Object) the operation's options:
+ *      .maxInodes (Int) stop after visiting this many inodes
+ *      .rateLimit (Number) visit at most this many inodes per second
+ *      .onProgress (Function) called after each inode with progress(), plus the number of paths .queued
+ *              and a copy of the .cursor
+ * @param signal (AbortSignal) the operation's signal
+ * @param visit (Function) called with each path; returns a Promise that resolves to the paths of its children
+ * @param progress (Function) returns the operation's progress counters
+ *
+ * Chunks of large files are visited last, after the files that say which drivers they are on.
+ *
+ * Asynchronous; returns a Promise that resolves to true once the whole tree has been visited,
+ * or false if .maxInodes stopped the walk first.
+ */
+function walkDatastore(cursor, opts, signal, visit, progress) {
+
+   const delay = (opts.rateLimit > 0 ? 1000 / opts.rateLimit : 0);
+
+   const visitNext = (count) => {
+      if (cursor.queue.length === 0 && cursor.deferred.length > 0) {
+         cursor.queue = cursor.deferred;
+         cursor.deferred = [];
       }
 
-      if (ds.session_token) {
-         options['headers'] = {'Authorization': `bearer ${ds.session_token}`};
+      if (cursor.queue.length === 0) {
+         return true;
+      }
+      if (opts.maxInodes && count >= opts.maxInodes) {
+         return false;
       }
 
-      return httpRequest(options, schema)
-      .then((response) => {
-         if (response.error || response.errno) {
-            let errorMsg = response.error || 'UNKNOWN';
-            let errorNo = response.errno || 'UNKNOWN';
-            throw new Error(`Failed to getInode ${path} (errno: ${errorNo}): ${errorMsg}`);
+      const path = cursor.queue[0];
+      return (count > 0 && delay > 0 ? waitFor(delay, signal) : Promise.resolve())
+      .then(() => visit(path))
+      .then((children) => {
+         cursor.queue.shift();
+         for (let child of children) {
+            if (child === CHUNK_DIR) {
+               cursor.deferred.push(child);
+            }
+            else {
+               cursor.queue.push(child);
+            }
          }
-         else {
-            return response;
+
+         if (opts.onProgress) {
+            opts.onProgress(Object.assign(progress(), {
+               'queued': cursor.queue.length + cursor.deferred.length,
+               'cursor': JSON.parse(JSON.stringify(cursor)),
+            }));
          }
+
+         return visitNext(count + 1);
       });
+   };
+
+   return Promise.resolve().then(() => visitNext(0));
+}
+
+
+/*
+ * The drivers a path is stored on, if not the datastore's default drivers: its per-path drivers,
+ * or for a large file's chunk directory and chunks, its file's (once the walk has seen the file).
+ *
+ * Returns the list of drivers, or null if the default drivers apply.
+ */
+function getOwnDrivers(ds, path, cursor) {
+   path = sanitizePath(path);
+   for (let chunk_dir of [path, sanitizePath(dirname(path))]) {
+      if (sanitizePath(dirname(chunk_dir)) === CHUNK_DIR && cursor.chunk_drivers[chunk_dir]) {
+         return cursor.chunk_drivers[chunk_dir];
+      }
+   }
+   return getPathDrivers(ds, path);
+}
+
+
+/*
+ * Get the data of the newest copy of an inode, checked against its header, from a driver that has it.
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the inode's path
+ * @param newest (Object) the inode's quorumRead() result
+ * @param signal (AbortSignal) the operation's signal
+ * @param operation (String) the operation, for errors
+ *
+ * Asynchronous; returns a Promise that resolves to the data as it is signed (a directory's is its serialized idata).
+ * Rejects with NotFoundError if the inode was deleted, and InvalidCoreResponseError if the data does not match.
+ */
+function getInodeData(ds, path, newest, signal, operation) {
+   return getReplicaData(ds, path, newest, signal, operation)
+   .then((data) => (newest.header.type === MUTABLE_DATUM_DIR_TYPE ? decodeFileData(data, 'utf8') : data));
+}
+
+
+/*
+ * Get the data of the newest copy of an inode, checked against its header.
+ * A directory's children are added to the children list; a file's chunks are recorded in the cursor
+ * if the file is stored on drivers of its own.
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the inode's path
+ * @param newest (Object) the inode's quorumRead() result
+ * @param own_drivers (Array) the drivers the inode is stored on, if not the default ones
+ * @param cursor (Object) the walk cursor
+ * @param children (Array) the list to add a directory's children to
+ * @param signal (AbortSignal) the operation's signal
+ * @param operation (String) the operation, for errors
+ *
+ * Asynchronous; returns a Promise that resolves to the data as it is signed.
+ * Rejects with NotFoundError if the inode was deleted, and InvalidCoreResponseError if the data does not match.
+ */
+function getNewestData(ds, path, newest, own_drivers, cursor, children, signal, operation) {
+
+   return getInodeData(ds, path, newest, signal, operation)
+   .then((data) => {
+      if (newest.header.type === MUTABLE_DATUM_DIR_TYPE) {
+         const prefix = (path === '/' ? '' : path);
+         children.push(...Object.keys(JSON.parse(data).children).map((name) => `${prefix}/${name}`));
+      }
+      else if (own_drivers && newest.header.chunked) {
+         // a file on drivers of its own has its chunks there too
+         const manifest = parseChunkManifest(data);
+         if (!manifest) {
+            throw new InvalidCoreResponseError(`${path} is chunked, but has no valid chunk manifest`, path, operation);
+         }
+         cursor.chunk_drivers[manifest.chunk_path] = own_drivers;
+      }
+      return data;
    });
 }
 
 
 /*
- * Get a file.
+ * Sign an inode's header again with this device, as it is (same version, same data).
  *
  * @param ds (Object) a datastore context
- * @param path (String) the path to the file to read
- * @param opts (Object) optional arguments:
- *      .extended (Bool) whether or not to include the entire path's inode inforamtion
- *      .force (Bool) if True, then ignore stale inode errors.
- *      .blockchain_id (string) this is the blockchain ID of the datastore owner (if different from the session)
- *      .ds (datastore context) this is the mount context for the datastore, if different from one that we have cached
+ * @param header (Object) the inode's header
+ * @param data (String or Buffer) the inode's data, as it is signed (see getInodeData())
  *
- * Asynchronous; returns a Promise that resolves to either raw data, or an extended mutable data response schema (if opts.extended is set).
- * If the file does not exist, then the Promise resolves to null.  Any other errors result in an Error being thrown.
+ * Returns {'header': the header blob, 'payload': the base64-encoded data, 'signature': the signature}
  */
-export function getFile(path, opts={}) {
+function resignInode(ds, header, data) {
+   let header_blob = null;
+   if (header.type === MUTABLE_DATUM_DIR_TYPE) {
+      header_blob = makeDirInodeBlob(ds.datastore_id, header.owner, header.uuid, JSON.parse(data).children, ds.device_id, header.version)['header'];
+   }
+   else {
+      header_blob = makeFileInodeBlob(ds.datastore_id, header.owner, header.uuid, header.data_hash, ds.device_id, header.version, header.chunked)['header'];
+   }
+
+   return {
+      'header': header_blob,
+      'payload': Buffer.from(data).toString('base64'),
+      'signature': signDataPayload(header_blob, ds.privkey_hex),
+   };
+}
 
-   let blockchain_id = opts.blockchain_id;
 
-   if (!opts.blockchain_id) {
-      blockchain_id = getSessionBlockchainID();
+/*
+ * Write the newest version of an inode again to some drivers, i.e. ones that lag behind, through
+ * Core's usual writes: a file or directory is stored along with its parent directory, as putFile() and
+ * mkdir() do.  The root directory has no parent, so it is stored as the parent of one of its entries
+ * instead.  Whatever else is stored is written as it is.
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the inode's path
+ * @param newest (Object) the inode's quorumRead() result
+ * @param data (String or Buffer) the inode's data, as it is signed (see getInodeData())
+ * @param drivers (Array) the drivers to write to
+ * @param read_drivers (Array) the drivers the inode is stored on, to read its parent (or entry) from
+ * @param signal (AbortSignal) the operation's signal
+ * @param operation (String) the operation, for errors
+ *
+ * Asynchronous; returns a Promise that resolves once Core has stored it.
+ * Rejects with InvalidArgumentError if it is a root directory with no entries to store it with,
+ * and with a StorageError if the write fails.
+ */
+function rewriteInode(ds, path, newest, data, drivers, read_drivers, signal, operation) {
+
+   path = sanitizePath(path);
+   const inode = resignInode(ds, newest.header, data);
+
+   // the newest copy of another inode, signed again
+   const readAgain = (other_path) => {
+      let other = null;
+      return quorumRead(ds, other_path, {'quorum': 1}, signal, read_drivers)
+      .then((result) => {
+         other = result;
+         return getInodeData(ds, other_path, other, signal, operation);
+      })
+      .then((other_data) => Object.assign({'type': other.header.type}, resignInode(ds, other.header, other_data)));
+   };
+
+   if (path !== '/') {
+      const inode_operation = (newest.header.type === MUTABLE_DATUM_DIR_TYPE ? 'mkdir' : 'putFile');
+      return readAgain(dirname(path))
+      .then((parent) => {
+         return datastoreOperation(ds, inode_operation, path, [inode.header, parent.header], [inode.payload, parent.payload], [inode.signature, parent.signature], [], signal, drivers);
+      });
    }
 
-   return datastoreMountOrCreate()
-   .then((ds) => {
-      assert(ds);
+   const names = Object.keys(JSON.parse(data).children).filter((name) => !getPathDrivers(ds, `/${name}`));
+   if (names.length === 0) {
+      throw new InvalidArgumentError('The root directory has no entries on its drivers to store it with', path, operation);
+   }
 
-      const datastore_id = ds.datastore_id;
-      const device_list = getDeviceList(ds);
-      const device_pubkeys = getPublicKeyList(ds);
-      const options = {
-         'method': 'GET',
-         'host': ds.host,
-         'port': ds.port,
-         'path': `/v1/stores/${datastore_id}/files?path=${escape(sanitizePath(path))}&idata=1&device_ids=${device_list}&device_pubkeys=${device_pubkeys}&blockchain_id=${ds.blockchain_id}`,
-      };
+   const entry_path = `/${names[0]}`;
+   return readAgain(entry_path)
+   .then((entry) => {
+      const entry_operation = (entry.type === MUTABLE_DATUM_DIR_TYPE ? 'mkdir' : 'putFile');
+      return datastoreOperation(ds, entry_operation, entry_path, [entry.header, inode.header], [entry.payload, inode.payload], [entry.signature, inode.signature], [], signal, drivers);
+   });
+}
 
-      let schema = 'bytes';
 
-      if (!opts) {
-         opts = {};
+/*
+ * Scrub one inode: compare its replicas, and write the newest version again to the ones that lag (see rewriteInode()).
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the inode's path
+ * @param cursor (Object) the scrub cursor; the drivers of chunks are recorded in it
+ * @param summary (Object) the scrub summary to add to
+ * @param repair (Bool) whether or not to repair the replicas
+ * @param signal (AbortSignal) the operation's signal
+ * @param drivers (Array) the drivers to compare, if not the ones the inode is stored on
+ *
+ * Asynchronous; returns a Promise that resolves to the paths of the inode's children (empty for files).
+ * Rejects only on errors that stop the whole scrub.
+ */
+function scrubInode(ds, path, cursor, summary, repair, signal, drivers=null) {
+
+   const own_drivers = getOwnDrivers(ds, path, cursor);
+   const read_drivers = drivers || own_drivers || ds.datastore.drivers;
+   const children = [];
+   let newest = null;
+
+   return quorumRead(ds, path, {'quorum': 1}, signal, read_drivers)
+   .then((result) => {
+      newest = result;
+      summary.checked += 1;
+
+      // file data is only needed to repair it, or to find the chunks of a file on drivers of its own
+      const needs_repair = newest.report.replicas.some((r) => SCRUB_REPAIRABLE.includes(r.status));
+      if (newest.header.type !== MUTABLE_DATUM_DIR_TYPE && !(repair && needs_repair) && !(own_drivers && newest.header.chunked)) {
+         return null;
       }
 
-      if (opts.extended) {
-         options['path'] += '&extended=1';
-         schema = MUTABLE_DATUM_EXTENDED_RESPONSE_SCHEMA;
+      return getNewestData(ds, path, newest, own_drivers, cursor, children, signal, 'scrubDatastore');
+   })
+   .then((data) => {
+      const to_repair = [];
+      for (let replica of newest.report.replicas) {
+         if (replica.status === 'current') {
+            continue;
+         }
+
+         if (repair && SCRUB_REPAIRABLE.includes(replica.status)) {
+            to_repair.push(replica);
+         }
+         else {
+            summary.unrepaired.push({
+               'path': path,
+               'driver': replica.driver,
+               'status': replica.status,
+               'version': replica.version,
+               'reason': replica.error || (repair ? `replica is ${replica.status}` : 'repair is disabled'),
+            });
+         }
       }
 
-      if (opts.force) {
-         options['path'] += '&force=1';
+      if (newest.report.replicas.every((r) => r.status === 'current')) {
+         summary.consistent += 1;
       }
 
-      if (ds.session_token) {
-         options['headers'] = {'Authorization': `bearer ${ds.session_token}`};
+      if (to_repair.length === 0) {
+         return children;
       }
 
-      return httpRequest(options, schema)
-      .then((response) => {
-         if (response.error || response.errno) {
-            // ENOENT?
-            if (response.errno === ENOENT) {
-               return null;
+      const repairReplica = (i) => {
+         if (i >= to_repair.length) {
+            return Promise.resolve(children);
+         }
+
+         const replica = to_repair[i];
+         return Promise.resolve()
+         .then(() => rewriteInode(ds, path, newest, data, [replica.driver], read_drivers, signal, 'scrubDatastore'))
+         .then(() => {
+            log.info('Repaired replica', {'datastore_id': ds.datastore_id, 'path': path, 'driver': replica.driver, 'version': newest.header.version});
+            summary.repaired.push({'path': path, 'driver': replica.driver, 'status': replica.status, 'version': newest.header.version});
+         })
+         .catch((e) => {
+            if (signal && signal.aborted) {
+               throw e;
             }
+            summary.unrepaired.push({'path': path, 'driver': replica.driver, 'status': replica.status, 'version': replica.version, 'reason': e.message});
+         })
+         .then(() => repairReplica(i + 1));
+      };
+
+      return repairReplica(0);
+   })
+   .catch((e) => {
+      if (signal && signal.aborted) {
+         throw e;
+      }
+
+      if (e instanceof NotFoundError) {
+         // deleted since its directory was listed
+         summary.skipped += 1;
+         return [];
+      }
+
+      if (e instanceof RemoteIOError || e instanceof InvalidCoreResponseError) {
+         // its children (if any) cannot be listed
+         log.warn('Failed to scrub inode', {'datastore_id': ds.datastore_id, 'path': path, 'error': e.message});
+         summary.unrepaired.push({'path': path, 'driver': null, 'status': 'error', 'version': null, 'reason': e.message});
+         return [];
+      }
+
+      throw e;
+   });
+}
+
+
+/*
+ * Scrub a datastore: walk its tree from the root directory, compare the version and data hash of
+ * each inode across every driver it is stored on, and write the newest version again (with the same
+ * version and data, signed by this device) to the drivers that lag behind, miss it, or have a badly-signed copy.
+ *
+ * @param ds (Object) the datastore's mount context (the session's datastore if null)
+ * @param opts (Object) optional arguments:
+ *      .cursor (Object) carry on from where an earlier scrub stopped (its summary's .cursor)
+ *      .maxInodes (Int) stop after checking this many inodes; the summary has a cursor to carry on with
+ *      .rateLimit (Number) check at most this many inodes per second
+ *      .repair (Bool) set to false to only report on the replicas.  Read-only mounts are never repaired.
+ *      .onProgress (Function) called after each inode with {'checked', 'repaired', 'unrepaired', 'queued', 'cursor'},
+ *              where cursor can be passed as .cursor to carry on if this scrub is cancelled
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *      .timeout (Int) give up after this many milliseconds
+ *
+ * Chunks of large files are scrubbed last, after the files that say which drivers they are on.
+ *
+ * Asynchronous; returns a Promise that resolves to a summary:
+ *      .datastore_id (String) the datastore's ID
+ *      .complete (Bool) whether or not the whole tree has been scrubbed
+ *      .cursor (Object) if not complete, pass this as .cursor to carry on
+ *      .checked (Int) how many inodes were checked
+ *      .consistent (Int) how many of them were current on every driver
+ *      .skipped (Int) how many were deleted while the scrub ran
+ *      .repaired (Array) the replicas repaired, as {'path': ..., 'driver': ..., 'status': ..., 'version': ...}
+ *      .unrepaired (Array) the problems left, as {'path': ..., 'driver': ..., 'status': ..., 'version': ..., 'reason': ...}
+ *              (driver is null if no replica of the inode could be read)
+ * Rejects with InvalidArgumentError if an option is invalid, and with a StorageError if the scrub cannot go on.
+ */
+export function scrubDatastore(ds, opts={}) {
+
+   return storageOperation('scrubDatastore', '/', opts, (signal, metrics) => {
+
+      checkWalkOptions(opts, 'scrubDatastore');
+
+      return withDatastore(Object.assign({}, opts, {'ds': ds || opts.ds}), signal, (datastore_ctx) => {
+
+         const cursor = (opts.cursor ? checkWalkCursor(datastore_ctx, opts.cursor, 'scrubDatastore') :
+            makeWalkCursor(datastore_ctx, 'scrubDatastore'));
+
+         const repair = (opts.repair !== false && !datastore_ctx.read_only);
+         const summary = {
+            'datastore_id': datastore_ctx.datastore_id,
+            'complete': false,
+            'cursor': null,
+            'checked': 0,
+            'consistent': 0,
+            'skipped': 0,
+            'repaired': [],
+            'unrepaired': [],
+         };
+
+         const progress = () => ({
+            'checked': summary.checked,
+            'repaired': summary.repaired.length,
+            'unrepaired': summary.unrepaired.length,
+         });
 
-            // some other error
-            let errorMsg = response.error || 'UNKNOWN';
-            let errorNo = response.errno || 'UNKNOWN';
-            throw new Error(`Failed to getFile ${path} (errno: ${errorNo}): ${errorMsg}`);
-         }
-         else {
-            return response;
-         }
+         return walkDatastore(cursor, opts, signal, (path) => scrubInode(datastore_ctx, path, cursor, summary, repair, signal), progress)
+         .then((complete) => {
+            summary.complete = complete;
+            summary.cursor = (complete ? null : cursor);
+            metrics['checked'] = summary.checked;
+            metrics['repaired'] = summary.repaired.length;
+            return summary;
+         });
       });
    });
 }
 
 
 /*
- * Execute a datastore operation
+ * Repair the writes that drivers missed, because they were down or failed (see getPendingRepairs()):
+ * write the newest version of each path again to the drivers that lag behind, as scrubDatastore() does.
  *
- * @param ds (Object) a datastore context
- * @param operation (String) the specific operation being carried out.
- * @param path (String) the path of the operation
- * @param inodes (Array) the list of inode headers to replicate
- * @param payloads (Array) the list of inode payloads in 1-to-1 correspondence to the headers
- * @param signatures (Array) the list of signatures over each inode header (also 1-to-1 correspondence)
- * @param tombstones (Array) the list of signed inode tombstones
+ * @param opts (Object) optional arguments:
+ *      .ds (Object) the datastore's mount context (the session's datastore if not given)
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *      .timeout (Int) give up after this many milliseconds
  *
- * Asynchronous; returns a Promise that resolves to True if the operation succeeded
+ * A path stays queued until all of its drivers are current.
+ *
+ * Asynchronous; returns a Promise that resolves to a summary:
+ *      .datastore_id (String) the datastore's ID
+ *      .checked, .consistent, .skipped, .repaired, .unrepaired: as for scrubDatastore()
+ *      .pending (Int) how many paths are still queued for repair
+ * Rejects with ReadOnlyError if the datastore was mounted read-only, and with a StorageError if the repair cannot go on.
  */
-function datastoreOperation(ds, operation, path, inodes, payloads, signatures, tombstones) {
-
-   let request_path = null;
-   let http_operation = null;
-   const datastore_id = ds.datastore_id;
-   const datastore_privkey = ds.privkey_hex;
-   const device_list = getDeviceList(ds);
-   const device_pubkeys = getPublicKeyList(ds);
-
-   assert(inodes.length === payloads.length);
-   assert(payloads.length === signatures.length);
-
-   if (operation === 'mkdir') {
-      request_path = `/v1/stores/${datastore_id}/directories?path=${escape(sanitizePath(path))}&device_ids=${device_list}&device_pubkeys=${device_pubkeys}&blockchain_id=${ds.blockchain_id}`;
-      http_operation = 'POST';
+export function repairPendingWrites(opts={}) {
+
+   return storageOperation('repairPendingWrites', null, opts, (signal, metrics) => {
+      return withDatastore(opts, signal, (datastore_ctx) => {
+         checkWritable(datastore_ctx, null);
+
+         const cursor = makeWalkCursor(datastore_ctx, 'repairPendingWrites');
+         const pending = getPendingRepairs(datastore_ctx.datastore_id);
+         const summary = {
+            'datastore_id': datastore_ctx.datastore_id,
+            'checked': 0,
+            'consistent': 0,
+            'skipped': 0,
+            'repaired': [],
+            'unrepaired': [],
+            'pending': 0,
+         };
+
+         const repairNext = (i) => {
+            if (i >= pending.length) {
+               return Promise.resolve();
+            }
 
-      assert(inodes.length === 2);
-   }
-   else if (operation === 'putFile') {
-      request_path = `/v1/stores/${datastore_id}/files?path=${escape(sanitizePath(path))}&device_ids=${device_list}&device_pubkeys=${device_pubkeys}&blockchain_id=${ds.blockchain_id}`;
-      http_operation = 'PUT';
+            const entry = pending[i];
+            const unrepaired = summary.unrepaired.length;
+
+            return scrubInode(datastore_ctx, entry.path, cursor, summary, true, signal, entry.stored_on)
+            .then(() => {
+               if (summary.unrepaired.length === unrepaired) {
+                  clearPendingRepair(datastore_ctx.datastore_id, entry.path);
+               }
+               return repairNext(i + 1);
+            });
+         };
+
+         return repairNext(0)
+         .then(() => {
+            summary.pending = getPendingRepairs(datastore_ctx.datastore_id).length;
+            metrics['repaired'] = summary.repaired.length;
+            return summary;
+         });
+      });
+   });
+}
 
-      assert(inodes.length === 1 || inodes.length === 2);
-   }
-   else if (operation === 'rmdir') {
-      request_path = `/v1/stores/${datastore_id}/directories?path=${escape(sanitizePath(path))}&device_pubkeys=${device_pubkeys}&device_ids=${device_list}&blockchain_id=${ds.blockchain_id}`;
-      http_operation = 'DELETE';
 
-      assert(inodes.length === 1);
-      assert(tombstones.length >= 1);
-   }
-   else if (operation === 'deleteFile') {
-      request_path = `/v1/stores/${datastore_id}/files?path=${escape(sanitizePath(path))}&device_pubkeys=${device_pubkeys}&device_ids=${device_list}&blockchain_id=${ds.blockchain_id}`;
-      http_operation = 'DELETE';
+/*
+ * Copy one inode to the drivers a datastore is migrating to, and check that they have it.
+ * Inodes that are stored on drivers of their own are left where they are.
+ *
+ * @param ds (Object) a datastore context
+ * @param path (String) the inode's path
+ * @param cursor (Object) the migration cursor
+ * @param summary (Object) the migration summary to add to
+ * @param signal (AbortSignal) the operation's signal
+ *
+ * Asynchronous; returns a Promise that resolves to the paths of the inode's children (empty for files).
+ * Rejects with RemoteIOError if a driver does not have the inode after it was copied.
+ */
+function migrateCopyInode(ds, path, cursor, summary, signal) {
 
-      assert(inodes.length === 1);
-      assert(tombstones.length >= 1);
-   }
-   else {
-      console.log(`invalid operation ${operation}`);
-      throw new Error(`Invalid operation ${operation}`);
-   }
+   const own_drivers = getOwnDrivers(ds, path, cursor);
+   const targets = cursor.drivers.filter((driver) => !cursor.old_drivers.includes(driver));
+   const children = [];
+   let newest = null;
 
-   const options = {
-      'method': http_operation,
-      'host': ds.host,
-      'port': ds.port,
-      'path': request_path,
+   const isCopied = (replica) => {
+      return replica.status === 'valid' && replica.header.version === newest.header.version && replica.header.data_hash === newest.header.data_hash;
    };
 
-   if (ds.session_token) {
-      options['headers'] = {'Authorization': `bearer ${ds.session_token}`};
-   }
+   return quorumRead(ds, path, {'quorum': 1}, signal, own_drivers || cursor.old_drivers)
+   .then((result) => {
+      newest = result;
+      summary.checked += 1;
+      return getNewestData(ds, path, newest, own_drivers, cursor, children, signal, 'migrateDatastore');
+   })
+   .then((data) => {
+      if (own_drivers) {
+         return children;
+      }
 
-   const datastore_str = JSON.stringify(ds.datastore);
-   const datastore_sig = signRawData( datastore_str, datastore_privkey );
+      const copyTo = (i) => {
+         if (i >= targets.length) {
+            return Promise.resolve(children);
+         }
 
-   const body_struct = {
-      'inodes': inodes,
-      'payloads': payloads,
-      'signatures': signatures,
-      'tombstones': tombstones,
-      'datastore_str': datastore_str,
-      'datastore_sig': datastore_sig,
-   }
+         const driver = targets[i];
+         return getReplicaHeader(ds, path, newest.header.uuid, driver, signal)
+         .then((replica) => {
+            if (isCopied(replica)) {
+               // copied before this migration was interrupted
+               return null;
+            }
 
-   const body = JSON.stringify(body_struct);
-   options['headers']['Content-Type'] = 'application/json';
-   options['headers']['Content-Length'] = body.length;
+            return Promise.resolve()
+            .then(() => rewriteInode(ds, path, newest, data, [driver], cursor.old_drivers, signal, 'migrateDatastore'))
+            .then(() => getReplicaHeader(ds, path, newest.header.uuid, driver, signal))
+            .then((copy) => {
+               if (!isCopied(copy)) {
+                  throw new RemoteIOError(`Driver ${driver} does not have version ${newest.header.version} of ${path} after it was copied`, path, 'migrateDatastore');
+               }
+               summary.copied += 1;
+            });
+         })
+         .then(() => copyTo(i + 1));
+      };
 
-   return httpRequest(options, SUCCESS_FAIL_SCHEMA, body)
-   .then((response) => {
-      if (response.error || response.errno) {
-         let errorMsg = response.error || 'UNKNOWN';
-         let errorNo = response.errno || 'UNKNOWN';
-         throw new Error(`Failed to ${operation} ${path} (errno: ${errorNo}): ${errorMsg}`);
+      return copyTo(0);
+   })
+   .catch((e) => {
+      if (e instanceof InvalidArgumentError && path === '/') {
+         // an empty root directory goes to the new drivers with the datastore record (see datastoreUpdateRecord())
+         return children;
       }
-      else {
-         return true;
+      if (e instanceof NotFoundError && !(signal && signal.aborted)) {
+         // deleted since its directory was listed
+         summary.skipped += 1;
+         return [];
       }
+      throw e;
    });
 }
 
 
 /*
- * Given a path, get its parent directory
- * Make sure it's a directory.
+ * Check that every new driver has the newest version of one inode, before anything is removed from
+ * the old drivers.  Inodes that are stored on drivers of their own are left where they are.
  *
- * @param ds (Object) a datastore context
- * @param path (String) the path to the inode in question
- * @param opts (Object) lookup options
- *      .extended (Bool) whether or not to include the entire path's inode inforamtion
- *      .force (Bool) if True, then ignore stale inode errors.
- *      .blockchain_id (string) this is the blockchain ID of the datastore owner (if different from the session)
- *      .ds (datastore context) this is the mount context for the datastore, if different from one that we have cached
+ * @param ds (Object) a datastore context, with the new drivers
+ * @param path (String) the inode's path
+ * @param cursor (Object) the migration cursor; paths that are not on every new driver are added to .unverified
+ * @param summary (Object) the migration summary to add to
+ * @param signal (AbortSignal) the operation's signal
  *
- * Asynchronous; returns a Promise
+ * Asynchronous; returns a Promise that resolves to the paths of the inode's children (empty for files).
  */
-function getParent(path, opts={}) {
-   const dirpath = dirname(path);
-   return getInode(dirpath, opts)
-   .then((inode) => {
-      if (!inode) {
-         return {'error': 'Failed to get parent', 'errno': EREMOTEIO};
+function migrateVerifyInode(ds, path, cursor, summary, signal) {
+
+   const own_drivers = getOwnDrivers(ds, path, cursor);
+   const children = [];
+   let newest = null;
+
+   return quorumRead(ds, path, {'quorum': 1}, signal, own_drivers || cursor.drivers)
+   .then((result) => {
+      newest = result;
+      summary.checked += 1;
+
+      if (!own_drivers && !newest.report.replicas.every((r) => r.status === 'current')) {
+         // the old drivers may have the only good copy
+         cursor.unverified.push(path);
+         summary.failed.push({'path': path, 'reason': `not every new driver has version ${newest.header.version}`});
       }
-      if (inode.type !== MUTABLE_DATUM_DIR_TYPE) {
-         return {'error': 'Not a directory', 'errno': ENOTDIR}
+
+      if (newest.header.type !== MUTABLE_DATUM_DIR_TYPE && !(own_drivers && newest.header.chunked)) {
+         return children;
       }
-      else {
-         return inode;
+      return getNewestData(ds, path, newest, own_drivers, cursor, children, signal, 'migrateDatastore')
+      .then(() => children);
+   })
+   .catch((e) => {
+      if (e instanceof NotFoundError && !(signal && signal.aborted)) {
+         // its directory on the new drivers links to it, so it is missing rather than deleted
+         cursor.unverified.push(path);
+         summary.failed.push({'path': path, 'reason': 'no new driver has it'});
+         return [];
       }
-   },
-   (error_resp) => {
-      return {'error': 'Failed to get inode', 'errno': EREMOTEIO};
+      throw e;
    });
 }
 
 
 /*
- * Create or update a file
+ * Unlink an inode from its parent directory on the drivers a datastore migrated away from, and tombstone it
+ * there, through Core's usual deleteFile and rmdir writes with those drivers named.  The parent directory
+ * is read from those drivers too, so the new drivers are not touched.
  *
  * @param ds (Object) a datastore context
- * @param path (String) the path to the file to create (must not exist)
- * @param file_buffer (Buffer or String) the file contents
- * @param opts (Object) lookup options
- *      .extended (Bool) whether or not to include the entire path's inode inforamtion
- *      .force (Bool) if True, then ignore stale inode errors.
- *      .blockchain_id (string) this is the blockchain ID of the datastore owner (if different from the session)
- *      .ds (datastore context) this is the mount context for the datastore, if different from one that we have cached
+ * @param path (String) the inode's path (not the root directory)
+ * @param inode_type (Int) MUTABLE_DATUM_FILE_TYPE or MUTABLE_DATUM_DIR_TYPE
+ * @param drivers (Array) the old drivers
+ * @param signal (AbortSignal) the operation's signal
  *
- * Asynchronous; returns a Promise
+ * Asynchronous; returns a Promise that resolves to true if it was removed, or false if the old drivers do not link to it.
  */
-export function putFile(path, file_buffer, opts={}) {
+function removeFromDrivers(ds, path, inode_type, drivers, signal) {
+
+   const parent_path = dirname(path);
+   const child_name = basename(path);
+   let parent = null;
+
+   return quorumRead(ds, parent_path, {'quorum': 1}, signal, drivers)
+   .then((result) => {
+      parent = result;
+      return getInodeData(ds, parent_path, parent, signal, 'migrateDatastore');
+   })
+   .then((parent_data) => {
+      const children = JSON.parse(parent_data).children;
+      if (!children[child_name]) {
+         return false;
+      }
 
-   let blockchain_id = opts.blockchain_id;
+      const inode_uuid = children[child_name]['uuid'];
+      delete children[child_name];
 
-   if (!opts.blockchain_id) {
-      blockchain_id = getSessionBlockchainID();
-   }
+      const new_parent_info = makeDirInodeBlob(ds.datastore_id, parent.header.owner, parent.header.uuid, children, ds.device_id, parent.header.version + 1);
+      const new_parent_sig = signDataPayload(new_parent_info['header'], ds.privkey_hex);
+      const tombstones = signMutableDataTombstones(makeInodeTombstones(ds.datastore_id, inode_uuid, ds.datastore.device_ids), ds.privkey_hex);
+      const operation = (inode_type === MUTABLE_DATUM_DIR_TYPE ? 'rmdir' : 'deleteFile');
 
-   return datastoreMountOrCreate()
-   .then((ds) => {
+      return datastoreOperation(ds, operation, path, [new_parent_info['header']], [new_parent_info['idata']], [new_parent_sig], tombstones, signal, drivers)
+      .then(() => true);
+   });
+}
 
-      assert(ds);
 
-      const datastore_id = ds.datastore_id;
-      const device_id = ds.device_id;
-      const privkey_hex = ds.privkey_hex;
+/*
+ * Remove one inode from the drivers a datastore migrated away from, once every new driver is known to have it
+ * (see migrateVerifyInode()).  Files are removed as they are visited; directories are removed once their
+ * entries are (see migrateRemoveDirectories()), so they are queued in the cursor's .dirs.
+ * Inodes that are stored on drivers of their own are left where they are.
+ *
+ * @param ds (Object) a datastore context, with the new drivers
+ * @param path (String) the inode's path
+ * @param cursor (Object) the migration cursor
+ * @param summary (Object) the migration summary to add to
+ * @param signal (AbortSignal) the operation's signal
+ *
+ * Asynchronous; returns a Promise that resolves to the paths of the inode's children (empty for files).
+ */
+function migrateRemoveInode(ds, path, cursor, summary, signal) {
 
-      path = sanitizePath(path);
-      const child_name = basename(path);
+   const own_drivers = getOwnDrivers(ds, path, cursor);
+   const old_drivers = cursor.old_drivers.filter((driver) => !cursor.drivers.includes(driver));
+   const children = [];
+   let newest = null;
 
-      assert(typeof(file_buffer) === 'string' || (file_buffer instanceof Buffer));
+   return quorumRead(ds, path, {'quorum': 1}, signal, own_drivers || old_drivers)
+   .then((result) => {
+      newest = result;
+      summary.checked += 1;
 
-      // get parent dir
-      return getParent(path, opts)
-      .then((parent_dir) => {
-         if (parent_dir.error) {
-            return parent_dir;
-         }
+      if (newest.header.type === MUTABLE_DATUM_DIR_TYPE || (own_drivers && newest.header.chunked)) {
+         return getNewestData(ds, path, newest, own_drivers, cursor, children, signal, 'migrateDatastore');
+      }
+      return null;
+   })
+   .then(() => {
+      if (own_drivers) {
+         return children;
+      }
 
-         // make the file inode information
-         let file_payload = file_buffer;
-         let file_hash = null;
-         if (typeof(file_payload) !== 'string') {
-            // buffer
-            file_payload = file_buffer.toString('base64');
-            file_hash = hashDataPayload( file_buffer.toString() );
-         }
-         else {
-            // string
-            file_payload = Buffer.from(file_buffer).toString('base64');
-            file_hash = hashDataPayload( file_buffer );
+      if (newest.header.type === MUTABLE_DATUM_DIR_TYPE) {
+         if (path !== '/') {
+            cursor.dirs.push(path);
          }
+         return children;
+      }
 
-         assert(file_hash);
-
-         let inode_uuid = null;
-         let new_parent_dir_inode = null;
-         let child_version = null;
-
-         // new or existing?
-         if (Object.keys(parent_dir['idata']['children']).includes(child_name)) {
+      return removeFromDrivers(ds, path, MUTABLE_DATUM_FILE_TYPE, old_drivers, signal)
+      .then((removed) => {
+         summary.removed += (removed ? 1 : 0);
+         return children;
+      });
+   })
+   .catch((e) => {
+      if (e instanceof NotFoundError && !(signal && signal.aborted)) {
+         // deleted since its directory was listed, or already removed
+         summary.skipped += 1;
+         return [];
+      }
+      throw e;
+   });
+}
 
-            // existing; no directory change
-            inode_uuid = parent_dir['idata']['children'][child_name]['uuid'];
-            new_parent_dir_inode = inodeDirLink(parent_dir, MUTABLE_DATUM_FILE_TYPE, child_name, inode_uuid, true );
-         }
-         else {
 
-            // new
-            inode_uuid = uuid4();
-            new_parent_dir_inode = inodeDirLink(parent_dir, MUTABLE_DATUM_FILE_TYPE, child_name, inode_uuid, false );
-         }
+/*
+ * Remove the directories queued in the cursor's .dirs from the old drivers, deepest first, once the
+ * remove walk is done.  A directory that still has entries there (ones stored on drivers of their own)
+ * is left, and so is the root directory, which lives as long as the datastore.
+ *
+ * Asynchronous; returns a Promise that resolves once the queue is empty.
+ */
+function migrateRemoveDirectories(ds, cursor, summary, signal) {
 
-         const version = getChildVersion(parent_dir, child_name);
-         const inode_info = makeFileInodeBlob( datastore_id, datastore_id, inode_uuid, file_hash, device_id, version );
-         const inode_sig = signDataPayload( inode_info['header'], privkey_hex );
+   const old_drivers = cursor.old_drivers.filter((driver) => !cursor.drivers.includes(driver));
 
-         // make the directory inode information
-         const new_parent_info = makeDirInodeBlob( datastore_id, new_parent_dir_inode['owner'], new_parent_dir_inode['uuid'], new_parent_dir_inode['idata']['children'], device_id, new_parent_dir_inode['version'] + 1);
-         const new_parent_sig = signDataPayload( new_parent_info['header'], privkey_hex );
+   const removeNext = () => {
+      if (cursor.dirs.length === 0) {
+         return Promise.resolve();
+      }
 
-         // post them
-         const new_parent_info_b64 = new Buffer(new_parent_info['idata']).toString('base64');
-         return datastoreOperation(ds, 'putFile', path, [inode_info['header'], new_parent_info['header']], [file_payload, new_parent_info_b64], [inode_sig, new_parent_sig], []);
+      const path = cursor.dirs[cursor.dirs.length - 1];
+      return quorumRead(ds, path, {'quorum': 1}, signal, old_drivers)
+      .then((newest) => getInodeData(ds, path, newest, signal, 'migrateDatastore'))
+      .then((dir_data) => {
+         if (Object.keys(JSON.parse(dir_data).children).length > 0) {
+            return false;
+         }
+         return removeFromDrivers(ds, path, MUTABLE_DATUM_DIR_TYPE, old_drivers, signal);
+      })
+      .catch((e) => {
+         if (e instanceof NotFoundError && !(signal && signal.aborted)) {
+            return false;
+         }
+         throw e;
+      })
+      .then((removed) => {
+         summary.removed += (removed ? 1 : 0);
+         cursor.dirs.pop();
+         return removeNext();
       });
-   });
+   };
+
+   return removeNext();
 }
 
 
 /*
- * Create a directory.
+ * Migrate a datastore to a new set of drivers, i.e. from ['disk'] to ['dropbox', 's3'].
  *
- * @param ds (Object) datastore context
- * @param path (String) path to the directory
- * @param opts (object) optional arguments
- *      .blockchain_id (string) this is the blockchain ID of the datastore owner (if different from the session)
- *      .ds (datastore context) this is the mount context for the datastore, if different from one that we have cached
+ * The migration copies every inode (with the same version and data) to the new drivers and checks that
+ * they have it, then signs the datastore record again with the new drivers and a bumped version (see
+ * datastoreUpdateRecord()).  Each driver is read at its URL (see setDriverURLs()), so the old and new
+ * drivers all need one.  With .removeOld,
+ * it then walks the datastore again to check that every new driver still has every inode, and only once
+ * that whole walk passes does it remove each inode from the drivers that were dropped (through the usual
+ * deleteFile and rmdir writes, with those drivers named).  If an inode is missing from a new driver,
+ * nothing is removed: the summary lists it in .failed, and the next run checks again.  The root directory
+ * is left (empty) on the old drivers, since it lives as long as the datastore does.
+ * Inodes under a path with drivers of its own (see setPathDrivers()) are left where they are.
+ * Writes made while the copy runs may not reach the new drivers, so hold them off until it is done.
  *
- * Asynchronous; returns a Promise
+ * @param drivers (Array) the new drivers; they must be in the session's storage classification
+ * @param opts (Object) optional arguments:
+ *      .ds (datastore context) the datastore to migrate, if not the session's own
+ *      .blockchain_id (String) the blockchain ID whose mounted datastore to migrate
+ *      .persistence (Object) the persistence adapter whose cached mount contexts to update
+ *      .removeOld (Bool) remove the data from the drivers that were dropped
+ *      .cursor (Object) carry on from where an interrupted migration stopped (its summary's, or its last progress report's, .cursor)
+ *      .maxInodes (Int) stop after this many inodes; the summary has a cursor to carry on with
+ *      .rateLimit (Number) visit at most this many inodes per second
+ *      .onProgress (Function) called after each inode (and when the record is updated) with
+ *              {'phase', 'checked', 'copied', 'removed', 'queued', 'cursor'}
+ *      .signal (AbortSignal) cancel the operation when this signal is aborted
+ *      .timeout (Int) give up after this many milliseconds
+ *
+ * Asynchronous; returns a Promise that resolves to a summary:
+ *      .datastore_id (String) the datastore's ID
+ *      .complete (Bool) whether or not the migration is done
+ *      .cursor (Object) if not complete, pass this as .cursor to carry on
+ *      .phase (String) 'copy' (copying to the new drivers), 'verify' (checking the new drivers before anything is removed),
+ *              'remove' (removing from the old ones) or 'done'
+ *      .checked (Int) how many inodes were visited
+ *      .copied (Int) how many inode copies were made
+ *      .removed (Int) how many inodes were removed from the old drivers
+ *      .skipped (Int) how many inodes were deleted while the migration ran
+ *      .failed (Array) the inodes that kept the old drivers' data from being removed, as {'path': ..., 'reason': ...}
+ *      .context (Object) the datastore's mount context; it has the new drivers once the record is updated
+ * Rejects with InvalidArgumentError if the drivers or an option are invalid or a driver has no URL, ReadOnlyError
+ * if the datastore was mounted without its private key, RemoteIOError if an inode could not be copied, and with a
+ * StorageError on all other errors.
  */
-export function mkdir(path, opts={}) {
-
-   let blockchain_id = opts.blockchain_id;
-
-   if (!opts.blockchain_id) {
-      blockchain_id = getSessionBlockchainID();
-   }
+export function migrateDatastore(drivers, opts={}) {
 
-   return datastoreMountOrCreate()
-   .then((ds) => {
+   return storageOperation('migrateDatastore', '/', opts, (signal, metrics) => {
 
-      assert(ds);
+      checkWalkOptions(opts, 'migrateDatastore');
 
-      const datastore_id = ds.datastore_id;
-      const device_id = ds.device_id;
-      const privkey_hex = ds.privkey_hex;
+      return withDatastore(opts, signal, (ds) => {
+         assert(ds);
+         checkWritable(ds, '/');
 
-      path = sanitizePath(path);
-      const child_name = basename(path);
+         const known_drivers = (ds.session ? getSessionDrivers(ds.session) : null);
+         if (!Array.isArray(drivers) || drivers.length === 0 ||
+             drivers.some((driver) => typeof(driver) !== 'string' || (known_drivers && !known_drivers.has(driver)))) {
+            throw new InvalidArgumentError(`Invalid drivers ${drivers}`, null, 'migrateDatastore');
+         }
 
-      return getParent(path, opts)
-      .then((parent_dir) => {
-         if (parent_dir.error) {
-            return parent_dir;
+         let cursor = null;
+         if (opts.cursor) {
+            cursor = checkWalkCursor(ds, opts.cursor, 'migrateDatastore');
+            if (jsonStableSerialize(cursor.drivers) !== jsonStableSerialize(drivers)) {
+               throw new InvalidArgumentError('Cursor is for a migration to other drivers', null, 'migrateDatastore');
+            }
+            if (!Array.isArray(cursor.unverified) || !Array.isArray(cursor.dirs)) {
+               throw new InvalidArgumentError(`Invalid migrateDatastore cursor for datastore ${ds.datastore_id}`, null, 'migrateDatastore');
+            }
+         }
+         else {
+            cursor = Object.assign(makeWalkCursor(ds, 'migrateDatastore'), {
+               'phase': (jsonStableSerialize(ds.datastore.drivers) === jsonStableSerialize(drivers) ? 'done' : 'copy'),
+               'old_drivers': ds.datastore.drivers,
+               'drivers': drivers,
+               'unverified': [],
+               'dirs': [],
+            });
          }
 
-         // must not exist
-         if (Object.keys(parent_dir['idata']['children']).includes(child_name)) {
-            return {'error': 'File or directory exists', 'errno': EEXIST};
+         // every copy is read back from its driver, at the URL the driver serves data under
+         const unserved = cursor.old_drivers.concat(cursor.drivers).filter((driver) => !getDriverURL(driver));
+         if (cursor.phase !== 'done' && unserved.length > 0) {
+            throw new InvalidArgumentError(`Drivers ${unserved.join(', ')} have no URLs to read copies at (see setDriverURLs())`, null, 'migrateDatastore');
          }
 
-         // make the directory inode information
-         const inode_uuid = uuid4();
-         const inode_info = makeDirInodeBlob( datastore_id, datastore_id, inode_uuid, {}, device_id);
-         const inode_sig = signDataPayload( inode_info['header'], privkey_hex );
+         const summary = {
+            'datastore_id': ds.datastore_id,
+            'complete': false,
+            'cursor': null,
+            'phase': cursor.phase,
+            'checked': 0,
+            'copied': 0,
+            'removed': 0,
+            'skipped': 0,
+            'failed': [],
+            'context': ds,
+         };
+
+         const progress = () => ({
+            'phase': cursor.phase,
+            'checked': summary.checked,
+            'copied': summary.copied,
+            'removed': summary.removed,
+         });
 
-         // make the new parent directory information
-         const new_parent_dir_inode = inodeDirLink(parent_dir, MUTABLE_DATUM_DIR_TYPE, child_name, inode_uuid);
-         const new_parent_info = makeDirInodeBlob( datastore_id, new_parent_dir_inode['owner'], new_parent_dir_inode['uuid'], new_parent_dir_inode['idata']['children'], device_id, new_parent_dir_inode['version'] + 1);
-         const new_parent_sig = signDataPayload( new_parent_info['header'], privkey_hex );
+         const finish = (complete) => {
+            summary.complete = complete;
+            summary.cursor = (complete ? null : cursor);
+            summary.phase = cursor.phase;
+            summary.context = ds;
+            metrics['copied'] = summary.copied;
+            metrics['removed'] = summary.removed;
+            return summary;
+         };
+
+         const updateRecord = () => {
+            const next_phase = (opts.removeOld && cursor.old_drivers.some((driver) => !drivers.includes(driver)) ? 'verify' : 'done');
+            const switched = (jsonStableSerialize(ds.datastore.drivers) === jsonStableSerialize(drivers) ?
+               Promise.resolve(ds) :
+               datastoreUpdateRecord(ds, (record) => Object.assign({}, record, {'drivers': drivers}), ds.app_public_keys, [], opts.persistence, signal));
+
+            return switched.then((new_ds) => {
+               log.info('Migrated datastore', {'operation': 'migrateDatastore', 'datastore_id': ds.datastore_id, 'drivers': drivers, 'old_drivers': cursor.old_drivers});
+               ds = new_ds;
+               cursor.phase = next_phase;
+               cursor.queue = ['/'];
+               cursor.deferred = [];
+
+               if (opts.onProgress) {
+                  opts.onProgress(Object.assign(progress(), {'queued': 1, 'cursor': JSON.parse(JSON.stringify(cursor))}));
+               }
+            });
+         };
+
+         const runPhase = () => {
+            if (cursor.phase === 'done') {
+               return finish(true);
+            }
 
-         // post them
-         return datastoreOperation(ds, 'mkdir', path, [inode_info['header'], new_parent_info['header']], [inode_info['idata'], new_parent_info['idata']], [inode_sig, new_parent_sig], []);
+            const visitors = {
+               'copy': (path) => migrateCopyInode(ds, path, cursor, summary, signal),
+               'verify': (path) => migrateVerifyInode(ds, path, cursor, summary, signal),
+               'remove': (path) => migrateRemoveInode(ds, path, cursor, summary, signal),
+            };
+
+            return walkDatastore(cursor, opts, signal, visitors[cursor.phase], progress)
+            .then((complete) => {
+               if (!complete) {
+                  return finish(false);
+               }
+               if (cursor.phase === 'copy') {
+                  return updateRecord().then(runPhase);
+               }
+
+               cursor.queue = ['/'];
+               cursor.deferred = [];
+
+               if (cursor.phase === 'verify') {
+                  if (cursor.unverified.length > 0) {
+                     // check the whole tree again next time
+                     log.warn('Not removing data from the old drivers; new drivers are missing inodes',
+                              {'operation': 'migrateDatastore', 'datastore_id': ds.datastore_id, 'paths': cursor.unverified});
+                     cursor.unverified = [];
+                     return finish(false);
+                  }
+
+                  cursor.phase = 'remove';
+                  return runPhase();
+               }
+
+               return migrateRemoveDirectories(ds, cursor, summary, signal)
+               .then(() => {
+                  cursor.phase = 'done';
+                  return finish(true);
+               });
+            });
+         };
+
+         return runPhase();
       });
    });
 }
 
 
 /*
- * Delete a file
- *
- * @param ds (Object) datastore context
- * @param path (String) path to the directory
- * @param opts (Object) options for this call
- *      .blockchain_id (string) this is the blockchain ID of the datastore owner (if different from the session)
- *      .ds (datastore context) this is the mount context for the datastore, if different from one that we have cached
+ * A mounted datastore.
  *
- * Asynchronous; returns a Promise
+ * Each Datastore keeps its own mount context, so several of them (i.e. for different
+ * app keys or sessions) can be used side by side without touching localStorage.
+ * A Datastore can also be given its own persistence adapter, in which case its session
+ * and mount context are kept there.
+ * The methods take the same arguments as the free functions of the same name.
  */
-export function deleteFile(path, opts={}) {
-
-   let blockchain_id = opts.blockchain_id;
-
-   if (!opts.blockchain_id) {
-      blockchain_id = getSessionBlockchainID();
+export class Datastore {
+
+   /*
+    * @param datastore_ctx (Object) a datastore mount context, as returned by datastoreMount()
+    * @param opts (Object) optional arguments:
+    *      .persistence (Object) the persistence adapter this datastore's operations use
+    *      .onSessionExpired (Function) supplies a fresh session token when this datastore's expires,
+    *              or Core turns it down
+    */
+   constructor(datastore_ctx, opts={}) {
+      this.persistence = opts.persistence || null;
+      this.onSessionExpired = opts.onSessionExpired || null;
+      this.setContext(datastore_ctx);
    }
 
-   return datastoreMountOrCreate()
-   .then((ds) => {
+   setContext(datastore_ctx) {
+      assert(datastore_ctx);
 
-      assert(ds);
+      this.context = datastore_ctx;
+      this.datastore_id = datastore_ctx.datastore_id;
+      this.blockchain_id = datastore_ctx.blockchain_id;
+      this.device_id = datastore_ctx.device_id;
+      this.read_only = !!datastore_ctx.read_only;
+   }
 
-      const datastore_id = ds.datastore_id;
-      const device_id = ds.device_id;
-      const privkey_hex = ds.privkey_hex;
-      const all_device_ids = ds.datastore.device_ids;
+   /*
+    * Connect to or create a datastore.
+    *
+    * @param opts (Object) arguments:
+    *      .sessionToken (String) the Core session token (loaded from localStorage if not given)
+    *      .appPrivateKey (String) the app private key (loaded from localStorage if not given)
+    *      .replicationStrategy (Object) the replication strategy to use if the datastore must be created
+    *      .blockchainID (String) mount this user's datastore read-only, instead of our own (needs .appName)
+    *      .appName (String) the application whose datastore to mount for .blockchainID
+    *      .datastorePubkey or .datastoreID (String) mount this datastore read-only (needs .appPublicKeys)
+    *      .appPublicKeys (Array) the datastore owner's devices, as [{'device_id': ..., 'public_key': ...}]
+    *      .apiEndpoint (String) the Core node to use, if there is no session token
+    *      .persistence (Object) load the session from, and save the mount context to, this
+    *              persistence adapter (see setPersistenceAdapter())
+    *      .onSessionExpired (Function) supplies a fresh session token whenever this datastore's
+    *              expires, or Core turns it down (see setSessionExpiredCallback())
+    *      .signal (AbortSignal) cancel the operation when this signal is aborted
+    *      .timeout (Int) give up after this many milliseconds
+    *
+    * Asynchronous; returns a Promise that resolves to a Datastore.
+    * The mount context is only saved if opts.persistence is given.
+    * Rejects with a StorageError on error (NotFoundError if another user's datastore does not exist).
+    */
+   static mount(opts={}) {
+      const persistence = (opts.persistence ? getPersistenceAdapter(opts.persistence) : null);
+      const mount_opts = Object.assign({}, opts, {'cache': !!persistence, 'persistence': persistence});
+      const datastore_opts = {'persistence': persistence, 'onSessionExpired': opts.onSessionExpired};
+
+      if (!opts.appPrivateKey && ((opts.blockchainID && opts.appName) || opts.datastorePubkey || opts.datastoreID)) {
+         return mountReadOnly(mount_opts)
+         .then((datastore_ctx) => new Datastore(datastore_ctx, datastore_opts));
+      }
 
-      path = sanitizePath(path);
-      const child_name = basename(path);
+      return datastoreMountOrCreate(opts.replicationStrategy, opts.sessionToken || null, opts.appPrivateKey || null, mount_opts)
+      .then((datastore_ctx) => new Datastore(datastore_ctx, datastore_opts));
+   }
 
-      return getParent(path, opts)
-      .then((parent_dir) => {
-         if (parent_dir.error) {
-            return parent_dir;
-         }
+   /*
+    * Mount the datastore again if its session token has expired, with a fresh token from
+    * the onSessionExpired callback.  Every method does this before it runs.
+    *
+    * @param opts (Object) optional arguments:
+    *      .signal (AbortSignal) cancel the operation when this signal is aborted
+    *
+    * Asynchronous; returns a Promise that resolves to this Datastore.
+    * Rejects with SessionExpiredError if no fresh token could be had.
+    */
+   refresh(opts={}) {
+      if (!this.context) {
+         return Promise.reject(new InvalidArgumentError('Datastore is unmounted'));
+      }
 
-         // no longer exists?
-         if (!Object.keys(parent_dir['idata']['children']).includes(child_name)) {
-            return {'error': 'No such file or directory', 'errno': ENOENT};
-         }
+      if (!isSessionExpired(this.context.session_token)) {
+         return Promise.resolve(this);
+      }
 
-         const inode_uuid = parent_dir['idata']['children'][child_name]['uuid'];
+      const mount_opts = {
+         'cache': !!this.persistence,
+         'persistence': this.persistence,
+         'onSessionExpired': this.onSessionExpired,
+      };
 
-         // unlink
-         const new_parent_dir_inode = inodeDirUnlink(parent_dir, child_name);
-         const new_parent_info = makeDirInodeBlob( datastore_id, new_parent_dir_inode['owner'], new_parent_dir_inode['uuid'], new_parent_dir_inode['idata']['children'], device_id, new_parent_dir_inode['version'] + 1 );
-         const new_parent_sig = signDataPayload( new_parent_info['header'], privkey_hex );
+      return remountContext(this.context, mount_opts, opts.signal || null)
+      .then((datastore_ctx) => {
+         this.setContext(datastore_ctx);
+         return this;
+      });
+   }
 
-         // make tombstones
-         const tombstones = makeInodeTombstones(datastore_id, inode_uuid, all_device_ids);
-         const signed_tombstones = signMutableDataTombstones(tombstones, privkey_hex);
+   /*
+    * Unmount this datastore: forget its cached mount context (if it has a persistence adapter),
+    * and drop the keys this object holds.  Its methods reject with InvalidArgumentError afterwards.
+    *
+    * Returns true if a cached mount context was removed
+    */
+   unmount() {
+      let removed = false;
+      if (this.context) {
+         if (this.persistence) {
+            removed = datastoreUnmount(this.blockchain_id, {'persistence': this.persistence});
+         }
+         if (this.context.session_token) {
+            forgetVerifiedSession(this.context.session_token);
+         }
+         this.context = null;
+      }
+      return removed;
+   }
 
-         // post them
-         return datastoreOperation(ds, 'deleteFile', path, [new_parent_info['header']], [new_parent_info['idata']], [new_parent_sig], signed_tombstones);
+   addDevice(device_id, public_key, opts={}) {
+      return this.refresh(opts)
+      .then(() => addDevice(device_id, public_key, this.withContext(opts)))
+      .then((datastore_ctx) => {
+         this.setContext(datastore_ctx);
+         return datastore_ctx;
       });
-   });
-}
+   }
 
+   removeDevice(device_id, opts={}) {
+      return this.refresh(opts)
+      .then(() => removeDevice(device_id, this.withContext(opts)))
+      .then((datastore_ctx) => {
+         this.setContext(datastore_ctx);
+         return datastore_ctx;
+      });
+   }
 
-/*
- * Remove a directory
- *
- * @param ds (Object) datastore context
- * @param path (String) path to the directory
- * @param opts (Object) options for this call
- *      .blockchain_id (string) this is the blockchain ID of the datastore owner (if different from the session)
- *      .ds (datastore context) this is the mount context for the datastore, if different from one that we have cached
- *
- * Asynchronous; returns a Promise
- */
-export function rmdir(path, opts={}) {
+   setPathDrivers(prefix, drivers, opts={}) {
+      return this.refresh(opts)
+      .then(() => setPathDrivers(prefix, drivers, this.withContext(opts)))
+      .then((datastore_ctx) => {
+         this.setContext(datastore_ctx);
+         return datastore_ctx;
+      });
+   }
 
-   let blockchain_id = opts.blockchain_id;
+   /*
+    * Scrub this datastore; see scrubDatastore().
+    */
+   scrub(opts={}) {
+      return this.refresh(opts).then(() => scrubDatastore(this.context, this.withContext(opts)));
+   }
 
-   if (!opts.blockchain_id) {
-      blockchain_id = getSessionBlockchainID();
+   repairPendingWrites(opts={}) {
+      return this.refresh(opts).then(() => repairPendingWrites(this.withContext(opts)));
    }
 
-   return datastoreMountOrCreate()
-   .then((ds) => {
+   migrate(drivers, opts={}) {
+      return this.refresh(opts)
+      .then(() => migrateDatastore(drivers, this.withContext(opts)))
+      .then((summary) => {
+         this.setContext(summary.context);
+         return summary;
+      });
+   }
 
-      assert(ds);
+   withContext(opts) {
+      return Object.assign({}, opts, {
+         'ds': this.context,
+         'persistence': this.persistence,
+         'onSessionExpired': this.onSessionExpired,
+         'onRemount': (datastore_ctx) => this.setContext(datastore_ctx),
+      });
+   }
 
-      const datastore_id = ds.datastore_id;
-      const device_id = ds.device_id;
-      const privkey_hex = ds.privkey_hex;
-      const all_device_ids = ds.datastore.device_ids;
+   lookup(path, opts={}) {
+      return this.refresh(opts).then(() => lookup(path, this.withContext(opts)));
+   }
 
-      path = sanitizePath(path);
-      const child_name = basename(path);
+   listdir(path, opts={}) {
+      return this.refresh(opts).then(() => listdir(path, this.withContext(opts)));
+   }
 
-      return getParent(path, opts)
-      .then((parent_dir) => {
-         if (parent_dir.error) {
-            return parent_dir;
-         }
+   stat(path, opts={}) {
+      return this.refresh(opts).then(() => stat(path, this.withContext(opts)));
+   }
 
-         // no longer exists?
-         if (!Object.keys(parent_dir['idata']['children']).includes(child_name)) {
-            return {'error': 'No such file or directory', 'errno': ENOENT};
-         }
+   getFile(path, opts={}) {
+      return this.refresh(opts).then(() => getFile(path, this.withContext(opts)));
+   }
 
-         const inode_uuid = parent_dir['idata']['children'][child_name]['uuid'];
+   putFile(path, file_buffer, opts={}) {
+      return this.refresh(opts).then(() => putFile(path, file_buffer, this.withContext(opts)));
+   }
 
-         // unlink
-         const new_parent_dir_inode = inodeDirUnlink(parent_dir, child_name);
-         const new_parent_info = makeDirInodeBlob( datastore_id, new_parent_dir_inode['owner'], new_parent_dir_inode['uuid'], new_parent_dir_inode['idata']['children'], device_id, new_parent_dir_inode['version'] + 1 );
-         const new_parent_sig = signDataPayload( new_parent_info['header'], privkey_hex );
+   mkdir(path, opts={}) {
+      return this.refresh(opts).then(() => mkdir(path, this.withContext(opts)));
+   }
 
-         // make tombstones
-         const tombstones = makeInodeTombstones(datastore_id, inode_uuid, all_device_ids);
-         const signed_tombstones = signMutableDataTombstones(tombstones, privkey_hex);
+   deleteFile(path, opts={}) {
+      return this.refresh(opts).then(() => deleteFile(path, this.withContext(opts)));
+   }
 
-         // post them
-         return datastoreOperation(ds, 'rmdir', path, [new_parent_info['header']], [new_parent_info['idata']], [new_parent_sig], signed_tombstones);
-      });
-   });
+   rmdir(path, opts={}) {
+      return this.refresh(opts).then(() => rmdir(path, this.withContext(opts)));
+   }
 }
@@ -0,0 +1,71 @@
+'use strict'
+
+import {
+   InvalidArgumentError,
+} from './errors';
+
+// driver => the URL its public data is served under (i.e. an S3 bucket's URL), with a trailing '/'
+let driverURLs = {};
+
+
+/*
+ * Configure where the public storage drivers serve data from, so that published files have URLs
+ * (see getPublicURL() and getFileFromURL()).  Core's session tokens do not say where a driver serves
+ * its data; that is part of the driver's own configuration (i.e. its bucket), so apps pass it in here.
+ *
+ * A driver stores each piece of data under its fully-qualified data ID (see makeFullyQualifiedDataId()),
+ * and a public driver serves it at that key under its URL, i.e. 'https://my-bucket.s3.amazonaws.com/' + fq_data_id.
+ *
+ * @param urls (Object) maps each public driver to the http(s) URL it serves data under.
+ *      Pass {} to forget them all.
+ *
+ * Throws InvalidArgumentError if a URL is not an http(s) URL.
+ */
+export function setDriverURLs(urls) {
+   const ret = {};
+   for (let driver of Object.keys(urls || {})) {
+      const url = urls[driver];
+      if (typeof(url) !== 'string' || !/^https?:\/\/[^/?#]+/i.test(url)) {
+         throw new InvalidArgumentError(`Invalid URL for driver ${driver}: ${url}`);
+      }
+      ret[driver] = (url.endsWith('/') ? url : `${url}/`);
+   }
+
+   driverURLs = ret;
+}
+
+
+/*
+ * Get the URL a public driver serves data under.  A piece of data is at this URL followed by its
+ * fully-qualified data ID (see makeFullyQualifiedDataId()).
+ *
+ * @param driver (String) the driver
+ *
+ * Returns the URL, or null if the driver has no URL configured.
+ */
+export function getDriverURL(driver) {
+   return driverURLs[driver] || null;
+}
+
+
+/*
+ * Find the public driver that serves a URL: the one whose URL (scheme, host and path) it is directly under.
+ *
+ * @param url (String) the URL
+ *
+ * Returns {'driver': ..., 'fq_data_id': the fully-qualified data ID the URL names}, or null if no driver serves it.
+ */
+export function parseDriverURL(url) {
+   if (typeof(url) !== 'string') {
+      return null;
+   }
+
+   for (let driver of Object.keys(driverURLs)) {
+      const prefix = driverURLs[driver];
+      const rest = url.slice(prefix.length);
+      if (url.startsWith(prefix) && rest.length > 0 && !/[/?#]/.test(rest)) {
+         return {'driver': driver, 'fq_data_id': rest};
+      }
+   }
+   return null;
+}
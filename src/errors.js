@@ -1,5 +1,18 @@
 'use strict'
 
+export const EPERM = 1;
+export const ENOENT = 2;
+export const EACCES = 13;
+export const EEXIST = 17;
+export const ENOTDIR = 20;
+export const EINVAL = 22;
+export const EROFS = 30;
+export const EPROTO = 71;
+export const ETIMEDOUT = 110;
+export const EREMOTEIO = 121;
+export const ECANCELED = 125;
+export const EKEYEXPIRED = 127;
+
 export class UnsupportedNetstringTypeError extends Error {
   constructor(message) {
     super()
@@ -16,3 +29,201 @@ export class InvalidNetstringError extends Error {
   }
 }
 
+/*
+ * Base class for every error a storage operation can fail with.
+ * Each one carries:
+ *      .errno (Int) the POSIX-style error number (i.e. ENOENT)
+ *      .path (String) the path the operation was acting on, if any
+ *      .operation (String) the name of the operation that failed (i.e. 'putFile')
+ *
+ * (The explicit setPrototypeOf calls keep instanceof working when transpiled to ES5)
+ */
+export class StorageError extends Error {
+  constructor(message, errno, path, operation) {
+    super()
+    Object.setPrototypeOf(this, StorageError.prototype)
+    this.name = 'StorageError'
+    this.message = (message || '')
+    this.errno = (errno || null)
+    this.path = (path || null)
+    this.operation = (operation || null)
+  }
+}
+
+export class NotFoundError extends StorageError {
+  constructor(message, path, operation) {
+    super(message || 'No such file or directory', ENOENT, path, operation)
+    Object.setPrototypeOf(this, NotFoundError.prototype)
+    this.name = 'NotFoundError'
+  }
+}
+
+export class AccessDeniedError extends StorageError {
+  constructor(message, path, operation, errno) {
+    super(message || 'Access denied', errno || EACCES, path, operation)
+    Object.setPrototypeOf(this, AccessDeniedError.prototype)
+    this.name = 'AccessDeniedError'
+  }
+}
+
+export class AlreadyExistsError extends StorageError {
+  constructor(message, path, operation) {
+    super(message || 'File or directory exists', EEXIST, path, operation)
+    Object.setPrototypeOf(this, AlreadyExistsError.prototype)
+    this.name = 'AlreadyExistsError'
+  }
+}
+
+export class NotADirectoryError extends StorageError {
+  constructor(message, path, operation) {
+    super(message || 'Not a directory', ENOTDIR, path, operation)
+    Object.setPrototypeOf(this, NotADirectoryError.prototype)
+    this.name = 'NotADirectoryError'
+  }
+}
+
+export class InvalidArgumentError extends StorageError {
+  constructor(message, path, operation) {
+    super(message || 'Invalid argument', EINVAL, path, operation)
+    Object.setPrototypeOf(this, InvalidArgumentError.prototype)
+    this.name = 'InvalidArgumentError'
+  }
+}
+
+export class RemoteIOError extends StorageError {
+  constructor(message, path, operation) {
+    super(message || 'Remote I/O error', EREMOTEIO, path, operation)
+    Object.setPrototypeOf(this, RemoteIOError.prototype)
+    this.name = 'RemoteIOError'
+  }
+}
+
+export class InvalidCoreResponseError extends StorageError {
+  constructor(message, path, operation) {
+    super(message || 'Invalid Core response', EPROTO, path, operation)
+    Object.setPrototypeOf(this, InvalidCoreResponseError.prototype)
+    this.name = 'InvalidCoreResponseError'
+  }
+}
+
+export class AbortedError extends StorageError {
+  constructor(message, path, operation) {
+    super(message || 'Operation aborted', ECANCELED, path, operation)
+    Object.setPrototypeOf(this, AbortedError.prototype)
+    this.name = 'AbortedError'
+  }
+}
+
+export class ReadOnlyError extends StorageError {
+  constructor(message, path, operation) {
+    super(message || 'Datastore is mounted read-only', EROFS, path, operation)
+    Object.setPrototypeOf(this, ReadOnlyError.prototype)
+    this.name = 'ReadOnlyError'
+  }
+}
+
+export class SessionExpiredError extends StorageError {
+  constructor(message, path, operation) {
+    super(message || 'Session token expired', EKEYEXPIRED, path, operation)
+    Object.setPrototypeOf(this, SessionExpiredError.prototype)
+    this.name = 'SessionExpiredError'
+  }
+}
+
+export class TimeoutError extends StorageError {
+  constructor(message, path, operation) {
+    super(message || 'Operation timed out', ETIMEDOUT, path, operation)
+    Object.setPrototypeOf(this, TimeoutError.prototype)
+    this.name = 'TimeoutError'
+  }
+}
+
+
+/*
+ * Make the StorageError that corresponds to an errno.
+ *
+ * @param errno (Int) the error number (i.e. from Core's {'error': ..., 'errno': ...} response)
+ * @param message (String) the error message
+ * @param path (String) the path of the failed operation
+ * @param operation (String) the name of the failed operation
+ *
+ * Returns a StorageError (or subclass thereof)
+ */
+export function makeStorageError(errno, message, path, operation) {
+  switch (errno) {
+    case ENOENT:
+      return new NotFoundError(message, path, operation)
+
+    case EPERM:
+    case EACCES:
+      return new AccessDeniedError(message, path, operation, errno)
+
+    case EEXIST:
+      return new AlreadyExistsError(message, path, operation)
+
+    case ENOTDIR:
+      return new NotADirectoryError(message, path, operation)
+
+    case EINVAL:
+      return new InvalidArgumentError(message, path, operation)
+
+    case EREMOTEIO:
+      return new RemoteIOError(message, path, operation)
+
+    case EPROTO:
+      return new InvalidCoreResponseError(message, path, operation)
+
+    case EROFS:
+      return new ReadOnlyError(message, path, operation)
+
+    case ECANCELED:
+      return new AbortedError(message, path, operation)
+
+    case ETIMEDOUT:
+      return new TimeoutError(message, path, operation)
+
+    case EKEYEXPIRED:
+      return new SessionExpiredError(message, path, operation)
+
+    default:
+      return new StorageError(message, errno, path, operation)
+  }
+}
+
+
+/*
+ * Convert any error raised during a storage operation into a StorageError,
+ * and record which operation and path it happened on.
+ * The operation is always set to the given one (so errors from nested steps report
+ * the operation the caller invoked), but a more specific path is kept.
+ *
+ * @param error (Error) the error
+ * @param operation (String) the name of the operation
+ * @param path (String) the path of the operation
+ *
+ * Returns a StorageError
+ */
+export function asStorageError(error, operation, path) {
+  let storage_error = error
+  if (!(error instanceof StorageError)) {
+    const message = (error && error.message) ? error.message : String(error)
+    if (error && (error.name === 'AssertionError' || error.code === 'ERR_ASSERTION')) {
+      // failed sanity check on the arguments
+      storage_error = new InvalidArgumentError(message)
+    }
+    else {
+      storage_error = new StorageError(message)
+    }
+    storage_error.cause = error
+  }
+
+  if (operation) {
+    storage_error.operation = operation
+  }
+
+  if (!storage_error.path) {
+    storage_error.path = (path || null)
+  }
+
+  return storage_error
+}
@@ -0,0 +1,87 @@
+'use strict'
+
+// functions called with every storage event
+const listeners = [];
+
+// operations are numbered, so their start/success/failure events can be matched up
+let lastOperationId = 0;
+
+
+/*
+ * Listen for storage events.
+ *
+ * Every exported storage operation emits:
+ *      'operation.start':   {type, operationId, operation, path}
+ *      'operation.success': {type, operationId, operation, path, duration, ...} plus operation-specific metrics:
+ *                           getFile:  .bytes (Int) the size of the file, .found (Bool) false if it resolved to null
+ *                           putFile:  .bytes (Int) the size of the file, .chunks (Int) the number of chunks (0 if not chunked),
+ *                                     .phases (Object) milliseconds spent in each phase: .getParent, .sign, .write
+ *      'operation.failure': {type, operationId, operation, path, duration, errno, error}
+ *
+ * Every request to Core emits:
+ *      'request.start':     {type, method, url, bytesSent}
+ *      'request.success':   {type, method, url, status, duration, bytesSent, bytesReceived, retries}
+ *      'request.failure':   {type, method, url, status, duration, bytesSent, errno, error, retries}
+ *
+ * Durations are in milliseconds.  status is null if Core could not be reached, and bytesReceived is null if it is unknown.
+ * A request that Core answered with an error status (i.e. 404) is a failure, with the corresponding errno.
+ *
+ * When a storage driver's status changes (see getDriverHealth()):
+ *      'driver.health':     {type, driver, status, previous, score}
+ *
+ * @param listener (Function) called with each event object.  Exceptions it throws are ignored.
+ *
+ * Returns the listener, so it can be passed to removeStorageListener() later.
+ */
+export function addStorageListener(listener) {
+   if (typeof(listener) !== 'function') {
+      throw new Error('Storage listener must be a function');
+   }
+
+   listeners.push(listener);
+   return listener;
+}
+
+
+/*
+ * Stop listening for storage events.
+ *
+ * @param listener (Function) a listener passed to addStorageListener()
+ *
+ * Returns true if the listener was removed, false if it was not registered.
+ */
+export function removeStorageListener(listener) {
+   const i = listeners.indexOf(listener);
+   if (i < 0) {
+      return false;
+   }
+
+   listeners.splice(i, 1);
+   return true;
+}
+
+
+/*
+ * Send an event to every listener.
+ *
+ * @param event (Object) the event; must have a .type
+ */
+export function emitStorageEvent(event) {
+   for (let listener of listeners.slice()) {
+      try {
+         listener(event);
+      }
+      catch(e) {
+         // ignore; a broken metrics hook must not break storage
+      }
+   }
+}
+
+
+/*
+ * Allocate an ID for a new operation
+ */
+export function nextOperationId() {
+   lastOperationId += 1;
+   return lastOperationId;
+}
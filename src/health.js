@@ -0,0 +1,216 @@
+'use strict'
+
+import {
+   emitStorageEvent,
+} from './events';
+
+import {
+   getLogger,
+} from './logger';
+
+const log = getLogger();
+
+// each result moves a driver's score this far towards 1 (success) or 0 (failure)
+const SCORE_WEIGHT = 0.3;
+
+// a driver whose score is below this is degraded
+const DEGRADED_SCORE = 0.8;
+
+// a driver that failed this many times in a row is down, and writes skip it if they can
+const DOWN_AFTER_FAILURES = 3;
+
+// a down driver is written to again once this many milliseconds have passed since it last failed
+const DOWN_RETRY_INTERVAL = 60 * 1000;
+
+// driver => {'successes', 'failures', 'consecutive_failures', 'score', 'last_success', 'last_failure', 'last_error'}
+let driverHealth = {};
+
+// datastore_id => {path => {'drivers': [the drivers the path is stored on], 'missed': [the ones that missed a write]}}
+let pendingRepairs = {};
+
+
+/*
+ * Work out a driver's status from its health record:
+ * 'healthy', 'degraded' (it failed recently, or often), 'down' (it keeps failing), or 'unknown' (no results yet).
+ */
+function driverStatus(health) {
+   if (!health) {
+      return 'unknown';
+   }
+   if (health.consecutive_failures >= DOWN_AFTER_FAILURES) {
+      return 'down';
+   }
+   if (health.consecutive_failures > 0 || health.score < DEGRADED_SCORE) {
+      return 'degraded';
+   }
+   return 'healthy';
+}
+
+
+/*
+ * Record the result of a request that went to a driver (as reported by Core).
+ * Emits a 'driver.health' storage event if the driver's status changes.
+ *
+ * @param driver (String) the driver
+ * @param success (Bool) whether or not the driver did its part
+ * @param error (String) what went wrong, if it failed
+ */
+export function recordDriverResult(driver, success, error=null) {
+   const previous = driverHealth[driver] || null;
+   const health = Object.assign({
+      'successes': 0,
+      'failures': 0,
+      'consecutive_failures': 0,
+      'score': 1,
+      'last_success': null,
+      'last_failure': null,
+      'last_error': null,
+   }, previous);
+
+   health.score = health.score * (1 - SCORE_WEIGHT) + (success ? SCORE_WEIGHT : 0);
+   if (success) {
+      health.successes += 1;
+      health.consecutive_failures = 0;
+      health.last_success = Date.now();
+   }
+   else {
+      health.failures += 1;
+      health.consecutive_failures += 1;
+      health.last_failure = Date.now();
+      health.last_error = error;
+   }
+
+   driverHealth[driver] = health;
+
+   const old_status = driverStatus(previous);
+   const new_status = driverStatus(health);
+   if (old_status !== new_status) {
+      const log_event = (new_status === 'healthy' ? log.info : log.warn);
+      log_event('Driver status changed', {'driver': driver, 'status': new_status, 'previous': old_status, 'error': error});
+
+      emitStorageEvent({
+         'type': 'driver.health',
+         'driver': driver,
+         'status': new_status,
+         'previous': old_status,
+         'score': health.score,
+      });
+   }
+}
+
+
+/*
+ * Get the health of the storage drivers, i.e. to show "Dropbox: degraded" on a settings screen.
+ * Health is tracked from Core's responses to this process's requests, and is not saved.
+ *
+ * @param driver (String) if given, only get this driver's health
+ *
+ * Returns an object that maps each driver Core has reported on to:
+ *      .status (String) 'healthy', 'degraded' (it failed recently, or often), or 'down' (it failed
+ *              several times in a row; writes leave it out while the replication strategy allows it)
+ *      .score (Number) between 0 and 1; recent results count the most
+ *      .successes, .failures (Int) how many requests it succeeded and failed
+ *      .consecutive_failures (Int) how many requests it failed since it last succeeded
+ *      .last_success, .last_failure (Int) when it last succeeded and failed (milliseconds since the epoch), or null
+ *      .last_error (String) what went wrong the last time it failed
+ * If driver is given, returns just that driver's health, with .status 'unknown' if there are no results for it.
+ */
+export function getDriverHealth(driver=null) {
+   const describe = (name) => Object.assign({'status': driverStatus(driverHealth[name])}, driverHealth[name] || {});
+
+   if (driver) {
+      return describe(driver);
+   }
+
+   const ret = {};
+   for (let name of Object.keys(driverHealth)) {
+      ret[name] = describe(name);
+   }
+   return ret;
+}
+
+
+/*
+ * Forget what is known about the drivers' health.
+ *
+ * @param driver (String) if given, only forget about this driver
+ */
+export function resetDriverHealth(driver=null) {
+   if (driver) {
+      delete driverHealth[driver];
+   }
+   else {
+      driverHealth = {};
+   }
+}
+
+
+/*
+ * Can a driver be written to?  Drivers that are down are not, until they have had time to recover.
+ */
+export function isDriverAvailable(driver) {
+   const health = driverHealth[driver];
+   if (driverStatus(health) !== 'down') {
+      return true;
+   }
+   return Date.now() - health.last_failure >= DOWN_RETRY_INTERVAL;
+}
+
+
+/*
+ * Remember that some drivers missed a write to a path, so it can be repaired later
+ * (see repairPendingWrites()).
+ *
+ * @param datastore_id (String) the datastore
+ * @param path (String) the path written to
+ * @param drivers (Array) the drivers the path is stored on
+ * @param missed (Array) the drivers that missed the write
+ */
+export function queueRepair(datastore_id, path, drivers, missed) {
+   if (!pendingRepairs[datastore_id]) {
+      pendingRepairs[datastore_id] = {};
+   }
+
+   const pending = pendingRepairs[datastore_id][path] || {'drivers': drivers, 'missed': []};
+   for (let driver of missed) {
+      if (!pending.missed.includes(driver)) {
+         pending.missed.push(driver);
+      }
+   }
+   pendingRepairs[datastore_id][path] = pending;
+}
+
+
+/*
+ * Get the writes that some drivers missed, and that have not been repaired yet.
+ *
+ * @param datastore_id (String) if given, only get this datastore's
+ *
+ * Returns a list of {'datastore_id': ..., 'path': ..., 'drivers': [the drivers to repair], 'stored_on': [all of the path's drivers]}
+ */
+export function getPendingRepairs(datastore_id=null) {
+   const ret = [];
+   for (let id of Object.keys(pendingRepairs)) {
+      if (datastore_id && id !== datastore_id) {
+         continue;
+      }
+      for (let path of Object.keys(pendingRepairs[id])) {
+         const pending = pendingRepairs[id][path];
+         ret.push({'datastore_id': id, 'path': path, 'drivers': pending.missed.slice(), 'stored_on': pending.drivers.slice()});
+      }
+   }
+   return ret;
+}
+
+
+/*
+ * Forget a pending repair, once it is done (or the path is gone).
+ */
+export function clearPendingRepair(datastore_id, path) {
+   if (pendingRepairs[datastore_id]) {
+      delete pendingRepairs[datastore_id][path];
+      if (Object.keys(pendingRepairs[datastore_id]).length === 0) {
+         delete pendingRepairs[datastore_id];
+      }
+   }
+}
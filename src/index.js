@@ -2,6 +2,28 @@
 
 export * from './errors';
 export * from './util';
+export * from './core';
 export * from './datastore';
 export * from './inode';
 export * from './schemas';
+export { setLogger, getLogger } from './logger';
+export { addStorageListener, removeStorageListener } from './events';
+export {
+   setPersistenceAdapter,
+   makeMemoryAdapter,
+   makeFileAdapter,
+   makeLocalStorageAdapter,
+} from './persistence';
+export { setSessionVerification } from './session';
+export { planReplication } from './replication';
+export { getDriverHealth, resetDriverHealth, getPendingRepairs } from './health';
+export { setDriverURLs } from './drivers';
+export {
+   createCollection,
+   mountCollection,
+   listCollections,
+   addCollectionItem,
+   getCollectionItem,
+   removeCollectionItem,
+   listCollectionItems,
+} from './collection';
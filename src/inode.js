@@ -8,8 +8,14 @@ import {
    MUTABLE_DATUM_INODE_HEADER_SCHEMA,
    URI_RECORD_SCHEMA,
    MUTABLE_DATUM_DIR_IDATA_SCHEMA,
+   CHUNK_MANIFEST_TYPE,
+   CHUNK_MANIFEST_SCHEMA,
 } from './schemas';
 
+import {
+   getLogger,
+} from './logger';
+
 const assert = require('assert');
 const crypto = require('crypto');
 const EC = require('elliptic').ec;
@@ -18,6 +24,8 @@ const Ajv = require('ajv');
 
 const BLOCKSTACK_STORAGE_PROTO_VERSION = 1;
 
+const log = getLogger();
+
 /*
  * Hash an inode payload and its length.
  * Specifically hash `${payload.length}:${payload},`
@@ -149,6 +157,57 @@ export function signDataPayload( payload_string, privkey_hex ) {
 }
 
 
+/*
+ * Verify a signature over a string of data.
+ *
+ * @param payload_buffer (Buffer) the signed buffer
+ * @param pubkey_hex (String) the hex-encoded ECDSA public key
+ * @param sigb64 (String) the base64-encoded signature, as produced by signRawData()
+ * @param hash (String) optional; the hash of the payload.  payload_buffer can be null if hash is given.
+ *
+ * Return True if the signature is valid, False if not
+ */
+export function verifyRawData( payload_buffer, pubkey_hex, sigb64, hash ) {
+
+   if( !hash ) {
+       hash = hashRawData(payload_buffer);
+   }
+
+   const sig_buf = Buffer.from(sigb64, 'base64');
+   if( sig_buf.length !== 64 ) {
+       return false;
+   }
+
+   const sig = {
+      r: sig_buf.slice(0, 32).toString('hex'),
+      s: sig_buf.slice(32, 64).toString('hex'),
+   };
+
+   try {
+      const pubkey = ec.keyFromPublic(pubkey_hex, 'hex');
+      return pubkey.verify(hash, sig);
+   }
+   catch(e) {
+      return false;
+   }
+}
+
+
+/*
+ * Verify a signature over a data payload and its length,
+ * as produced by signDataPayload().
+ *
+ * @payload_string (String) the signed string
+ * @pubkey_hex (String) the hex-encoded public key
+ * @sigb64 (String) the base64-encoded signature
+ *
+ * Return True if the signature is valid, False if not
+ */
+export function verifyDataPayload( payload_string, pubkey_hex, sigb64 ) {
+   return verifyRawData( Buffer.concat( [Buffer.from(`${payload_string.length}:`), Buffer.from(payload_string), Buffer.from(',')] ), pubkey_hex, sigb64 );
+}
+
+
 /*
  * Make a fully-qualified data ID (i.e. includes the device ID)
  * equivalent to this in Python: urllib.quote(str('{}:{}'.format(device_id, data_id).replace('/', '\\x2f')))
@@ -281,10 +340,11 @@ export function signMutableDataTombstones( tombstones, privkey ) {
  * @param data_hash (String) the hex-encoded sha256 of the data
  * @param version (Int) the version of this inode.
  * @param device_id (String) the ID of this device
+ * @param chunked (Bool) if True, then the inode is a large file's chunk manifest (see makeChunkManifest())
  *
  * Returns an object encoding an inode header.
  */
-export function makeInodeHeaderBlob( datastore_id, inode_type, owner_id, inode_uuid, data_hash, device_id, version ) {
+export function makeInodeHeaderBlob( datastore_id, inode_type, owner_id, inode_uuid, data_hash, device_id, version, chunked ) {
    
    const header = {
       'type': inode_type,
@@ -296,6 +356,11 @@ export function makeInodeHeaderBlob( datastore_id, inode_type, owner_id, inode_u
       'proto_version': BLOCKSTACK_STORAGE_PROTO_VERSION, 
    };
 
+   if( chunked ) {
+      // ordinary inodes leave it out, so their headers are unchanged
+      header['chunked'] = true;
+   }
+
    let valid = null;
    const ajv = new Ajv();
    try {
@@ -303,9 +368,7 @@ export function makeInodeHeaderBlob( datastore_id, inode_type, owner_id, inode_u
        assert(valid);
    }
    catch(e) {
-       console.log('header: ' + JSON.stringify(header));
-       console.log('schema: ' + JSON.stringify(MUTABLE_DATUM_INODE_HEADER_SCHEMA));
-       console.log(e.stack);
+       log.error('Invalid inode header', {'header': header, 'error': e.message});
        throw e;
    }
    
@@ -336,8 +399,7 @@ export function makeDirInodeBlob( datastore_id, owner_id, inode_uuid, dir_listin
       assert(valid);
    }
    catch(e) {
-      console.log('dir listing: ' + JSON.stringify(dir_listing));
-      console.log('schema:      ' + JSON.stringify(MUTABLE_DATUM_DIR_IDATA_SCHEMA));
+      log.error('Invalid directory listing', {'children': dir_listing, 'error': e.message});
       throw e;
    }
 
@@ -371,12 +433,13 @@ export function makeDirInodeBlob( datastore_id, owner_id, inode_uuid, dir_listin
  * @param inode_uuid (String) the ID of the inode
  * @param data_hash (String) the hash of the file data
  * @param device_id (String) this device ID
+ * @param chunked (Bool) if True, then the file data is a chunk manifest
  *
  * Returns an object encoding a file's header
  */
-export function makeFileInodeBlob( datastore_id, owner_id, inode_uuid, data_hash, device_id, version ) {
+export function makeFileInodeBlob( datastore_id, owner_id, inode_uuid, data_hash, device_id, version, chunked ) {
    
-   const header_blob = makeInodeHeaderBlob( datastore_id, MUTABLE_DATUM_FILE_TYPE, owner_id, inode_uuid, data_hash, device_id, version );
+   const header_blob = makeInodeHeaderBlob( datastore_id, MUTABLE_DATUM_FILE_TYPE, owner_id, inode_uuid, data_hash, device_id, version, chunked );
    return {'header': header_blob}
 }
 
@@ -421,8 +484,10 @@ export function inodeDirLink( parent_dir, child_type, child_name, child_uuid, ex
       version: 1,
    };
 
-   if(parent_dir['idata']['children']['version']) {
-      new_dirent.version = parent_dir['idata']['children']['version'] + 1;
+   // replacing a child bumps its version, so readers can tell the new inode from the old one
+   const old_dirent = parent_dir['idata']['children'][child_name];
+   if(exists && old_dirent && old_dirent['version']) {
+      new_dirent.version = old_dirent['version'] + 1;
    }
 
    parent_dir['idata']['children'][child_name] = new_dirent;
@@ -452,3 +517,65 @@ export function inodeDirUnlink( parent_dir, child_name ) {
    return parent_dir;
 }
 
+
+/*
+ * Make the manifest for a chunked file.
+ * The manifest is stored as the file's data, and lists the chunks that make up the file.
+ * Each chunk is stored as its own file inode, at ${chunk_path}/${index}.
+ * The file's inode header must be marked as chunked (see makeFileInodeBlob()); that is what tells readers
+ * the data is a manifest.
+ *
+ * @param upload_id (String) the ID of the upload that wrote the chunks
+ * @param chunk_path (String) the directory that holds the chunks
+ * @param chunk_size (Int) the size of each chunk (the last one may be smaller)
+ * @param chunks (Array) the list of {'size': ..., 'hash': ...} for each chunk, where hash is hashDataPayload() of the chunk
+ *
+ * Returns the serialized manifest
+ */
+export function makeChunkManifest( upload_id, chunk_path, chunk_size, chunks ) {
+
+   let size = 0;
+   for (let chunk of chunks) {
+      size += chunk.size;
+   }
+
+   const manifest = {
+      'type': CHUNK_MANIFEST_TYPE,
+      'proto_version': BLOCKSTACK_STORAGE_PROTO_VERSION,
+      'upload_id': upload_id,
+      'chunk_path': chunk_path,
+      'chunk_size': chunk_size,
+      'size': size,
+      'chunks': chunks,
+   };
+
+   return jsonStableSerialize(manifest);
+}
+
+
+/*
+ * Parse a chunked file's manifest out of its data.
+ * Only call this on the data of a file whose signed header is marked as chunked;
+ * ordinary files can hold anything, including something that looks like a manifest.
+ *
+ * @param data (Buffer or Uint8Array) the file data
+ *
+ * Returns the manifest object, or null if the data is not a valid manifest.
+ */
+export function parseChunkManifest( data ) {
+
+   let manifest = null;
+   try {
+      manifest = JSON.parse(Buffer.from(data.buffer, data.byteOffset, data.byteLength).toString('utf8'));
+   }
+   catch(e) {
+      return null;
+   }
+
+   const ajv = new Ajv();
+   if (!ajv.validate(CHUNK_MANIFEST_SCHEMA, manifest)) {
+      return null;
+   }
+
+   return manifest;
+}
@@ -0,0 +1,138 @@
+'use strict'
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// fields whose values are secrets, and are never logged as-is
+const REDACTED_FIELDS = [
+   'privkey_hex',
+   'private_key',
+   'appPrivateKey',
+   'app_private_key',
+   'session_token',
+   'sessionToken',
+   'coreSessionToken',
+   'token',
+   'authorization',
+   'Authorization',
+];
+
+// anything that looks like a JWT (i.e. a Core session token)
+const JWT_PATTERN = /eyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+
+const REDACTED = '[REDACTED]';
+
+// by default, nothing is logged
+let currentLogger = null;
+let currentLevel = LOG_LEVELS.indexOf('info');
+let redactSecrets = true;
+
+
+/*
+ * Set the logger used by the storage library.
+ * The library is silent until this is called.
+ *
+ * @param logger (Object or Function) where log entries go.  Either:
+ *      * an object with debug(), info(), warn() and error() methods (i.e. console), called as logger[level](message, fields), or
+ *      * a function, called as logger(level, message, fields).
+ *      Pass null to silence logging again.
+ * @param opts (Object) optional arguments:
+ *      .level (String) the lowest level to log: 'debug', 'info' (the default), 'warn', or 'error'
+ *      .redact (Bool) whether or not to redact private keys and session tokens (default true)
+ *
+ * Each entry's fields are an object with context like .operation, .path, and .datastore_id.
+ * Throws Error if the logger or level is invalid.
+ */
+export function setLogger(logger, opts={}) {
+
+   const level = LOG_LEVELS.indexOf(opts.level || 'info');
+   if (level < 0) {
+      throw new Error(`Invalid log level ${opts.level}`);
+   }
+
+   if (logger && typeof(logger) !== 'function') {
+      for (let method of LOG_LEVELS) {
+         if (typeof(logger[method]) !== 'function') {
+            throw new Error(`Logger is missing the ${method}() method`);
+         }
+      }
+   }
+
+   currentLogger = logger || null;
+   currentLevel = level;
+   redactSecrets = (opts.redact !== false);
+}
+
+
+/*
+ * Get the logger used by the storage library.
+ *
+ * Returns an object with debug(), info(), warn() and error() methods,
+ * each of which takes (message, fields).
+ */
+export function getLogger() {
+   return log;
+}
+
+
+/*
+ * Remove secrets from a log message or field value.
+ *
+ * @param value (any) the value to redact
+ *
+ * Returns a copy of the value with session tokens and private keys replaced by '[REDACTED]'
+ */
+function redact(value) {
+   if (typeof(value) === 'string') {
+      return value.replace(JWT_PATTERN, REDACTED);
+   }
+
+   if (Array.isArray(value)) {
+      return value.map(redact);
+   }
+
+   if (value && typeof(value) === 'object' && !(value instanceof Error)) {
+      const ret = {};
+      for (let key of Object.keys(value)) {
+         ret[key] = (REDACTED_FIELDS.includes(key) && value[key]) ? REDACTED : redact(value[key]);
+      }
+      return ret;
+   }
+
+   return value;
+}
+
+
+/*
+ * Send a log entry to the logger, if it is configured and the level is high enough.
+ * Errors thrown by the logger are ignored, since logging must never break an operation.
+ */
+function logEntry(level, message, fields={}) {
+   if (!currentLogger || LOG_LEVELS.indexOf(level) < currentLevel) {
+      return;
+   }
+
+   if (redactSecrets) {
+      message = redact(message);
+      fields = redact(fields);
+   }
+
+   try {
+      if (typeof(currentLogger) === 'function') {
+         currentLogger(level, message, fields);
+      }
+      else {
+         currentLogger[level](message, fields);
+      }
+   }
+   catch(e) {
+      // ignore
+   }
+}
+
+
+const log = {
+   'debug': (message, fields) => logEntry('debug', message, fields),
+   'info': (message, fields) => logEntry('info', message, fields),
+   'warn': (message, fields) => logEntry('warn', message, fields),
+   'error': (message, fields) => logEntry('error', message, fields),
+};
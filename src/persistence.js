@@ -0,0 +1,175 @@
+'use strict'
+
+const ADAPTER_METHODS = ['getItem', 'setItem', 'removeItem'];
+
+// by default, use the browser's (or a global stand-in's) localStorage
+let currentAdapter = null;
+
+
+/*
+ * Make a persistence adapter that keeps everything in memory.
+ * Nothing survives the process, so this suits servers that mount datastores on behalf
+ * of many users, and tests.
+ *
+ * Returns an adapter with getItem(), setItem() and removeItem() methods
+ */
+export function makeMemoryAdapter() {
+   const items = {};
+   return {
+      'getItem': (key) => (Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null),
+      'setItem': (key, value) => { items[key] = String(value); },
+      'removeItem': (key) => { delete items[key]; },
+   };
+}
+
+
+/*
+ * Make a persistence adapter that keeps everything in a JSON file on disk (node.js only).
+ * The file holds an object that maps keys to values, and is created on the first write.
+ *
+ * @param path (String) the path to the file
+ *
+ * Returns an adapter with getItem(), setItem() and removeItem() methods
+ */
+export function makeFileAdapter(path) {
+   if (!path || typeof(path) !== 'string') {
+      throw new Error('File adapter needs a path');
+   }
+
+   const fs = require('fs');
+
+   const load = () => {
+      let data = null;
+      try {
+         data = fs.readFileSync(path, 'utf8');
+      }
+      catch(e) {
+         if (e.code === 'ENOENT') {
+            return {};
+         }
+         throw e;
+      }
+      return JSON.parse(data);
+   };
+
+   const save = (items) => {
+      // write a new file and move it into place, so readers never see half of one
+      const tmp_path = `${path}.tmp`;
+      fs.writeFileSync(tmp_path, JSON.stringify(items), {'mode': 0o600});
+      fs.renameSync(tmp_path, path);
+   };
+
+   return {
+      'getItem': (key) => {
+         const items = load();
+         return Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null;
+      },
+      'setItem': (key, value) => {
+         const items = load();
+         items[key] = String(value);
+         save(items);
+      },
+      'removeItem': (key) => {
+         const items = load();
+         if (Object.prototype.hasOwnProperty.call(items, key)) {
+            delete items[key];
+            save(items);
+         }
+      },
+   };
+}
+
+
+/*
+ * Make a persistence adapter backed by a localStorage object.
+ *
+ * @param storage (Object) the localStorage to use.  If not given, the global localStorage is
+ *      looked up on each call; reads find nothing if there is none.
+ *
+ * Returns an adapter with getItem(), setItem() and removeItem() methods
+ */
+export function makeLocalStorageAdapter(storage=null) {
+   const getStorage = () => {
+      if (storage) {
+         return storage;
+      }
+      return (typeof(localStorage) !== 'undefined' ? localStorage : null);
+   };
+
+   return {
+      'getItem': (key) => {
+         const s = getStorage();
+         const value = (s ? s.getItem(key) : null);
+
+         // some localStorage stand-ins return undefined for missing items
+         return (value === undefined ? null : value);
+      },
+      'setItem': (key, value) => {
+         const s = getStorage();
+         if (!s) {
+            throw new Error('No localStorage available; use setPersistenceAdapter() to store sessions elsewhere');
+         }
+         s.setItem(key, value);
+      },
+      'removeItem': (key) => {
+         const s = getStorage();
+         if (s) {
+            s.removeItem(key);
+         }
+      },
+   };
+}
+
+
+const defaultAdapter = makeLocalStorageAdapter();
+
+
+/*
+ * Set where the library keeps session tokens and datastore mount contexts.
+ * The default is the global localStorage.
+ *
+ * @param adapter (Object) an object with getItem(key), setItem(key, value) and removeItem(key) methods
+ *      that store strings synchronously, i.e. from makeMemoryAdapter(), makeFileAdapter() or
+ *      makeLocalStorageAdapter().  Pass null to go back to the global localStorage.
+ *
+ * Individual operations and Datastore objects can use a different adapter with opts.persistence.
+ * Throws Error if the adapter is invalid.
+ */
+export function setPersistenceAdapter(adapter) {
+   if (adapter) {
+      checkAdapter(adapter);
+   }
+
+   currentAdapter = adapter || null;
+}
+
+
+/*
+ * Get the persistence adapter to use.
+ *
+ * @param adapter (Object) the adapter the caller asked for, if any
+ *
+ * Returns the given adapter, or else the global one.
+ * Throws Error if the given adapter is invalid.
+ */
+export function getPersistenceAdapter(adapter=null) {
+   if (adapter) {
+      checkAdapter(adapter);
+      return adapter;
+   }
+
+   return currentAdapter || defaultAdapter;
+}
+
+
+/*
+ * Make sure an adapter has every method we need.
+ * Throws Error if not.
+ */
+function checkAdapter(adapter) {
+   for (let method of ADAPTER_METHODS) {
+      if (typeof(adapter[method]) !== 'function') {
+         throw new Error(`Persistence adapter is missing the ${method}() method`);
+      }
+   }
+}
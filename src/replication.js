@@ -0,0 +1,161 @@
+'use strict'
+
+import {
+   InvalidArgumentError,
+} from './errors';
+
+import {
+   getLogger,
+} from './logger';
+
+const SUPPORTED_STORAGE_CLASSES = ["read_public", "write_public", "read_private", "write_private", "read_local", "write_local"];
+const REPLICATION_STRATEGY_CLASSES = {
+   'local': new Set(['read_local', 'write_local']),
+   'publish': new Set(['read_public', 'write_private']),
+   'public': new Set(['read_public', 'write_public']),
+   'private': new Set(['read_private', 'write_private']),
+};
+
+const log = getLogger();
+
+
+/*
+ * Make sure a replication strategy only names concerns we know about,
+ * and asks for a whole number of drivers for each (and at least one driver in all).
+ *
+ * @param replication_strategy (Object) maps replication concerns ('local', 'public', ...) to driver counts
+ *
+ * Throws InvalidArgumentError if not.
+ */
+export function checkReplicationStrategy(replication_strategy) {
+   if (!replication_strategy || Object.keys(replication_strategy).length === 0) {
+      throw new InvalidArgumentError('Replication strategy asks for no drivers');
+   }
+
+   for (let concern of Object.keys(replication_strategy)) {
+      if (!REPLICATION_STRATEGY_CLASSES[concern]) {
+         throw new InvalidArgumentError(`Unsupported replication strategy ${concern}`);
+      }
+
+      const count = replication_strategy[concern];
+      if (!Number.isInteger(count) || count < 0) {
+         throw new InvalidArgumentError(`Invalid driver count ${count} for replication strategy ${concern}`);
+      }
+   }
+}
+
+
+/*
+ * Work out which drivers fulfill a replication strategy, and explain the choice.
+ *
+ * A driver fulfills a concern (i.e. 'public') if it implements at least one of the concern's
+ * storage classes (i.e. 'read_public' or 'write_public').  Drivers are considered in the order
+ * they appear in the classification, and each one is chosen if it fulfills a concern that
+ * still needs drivers.
+ *
+ * @param replication_strategy (Object) maps replication concerns ('local', 'public', 'private', 'publish')
+ *      to the number of drivers each one needs
+ * @param classes (Object) the driver classification, as in session.storage.classes
+ *      (maps a storage class to the list of drivers that implement it)
+ *
+ * Returns an object with:
+ *      .drivers (Array) the chosen drivers
+ *      .satisfies (Object) maps each chosen driver to the list of concerns it counts towards
+ *      .unmet (Object) maps each concern that is not fulfilled to the number of drivers it is short
+ *      .rejected (Array) the drivers that were not chosen, as [{'driver': ..., 'classes': [...], 'reason': ...}]
+ *      .satisfiable (Bool) whether or not every concern is fulfilled
+ *
+ * Throws InvalidArgumentError if the strategy names an unknown concern.
+ */
+export function planReplication(replication_strategy, classes) {
+
+   checkReplicationStrategy(replication_strategy);
+   classes = classes || {};
+
+   // map each driver to the storage classes it implements, in the order they are listed
+   const driver_classes = {};
+   const all_drivers = [];
+   for (let storage_class of SUPPORTED_STORAGE_CLASSES) {
+      for (let driver of (classes[storage_class] || [])) {
+         if (!driver_classes[driver]) {
+            driver_classes[driver] = [];
+            all_drivers.push(driver);
+         }
+         if (!driver_classes[driver].includes(storage_class)) {
+            driver_classes[driver].push(storage_class);
+         }
+      }
+   }
+
+   const concerns = Object.keys(replication_strategy);
+   const needed = Object.assign({}, replication_strategy);
+   const plan = {
+      'drivers': [],
+      'satisfies': {},
+      'unmet': {},
+      'rejected': [],
+      'satisfiable': true,
+   };
+
+   for (let driver of all_drivers) {
+      const fulfills = concerns.filter((concern) => {
+         return driver_classes[driver].some((storage_class) => REPLICATION_STRATEGY_CLASSES[concern].has(storage_class));
+      });
+
+      if (fulfills.length === 0) {
+         plan.rejected.push({
+            'driver': driver,
+            'classes': driver_classes[driver],
+            'reason': `implements none of the storage classes for ${concerns.join(', ')}`,
+         });
+         continue;
+      }
+
+      const useful = fulfills.filter((concern) => needed[concern] > 0);
+      if (useful.length === 0) {
+         plan.rejected.push({
+            'driver': driver,
+            'classes': driver_classes[driver],
+            'reason': `not needed; ${fulfills.join(', ')} already has enough drivers`,
+         });
+         continue;
+      }
+
+      log.debug('Selected driver', {'driver': driver, 'concerns': useful});
+
+      plan.drivers.push(driver);
+      plan.satisfies[driver] = useful;
+      for (let concern of useful) {
+         needed[concern] -= 1;
+      }
+   }
+
+   for (let concern of concerns) {
+      if (needed[concern] > 0) {
+         plan.unmet[concern] = needed[concern];
+         plan.satisfiable = false;
+      }
+   }
+
+   return plan;
+}
+
+
+/*
+ * Fulfill a replication strategy using the drivers available to us.
+ *
+ * @param replication_strategy (Object) maps replication concerns to driver counts
+ * @param classes (Object) the driver classification (session.storage.classes)
+ *
+ * Returns the list of drivers to use.
+ * Throws InvalidArgumentError if the strategy cannot be fulfilled; the message says which concerns are short.
+ */
+export function selectDrivers(replication_strategy, classes) {
+   const plan = planReplication(replication_strategy, classes);
+   if (!plan.satisfiable) {
+      const shortfalls = Object.keys(plan.unmet).map((concern) => `${concern} needs ${plan.unmet[concern]} more driver(s)`);
+      throw new InvalidArgumentError(`Unsatisfiable replication strategy: ${shortfalls.join('; ')}`);
+   }
+
+   return plan.drivers;
+}
@@ -70,6 +70,10 @@ export const MUTABLE_DATUM_SCHEMA_BASE_PROPERTIES = {
     proto_version: {
         type: 'integer',
     },
+    // set (and signed) only on a large file's manifest inode, whose data lists the file's chunks
+    chunked: {
+        type: 'boolean',
+    },
 };
 
 export const MUTABLE_DATUM_SCHEMA_HEADER_PROPERTIES = Object.assign({}, MUTABLE_DATUM_SCHEMA_BASE_PROPERTIES);
@@ -82,7 +86,7 @@ export const MUTABLE_DATUM_INODE_HEADER_SCHEMA = {
     type: 'object',
     properties: MUTABLE_DATUM_SCHEMA_HEADER_PROPERTIES,
     additionalProperties: false,
-    required: Object.keys(MUTABLE_DATUM_SCHEMA_HEADER_PROPERTIES).filter(function (x) { return x != 'reader_pubkeys';}),  // reader_pubkeys is optional
+    required: Object.keys(MUTABLE_DATUM_SCHEMA_HEADER_PROPERTIES).filter(function (x) { return x != 'reader_pubkeys' && x != 'chunked';}),  // reader_pubkeys and chunked are optional
 };
 
 export const MUTABLE_DATUM_DIRENT_SCHEMA = {
@@ -137,14 +141,14 @@ export const MUTABLE_DATUM_FILE_SCHEMA = {
     type: 'object',
     properties: MUTABLE_DATUM_FILE_SCHEMA_PROPERTIES,
     additionalProperties: false,
-    required: Object.keys(MUTABLE_DATUM_FILE_SCHEMA_PROPERTIES).filter(function (x) { return x != 'reader_pubkeys';}), // reader_pubkeys is optional
+    required: Object.keys(MUTABLE_DATUM_FILE_SCHEMA_PROPERTIES).filter(function (x) { return x != 'reader_pubkeys' && x != 'chunked';}), // reader_pubkeys and chunked are optional
 };
 
 export const MUTABLE_DATUM_DIR_SCHEMA = {
     type: 'object',
     properties: MUTABLE_DATUM_DIR_SCHEMA_PROPERTIES,
     additionalProperties: false,
-    required: Object.keys(MUTABLE_DATUM_DIR_SCHEMA_PROPERTIES),
+    required: Object.keys(MUTABLE_DATUM_DIR_SCHEMA_PROPERTIES).filter(function (x) { return x != 'chunked';}), // only files are chunked
 };
 
 export const MUTABLE_DATUM_INODE_SCHEMA = {
@@ -202,6 +206,65 @@ export const MUTABLE_DATUM_RESPONSE_SCHEMA = {
 export const MUTABLE_DATUM_EXTENDED_RESPONSE_SCHEMA = Object.assign({}, MUTABLE_DATUM_RESPONSE_SCHEMA);
 MUTABLE_DATUM_EXTENDED_RESPONSE_SCHEMA['path_info'] = MUTABLE_DATUM_PATH_INFO_SCHEMA;
 
+export const CHUNK_MANIFEST_TYPE = 'blockstack-chunked-file';
+
+export const CHUNK_MANIFEST_SCHEMA = {
+    type: 'object',
+    properties: {
+        type: {
+            type: 'string',
+            pattern: `^${CHUNK_MANIFEST_TYPE}$`,
+        },
+        proto_version: {
+            type: 'integer',
+        },
+        upload_id: {
+            type: 'string',
+            pattern: OP_UUID_PATTERN,
+        },
+        chunk_path: {
+            type: 'string',
+            pattern: OP_URLENCODED_PATTERN,
+        },
+        chunk_size: {
+            type: 'integer',
+            minimum: 1,
+        },
+        size: {
+            type: 'integer',
+            minimum: 0,
+        },
+        chunks: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    size: {
+                        type: 'integer',
+                        minimum: 0,
+                    },
+                    hash: {
+                        type: 'string',
+                        pattern: OP_HEX_PATTERN,
+                    },
+                },
+                additionalProperties: false,
+                required: ['size', 'hash'],
+            },
+        },
+    },
+    additionalProperties: false,
+    required: [
+       'type',
+       'proto_version',
+       'upload_id',
+       'chunk_path',
+       'chunk_size',
+       'size',
+       'chunks',
+    ],
+};
+
 export const DATASTORE_SCHEMA = {
     type: 'object',
     properties: {
@@ -229,6 +292,22 @@ export const DATASTORE_SCHEMA = {
             type: 'string',
             pattern: OP_UUID_PATTERN,
         },
+        path_drivers: {
+            type: 'object',
+            additionalProperties: {
+                type: 'array',
+                items: {
+                    type: 'string',
+                },
+            },
+        },
+        replication_strategy: {
+            type: 'object',
+            additionalProperties: {
+                type: 'integer',
+                minimum: 0,
+            },
+        },
     },
     additionalProperties: false,
     required: [
@@ -245,11 +324,94 @@ export const DATASTORE_RESPONSE_SCHEMA = {
    type: 'object',
    properties: {
       datastore: DATASTORE_SCHEMA,
+      version: {
+         type: 'integer',
+         minimum: 1,
+      },
    },
    additionalProperties: false,
    required: ['datastore'],
 };
 
+export const INODE_HEADER_BLOB_RESPONSE_SCHEMA = {
+   type: 'object',
+   properties: {
+      header_blob: {
+         type: 'string',
+      },
+      signature: {
+         type: 'string',
+         pattern: OP_BASE64_PATTERN,
+      },
+   },
+   additionalProperties: false,
+   required: ['header_blob', 'signature'],
+};
+
+export const APP_PUBLIC_KEYS_SCHEMA = {
+   type: 'array',
+   items: {
+      type: 'object',
+      properties: {
+         device_id: {
+            type: 'string',
+         },
+         public_key: {
+            type: 'string',
+            pattern: OP_PUBKEY_PATTERN,
+         },
+      },
+      required: ['device_id', 'public_key'],
+   },
+};
+
+export const NAME_INFO_RESPONSE_SCHEMA = {
+   type: 'object',
+   properties: {
+      address: {
+         type: 'string',
+         pattern: OP_ADDRESS_PATTERN,
+      },
+      zonefile: {
+         anyOf: [
+            {
+               type: 'string',
+            },
+            {
+               type: 'null',
+            },
+         ],
+      },
+   },
+   required: ['address', 'zonefile'],
+};
+
+export const PROFILE_TOKEN_FILE_SCHEMA = {
+   type: 'array',
+   items: {
+      type: 'object',
+      properties: {
+         token: {
+            type: 'string',
+         },
+      },
+      required: ['token'],
+   },
+   minItems: 1,
+};
+
+export const APP_DATASTORE_SCHEMA = {
+   type: 'object',
+   properties: {
+      datastore_id: {
+         type: 'string',
+         pattern: OP_ADDRESS_PATTERN,
+      },
+      app_public_keys: APP_PUBLIC_KEYS_SCHEMA,
+   },
+   required: ['datastore_id', 'app_public_keys'],
+};
+
 export const DATASTORE_LOOKUP_PATH_ENTRY_SCHEMA = {
     type: 'object',
     properties: {
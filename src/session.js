@@ -0,0 +1,172 @@
+'use strict'
+
+import {
+   AccessDeniedError,
+} from './errors';
+
+import {
+   getLogger,
+} from './logger';
+
+const jsontokens = require('jsontokens');
+const bitcoinjs = require('bitcoinjs-lib');
+
+const log = getLogger();
+
+// Core public keys that may sign session tokens (hex); empty if not configured
+let corePublicKeys = [];
+
+// refuse session tokens that cannot be verified
+let strictVerification = false;
+
+// session tokens that have already been verified, so each one is only checked once
+const MAX_VERIFIED_TOKENS = 32;
+let verifiedTokens = new Map();
+
+
+/*
+ * Configure how Core session tokens are verified before the library trusts them
+ * (i.e. their api_endpoint, app_public_keys, device_id and storage classes).
+ *
+ * A token is verified against the configured Core public keys if there are any.
+ * Otherwise, it is verified against the signer key it carries in its public_keys claim
+ * (which must match its iss claim, if that is a did:btc-addr).  A token that fails
+ * verification is always rejected.  A token that cannot be verified (no Core key is configured,
+ * and it carries no key) is rejected in strict mode, and used with a warning otherwise.
+ * In strict mode, a carried key is only trusted if the token's iss is the did:btc-addr of
+ * that key, since anyone can sign a token with a key of their own.
+ *
+ * @param opts (Object) optional arguments:
+ *      .corePublicKey (String or Array) the hex-encoded public key(s) of the Core node(s) that sign session tokens
+ *      .strict (Bool) whether or not to refuse session tokens that cannot be verified (default false)
+ *
+ * Throws Error if a public key is not a hex string.
+ */
+export function setSessionVerification(opts={}) {
+
+   let keys = opts.corePublicKey || [];
+   if (!Array.isArray(keys)) {
+      keys = [keys];
+   }
+
+   for (let key of keys) {
+      if (typeof(key) !== 'string' || !/^[0-9a-fA-F]+$/.test(key)) {
+         throw new Error(`Invalid Core public key ${key}`);
+      }
+   }
+
+   corePublicKeys = keys.slice();
+   strictVerification = !!opts.strict;
+   verifiedTokens = new Map();
+}
+
+
+/*
+ * Decode a Core session token, and verify it first (see setSessionVerification()).
+ *
+ * @param sessionToken (String) the session token (a JWT)
+ *
+ * Returns the token's payload.
+ * Throws AccessDeniedError if the token fails verification, or cannot be verified in strict mode.
+ */
+export function decodeSessionToken(sessionToken) {
+
+   if (verifiedTokens.has(sessionToken)) {
+      return verifiedTokens.get(sessionToken);
+   }
+
+   const session = jsontokens.decodeToken(sessionToken).payload;
+
+   let keys = corePublicKeys;
+   if (keys.length === 0) {
+      keys = getSignerKeys(session, strictVerification);
+   }
+
+   if (keys.length === 0) {
+      if (strictVerification) {
+         throw new AccessDeniedError('Session token cannot be verified: no Core public key is configured, and it carries no signer key its issuer vouches for');
+      }
+
+      log.warn('Using a session token that cannot be verified', {'api_endpoint': session.api_endpoint});
+   }
+   else if (!keys.some((key) => verifyToken(sessionToken, key))) {
+      throw new AccessDeniedError('Session token signature is invalid');
+   }
+
+   if (verifiedTokens.size >= MAX_VERIFIED_TOKENS) {
+      verifiedTokens.delete(verifiedTokens.keys().next().value);
+   }
+   verifiedTokens.set(sessionToken, session);
+
+   return session;
+}
+
+
+/*
+ * Forget that a session token has been verified, i.e. once it is no longer in use.
+ */
+export function forgetVerifiedSession(sessionToken) {
+   verifiedTokens.delete(sessionToken);
+}
+
+
+/*
+ * Forget which session tokens have been verified.
+ */
+export function clearVerifiedSessions() {
+   verifiedTokens = new Map();
+}
+
+
+/*
+ * Find the key that signed a session token, from its own claims.
+ * The first of its public_keys is used.  If its iss is a did:btc-addr, the key must match it.
+ *
+ * @param session (Object) the token's payload
+ * @param need_issuer (Bool) only use the key if the iss is a did:btc-addr
+ *
+ * Returns a list with the key, or an empty list if there is no usable key.
+ */
+function getSignerKeys(session, need_issuer) {
+
+   if (!Array.isArray(session.public_keys) || typeof(session.public_keys[0]) !== 'string') {
+      return [];
+   }
+
+   const key = session.public_keys[0];
+   const has_issuer = (typeof(session.iss) === 'string' && session.iss.startsWith('did:btc-addr:'));
+
+   if (!has_issuer && need_issuer) {
+      return [];
+   }
+
+   if (has_issuer) {
+      let address = null;
+      try {
+         address = bitcoinjs.ECPair.fromPublicKeyBuffer(Buffer.from(key, 'hex')).getAddress();
+      }
+      catch(e) {
+         throw new AccessDeniedError('Session token carries an invalid signer key');
+      }
+
+      if (session.iss !== `did:btc-addr:${address}`) {
+         throw new AccessDeniedError('Session token signer key does not match its issuer');
+      }
+   }
+
+   return [key];
+}
+
+
+/*
+ * Check a token's signature against one public key.
+ * Returns true if it verifies
+ */
+function verifyToken(sessionToken, public_key) {
+   try {
+      return new jsontokens.TokenVerifier('ES256K', public_key).verify(sessionToken);
+   }
+   catch(e) {
+      return false;
+   }
+}
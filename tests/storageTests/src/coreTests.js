@@ -0,0 +1,81 @@
+'use strict'
+
+import {
+   makeCoreClient,
+   parseCoreEndpoint,
+   httpRequest,
+} from '../../../lib/';
+
+import test from 'tape';
+
+
+/*
+ * A fetch() stand-in that records each request, and answers with an empty JSON object.
+ */
+function makeRecordingFetch() {
+   const requests = [];
+   const fakeFetch = (url, options) => {
+      requests.push({'url': url, 'options': options});
+      return Promise.resolve({
+         'status': 200,
+         'statusText': 'OK',
+         'headers': {'get': (name) => (name.toLowerCase() === 'content-type' ? 'application/json' : null)},
+         'json': () => Promise.resolve({}),
+      });
+   };
+   return {'fetch': fakeFetch, 'requests': requests};
+}
+
+
+export function core_tests() {
+
+   test('parseCoreEndpoint fills in the scheme and port', (t) => {
+      t.deepEqual(parseCoreEndpoint('http://localhost:6270'), {'scheme': 'http', 'host': 'localhost', 'port': 6270}, 'scheme, host and port');
+      t.deepEqual(parseCoreEndpoint('https://core.example.com'), {'scheme': 'https', 'host': 'core.example.com', 'port': 443}, 'https defaults to port 443');
+      t.deepEqual(parseCoreEndpoint('HTTP://core.example.com'), {'scheme': 'http', 'host': 'core.example.com', 'port': 80}, 'scheme is case-insensitive');
+      t.deepEqual(parseCoreEndpoint('localhost:6270'), {'scheme': 'http', 'host': 'localhost', 'port': 6270}, 'host:port defaults to http');
+      t.deepEqual(parseCoreEndpoint('localhost'), {'scheme': 'http', 'host': 'localhost', 'port': 80}, 'bare host defaults to port 80');
+      t.deepEqual(parseCoreEndpoint('https://core.example.com:8443/v1/'), {'scheme': 'https', 'host': 'core.example.com', 'port': 8443}, 'trailing path is ignored');
+      t.end();
+   });
+
+   test('makeCoreClient checks its options', (t) => {
+      t.throws(() => makeCoreClient({'scheme': 'ftp'}), /scheme/, 'unsupported scheme is rejected');
+      t.throws(() => makeCoreClient({'fetch': 'nope'}), /fetch/, 'fetch must be a function');
+      t.equal(makeCoreClient({'baseURL': 'https://core.example.com/api//'}).baseURL, 'https://core.example.com/api', 'trailing slashes are dropped from the base URL');
+      t.end();
+   });
+
+   test('httpRequest builds URLs from the client and the endpoint', (t) => {
+      const recorder = makeRecordingFetch();
+      const options = {'method': 'GET', 'scheme': 'http', 'host': 'localhost', 'port': 6270, 'path': '/v1/stores/abc'};
+
+      httpRequest(Object.assign({'client': makeCoreClient({'fetch': recorder.fetch})}, options))
+      .then(() => httpRequest(Object.assign({'client': makeCoreClient({'fetch': recorder.fetch, 'scheme': 'https'})}, options)))
+      .then(() => httpRequest(Object.assign({'client': makeCoreClient({'fetch': recorder.fetch, 'baseURL': 'https://core.example.com/api/'})}, options)))
+      .then(() => {
+         const urls = recorder.requests.map((r) => r.url);
+         t.equal(urls[0], 'http://localhost:6270/v1/stores/abc', 'endpoint scheme, host and port are used');
+         t.equal(urls[1], 'https://localhost:6270/v1/stores/abc', 'client scheme overrides the endpoint scheme');
+         t.equal(urls[2], 'https://core.example.com/api/v1/stores/abc', 'base URL replaces the endpoint');
+         t.end();
+      })
+      .catch(t.end);
+   });
+
+   test('httpRequest merges request headers over the client headers', (t) => {
+      const recorder = makeRecordingFetch();
+      const client = makeCoreClient({'fetch': recorder.fetch, 'headers': {'X-Tenant': 'a', 'Authorization': 'bearer client'}});
+      const options = {'method': 'GET', 'host': 'localhost', 'port': 6270, 'path': '/v1/stores/abc', 'client': client};
+
+      httpRequest(Object.assign({'headers': {'Authorization': 'bearer request'}}, options))
+      .then(() => httpRequest(options))
+      .then(() => {
+         t.deepEqual(recorder.requests[0].options.headers, {'X-Tenant': 'a', 'Authorization': 'bearer request'}, 'request headers win');
+         t.deepEqual(recorder.requests[1].options.headers, {'X-Tenant': 'a', 'Authorization': 'bearer client'}, 'client headers are sent by default');
+         t.deepEqual(client.headers, {'X-Tenant': 'a', 'Authorization': 'bearer client'}, 'client headers are not changed by a request');
+         t.end();
+      })
+      .catch(t.end);
+   });
+}
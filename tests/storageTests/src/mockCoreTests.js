@@ -0,0 +1,1979 @@
+'use strict'
+
+import {
+   setCoreClient,
+   setPersistenceAdapter,
+   setSessionExpiredCallback,
+   setSessionVerification,
+   makeMemoryAdapter,
+   addStorageListener,
+   removeStorageListener,
+   Datastore,
+   createCollection,
+   mountCollection,
+   listCollections,
+   addCollectionItem,
+   getCollectionItem,
+   removeCollectionItem,
+   listCollectionItems,
+   datastoreMount,
+   datastoreMountOrCreate,
+   datastoreUnmount,
+   addDevice,
+   setPathDrivers,
+   scrubDatastore,
+   migrateDatastore,
+   getPublicURL,
+   getFileFromURL,
+   setDriverURLs,
+   getDriverHealth,
+   resetDriverHealth,
+   getPendingRepairs,
+   repairPendingWrites,
+   clearAllContexts,
+   datastoreGetId,
+   datastoreCreateRequest,
+   datastoreCreate,
+   datastoreDelete,
+   mkdir,
+   putFile,
+   getFile,
+   listdir,
+   stat,
+   lookup,
+   deleteFile,
+   rmdir,
+   signRawData,
+   makeChunkManifest,
+   NotFoundError,
+   AlreadyExistsError,
+   AccessDeniedError,
+   InvalidArgumentError,
+   ReadOnlyError,
+   RemoteIOError,
+   InvalidCoreResponseError,
+   SessionExpiredError,
+   StorageError,
+   AbortedError,
+   TimeoutError,
+   MUTABLE_DATUM_DIR_TYPE,
+   MUTABLE_DATUM_FILE_TYPE,
+} from '../../../lib/';
+
+import {
+   startMockCore,
+} from './testlib/mock_core';
+
+import test from 'tape';
+
+const bitcoinjs = require('bitcoinjs-lib');
+const jsontokens = require('jsontokens');
+const fetch = require('node-fetch');
+
+
+/*
+ * Make an app key and a Core session token for it
+ * (or, if key is given, a new session token for that app key).
+ * claims are added to the token's payload.
+ */
+function makeSession(api_endpoint, blockchain_id='mockcore.id', claims={}, key=null) {
+   key = key || bitcoinjs.ECPair.makeRandom();
+   const privkey_hex = key.d.toBuffer(32).toString('hex');
+   const pubkey_hex = key.getPublicKeyBuffer().toString('hex');
+
+   const session = {
+      'app_domain': 'mock-core.test',
+      'blockchain_id': blockchain_id,
+      'device_id': 'device-1',
+      'api_endpoint': api_endpoint,
+      'app_public_keys': [{'device_id': 'device-1', 'public_key': pubkey_hex}],
+      'storage': {
+         'classes': {
+            'read_local': ['disk'],
+            'write_local': ['disk'],
+            'read_public': ['disk'],
+            'write_public': ['disk'],
+         },
+         'preferences': {},
+      },
+   };
+
+   const token = new jsontokens.TokenSigner('ES256K', privkey_hex).sign(Object.assign(session, claims));
+   return {'key': key, 'privkey_hex': privkey_hex, 'pubkey_hex': pubkey_hex, 'session_token': token};
+}
+
+
+/*
+ * Register a name with the mock Core, and publish its owner's profile.
+ *
+ * @param core (Object) the mock Core
+ * @param blockchain_id (String) the name
+ * @param apps (Object) the profile's .apps
+ * @param signer (Object) the key to sign the profile with, if not the name's owner key (i.e. to forge it)
+ *
+ * Returns the owner key.
+ */
+function publishProfile(core, blockchain_id, apps, signer=null) {
+   const owner = bitcoinjs.ECPair.makeRandom();
+   signer = signer || owner;
+
+   const public_key = signer.getPublicKeyBuffer().toString('hex');
+   const token = new jsontokens.TokenSigner('ES256K', signer.d.toBuffer(32).toString('hex')).sign({
+      'jti': `profile-${blockchain_id}`,
+      'iat': new Date().toISOString(),
+      'subject': {'publicKey': public_key},
+      'issuer': {'publicKey': public_key},
+      'claim': {'@type': 'Person', 'apps': apps},
+   });
+
+   const zonefile = `$ORIGIN ${blockchain_id}\n$TTL 3600\n_http._tcp IN URI 10 1 "${core.api_endpoint}/profiles/${blockchain_id}"\n`;
+   core.names[blockchain_id] = {'address': owner.getAddress(), 'zonefile': zonefile};
+   core.profiles[blockchain_id] = [{'token': token}];
+   return owner;
+}
+
+
+/*
+ * Serve the given drivers' data at the mock Core's public driver URLs (see setDriverURLs()),
+ * so that replicas can be read one driver at a time.
+ */
+function serveDrivers(core, drivers) {
+   const urls = {};
+   for (let driver of drivers) {
+      urls[driver] = `${core.api_endpoint}/public/${driver}/`;
+   }
+   setDriverURLs(urls);
+}
+
+
+export function mock_core_tests() {
+
+   let core = null;
+   let session = null;
+   let ds = null;
+
+   test('start mock Core', (t) => {
+      setCoreClient({'fetch': fetch});
+      startMockCore().then((mock) => {
+         core = mock;
+         session = makeSession(core.api_endpoint);
+         t.ok(core.api_endpoint, `mock Core listening on ${core.api_endpoint}`);
+         t.end();
+      }, t.end);
+   });
+
+   test('datastoreMountOrCreate creates and mounts a datastore', (t) => {
+      datastoreMountOrCreate({'local': 1}, session.session_token, session.privkey_hex)
+      .then((ctx) => {
+         ds = ctx;
+         const datastore_id = datastoreGetId(ds.datastore.pubkey);
+
+         t.equal(ds.datastore_id, datastore_id, 'mounted the app key\'s datastore');
+         t.ok(core.stores[datastore_id], 'mock Core has the datastore');
+         t.deepEqual(ds.datastore.drivers, ['disk'], 'datastore uses the selected driver');
+         t.end();
+      })
+      .catch(t.end);
+   });
+
+   test('mkdir, putFile, getFile, listdir, stat', (t) => {
+      mkdir('/dir1')
+      .then(() => putFile('/dir1/hello.txt', 'hello world'))
+      .then(() => putFile('/dir1/data.bin', Buffer.from('buffer data')))
+      .then(() => getFile('/dir1/hello.txt'))
+      .then((data) => {
+         t.equal(data, 'hello world', 'read back a string file');
+         return getFile('/dir1/data.bin');
+      })
+      .then((data) => {
+         t.equal(data, 'buffer data', 'read back a Buffer file');
+         return putFile('/dir1/hello.txt', 'goodbye world');
+      })
+      .then(() => getFile('/dir1/hello.txt'))
+      .then((data) => {
+         t.equal(data, 'goodbye world', 'read back an overwritten file');
+         return listdir('/dir1');
+      })
+      .then((dir) => {
+         t.deepEqual(Object.keys(dir.children).sort(), ['data.bin', 'hello.txt'], 'listdir shows both files');
+         t.equal(dir.children['hello.txt'].type, MUTABLE_DATUM_FILE_TYPE, 'listdir entry is a file');
+         return listdir('/');
+      })
+      .then((dir) => {
+         t.equal(dir.children['dir1'].type, MUTABLE_DATUM_DIR_TYPE, 'root lists the directory');
+         return stat('/dir1/hello.txt');
+      })
+      .then((inode) => {
+         t.equal(inode.type, MUTABLE_DATUM_FILE_TYPE, 'stat returns the file inode');
+         t.equal(inode.owner, ds.datastore_id, 'file is owned by the datastore');
+         t.end();
+      })
+      .catch(t.end);
+   });
+
+   test('lookup sends the session token, and can ask for inode data', (t) => {
+      // Core answers lookups with {'inode': ..., 'status': ...}; wrap the mock's plain inode replies that way
+      const requests = [];
+      setCoreClient({'fetch': (url, options) => {
+         requests.push({'url': url, 'options': options});
+         if (url.indexOf('/inodes?') < 0) {
+            return fetch(url, options);
+         }
+
+         return fetch(url, options)
+         .then((res) => res.json().then((inode) => ({
+            'status': res.status,
+            'statusText': res.statusText,
+            'headers': res.headers,
+            'json': () => Promise.resolve(res.status === 200 ? {'inode': inode, 'status': true} : inode),
+         })));
+      }});
+
+      lookup('/dir1/hello.txt', {'idata': true})
+      .then((response) => {
+         setCoreClient({'fetch': fetch});
+
+         const request = requests.find((r) => r.url.indexOf('/inodes?') >= 0);
+         t.ok(request.url.indexOf('&idata=1') >= 0, 'inode data is requested');
+         t.equal(request.options.headers['Authorization'], `bearer ${ds.session_token}`, 'session token is sent');
+         t.equal(response.inode.type, MUTABLE_DATUM_FILE_TYPE, 'lookup resolved the file');
+         t.equal(Buffer.from(response.inode.idata, 'base64').toString(), 'goodbye world', 'inode data is returned');
+         t.end();
+      })
+      .catch((e) => {
+         setCoreClient({'fetch': fetch});
+         t.end(e);
+      });
+   });
+
+   test('operations and requests emit events', (t) => {
+      const events = [];
+      const listener = addStorageListener((e) => events.push(e));
+
+      putFile('/dir1/events.txt', 'event data')
+      .then(() => getFile('/dir1/events.txt'))
+      .then(() => getFile('/dir1/missing.txt'))
+      .then(() => mkdir('/dir1'))
+      .then(() => t.fail('mkdir of an existing directory succeeded'), () => {
+         t.ok(removeStorageListener(listener), 'listener is removed');
+
+         const ops = events.filter((e) => e.type.startsWith('operation.') && e.operation !== 'datastoreMountOrCreate');
+         t.deepEqual(ops.map((e) => `${e.type} ${e.operation} ${e.path}`), [
+            'operation.start putFile /dir1/events.txt',
+            'operation.success putFile /dir1/events.txt',
+            'operation.start getFile /dir1/events.txt',
+            'operation.success getFile /dir1/events.txt',
+            'operation.start getFile /dir1/missing.txt',
+            'operation.success getFile /dir1/missing.txt',
+            'operation.start mkdir /dir1',
+            'operation.failure mkdir /dir1',
+         ], 'each operation starts and then succeeds or fails');
+
+         t.equal(ops[0].operationId, ops[1].operationId, 'start and end events share an operation ID');
+         t.equal(ops[1].bytes, 10, 'putFile reports the bytes written');
+         t.deepEqual(Object.keys(ops[1].phases), ['getParent', 'sign', 'write'], 'putFile reports time spent in each phase');
+         t.ok(ops[3].found && ops[3].bytes === 10, 'getFile reports the bytes read');
+         t.equal(ops[5].found, false, 'getFile reports missing files');
+         t.equal(ops[7].errno, 17, 'failures report the errno');
+
+         const requests = events.filter((e) => e.type.startsWith('request.'));
+         const put = requests.find((e) => e.type === 'request.success' && e.method === 'PUT');
+         t.ok(put.bytesSent > 0 && put.status === 200 && put.retries === 0, 'request events report bytes, status and retries');
+
+         const missing = requests.find((e) => e.type === 'request.failure' && e.url.includes('missing.txt'));
+         t.ok(missing && missing.status === 404 && missing.errno === 2, 'error responses are request failures');
+         t.ok(requests.every((e) => typeof(e.duration) === 'number' || e.type === 'request.start'), 'requests report durations');
+         return deleteFile('/dir1/events.txt');
+      })
+      .then(() => t.end())
+      .catch(t.end);
+   });
+
+   test('getFile returns binary data byte-for-byte', (t) => {
+      const all_bytes = Buffer.alloc(256);
+      for (let i = 0; i < 256; i++) {
+         all_bytes[i] = i;
+      }
+
+      putFile('/dir1/bytes.bin', all_bytes)
+      .then(() => getFile('/dir1/bytes.bin', {'encoding': 'binary'}))
+      .then((data) => {
+         t.ok(Buffer.isBuffer(data), 'binary data is a Buffer');
+         t.ok(all_bytes.equals(data), 'all 256 byte values survive the round trip');
+         return putFile('/dir1/bytes.bin', new Uint8Array([0xff, 0x00, 0xfe]));
+      })
+      .then(() => getFile('/dir1/bytes.bin', {'encoding': 'binary'}))
+      .then((data) => {
+         t.deepEqual(Array.from(data), [0xff, 0x00, 0xfe], 'Uint8Array data is stored as-is');
+         return getFile('/dir1/bytes.bin', {'encoding': 'base32'});
+      })
+      .then(() => t.fail('getFile with an unknown encoding succeeded'), (e) => {
+         t.ok(e instanceof InvalidArgumentError, 'unknown encodings are rejected');
+         return deleteFile('/dir1/bytes.bin');
+      })
+      .then(() => t.end())
+      .catch(t.end);
+   });
+
+   test('large files are stored in chunks', (t) => {
+      const chunk_size = 1000;
+      const data = Buffer.alloc(4500);
+      for (let i = 0; i < data.length; i++) {
+         data[i] = (i * 7) % 256;
+      }
+
+      const progress = [];
+      const opts = {
+         'chunkSize': chunk_size,
+         'onProgress': (p) => progress.push(p),
+      };
+
+      putFile('/dir1/large.bin', data, opts)
+      .then(() => {
+         t.equal(progress.length, 5, 'progress is reported for each chunk');
+         t.deepEqual(progress[4], {
+            'path': '/dir1/large.bin',
+            'uploadId': progress[0].uploadId,
+            'chunksDone': 5,
+            'chunksTotal': 5,
+            'bytesDone': 4500,
+            'bytesTotal': 4500,
+         }, 'last progress report covers the whole file');
+
+         const payloads = core.requests.filter((r) => r.method === 'PUT').map((r) => r.query.path);
+         t.equal(payloads.filter((p) => p.startsWith('/.chunks/')).length, 5, 'each chunk is uploaded on its own');
+         return stat('/dir1/large.bin');
+      })
+      .then((inode) => {
+         t.equal(inode.chunked, true, 'manifest header is marked as chunked');
+
+         const chunk_dir = `/.chunks/${inode.uuid}.${progress[0].uploadId}`;
+         t.equal(core.requests.filter((r) => r.method === 'POST' && r.query.path === chunk_dir).length, 1, 'chunk directory is made once');
+         return listdir(chunk_dir);
+      })
+      .then((chunk_dir) => {
+         t.deepEqual(Object.keys(chunk_dir.children).sort(), ['0', '1', '2', '3', '4'], 'each chunk is linked into the chunk directory');
+         return getFile('/dir1/large.bin', {'encoding': 'binary'});
+      })
+      .then((read_data) => {
+         t.ok(data.equals(read_data), 'getFile reassembles the chunks');
+
+         const pieces = [];
+         return getFile('/dir1/large.bin', {'onData': (piece) => pieces.push(piece)})
+         .then((size) => {
+            t.equal(size, 4500, 'with onData, getFile resolves to the file size');
+            t.deepEqual(pieces.map((piece) => piece.length), [1000, 1000, 1000, 1000, 500], 'onData gets each chunk');
+            t.ok(data.equals(Buffer.concat(pieces)), 'the chunks add up to the file');
+            return listdir('/');
+         });
+      })
+      .then((root) => {
+         t.deepEqual(Object.keys(root.children), ['dir1'], 'chunk directory is hidden from listdir');
+         return putFile('/dir1/small.txt', 'small file', {'chunkSize': chunk_size});
+      })
+      .then(() => stat('/dir1/small.txt'))
+      .then((inode) => {
+         const payload = core.stores[ds.datastore_id].inodes[inode.uuid].payload;
+         t.equal(payload.toString(), 'small file', 'small files are stored in a single inode');
+         return deleteFile('/dir1/large.bin');
+      })
+      .then(() => listdir('/.chunks'))
+      .then((chunk_dirs) => {
+         t.deepEqual(chunk_dirs.children, {}, 'deleteFile removes the chunks');
+         return deleteFile('/dir1/small.txt');
+      })
+      .then(() => t.end())
+      .catch(t.end);
+   });
+
+   test('only files marked as chunked are read as manifests', (t) => {
+      const lookalike = makeChunkManifest('0123abcd', '/.chunks/x', 10, [{'size': 10, 'hash': 'ab'}]);
+      const chunk_lookups = () => core.requests.filter((r) => r.query.path === '/.chunks').length;
+      let lookups_before = null;
+
+      const file_reads = () => core.requests.filter((r) => r.method === 'GET' && r.path === `/v1/stores/${ds.datastore_id}/files`).length;
+      let reads_before = null;
+
+      putFile('/dir1/lookalike.json', lookalike)
+      .then(() => {
+         reads_before = file_reads();
+         return getFile('/dir1/lookalike.json');
+      })
+      .then((data) => {
+         t.equal(data, lookalike, 'a file that looks like a manifest reads back as-is');
+         t.equal(file_reads(), reads_before + 1, 'file data is read from /files');
+         return stat('/dir1/lookalike.json');
+      })
+      .then((inode) => {
+         t.notOk(inode.chunked, 'small file header is not marked as chunked');
+
+         lookups_before = chunk_lookups();
+         return putFile('/dir1/lookalike.json', 'overwritten');
+      })
+      .then(() => deleteFile('/dir1/lookalike.json'))
+      .then(() => {
+         t.equal(chunk_lookups(), lookups_before, 'overwriting and deleting a small file does not look for chunks');
+         t.end();
+      })
+      .catch(t.end);
+   });
+
+   test('interrupted chunked uploads can be resumed', (t) => {
+      const data = Buffer.alloc(3500, 'x');
+      const controller = new AbortController();
+      let upload_id = null;
+
+      putFile('/dir1/resumed.bin', data, {
+         'chunkSize': 1000,
+         'signal': controller.signal,
+         'onProgress': (p) => {
+            if (p.chunksDone === 2) {
+               controller.abort();
+            }
+         },
+      })
+      .then(() => t.fail('aborted upload succeeded'), (e) => {
+         t.ok(e instanceof StorageError, 'aborted upload fails');
+         t.ok(e.uploadId, 'error has the upload ID');
+         upload_id = e.uploadId;
+         return getFile('/dir1/resumed.bin');
+      })
+      .then((read_data) => {
+         t.equal(read_data, null, 'partial upload is not visible');
+
+         const puts_before = core.requests.filter((r) => r.method === 'PUT').length;
+         const progress = [];
+         return putFile('/dir1/resumed.bin', data, {'chunkSize': 1000, 'uploadId': upload_id, 'onProgress': (p) => progress.push(p)})
+         .then(() => {
+            const puts = core.requests.filter((r) => r.method === 'PUT').length - puts_before;
+            t.equal(puts, 3, 'only the missing chunks and the manifest are uploaded');
+            t.equal(progress[0].uploadId, upload_id, 'resumed upload keeps its ID');
+            return getFile('/dir1/resumed.bin', {'encoding': 'binary'});
+         });
+      })
+      .then((read_data) => {
+         t.ok(data.equals(read_data), 'resumed file reads back');
+         return putFile('/dir1/resumed.bin', 'now small');
+      })
+      .then(() => listdir('/.chunks'))
+      .then((chunk_dirs) => {
+         t.deepEqual(chunk_dirs.children, {}, 'overwriting a large file removes its chunks');
+         return deleteFile('/dir1/resumed.bin');
+      })
+      .then(() => t.end())
+      .catch(t.end);
+   });
+
+   test('nothing is written after an operation is aborted', (t) => {
+      const controller = new AbortController();
+      const files_path = `/v1/stores/${ds.datastore_id}/files`;
+      const writes = () => core.requests.filter((r) => r.method === 'PUT' && r.path === files_path).length;
+      const writes_before = writes();
+
+      // hold up the parent directory lookup, and abort while it is in flight
+      core.faults.push({'method': 'GET', 'path': `/v1/stores/${ds.datastore_id}/inodes`, 'delay': 300, 'count': 1});
+      setTimeout(() => controller.abort(), 50);
+
+      putFile('/dir1/aborted.txt', 'never written', {'signal': controller.signal})
+      .then(() => {
+         t.fail('aborted putFile succeeded');
+      },
+      (e) => {
+         t.ok(e instanceof AbortedError, 'putFile fails with AbortedError');
+      })
+      .then(() => new Promise((resolve) => setTimeout(resolve, 400)))
+      .then(() => {
+         t.equal(writes(), writes_before, 'no write was sent');
+         return getFile('/dir1/aborted.txt');
+      })
+      .then((data) => {
+         t.equal(data, null, 'file was not created');
+         t.end();
+      })
+      .catch(t.end);
+   });
+
+   test('nothing more is written after an operation times out', (t) => {
+      const data = Buffer.alloc(3500, 'y');
+      const files_path = `/v1/stores/${ds.datastore_id}/files`;
+      const writes = () => core.requests.filter((r) => r.method === 'PUT' && r.path === files_path).length;
+      let writes_at_stall = null;
+
+      putFile('/dir1/timed-out.bin', data, {
+         'chunkSize': 1000,
+         'timeout': 500,
+         'onProgress': (p) => {
+            if (p.chunksDone === 1) {
+               // hold up the next chunk until well after the timeout
+               writes_at_stall = writes();
+               core.faults.push({'method': 'PUT', 'path': files_path, 'delay': 1000, 'count': 1});
+            }
+         },
+      })
+      .then(() => {
+         t.fail('timed-out putFile succeeded');
+      },
+      (e) => {
+         t.ok(e instanceof TimeoutError, 'putFile fails with TimeoutError');
+      })
+      .then(() => new Promise((resolve) => setTimeout(resolve, 1200)))
+      .then(() => {
+         t.equal(writes(), writes_at_stall + 1, 'no chunk or manifest was sent after the one in flight');
+         return getFile('/dir1/timed-out.bin');
+      })
+      .then((read_data) => {
+         t.equal(read_data, null, 'file was not created');
+         t.end();
+      })
+      .catch(t.end);
+   });
+
+   test('errors are typed', (t) => {
+      mkdir('/dir1')
+      .then(() => t.fail('mkdir of an existing directory succeeded'), (e) => {
+         t.ok(e instanceof AlreadyExistsError, 'mkdir of an existing directory fails with AlreadyExistsError');
+         return getFile('/dir1/nonexistent.txt');
+      })
+      .then((data) => {
+         t.equal(data, null, 'getFile of a missing file resolves to null');
+         return deleteFile('/dir1/nonexistent.txt');
+      })
+      .then(() => t.fail('deleteFile of a missing file succeeded'), (e) => {
+         t.ok(e instanceof NotFoundError, 'deleteFile of a missing file fails with NotFoundError');
+         return rmdir('/dir1');
+      })
+      .then(() => t.fail('rmdir of a non-empty directory succeeded'), (e) => {
+         t.ok(e instanceof StorageError, 'rmdir of a non-empty directory fails with a StorageError');
+         t.equal(e.operation, 'rmdir', 'error records the operation');
+         t.end();
+      })
+      .catch(t.end);
+   });
+
+   test('reads are retried with backoff, then given up on', (t) => {
+      const attempts = [];
+      setCoreClient({'fetch': fetch, 'retry': {'maxAttempts': 3, 'baseDelay': 50, 'jitter': false, 'onAttempt': (a) => attempts.push(a)}});
+
+      const inodes_path = `/v1/stores/${ds.datastore_id}/inodes`;
+      core.faults.push({'method': 'GET', 'path': inodes_path, 'status': 503, 'count': 2});
+
+      const started = Date.now();
+      stat('/dir1/hello.txt')
+      .then((inode) => {
+         t.equal(inode.type, MUTABLE_DATUM_FILE_TYPE, 'read succeeded on the third attempt');
+         t.deepEqual(attempts.map((a) => a.status), [503, 503, 200], 'attempted three times');
+         t.deepEqual(attempts.map((a) => a.delay), [50, 100, 0], 'backoff doubles');
+         t.ok(Date.now() - started >= 150, 'waited between attempts');
+
+         attempts.length = 0;
+         core.faults.push({'method': 'GET', 'path': inodes_path, 'status': null, 'count': 3});
+         return stat('/dir1/hello.txt');
+      })
+      .then(() => {
+         t.fail('read should have been given up on');
+      },
+      (e) => {
+         t.ok(e instanceof RemoteIOError, 'gave up with RemoteIOError');
+         t.equal(attempts.length, 3, 'gave up after maxAttempts');
+         t.deepEqual(attempts.map((a) => a.willRetry), [true, true, false], 'the last attempt is not retried');
+      })
+      .then(() => {
+         setCoreClient({'fetch': fetch});
+         t.end();
+      })
+      .catch((e) => {
+         setCoreClient({'fetch': fetch});
+         t.end(e);
+      });
+   });
+
+   test('writes are only retried if Core did not apply them', (t) => {
+      const attempts = [];
+      setCoreClient({'fetch': fetch, 'retry': {'maxAttempts': 3, 'baseDelay': 10, 'jitter': false, 'onAttempt': (a) => attempts.push(a)}});
+
+      const files_path = `/v1/stores/${ds.datastore_id}/files`;
+      const puts = () => attempts.filter((a) => a.method === 'PUT');
+      const sent = () => core.requests.filter((r) => r.method === 'PUT' && r.path === files_path).length;
+      let sent_before = sent();
+
+      core.faults.push({'method': 'PUT', 'path': files_path, 'status': null, 'count': 1});
+      putFile('/dir1/retry.txt', 'first')
+      .then(() => {
+         t.fail('write should have failed');
+      },
+      (e) => {
+         t.ok(e instanceof RemoteIOError, 'network error fails the write');
+         t.equal(puts().length, 1, 'write is not replayed after a network error');
+         t.equal(sent() - sent_before, 1, 'Core got the write once');
+
+         attempts.length = 0;
+         sent_before = sent();
+         core.faults.push({'method': 'PUT', 'path': files_path, 'status': 502, 'count': 1});
+         return putFile('/dir1/retry.txt', 'first');
+      })
+      .then(() => {
+         t.fail('write should have failed');
+      },
+      (e) => {
+         t.ok(e instanceof RemoteIOError, 'gateway error fails the write');
+         t.equal(sent() - sent_before, 1, 'write is not replayed after a gateway error');
+
+         attempts.length = 0;
+         core.faults.push({'method': 'PUT', 'path': files_path, 'status': 503, 'count': 2});
+         return putFile('/dir1/retry.txt', 'second');
+      })
+      .then(() => {
+         t.deepEqual(puts().map((a) => a.status), [503, 503, 200], 'write refused with 503 is retried');
+         return getFile('/dir1/retry.txt');
+      })
+      .then((data) => {
+         t.equal(data, 'second', 'retried write was applied');
+         return deleteFile('/dir1/retry.txt');
+      })
+      .then(() => {
+         setCoreClient({'fetch': fetch});
+         t.end();
+      })
+      .catch((e) => {
+         setCoreClient({'fetch': fetch});
+         t.end(e);
+      });
+   });
+
+   test('deleteFile and rmdir leave tombstones behind', (t) => {
+      const store = core.stores[ds.datastore_id];
+      let file_uuid = null;
+      let dir_uuid = null;
+
+      listdir('/')
+      .then((root) => {
+         dir_uuid = root.children['dir1'].uuid;
+         return listdir('/dir1');
+      })
+      .then((dir) => {
+         file_uuid = dir.children['hello.txt'].uuid;
+         return deleteFile('/dir1/hello.txt');
+      })
+      .then(() => {
+         t.notOk(store.inodes[file_uuid], 'file inode is gone');
+         return getFile('/dir1/hello.txt');
+      })
+      .then((data) => {
+         t.equal(data, null, 'deleted file cannot be read');
+         return deleteFile('/dir1/data.bin');
+      })
+      .then(() => rmdir('/dir1'))
+      .then(() => {
+         t.notOk(store.inodes[dir_uuid], 'directory inode is gone');
+         return listdir('/');
+      })
+      .then((root) => {
+         t.deepEqual(root.children, {}, 'root is empty again');
+         return listdir('/dir1');
+      })
+      .then(() => t.fail('listdir of a removed directory succeeded'), (e) => {
+         t.ok(e instanceof NotFoundError, 'listdir of a removed directory fails with NotFoundError');
+         t.end();
+      })
+      .catch(t.end);
+   });
+
+   test('mock Core rejects writes with bad signatures', (t) => {
+      const other = makeSession(core.api_endpoint);
+      const request = datastoreCreateRequest('datastore', other.privkey_hex, ['disk'], 'device-1', ['device-1']);
+
+      // sign the datastore record with the wrong key
+      request.datastore_sigs.datastore_sig = signRawData(request.datastore_info.datastore_blob, session.privkey_hex);
+
+      datastoreCreate(core.api_endpoint, other.session_token, request)
+      .then(() => t.fail('datastore with a bad signature was created'), (e) => {
+         t.ok(e instanceof AccessDeniedError, 'bad datastore signature is rejected');
+         t.equal(Object.keys(core.stores).length, 1, 'datastore was not stored');
+         t.end();
+      })
+      .catch(t.end);
+   });
+
+   test('Datastore objects work side by side', (t) => {
+      const alice = makeSession(core.api_endpoint);
+      const bob = makeSession(core.api_endpoint);
+      const num_stores = Object.keys(core.stores).length;
+      let alice_ds = null;
+      let bob_ds = null;
+
+      Promise.all([
+         Datastore.mount({'sessionToken': alice.session_token, 'appPrivateKey': alice.privkey_hex, 'replicationStrategy': {'local': 1}}),
+         Datastore.mount({'sessionToken': bob.session_token, 'appPrivateKey': bob.privkey_hex, 'replicationStrategy': {'local': 1}}),
+      ])
+      .then((datastores) => {
+         alice_ds = datastores[0];
+         bob_ds = datastores[1];
+
+         t.ok(alice_ds instanceof Datastore, 'mounted a Datastore');
+         t.notEqual(alice_ds.datastore_id, bob_ds.datastore_id, 'each app key has its own datastore');
+         t.equal(Object.keys(core.stores).length, num_stores + 2, 'mock Core has both datastores');
+
+         return Promise.all([alice_ds.putFile('/owner', 'alice'), bob_ds.putFile('/owner', 'bob')]);
+      })
+      .then(() => Promise.all([alice_ds.getFile('/owner'), bob_ds.getFile('/owner'), getFile('/owner')]))
+      .then((data) => {
+         t.deepEqual(data, ['alice', 'bob', null], 'each Datastore reads its own files, and the session datastore is untouched');
+         return getFile('/owner', {'ds': bob_ds.context});
+      })
+      .then((data) => {
+         t.equal(data, 'bob', 'free functions honor opts.ds');
+         return Promise.all([alice_ds.deleteFile('/owner'), bob_ds.deleteFile('/owner')]);
+      })
+      .then(() => bob_ds.listdir('/'))
+      .then((root) => {
+         t.deepEqual(root.children, {}, 'deleted through the Datastore');
+         return getFile('/owner', {'blockchain_id': 'nobody.id'});
+      })
+      .then(() => t.fail('read from an unmounted blockchain ID succeeded'), (e) => {
+         t.ok(e instanceof InvalidArgumentError, 'unmounted opts.blockchain_id fails with InvalidArgumentError');
+         t.end();
+      })
+      .catch(t.end);
+   });
+
+   test('other users\' datastores can be mounted read-only', (t) => {
+      const alice = makeSession(core.api_endpoint, 'alice.id');
+      let alice_ds = null;
+      let num_requests = 0;
+
+      Datastore.mount({'sessionToken': alice.session_token, 'appPrivateKey': alice.privkey_hex, 'replicationStrategy': {'local': 1}})
+      .then((datastore) => {
+         alice_ds = datastore;
+
+         // alice publishes her datastore for the app in her profile
+         publishProfile(core, 'alice.id', {'mock-core.test': {'datastore_id': alice_ds.datastore_id, 'app_public_keys': alice_ds.context.app_public_keys}});
+         return alice_ds.putFile('/post.txt', 'hello from alice');
+      })
+      .then(() => {
+         num_requests = core.requests.length;
+         return datastoreMount({'blockchainID': 'alice.id', 'appName': 'mock-core.test', 'sessionToken': session.session_token});
+      })
+      .then((ctx) => {
+         t.equal(ctx.datastore_id, alice_ds.datastore_id, 'mounted alice\'s datastore');
+         t.ok(ctx.read_only && !ctx.privkey_hex, 'foreign context is read-only');
+
+         const requests = core.requests.slice(num_requests);
+         t.equal(requests.filter((r) => r.path === '/v1/names/alice.id').length, 1, 'looked up alice\'s name through Core');
+
+         const profile_requests = requests.filter((r) => r.path === '/profiles/alice.id');
+         t.equal(profile_requests.length, 1, 'fetched alice\'s profile from her zonefile\'s URI');
+         t.equal(profile_requests[0].authorization, null, 'profile was fetched without the session token');
+         return getFile('/post.txt', {'ds': ctx});
+      })
+      .then((data) => {
+         t.equal(data, 'hello from alice', 'read a file from the foreign datastore');
+         return listdir('/', {'blockchain_id': 'alice.id'});
+      })
+      .then((root) => {
+         t.deepEqual(Object.keys(root.children), ['post.txt'], 'foreign context is usable by blockchain ID');
+         return getFile('/post.txt');
+      })
+      .then((data) => {
+         t.equal(data, null, 'session datastore is still mounted');
+         return Datastore.mount({'blockchainID': 'alice.id', 'appName': 'other-app.test', 'sessionToken': session.session_token});
+      })
+      .then(() => t.fail('mounted a datastore that does not exist'), (e) => {
+         t.ok(e instanceof NotFoundError, 'missing app datastore fails with NotFoundError');
+         return Datastore.mount({'blockchainID': 'nobody.id', 'appName': 'mock-core.test', 'sessionToken': session.session_token});
+      })
+      .then(() => t.fail('mounted a datastore for a name that does not exist'), (e) => {
+         t.ok(e instanceof NotFoundError, 'missing name fails with NotFoundError');
+
+         // mallory points alice's app entry at her own datastore, but cannot sign as alice's name owner
+         const mallory = makeSession(core.api_endpoint, 'mallory.id');
+         publishProfile(core, 'alice.id', {'mock-core.test': {'datastore_id': datastoreGetId(mallory.pubkey_hex), 'app_public_keys': [{'device_id': 'device-1', 'public_key': mallory.pubkey_hex}]}}, mallory.key);
+         return datastoreMount({'blockchainID': 'alice.id', 'appName': 'mock-core.test', 'sessionToken': session.session_token, 'cache': false});
+      })
+      .then(() => t.fail('mounted a datastore from a forged profile'), (e) => {
+         t.ok(e instanceof InvalidCoreResponseError, 'profile not signed by the name\'s owner fails with InvalidCoreResponseError');
+         return alice_ds.deleteFile('/post.txt');
+      })
+      .then(() => t.end())
+      .catch(t.end);
+   });
+
+   test('datastores can be mounted read-only by public key', (t) => {
+      const owner = makeSession(core.api_endpoint, 'owner.id');
+      let owner_ds = null;
+      let reader = null;
+      let num_requests = 0;
+
+      const expectReadOnly = (name, promise) => {
+         return promise.then(() => t.fail(`${name} on a read-only datastore succeeded`), (e) => {
+            t.ok(e instanceof ReadOnlyError && e.errno === 30, `${name} fails with ReadOnlyError`);
+         });
+      };
+
+      Datastore.mount({'sessionToken': owner.session_token, 'appPrivateKey': owner.privkey_hex, 'replicationStrategy': {'local': 1}})
+      .then((datastore) => {
+         owner_ds = datastore;
+         return owner_ds.putFile('/page.html', '<p>hi</p>');
+      })
+      .then(() => Datastore.mount({
+         'datastorePubkey': owner_ds.context.datastore.pubkey,
+         'appPublicKeys': owner_ds.context.app_public_keys,
+         'sessionToken': session.session_token,
+      }))
+      .then((datastore) => {
+         reader = datastore;
+         t.ok(reader.read_only, 'mounted read-only');
+         t.equal(reader.datastore_id, owner_ds.datastore_id, 'mounted the datastore with that public key');
+         return reader.getFile('/page.html');
+      })
+      .then((data) => {
+         t.equal(data, '<p>hi</p>', 'read a file without the private key');
+
+         num_requests = core.requests.length;
+         return expectReadOnly('putFile', reader.putFile('/page.html', 'defaced'))
+         .then(() => expectReadOnly('mkdir', reader.mkdir('/dir')))
+         .then(() => expectReadOnly('deleteFile', reader.deleteFile('/page.html')))
+         .then(() => expectReadOnly('rmdir', reader.rmdir('/dir')))
+         .then(() => expectReadOnly('datastoreDelete', datastoreDelete(reader.context)));
+      })
+      .then(() => {
+         t.equal(core.requests.length, num_requests, 'read-only writes never reach Core');
+
+         const missing_id = datastoreGetId(makeSession(core.api_endpoint).pubkey_hex);
+         return datastoreMountOrCreate(undefined, session.session_token, null, {'datastoreID': missing_id, 'appPublicKeys': owner_ds.context.app_public_keys});
+      })
+      .then(() => t.fail('read-only mount created a datastore'), (e) => {
+         t.ok(e instanceof NotFoundError, 'read-only mount of a missing datastore fails with NotFoundError');
+         return datastoreMount({'datastoreID': owner_ds.datastore_id, 'sessionToken': session.session_token});
+      })
+      .then(() => t.fail('mounted without app public keys'), (e) => {
+         t.ok(e instanceof InvalidArgumentError, 'mount by ID needs the app public keys');
+
+         num_requests = core.requests.length;
+         return datastoreMount({'datastoreID': owner_ds.datastore_id, 'apiEndpoint': core.api_endpoint, 'appPublicKeys': owner_ds.context.app_public_keys, 'persistence': makeMemoryAdapter()});
+      })
+      .then(() => t.fail('mock Core served a request without a session token'), (e) => {
+         t.ok(e instanceof InvalidArgumentError, 'mock Core turns down requests without a session token');
+         t.equal(core.requests[num_requests].authorization, null, 'a mount without a session sends no Authorization header');
+         return owner_ds.deleteFile('/page.html');
+      })
+      .then(() => t.end())
+      .catch(t.end);
+   });
+
+   test('sessions and mount contexts can be kept per tenant', (t) => {
+      const tenants = [makeSession(core.api_endpoint, 'tenant1.id'), makeSession(core.api_endpoint, 'tenant2.id')];
+      const adapters = tenants.map((tenant) => {
+         const adapter = makeMemoryAdapter();
+         adapter.setItem('blockstack', JSON.stringify({'coreSessionToken': tenant.session_token, 'appPrivateKey': tenant.privkey_hex}));
+         return adapter;
+      });
+      const global_data = localStorage.getItem('blockstack');
+      let datastores = null;
+
+      Promise.all(adapters.map((adapter) => Datastore.mount({'persistence': adapter, 'replicationStrategy': {'local': 1}})))
+      .then((mounted) => {
+         datastores = mounted;
+         t.notEqual(datastores[0].datastore_id, datastores[1].datastore_id, 'each tenant mounted its own datastore');
+
+         const saved = JSON.parse(adapters[1].getItem('blockstack'));
+         t.equal(saved.datastore_contexts['tenant2.id'].datastore_id, datastores[1].datastore_id, 'mount context is kept in the tenant\'s adapter');
+         t.equal(localStorage.getItem('blockstack'), global_data, 'global localStorage is untouched');
+
+         return datastores[0].putFile('/tenant.txt', 'tenant 1');
+      })
+      .then(() => {
+         setPersistenceAdapter(adapters[0]);
+         return getFile('/tenant.txt');
+      })
+      .then((data) => {
+         t.equal(data, 'tenant 1', 'free functions use the global adapter');
+         return getFile('/tenant.txt', {'persistence': adapters[1]});
+      })
+      .then((data) => {
+         t.equal(data, null, 'opts.persistence overrides the global adapter');
+         setPersistenceAdapter(null);
+         return datastores[0].deleteFile('/tenant.txt');
+      })
+      .then(() => t.end())
+      .catch((e) => {
+         setPersistenceAdapter(null);
+         t.end(e);
+      });
+   });
+
+   test('expired session tokens are renewed', (t) => {
+      const now = Math.floor(Date.now() / 1000);
+      const expired = makeSession(core.api_endpoint, 'expiry.id', {'iat': now - 7200, 'exp': now - 3600});
+      const fresh = makeSession(core.api_endpoint, 'expiry.id', {'iat': now, 'exp': now + 3600}, expired.key);
+      const adapter = makeMemoryAdapter();
+      const renewals = [];
+
+      adapter.setItem('blockstack', JSON.stringify({'coreSessionToken': expired.session_token, 'appPrivateKey': expired.privkey_hex}));
+
+      datastoreMountOrCreate({'local': 1}, null, null, {'persistence': adapter})
+      .then(() => t.fail('mounted with an expired session token'), (e) => {
+         t.ok(e instanceof SessionExpiredError, 'expired token without a callback fails with SessionExpiredError');
+
+         const onSessionExpired = (info) => {
+            renewals.push(info);
+            return Promise.resolve(fresh.session_token);
+         };
+         return datastoreMountOrCreate({'local': 1}, null, null, {'persistence': adapter, 'onSessionExpired': onSessionExpired});
+      })
+      .then((ctx) => {
+         t.equal(renewals.length, 1, 'callback was asked for a fresh token');
+         t.equal(renewals[0].blockchain_id, 'expiry.id', 'callback was told whose token expired');
+         t.equal(ctx.session_token, fresh.session_token, 'mounted with the fresh token');
+         t.equal(JSON.parse(adapter.getItem('blockstack')).coreSessionToken, fresh.session_token, 'fresh token replaced the expired one');
+
+         // a token issued earlier must not replace a newer one
+         const older = makeSession(core.api_endpoint, 'expiry.id', {'iat': now - 60, 'exp': now + 3600}, expired.key);
+         return datastoreMountOrCreate({'local': 1}, expired.session_token, null, {'persistence': adapter, 'onSessionExpired': () => older.session_token});
+      })
+      .then(() => {
+         t.equal(JSON.parse(adapter.getItem('blockstack')).coreSessionToken, fresh.session_token, 'newer saved token is kept');
+         return Datastore.mount({'sessionToken': expired.session_token, 'appPrivateKey': expired.privkey_hex, 'onSessionExpired': () => fresh.session_token});
+      })
+      .then((datastore) => {
+         t.equal(datastore.context.session_token, fresh.session_token, 'Datastore.mount renews expired tokens');
+
+         // the token runs out while the datastore is in use
+         datastore.context.session_token = expired.session_token;
+         return datastore.putFile('/expiry.txt', 'still here')
+         .then(() => {
+            t.equal(datastore.context.session_token, fresh.session_token, 'Datastore remounted with a fresh token');
+            setSessionExpiredCallback(() => null);
+            return getFile('/expiry.txt', {'ds': Object.assign({}, datastore.context, {'session_token': expired.session_token})});
+         })
+         .then(() => t.fail('read with an expired token and no fresh one'), (e) => {
+            t.ok(e instanceof SessionExpiredError, 'callback without a fresh token fails with SessionExpiredError');
+            setSessionExpiredCallback(null);
+            return datastore.deleteFile('/expiry.txt');
+         });
+      })
+      .then(() => t.end())
+      .catch((e) => {
+         setSessionExpiredCallback(null);
+         t.end(e);
+      });
+   });
+
+   test('session tokens that Core turns down are renewed once', (t) => {
+      const now = Math.floor(Date.now() / 1000);
+      const revoked = makeSession(core.api_endpoint, 'revoked.id', {'iat': now - 60, 'exp': now + 3600});
+      const fresh = makeSession(core.api_endpoint, 'revoked.id', {'iat': now, 'exp': now + 3600}, revoked.key);
+      const also_revoked = makeSession(core.api_endpoint, 'revoked.id', {'iat': now, 'exp': now + 7200}, revoked.key);
+      const renewals = [];
+      let datastore = null;
+
+      const onSessionExpired = (info) => {
+         renewals.push(info);
+         return fresh.session_token;
+      };
+
+      Datastore.mount({'sessionToken': revoked.session_token, 'appPrivateKey': revoked.privkey_hex, 'replicationStrategy': {'local': 1}, 'onSessionExpired': onSessionExpired})
+      .then((mounted) => {
+         datastore = mounted;
+         return datastore.putFile('/revoked.txt', 'before');
+      })
+      .then(() => {
+         // the token is revoked while the datastore is in use
+         core.revoked_tokens.push(revoked.session_token);
+         return datastore.putFile('/revoked.txt', 'after');
+      })
+      .then(() => {
+         t.equal(renewals.length, 1, 'callback was asked for a fresh token');
+         t.equal(renewals[0].reason, 'rejected', 'callback was told that Core turned the token down');
+         t.equal(datastore.context.session_token, fresh.session_token, 'Datastore remounted with the fresh token');
+
+         // a 401 without a challenge is an invalid request, not a rejected token
+         core.faults.push({'method': 'PUT', 'path': `/v1/stores/${datastore.datastore_id}/files`, 'status': 401, 'count': 1});
+         return datastore.putFile('/revoked.txt', 'invalid');
+      })
+      .then(() => t.fail('write answered with HTTP 401 succeeded'), (e) => {
+         t.ok(e instanceof InvalidArgumentError, 'an invalid request fails with InvalidArgumentError');
+         t.equal(renewals.length, 1, 'an invalid request does not renew the token');
+         return datastore.getFile('/revoked.txt');
+      })
+      .then((data) => {
+         t.equal(data, 'after', 'write was done again with the fresh token');
+         t.equal(renewals.length, 1, 'fresh token is kept');
+
+         // a token that is turned down as well is not renewed again
+         core.revoked_tokens.push(fresh.session_token, also_revoked.session_token);
+         return getFile('/revoked.txt', {'ds': datastore.context, 'onSessionExpired': (info) => {
+            renewals.push(info);
+            return also_revoked.session_token;
+         }});
+      })
+      .then(() => t.fail('read with revoked tokens succeeded'), (e) => {
+         t.ok(e instanceof InvalidArgumentError, 'Core\'s answer is passed on once the fresh token is turned down too');
+         t.equal(renewals.length, 2, 'token was only renewed once');
+         return getFile('/revoked.txt', {'ds': datastore.context});
+      })
+      .then(() => t.fail('read with a revoked token and no callback succeeded'), (e) => {
+         t.ok(e instanceof InvalidArgumentError, 'Core\'s answer is passed on if there is no callback');
+         t.equal(renewals.length, 2, 'no renewal without a callback');
+
+         core.revoked_tokens.splice(0);
+         return datastore.deleteFile('/revoked.txt');
+      })
+      .then(() => t.end())
+      .catch((e) => {
+         core.revoked_tokens.splice(0);
+         t.end(e);
+      });
+   });
+
+   test('cached mount contexts are checked against Core', (t) => {
+      const tenant = makeSession(core.api_endpoint, 'recheck.id');
+      const adapter = makeMemoryAdapter();
+      adapter.setItem('blockstack', JSON.stringify({'coreSessionToken': tenant.session_token, 'appPrivateKey': tenant.privkey_hex}));
+
+      const mount = (opts) => datastoreMountOrCreate({'local': 1}, null, null, Object.assign({'persistence': adapter}, opts));
+      let num_requests = 0;
+
+      mount({})
+      .then((ctx) => {
+         // Core's copy of the record changes behind our back
+         core.stores[ctx.datastore_id].datastore.drivers = ['disk', 'other'];
+         num_requests = core.requests.length;
+         return mount({});
+      })
+      .then((ctx) => {
+         t.equal(core.requests.length, num_requests, 'recent context is used without asking Core');
+         t.deepEqual(ctx.datastore.drivers, ['disk'], 'recent context is used as-is');
+         return mount({'contextMaxAge': 0});
+      })
+      .then((ctx) => {
+         t.deepEqual(ctx.datastore.drivers, ['disk', 'other'], 'old context is replaced with Core\'s record');
+         t.deepEqual(JSON.parse(adapter.getItem('blockstack')).datastore_contexts['recheck.id'].datastore.drivers, ['disk', 'other'], 'new record is cached');
+         t.end();
+      })
+      .catch(t.end);
+   });
+
+   test('session tokens are verified before they are trusted', (t) => {
+      const core_key = bitcoinjs.ECPair.makeRandom();
+      const core_privkey_hex = core_key.d.toBuffer(32).toString('hex');
+      const user = makeSession(core.api_endpoint, 'verify.id');
+      const session_payload = jsontokens.decodeToken(user.session_token).payload;
+      const core_signed = new jsontokens.TokenSigner('ES256K', core_privkey_hex).sign(session_payload);
+
+      // point the token at another host, but keep the signature
+      const evil_payload = Object.assign({}, session_payload, {'api_endpoint': 'http://localhost:1'});
+      const parts = core_signed.split('.');
+      parts[1] = Buffer.from(JSON.stringify(evil_payload)).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+      const tampered = parts.join('.');
+
+      const mount = (token) => Datastore.mount({'sessionToken': token, 'appPrivateKey': user.privkey_hex, 'replicationStrategy': {'local': 1}});
+      const expectDenied = (name, promise) => {
+         return promise.then(() => t.fail(`${name} was mounted`), (e) => {
+            t.ok(e instanceof AccessDeniedError, `${name} is refused with AccessDeniedError`);
+         });
+      };
+
+      setSessionVerification({'corePublicKey': core_key.getPublicKeyBuffer().toString('hex')});
+
+      mount(core_signed)
+      .then((datastore) => {
+         t.ok(datastore.datastore_id, 'token signed by the Core key is accepted');
+         return expectDenied('tampered token', mount(tampered));
+      })
+      .then(() => expectDenied('token signed by another key', mount(user.session_token)))
+      .then(() => {
+         setSessionVerification({'strict': true});
+         return expectDenied('unverifiable token in strict mode', mount(user.session_token));
+      })
+      .then(() => {
+         const claims = {'public_keys': [user.pubkey_hex], 'iss': `did:btc-addr:${user.key.getAddress()}`};
+         const self_signed = makeSession(core.api_endpoint, 'verify.id', claims, user.key);
+         return mount(self_signed.session_token);
+      })
+      .then((datastore) => {
+         t.ok(datastore.datastore_id, 'token verified by its own signer key is accepted in strict mode');
+
+         const other = bitcoinjs.ECPair.makeRandom();
+         const claims = {'public_keys': [user.pubkey_hex], 'iss': `did:btc-addr:${other.getAddress()}`};
+         return expectDenied('token whose signer key does not match its issuer', mount(makeSession(core.api_endpoint, 'verify.id', claims, user.key).session_token));
+      })
+      .then(() => {
+         const claims = {'public_keys': [user.pubkey_hex], 'iss': 'verify.id'};
+         const self_signed = makeSession(core.api_endpoint, 'verify.id', claims, user.key);
+         return expectDenied('token signed by a key its issuer does not vouch for, in strict mode', mount(self_signed.session_token))
+         .then(() => {
+            setSessionVerification();
+            return mount(self_signed.session_token);
+         });
+      })
+      .then((datastore) => {
+         t.ok(datastore.datastore_id, 'token verified by its own signer key is used outside of strict mode');
+      })
+      .then(() => {
+         setSessionVerification();
+         t.end();
+      })
+      .catch((e) => {
+         setSessionVerification();
+         t.end(e);
+      });
+   });
+
+   test('datastores can be unmounted, and sessions cleared', (t) => {
+      const tenant = makeSession(core.api_endpoint, 'logout.id');
+      const adapter = makeMemoryAdapter();
+      adapter.setItem('blockstack', JSON.stringify({'coreSessionToken': tenant.session_token, 'appPrivateKey': tenant.privkey_hex}));
+
+      let datastore = null;
+
+      Datastore.mount({'persistence': adapter, 'replicationStrategy': {'local': 1}})
+      .then(() => {
+         t.ok(adapter.getItem('blockstack').includes(tenant.privkey_hex), 'mount context holds the app private key');
+         t.equal(datastoreUnmount('other.id', {'persistence': adapter}), false, 'unmounting a datastore that is not mounted does nothing');
+         t.equal(datastoreUnmount(null, {'persistence': adapter}), true, 'session\'s datastore is unmounted by default');
+
+         const saved = JSON.parse(adapter.getItem('blockstack'));
+         t.equal(saved.datastore_contexts['logout.id'], undefined, 'mount context is gone');
+         t.equal(saved.coreSessionToken, tenant.session_token, 'session is kept');
+
+         return Datastore.mount({'persistence': adapter})
+         .then((remounted) => {
+            datastore = remounted;
+            t.equal(datastore.unmount(), true, 'Datastore.unmount() removes the mount context it saved');
+            t.equal(datastore.context, null, 'Datastore drops its keys');
+            return datastore.getFile('/nothing.txt');
+         })
+         .then(() => t.fail('used an unmounted Datastore'), (e) => {
+            t.ok(e instanceof InvalidArgumentError, 'unmounted Datastore fails with InvalidArgumentError');
+         });
+      })
+      .then(() => {
+         clearAllContexts({'persistence': adapter});
+         t.equal(adapter.getItem('blockstack'), null, 'clearAllContexts() removes the session, key and contexts');
+         t.equal(datastoreUnmount(null, {'persistence': adapter}), false, 'nothing is left to unmount');
+         t.end();
+      })
+      .catch(t.end);
+   });
+
+   test('collections hold items of their own', (t) => {
+      const tenant = makeSession(core.api_endpoint, 'albums.id');
+      const adapter = makeMemoryAdapter();
+      adapter.setItem('blockstack', JSON.stringify({'coreSessionToken': tenant.session_token, 'appPrivateKey': tenant.privkey_hex}));
+
+      const opts = {'persistence': adapter, 'replicationStrategy': {'local': 1}};
+      let album = null;
+
+      listCollections(opts)
+      .then((names) => {
+         t.deepEqual(names, [], 'no collections at first');
+         return createCollection('holiday', opts);
+      })
+      .then((ctx) => {
+         album = ctx;
+         t.equal(core.stores[album.datastore_id].datastore.type, 'collection', 'collection record has type collection');
+         return createCollection('holiday', opts)
+         .then(() => t.fail('created a collection twice'), (e) => {
+            t.ok(e instanceof AlreadyExistsError, 'existing collection fails with AlreadyExistsError');
+         });
+      })
+      .then(() => createCollection('contacts', opts))
+      .then(() => listCollections(opts))
+      .then((names) => {
+         t.deepEqual(names, ['contacts', 'holiday'], 'listCollections lists both');
+         return addCollectionItem(album, 'beach.jpg', 'sand');
+      })
+      .then(() => addCollectionItem(album, 'hills.jpg', 'grass'))
+      .then(() => addCollectionItem(album, '../escape', 'nope')
+         .then(() => t.fail('added an item with a bad name'), (e) => {
+            t.ok(e instanceof InvalidArgumentError, 'bad item name fails with InvalidArgumentError');
+         }))
+      .then(() => mountCollection('holiday', opts))
+      .then((ctx) => {
+         t.equal(ctx.datastore_id, album.datastore_id, 'mountCollection finds the collection by name');
+         return getCollectionItem(ctx, 'beach.jpg');
+      })
+      .then((data) => {
+         t.equal(data, 'sand', 'read back an item');
+         return removeCollectionItem(album, 'beach.jpg');
+      })
+      .then(() => listCollectionItems(album))
+      .then((items) => {
+         t.deepEqual(items, ['hills.jpg'], 'removed item is gone');
+
+         const shared_opts = {'datastoreID': album.datastore_id, 'appPublicKeys': album.app_public_keys, 'sessionToken': tenant.session_token};
+         return mountCollection(null, shared_opts);
+      })
+      .then((shared) => {
+         t.ok(shared.read_only, 'collection can be shared read-only by its ID');
+         return addCollectionItem(shared, 'graffiti.jpg', 'paint')
+         .then(() => t.fail('wrote to a read-only collection'), (e) => {
+            t.ok(e instanceof ReadOnlyError, 'read-only collection refuses writes');
+            return getCollectionItem(shared, 'hills.jpg');
+         });
+      })
+      .then((data) => {
+         t.equal(data, 'grass', 'read-only collection is readable');
+         return mountCollection('missing', opts)
+         .then(() => t.fail('mounted a missing collection'), (e) => {
+            t.ok(e instanceof NotFoundError, 'missing collection fails with NotFoundError');
+         });
+      })
+      .then(() => datastoreMountOrCreate({'local': 1}, null, album.privkey_hex, {'persistence': adapter, 'cache': false}))
+      .then(() => t.fail('mounted a collection as an app datastore'), (e) => {
+         t.ok(e instanceof InvalidArgumentError, 'collection cannot be mounted as an app datastore');
+      })
+      .then(() => t.end())
+      .catch(t.end);
+   });
+
+   test('devices can be added to and removed from a datastore', (t) => {
+      const tenant = makeSession(core.api_endpoint, 'devices.id');
+      const laptop = bitcoinjs.ECPair.makeRandom().getPublicKeyBuffer().toString('hex');
+      const adapter = makeMemoryAdapter();
+      adapter.setItem('blockstack', JSON.stringify({'coreSessionToken': tenant.session_token, 'appPrivateKey': tenant.privkey_hex}));
+
+      const cached = () => JSON.parse(adapter.getItem('blockstack')).datastore_contexts['devices.id'];
+      let datastore = null;
+      let store = null;
+
+      Datastore.mount({'persistence': adapter, 'replicationStrategy': {'local': 1}})
+      .then((mounted) => {
+         datastore = mounted;
+         store = core.stores[datastore.datastore_id];
+         return datastore.mkdir('/photos');
+      })
+      .then(() => datastore.putFile('/photos/cat.jpg', 'meow'))
+      .then(() => datastore.addDevice('laptop', laptop))
+      .then(() => {
+         t.deepEqual(store.datastore.device_ids, ['device-1', 'laptop'], 'Core has the new device list');
+         t.equal(store.version, 2, 'datastore record version was bumped');
+         t.deepEqual(datastore.context.app_public_keys.map((key) => key.device_id), ['device-1', 'laptop'], 'Datastore has the new device key');
+         t.deepEqual(cached().app_public_keys.map((key) => key.device_id), ['device-1', 'laptop'], 'cached mount context has the new device key');
+
+         return datastore.addDevice('laptop', laptop)
+         .then(() => t.fail('added a device twice'), (e) => {
+            t.ok(e instanceof AlreadyExistsError, 'existing device fails with AlreadyExistsError');
+            return datastore.removeDevice('device-1');
+         })
+         .then(() => t.fail('removed the mounted device'), (e) => {
+            t.ok(e instanceof InvalidArgumentError, 'mounted device cannot be removed');
+            return datastore.removeDevice('phone');
+         })
+         .then(() => t.fail('removed an unknown device'), (e) => {
+            t.ok(e instanceof NotFoundError, 'unknown device fails with NotFoundError');
+         });
+      })
+      .then(() => datastore.removeDevice('laptop'))
+      .then(() => {
+         t.deepEqual(store.datastore.device_ids, ['device-1'], 'Core dropped the revoked device');
+         t.equal(store.version, 3, 'datastore record version was bumped again');
+         t.deepEqual(cached().app_public_keys.map((key) => key.device_id), ['device-1'], 'cached mount context lost the revoked device key');
+
+         // the record, plus a header and a payload for the root, /photos and /photos/cat.jpg
+         const revoked = store.tombstones.filter((ts) => ts.includes('laptop'));
+         t.equal(revoked.length, 7, 'revoked device\'s data was tombstoned');
+         t.ok(store.tombstones.filter((ts) => !revoked.includes(ts)).every((ts) => ts.includes('.datastore')),
+              'only the old records were tombstoned for the other device');
+         t.notOk(store.deleted, 'Core has the new record');
+         return datastore.getFile('/photos/cat.jpg');
+      })
+      .then((data) => {
+         t.equal(data, 'meow', 'data is still readable');
+
+         // two devices change the record at once; the second one finds it deleted by the first
+         const tablet = bitcoinjs.ECPair.makeRandom().getPublicKeyBuffer().toString('hex');
+         const phone = bitcoinjs.ECPair.makeRandom().getPublicKeyBuffer().toString('hex');
+         core.faults.push({'method': 'POST', 'path': '/v1/stores', 'count': 1, 'delay': 200});
+
+         const settle = (promise) => promise.then(() => null, (e) => e);
+         return Promise.all([
+            settle(addDevice('tablet', tablet, {'ds': datastore.context})),
+            settle(addDevice('phone', phone, {'ds': datastore.context})),
+         ]);
+      })
+      .then((errors) => {
+         const failed = errors.filter((e) => e !== null);
+         t.equal(failed.length, 1, 'only one of two concurrent updates went through');
+         t.ok(failed[0] instanceof NotFoundError, 'the other fails with NotFoundError');
+         t.equal(store.version, 4, 'record version was bumped once');
+         t.equal(store.datastore.device_ids.length, 2, 'Core has one of the new devices');
+
+         // Core takes the delete, but not the new record; the old one is put back
+         const device_ids = store.datastore.device_ids;
+         core.faults.push({'method': 'POST', 'path': '/v1/stores', 'status': 500, 'count': 1});
+         return addDevice('desktop', bitcoinjs.ECPair.makeRandom().getPublicKeyBuffer().toString('hex'), {'ds': datastore.context})
+         .then(() => t.fail('updated a record Core did not take'), () => {
+            t.notOk(store.deleted, 'Core has a record again');
+            t.deepEqual(store.datastore.device_ids, device_ids, 'the record is the old one');
+         });
+      })
+      .then(() => {
+
+         // without a version from Core, there is no telling which version comes next
+         const version = store.version;
+         const device_ids = store.datastore.device_ids;
+         store.version = undefined;
+         return addDevice('watch', bitcoinjs.ECPair.makeRandom().getPublicKeyBuffer().toString('hex'), {'ds': datastore.context})
+         .then(() => t.fail('updated a record whose version is unknown'), (e) => {
+            store.version = version;
+            t.ok(e instanceof InvalidCoreResponseError, 'record without a version fails with InvalidCoreResponseError');
+            t.deepEqual(store.datastore.device_ids, device_ids, 'record was not changed');
+         });
+      })
+      .then(() => t.end())
+      .catch(t.end);
+   });
+
+   test('datastoreMountOrCreate can do a dry run', (t) => {
+      const tenant = makeSession(core.api_endpoint, 'dryrun.id');
+      const adapter = makeMemoryAdapter();
+      adapter.setItem('blockstack', JSON.stringify({'coreSessionToken': tenant.session_token, 'appPrivateKey': tenant.privkey_hex}));
+
+      const num_stores = Object.keys(core.stores).length;
+
+      datastoreMountOrCreate({'local': 1, 'public': 2}, null, null, {'persistence': adapter, 'dryRun': true})
+      .then((report) => {
+         t.ok(report.dry_run, 'report is a dry run');
+         t.notOk(report.exists, 'datastore does not exist yet');
+         t.equal(report.drivers, null, 'no drivers for an unsatisfiable strategy');
+         t.deepEqual(report.plan.unmet, {'public': 1}, 'plan says what is missing');
+         t.equal(Object.keys(core.stores).length, num_stores, 'nothing was created');
+         t.equal(JSON.parse(adapter.getItem('blockstack')).datastore_contexts, undefined, 'nothing was cached');
+
+         return datastoreMountOrCreate({'local': 1, 'public': 2}, null, null, {'persistence': adapter})
+         .then(() => t.fail('created a datastore with an unsatisfiable strategy'), (e) => {
+            t.ok(e instanceof InvalidArgumentError && e.message.includes('public needs 1 more'), 'unsatisfiable strategy error says what is missing');
+         });
+      })
+      .then(() => datastoreMountOrCreate({'local': 1}, null, null, {'persistence': adapter, 'dryRun': true}))
+      .then((report) => {
+         t.deepEqual(report.drivers, ['disk'], 'report has the drivers it would use');
+         return datastoreMountOrCreate({'local': 1}, null, null, {'persistence': adapter});
+      })
+      .then((ctx) => {
+         return datastoreMountOrCreate({'local': 1}, null, null, {'persistence': adapter, 'dryRun': true})
+         .then((report) => {
+            t.ok(report.exists, 'report finds the existing datastore');
+            t.equal(report.datastore_id, ctx.datastore_id, 'report has its ID');
+         });
+      })
+      .then(() => t.end())
+      .catch(t.end);
+   });
+
+   test('drivers can be chosen per app and per path', (t) => {
+      const storage = {
+         'classes': {
+            'read_local': ['disk'],
+            'write_local': ['disk'],
+            'read_public': ['s3'],
+            'write_public': ['s3'],
+         },
+         'preferences': {'mock-core.test': ['disk']},
+      };
+      const tenant = makeSession(core.api_endpoint, 'paths.id', {'storage': storage});
+      const adapter = makeMemoryAdapter();
+      adapter.setItem('blockstack', JSON.stringify({'coreSessionToken': tenant.session_token, 'appPrivateKey': tenant.privkey_hex}));
+
+      // the drivers each write to a path was sent to
+      const writes = (path) => core.requests.filter((r) => r.method !== 'GET' && r.path.includes(ds.datastore_id) && r.query.path === path).map((r) => r.drivers.join(','));
+      const opts = {'persistence': adapter, 'pathDrivers': {'/public/': ['s3']}};
+      let ds = null;
+
+      datastoreMountOrCreate({'public': 1}, null, null, Object.assign({'dryRun': true}, opts))
+      .then((report) => {
+         t.deepEqual(report.drivers, ['disk'], 'dry run uses the app\'s preferred drivers');
+         return datastoreMountOrCreate({'public': 1}, null, null, opts);
+      })
+      .then((ctx) => {
+         ds = ctx;
+         t.deepEqual(ds.datastore.drivers, ['disk'], 'datastore is created with the app\'s preferred drivers');
+         t.deepEqual(ds.datastore.path_drivers, {'/public': ['s3']}, 'path drivers are kept in the datastore record');
+         return mkdir('/public', {'ds': ds});
+      })
+      .then(() => putFile('/public/hello.txt', 'hello', {'ds': ds}))
+      .then(() => putFile('/public/big.bin', Buffer.alloc(2500), {'ds': ds, 'chunkSize': 1000}))
+      .then(() => putFile('/elsewhere.txt', 'hi', {'ds': ds}))
+      .then(() => {
+         t.deepEqual(writes('/public'), ['s3'], 'mkdir goes to the path\'s drivers');
+         t.deepEqual(writes('/public/hello.txt'), ['s3'], 'putFile goes to the path\'s drivers');
+         t.deepEqual(writes('/elsewhere.txt'), ['disk'], 'other paths go to the default drivers');
+
+         const chunk_writes = () => core.requests.filter((r) => r.method !== 'GET' && r.path.includes(ds.datastore_id) && /^\/\.chunks(\/|$)/.test(r.query.path || ''));
+         t.ok(chunk_writes().length >= 5 && chunk_writes().every((r) => r.drivers.join(',') === 's3'), 'chunks and their directories go where their file goes');
+
+         const num_chunk_writes = chunk_writes().length;
+         return deleteFile('/public/big.bin', {'ds': ds})
+         .then(() => {
+            const chunk_deletes = chunk_writes().slice(num_chunk_writes);
+            t.ok(chunk_deletes.length >= 4 && chunk_deletes.every((r) => r.method === 'DELETE' && r.drivers.join(',') === 's3'), 'chunks are deleted from their file\'s drivers');
+         });
+      })
+      .then(() => {
+         return setPathDrivers('/private', ['nope'], {'ds': ds})
+         .then(() => t.fail('set an unknown driver'), (e) => {
+            t.ok(e instanceof InvalidArgumentError, 'unknown driver fails with InvalidArgumentError');
+            return setPathDrivers('/private', ['disk'], {'ds': ds});
+         });
+      })
+      .then((ctx) => {
+         t.deepEqual(core.stores[ctx.datastore_id].datastore.path_drivers, {'/public': ['s3'], '/private': ['disk']}, 'Core has the new path drivers');
+         return setPathDrivers('/public', null, {'ds': ctx});
+      })
+      .then((ctx) => {
+         t.deepEqual(ctx.datastore.path_drivers, {'/private': ['disk']}, 'path drivers can be removed');
+         t.end();
+      })
+      .catch(t.end);
+   });
+
+   test('quorum reads pick the newest version the replicas agree on', (t) => {
+      const storage = {
+         'classes': {
+            'read_local': ['disk', 'disk2', 'disk3'],
+            'write_local': ['disk', 'disk2', 'disk3'],
+         },
+         'preferences': {'mock-core.test': ['disk', 'disk2', 'disk3']},
+      };
+      const tenant = makeSession(core.api_endpoint, 'quorum.id', {'storage': storage});
+      const adapter = makeMemoryAdapter();
+      adapter.setItem('blockstack', JSON.stringify({'coreSessionToken': tenant.session_token, 'appPrivateKey': tenant.privkey_hex}));
+
+      let ds = null;
+      let store = null;
+      let uuid = null;
+      let report = null;
+      const onReplicaReport = (r) => { report = r; };
+
+      serveDrivers(core, ['disk', 'disk2', 'disk3']);
+
+      datastoreMountOrCreate({'local': 1}, null, null, {'persistence': adapter})
+      .then((ctx) => {
+         ds = ctx;
+         store = core.stores[ds.datastore_id];
+         t.deepEqual(ds.datastore.drivers, ['disk', 'disk2', 'disk3'], 'datastore is replicated to three drivers');
+         return putFile('/q.txt', 'old', {'ds': ds});
+      })
+      .then(() => stat('/q.txt', {'ds': ds}))
+      .then((inode) => {
+         // disk3 misses the next write
+         uuid = inode.uuid;
+         core.failing_drivers.push('disk3');
+         return putFile('/q.txt', 'new', {'ds': ds});
+      })
+      .then(() => {
+         core.failing_drivers.splice(0);
+         return getFile('/q.txt', {'ds': ds, 'quorum': 2, 'onReplicaReport': onReplicaReport});
+      })
+      .then((data) => {
+         t.equal(data, 'new', 'quorum read gets the newest version');
+         t.equal(report.version, 2, 'report has the newest version');
+         t.equal(report.agreed, 2, 'two replicas agree');
+         t.deepEqual(report.lagging, ['disk3'], 'report names the lagging replica');
+         t.deepEqual(report.replicas.map((r) => r.status), ['current', 'current', 'lagging'], 'report has each replica\'s status');
+         t.ok(core.requests.some((r) => r.path.startsWith('/public/disk3/')), 'replicas are read at their drivers\' URLs');
+
+         return getFile('/q.txt', {'ds': ds, 'quorum': 3})
+         .then(() => t.fail('read with too few agreeing replicas'), (e) => {
+            t.ok(e instanceof RemoteIOError, 'too few agreeing replicas fails with RemoteIOError');
+         });
+      })
+      .then(() => {
+         // disk2 serves a validly-signed header, but of another inode than the one the root directory links to
+         store.replicas['disk2'] = {[uuid]: store.inodes[store.datastore.root_uuid]};
+         return stat('/q.txt', {'ds': ds, 'quorum': 1, 'onReplicaReport': onReplicaReport});
+      })
+      .then((header) => {
+         t.equal(header.version, 2, 'stat returns the newest header');
+         t.deepEqual(report.replicas.map((r) => r.status), ['current', 'invalid', 'lagging'], 'replica of another inode is reported as invalid');
+         return listdir('/', {'ds': ds, 'quorum': true});
+      })
+      .then((dir) => {
+         t.ok(dir.children['q.txt'], 'quorum listdir lists the directory');
+
+         // a driver that serves no URL cannot be read on its own
+         serveDrivers(core, ['disk', 'disk2']);
+         return stat('/q.txt', {'ds': ds, 'quorum': 1, 'onReplicaReport': onReplicaReport});
+      })
+      .then(() => {
+         t.equal(report.replicas[2].status, 'error', 'driver without a URL is reported as an error');
+         return getFile('/nope.txt', {'ds': ds, 'quorum': 1});
+      })
+      .then((data) => {
+         t.equal(data, null, 'missing file is null');
+         return getFile('/q.txt', {'ds': ds, 'quorum': 5})
+         .then(() => t.fail('read with an impossible quorum'), (e) => {
+            t.ok(e instanceof InvalidArgumentError, 'quorum larger than the replica count fails with InvalidArgumentError');
+         });
+      })
+      .then(() => {
+         setDriverURLs({});
+         t.end();
+      })
+      .catch((e) => {
+         setDriverURLs({});
+         t.end(e);
+      });
+   });
+
+   test('scrubDatastore repairs lagging replicas', (t) => {
+      const storage = {
+         'classes': {
+            'read_local': ['disk', 'disk2', 'disk3'],
+            'write_local': ['disk', 'disk2', 'disk3'],
+         },
+         'preferences': {'mock-core.test': ['disk', 'disk2', 'disk3']},
+      };
+      const tenant = makeSession(core.api_endpoint, 'scrub.id', {'storage': storage});
+      const adapter = makeMemoryAdapter();
+      adapter.setItem('blockstack', JSON.stringify({'coreSessionToken': tenant.session_token, 'appPrivateKey': tenant.privkey_hex}));
+
+      let ds = null;
+      let store = null;
+      let first = null;
+      const progress = [];
+
+      serveDrivers(core, ['disk', 'disk2', 'disk3']);
+
+      datastoreMountOrCreate({'local': 1}, null, null, {'persistence': adapter})
+      .then((ctx) => {
+         ds = ctx;
+         store = core.stores[ds.datastore_id];
+         return mkdir('/docs', {'ds': ds});
+      })
+      .then(() => putFile('/docs/a.txt', 'old', {'ds': ds}))
+      .then(() => putFile('/b.txt', 'bee', {'ds': ds}))
+      .then(() => putFile('/big.bin', Buffer.alloc(2500), {'ds': ds, 'chunkSize': 1000}))
+      .then(() => Promise.all([stat('/docs/a.txt', {'ds': ds}), stat('/b.txt', {'ds': ds})]))
+      .then((inodes) => {
+         // disk3 misses the next write to a.txt (and to its directory), and disk2 lost b.txt
+         store.replicas['disk2'] = {[inodes[1].uuid]: null};
+         core.failing_drivers.push('disk3');
+         return putFile('/docs/a.txt', 'new', {'ds': ds});
+      })
+      .then(() => {
+         core.failing_drivers.splice(0);
+         return scrubDatastore(ds, {'maxInodes': 2});
+      })
+      .then((summary) => {
+         first = summary;
+         t.notOk(summary.complete, 'scrub stops after maxInodes');
+         t.equal(summary.checked, 2, 'scrub checked maxInodes inodes');
+         t.ok(summary.cursor, 'unfinished scrub has a cursor');
+         return scrubDatastore(ds, {'cursor': summary.cursor, 'rateLimit': 1000, 'onProgress': (p) => progress.push(p)});
+      })
+      .then((summary) => {
+         t.ok(summary.complete, 'resumed scrub finishes');
+         t.equal(summary.cursor, null, 'finished scrub has no cursor');
+         t.ok(progress.length === summary.checked && progress[progress.length - 1].queued === 0, 'progress is reported after each inode');
+
+         const repaired = first.repaired.concat(summary.repaired).map((r) => `${r.path} ${r.driver} ${r.status}`).sort();
+         t.deepEqual(repaired, ['/b.txt disk2 missing', '/docs disk3 lagging', '/docs/a.txt disk3 lagging'], 'lagging and missing replicas are repaired');
+         t.ok(core.requests.some((r) => r.method === 'PUT' && r.path.endsWith('/files') && r.query.path === '/b.txt' && r.drivers.join(',') === 'disk2'),
+              'repairs are written through putFile, to the lagging driver only');
+         t.deepEqual(summary.unrepaired, [], 'nothing is left unrepaired');
+         t.ok(first.checked + summary.checked >= 8, 'chunks of large files are scrubbed too');
+
+         return getFile('/docs/a.txt', {'ds': ds, 'quorum': 3});
+      })
+      .then((data) => {
+         t.equal(data, 'new', 'every replica has the newest version');
+         return scrubDatastore(ds);
+      })
+      .then((summary) => {
+         t.ok(summary.complete && summary.repaired.length === 0, 'repaired datastore needs no repairs');
+         t.equal(summary.consistent, summary.checked, 'every inode is consistent');
+
+         store.replicas['disk3'] = {[store.datastore.root_uuid]: null};
+         return scrubDatastore(ds, {'repair': false});
+      })
+      .then((summary) => {
+         t.deepEqual(summary.unrepaired.map((r) => `${r.path} ${r.driver} ${r.status}`), ['/ disk3 missing'], 'scrub without repair reports the problem');
+         t.equal(store.replicas['disk3'][store.datastore.root_uuid], null, 'scrub without repair changes nothing');
+
+         return scrubDatastore(ds, {'cursor': {'datastore_id': 'nope'}})
+         .then(() => t.fail('scrubbed with a bad cursor'), (e) => {
+            t.ok(e instanceof InvalidArgumentError, 'bad cursor fails with InvalidArgumentError');
+         });
+      })
+      .then(() => {
+         setDriverURLs({});
+         t.end();
+      })
+      .catch((e) => {
+         setDriverURLs({});
+         t.end(e);
+      });
+   });
+
+   test('datastores can be migrated to new drivers', (t) => {
+      const storage = {
+         'classes': {
+            'read_local': ['disk'],
+            'write_local': ['disk'],
+            'read_public': ['s3'],
+            'write_public': ['s3'],
+         },
+      };
+      const tenant = makeSession(core.api_endpoint, 'migrate.id', {'storage': storage});
+      const adapter = makeMemoryAdapter();
+      adapter.setItem('blockstack', JSON.stringify({'coreSessionToken': tenant.session_token, 'appPrivateKey': tenant.privkey_hex}));
+
+      let ds = null;
+      let store = null;
+      let phases = [];
+
+      serveDrivers(core, ['disk', 's3']);
+
+      datastoreMountOrCreate({'local': 1}, null, null, {'persistence': adapter})
+      .then((ctx) => {
+         ds = ctx;
+         store = core.stores[ds.datastore_id];
+         return mkdir('/docs', {'ds': ds});
+      })
+      .then(() => putFile('/docs/a.txt', 'hello', {'ds': ds}))
+      .then(() => putFile('/big.bin', Buffer.alloc(2500), {'ds': ds, 'chunkSize': 1000}))
+      .then(() => {
+         // s3 starts out empty
+         store.replicas['s3'] = {};
+         for (let uuid of Object.keys(store.inodes)) {
+            store.replicas['s3'][uuid] = null;
+         }
+         return migrateDatastore(['s3'], {'ds': ds, 'persistence': adapter, 'maxInodes': 3});
+      })
+      .then((summary) => {
+         t.notOk(summary.complete, 'migration stops after maxInodes');
+         t.equal(summary.phase, 'copy', 'migration is still copying');
+         t.deepEqual(store.datastore.drivers, ['disk'], 'record is not changed until every inode is copied');
+
+         const opts = {'ds': ds, 'persistence': adapter, 'cursor': summary.cursor, 'removeOld': true, 'onProgress': (p) => phases.push(p.phase)};
+         return migrateDatastore(['s3'], opts);
+      })
+      .then((summary) => {
+         const uuids = Object.keys(store.inodes);
+         const root_uuid = store.datastore.root_uuid;
+         t.ok(summary.complete && summary.phase === 'done', 'resumed migration finishes');
+         t.ok(['copy', 'verify', 'remove'].every((phase) => phases.includes(phase)), 'progress is reported for each phase');
+         t.deepEqual(summary.context.datastore.drivers, ['s3'], 'mount context has the new drivers');
+         t.deepEqual(store.datastore.drivers, ['s3'], 'Core has the new drivers');
+         t.equal(store.version, 2, 'record version is bumped');
+         t.ok(uuids.every((uuid) => store.replicas['s3'][uuid] === undefined), 'every inode is copied');
+         t.ok(uuids.every((uuid) => uuid === root_uuid || store.replicas['disk'][uuid] === null), 'every inode is removed from the old driver');
+         t.deepEqual(JSON.parse(store.replicas['disk'][root_uuid].payload.toString()).children, {}, 'root directory is left empty on the old driver');
+         t.equal(summary.removed, uuids.length - 1, 'summary counts the removed inodes');
+         t.deepEqual(summary.failed, [], 'nothing failed');
+         t.notOk(core.requests.some((r) => r.path.endsWith('/inodes') && r.method !== 'GET'), 'only Core\'s usual writes are used');
+
+         ds = summary.context;
+         return getFile('/docs/a.txt', {'ds': ds, 'quorum': 1});
+      })
+      .then((data) => {
+         t.equal(data, 'hello', 'data is read from the new driver');
+         return migrateDatastore(['s3'], {'ds': ds});
+      })
+      .then((summary) => {
+         t.ok(summary.complete && summary.copied === 0, 'migrating to the same drivers does nothing');
+
+         serveDrivers(core, ['s3']);
+         return migrateDatastore(['disk'], {'ds': ds})
+         .then(() => t.fail('migrated to a driver without a URL'), (e) => {
+            t.ok(e instanceof InvalidArgumentError, 'driver without a URL fails with InvalidArgumentError');
+            t.deepEqual(store.datastore.drivers, ['s3'], 'nothing is migrated');
+         });
+      })
+      .then(() => {
+         return migrateDatastore(['nope'], {'ds': ds})
+         .then(() => t.fail('migrated to an unknown driver'), (e) => {
+            t.ok(e instanceof InvalidArgumentError, 'unknown driver fails with InvalidArgumentError');
+         });
+      })
+      .then(() => {
+         setDriverURLs({});
+         t.end();
+      })
+      .catch((e) => {
+         setDriverURLs({});
+         t.end(e);
+      });
+   });
+
+   test('interrupted migrations carry on, and remove nothing until every copy is checked', (t) => {
+      const storage = {
+         'classes': {
+            'read_local': ['disk'],
+            'write_local': ['disk'],
+            'read_public': ['s3'],
+            'write_public': ['s3'],
+         },
+      };
+      const tenant = makeSession(core.api_endpoint, 'migrate2.id', {'storage': storage});
+      const adapter = makeMemoryAdapter();
+      adapter.setItem('blockstack', JSON.stringify({'coreSessionToken': tenant.session_token, 'appPrivateKey': tenant.privkey_hex}));
+
+      let ds = null;
+      let store = null;
+      let b_uuid = null;
+      let last_cursor = null;
+      const oldDriverIntact = () => Object.keys(store.replicas['disk'] || {}).every((uuid) => store.replicas['disk'][uuid] !== null);
+
+      serveDrivers(core, ['disk', 's3']);
+
+      datastoreMountOrCreate({'local': 1}, null, null, {'persistence': adapter})
+      .then((ctx) => {
+         ds = ctx;
+         store = core.stores[ds.datastore_id];
+         return mkdir('/docs', {'ds': ds});
+      })
+      .then(() => putFile('/docs/a.txt', 'a', {'ds': ds}))
+      .then(() => putFile('/b.txt', 'b', {'ds': ds}))
+      .then(() => stat('/b.txt', {'ds': ds}))
+      .then((inode) => {
+         b_uuid = inode.uuid;
+         store.replicas['s3'] = {};
+         for (let uuid of Object.keys(store.inodes)) {
+            store.replicas['s3'][uuid] = null;
+         }
+
+         // the third copy fails
+         let copies = 0;
+         const onProgress = (p) => {
+            last_cursor = p.cursor;
+            copies = p.copied;
+            if (copies === 2) {
+               core.faults.push({'method': 'PUT', 'path': `/v1/stores/${ds.datastore_id}/files`, 'status': 500, 'count': 1});
+            }
+         };
+         return migrateDatastore(['s3'], {'ds': ds, 'persistence': adapter, 'removeOld': true, 'onProgress': onProgress})
+         .then(() => t.fail('migrated past a failed copy'), (e) => {
+            t.ok(e instanceof RemoteIOError, 'failed copy stops the migration with RemoteIOError');
+            t.deepEqual(store.datastore.drivers, ['disk'], 'record is not changed');
+            t.ok(oldDriverIntact(), 'nothing is removed from the old driver');
+         });
+      })
+      .then(() => {
+         // s3 loses a copy once the record is switched, before anything is removed
+         let lost = false;
+         const onProgress = (p) => {
+            last_cursor = p.cursor;
+            if (p.phase === 'verify' && !lost) {
+               lost = true;
+               store.replicas['s3'][b_uuid] = null;
+            }
+         };
+         return migrateDatastore(['s3'], {'ds': ds, 'persistence': adapter, 'removeOld': true, 'cursor': last_cursor, 'onProgress': onProgress});
+      })
+      .then((summary) => {
+         t.deepEqual(store.datastore.drivers, ['s3'], 'resumed migration switches the record');
+         t.notOk(summary.complete, 'migration with a missing copy is not complete');
+         t.equal(summary.phase, 'verify', 'migration stops before removing anything');
+         t.deepEqual(summary.failed.map((f) => f.path), ['/b.txt'], 'missing copy is reported');
+         t.equal(summary.removed, 0, 'nothing is removed');
+         t.ok(oldDriverIntact(), 'old driver still has everything');
+
+         // once s3 has it again, the migration carries on
+         delete store.replicas['s3'][b_uuid];
+         return migrateDatastore(['s3'], {'ds': summary.context, 'persistence': adapter, 'removeOld': true, 'cursor': summary.cursor});
+      })
+      .then((summary) => {
+         t.ok(summary.complete && summary.phase === 'done', 'migration finishes');
+         t.equal(store.replicas['disk'][b_uuid], null, 'old driver\'s data is removed');
+         return getFile('/b.txt', {'ds': summary.context});
+      })
+      .then((data) => {
+         t.equal(data, 'b', 'data is read from the new driver');
+         setDriverURLs({});
+         t.end();
+      })
+      .catch((e) => {
+         setDriverURLs({});
+         t.end(e);
+      });
+   });
+
+   test('published files have public URLs', (t) => {
+      const storage = {
+         'classes': {
+            'read_local': ['disk'],
+            'write_local': ['disk'],
+            'read_public': ['s3', 'cdn'],
+            'write_public': ['s3', 'cdn'],
+         },
+      };
+      const tenant = makeSession(core.api_endpoint, 'publish.id', {'storage': storage});
+      const adapter = makeMemoryAdapter();
+      adapter.setItem('blockstack', JSON.stringify({'coreSessionToken': tenant.session_token, 'appPrivateKey': tenant.privkey_hex}));
+
+      let ds = null;
+      let urls = null;
+
+      setDriverURLs({'s3': `${core.api_endpoint}/public/s3/`, 'cdn': `${core.api_endpoint}/public/cdn`});
+
+      datastoreMountOrCreate({'local': 1, 'public': 2}, null, null, {'persistence': adapter})
+      .then((ctx) => {
+         ds = ctx;
+         return putFile('/hello.txt', 'hello world', {'ds': ds});
+      })
+      .then(() => getPublicURL('/hello.txt', {'ds': ds}))
+      .then((info) => {
+         urls = info.urls;
+         t.deepEqual(Object.keys(urls).sort(), ['cdn', 's3'], 'every public driver has a URL');
+         t.ok(urls['s3'].endsWith(info.fq_data_id), 'URL names the signed header');
+         t.equal(info.version, 1, 'URL info has the file version');
+         return getFileFromURL(urls['s3'], ds.datastore.pubkey);
+      })
+      .then((data) => {
+         t.equal(data, 'hello world', 'file is fetched and verified from its public URL');
+
+         const other_key = bitcoinjs.ECPair.makeRandom().getPublicKeyBuffer().toString('hex');
+         return getFileFromURL(urls['cdn'], other_key)
+         .then(() => t.fail('verified with the wrong key'), (e) => {
+            t.ok(e instanceof AccessDeniedError, 'wrong datastore key fails with AccessDeniedError');
+         });
+      })
+      .then(() => getFileFromURL(`${core.api_endpoint}/public/s3/nope`, ds.datastore.pubkey)
+         .then(() => t.fail('fetched a missing URL'), (e) => {
+            t.ok(e instanceof NotFoundError, 'missing URL fails with NotFoundError');
+         }))
+      .then(() => {
+         const count = core.requests.length;
+         return getFileFromURL(urls['s3'].replace('/public/s3/', '/public/elsewhere/'), ds.datastore.pubkey)
+         .then(() => t.fail('fetched a URL no driver serves'), (e) => {
+            t.ok(e instanceof InvalidArgumentError, 'URL no public driver serves is rejected');
+            t.equal(core.requests.length, count, 'URL no public driver serves is not fetched');
+         });
+      })
+      .then(() => getPublicURL('/', {'ds': ds})
+         .then(() => t.fail('got a URL for a directory'), (e) => {
+            t.ok(e instanceof InvalidArgumentError, 'directory has no public URL');
+         }))
+      .then(() => {
+         setDriverURLs({});
+         return getPublicURL('/hello.txt', {'ds': ds})
+         .then(() => t.fail('got a URL without driver URLs'), (e) => {
+            t.ok(e instanceof InvalidArgumentError, 'file has no public URL without driver URLs');
+         });
+      })
+      .then(() => t.end())
+      .catch((e) => {
+         setDriverURLs({});
+         t.end(e);
+      });
+   });
+
+   test('writes fail over to healthy drivers', (t) => {
+      const storage = {
+         'classes': {
+            'read_local': ['disk', 'disk2'],
+            'write_local': ['disk', 'disk2'],
+         },
+         'preferences': {'mock-core.test': ['disk', 'disk2']},
+      };
+      const tenant = makeSession(core.api_endpoint, 'health.id', {'storage': storage});
+      const adapter = makeMemoryAdapter();
+      adapter.setItem('blockstack', JSON.stringify({'coreSessionToken': tenant.session_token, 'appPrivateKey': tenant.privkey_hex}));
+
+      const events = [];
+      const listener = addStorageListener((e) => {
+         if (e.type === 'driver.health') {
+            events.push(e);
+         }
+      });
+
+      let ds = null;
+      resetDriverHealth();
+      serveDrivers(core, ['disk', 'disk2']);
+
+      datastoreMountOrCreate({'local': 1}, null, null, {'persistence': adapter})
+      .then((ctx) => {
+         ds = ctx;
+         t.deepEqual(ds.datastore.replication_strategy, {'local': 1}, 'replication strategy is kept in the datastore record');
+
+         core.failing_drivers.push('disk2');
+         return putFile('/a.txt', 'a', {'ds': ds});
+      })
+      .then(() => {
+         // Core's reply to a write does not say which driver failed it, so each driver's copy is read back
+         const writes = core.requests.filter((r) => r.method === 'PUT' && r.query.path === '/a.txt');
+         t.deepEqual(writes.map((r) => r.drivers.join(',')), ['disk,disk2'], 'write is sent once, to every driver');
+         t.ok(core.requests.some((r) => r.path.startsWith('/public/disk2/')), 'each driver is checked for the write');
+
+         t.equal(getDriverHealth('disk2').status, 'degraded', 'driver that failed a write is degraded');
+         t.equal(getDriverHealth('disk').status, 'healthy', 'driver that took the write is healthy');
+         return putFile('/b.txt', 'b', {'ds': ds});
+      })
+      .then(() => putFile('/c.txt', 'c', {'ds': ds}))
+      .then(() => {
+         t.equal(getDriverHealth('disk2').status, 'down', 'driver that keeps failing is down');
+         t.deepEqual(events.map((e) => `${e.driver} ${e.status}`), ['disk healthy', 'disk2 degraded', 'disk2 down'], 'status changes are emitted');
+         return putFile('/d.txt', 'd', {'ds': ds});
+      })
+      .then(() => {
+         const last = core.requests.filter((r) => r.method === 'PUT' && r.query.path === '/d.txt');
+         t.equal(last[0].drivers.join(','), 'disk', 'write skips the driver that is down');
+
+         const pending = getPendingRepairs(ds.datastore_id);
+         t.deepEqual(pending.map((p) => p.path).sort(), ['/', '/a.txt', '/b.txt', '/c.txt', '/d.txt'], 'missed writes are queued for repair');
+         t.ok(pending.every((p) => p.drivers.length === 1 && p.drivers[0] === 'disk2'), 'repairs are for the driver that missed them');
+
+         core.failing_drivers.splice(0);
+         return repairPendingWrites({'ds': ds});
+      })
+      .then((summary) => {
+         // the root directory is written again along with the files, so it is current by the time it comes up
+         t.deepEqual(summary.repaired.map((r) => `${r.path} ${r.status}`).sort(),
+                     ['/a.txt missing', '/b.txt missing', '/c.txt missing', '/d.txt missing'], 'missed writes are repaired');
+         t.equal(summary.pending, 0, 'nothing is left to repair');
+         t.deepEqual(getPendingRepairs(ds.datastore_id), [], 'repair queue is empty');
+         t.notEqual(getDriverHealth('disk2').status, 'down', 'repaired driver is no longer down');
+         return getFile('/d.txt', {'ds': ds, 'quorum': 2});
+      })
+      .then((data) => {
+         t.equal(data, 'd', 'every driver has the newest version');
+
+         core.failing_drivers.push('disk', 'disk2');
+         return putFile('/e.txt', 'e', {'ds': ds})
+         .then(() => t.fail('wrote with every driver failing'), (e) => {
+            t.ok(e instanceof RemoteIOError, 'write fails with RemoteIOError if every driver fails');
+            t.deepEqual(getPendingRepairs(ds.datastore_id), [], 'failed write is not queued for repair');
+         });
+      })
+      .then(() => {
+         // a datastore that needs both drivers cannot make do with one
+         const tenant2 = makeSession(core.api_endpoint, 'health2.id', {'storage': storage});
+         const adapter2 = makeMemoryAdapter();
+         adapter2.setItem('blockstack', JSON.stringify({'coreSessionToken': tenant2.session_token, 'appPrivateKey': tenant2.privkey_hex}));
+
+         core.failing_drivers.splice(0);
+         resetDriverHealth();
+         return datastoreMountOrCreate({'local': 2}, null, null, {'persistence': adapter2});
+      })
+      .then((ctx) => {
+         ds = ctx;
+         core.failing_drivers.push('disk2');
+         return putFile('/f.txt', 'f', {'ds': ds})
+         .then(() => t.fail('wrote to too few drivers for the replication strategy'), (e) => {
+            t.ok(e instanceof RemoteIOError, 'write that misses the replication strategy fails with RemoteIOError');
+            t.deepEqual(getPendingRepairs(ds.datastore_id).map((p) => p.path).sort(), ['/', '/f.txt'], 'partly-applied write is queued for repair');
+         });
+      })
+      .then(() => {
+         core.failing_drivers.splice(0);
+         removeStorageListener(listener);
+         resetDriverHealth();
+         setDriverURLs({});
+         t.end();
+      })
+      .catch((e) => {
+         core.failing_drivers.splice(0);
+         removeStorageListener(listener);
+         setDriverURLs({});
+         t.end(e);
+      });
+   });
+
+   test('stop mock Core', (t) => {
+      setCoreClient(null);
+      core.close().then(() => t.end());
+   });
+}
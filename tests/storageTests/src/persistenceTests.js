@@ -0,0 +1,72 @@
+'use strict'
+
+import {
+   setPersistenceAdapter,
+   makeMemoryAdapter,
+   makeFileAdapter,
+   makeLocalStorageAdapter,
+} from '../../../lib/';
+
+import MockLocalStorage from 'mock-localstorage'
+
+import test from 'tape';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+
+export function persistence_tests() {
+
+   test('memory adapter stores strings', (t) => {
+      const adapter = makeMemoryAdapter();
+      t.equal(adapter.getItem('blockstack'), null, 'missing items are null');
+
+      adapter.setItem('blockstack', '{"a":1}');
+      t.equal(adapter.getItem('blockstack'), '{"a":1}', 'read back an item');
+      t.equal(makeMemoryAdapter().getItem('blockstack'), null, 'adapters do not share items');
+
+      adapter.removeItem('blockstack');
+      t.equal(adapter.getItem('blockstack'), null, 'removed an item');
+      t.end();
+   });
+
+   test('file adapter stores items in a JSON file', (t) => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blockstack-storage-'));
+      const file_path = path.join(dir, 'sessions.json');
+
+      const adapter = makeFileAdapter(file_path);
+      t.equal(adapter.getItem('blockstack'), null, 'missing file has no items');
+
+      adapter.setItem('blockstack', '{"a":1}');
+      t.deepEqual(JSON.parse(fs.readFileSync(file_path, 'utf8')), {'blockstack': '{"a":1}'}, 'file holds the items');
+      t.equal(makeFileAdapter(file_path).getItem('blockstack'), '{"a":1}', 'another adapter on the same file reads the item');
+
+      adapter.removeItem('blockstack');
+      t.equal(adapter.getItem('blockstack'), null, 'removed an item');
+
+      fs.unlinkSync(file_path);
+      fs.rmdirSync(dir);
+      t.throws(() => makeFileAdapter(), /path/, 'file adapter needs a path');
+      t.end();
+   });
+
+   test('localStorage adapter wraps a localStorage', (t) => {
+      const storage = new MockLocalStorage();
+      const adapter = makeLocalStorageAdapter(storage);
+
+      adapter.setItem('blockstack', '{"a":1}');
+      t.equal(storage.getItem('blockstack'), '{"a":1}', 'item is in the localStorage');
+      t.equal(adapter.getItem('blockstack'), '{"a":1}', 'read back an item');
+
+      adapter.removeItem('blockstack');
+      t.equal(adapter.getItem('blockstack'), null, 'missing items are null, even if the localStorage says undefined');
+      t.end();
+   });
+
+   test('setPersistenceAdapter checks the adapter', (t) => {
+      t.throws(() => setPersistenceAdapter({'getItem': () => null}), /setItem/, 'adapter without setItem() is rejected');
+      setPersistenceAdapter(null);
+      t.end();
+   });
+}
@@ -0,0 +1,63 @@
+'use strict'
+
+import {
+   planReplication,
+   InvalidArgumentError,
+} from '../../../lib/';
+
+import test from 'tape';
+
+
+export function replication_tests() {
+
+   const classes = {
+      'read_local': ['disk'],
+      'write_local': ['disk'],
+      'read_public': ['s3', 'dropbox'],
+      'write_public': ['s3', 'dropbox'],
+      'read_private': ['gaia'],
+      'write_private': ['gaia'],
+   };
+
+   test('planReplication explains which drivers fulfill which concerns', (t) => {
+      const plan = planReplication({'local': 1, 'public': 1}, classes);
+
+      t.ok(plan.satisfiable, 'strategy can be fulfilled');
+      t.deepEqual(plan.drivers, ['s3', 'disk'], 'one driver per concern is chosen');
+      t.deepEqual(plan.satisfies, {'s3': ['public'], 'disk': ['local']}, 'each driver says which concern it fulfills');
+      t.deepEqual(plan.unmet, {}, 'nothing is unmet');
+
+      const rejected = {};
+      for (let r of plan.rejected) {
+         rejected[r.driver] = r.reason;
+      }
+      t.ok(rejected['dropbox'].startsWith('not needed'), 'surplus public driver is rejected as not needed');
+      t.ok(rejected['gaia'].startsWith('implements none'), 'private driver is rejected as not matching');
+      t.end();
+   });
+
+   test('planReplication reports shortfalls', (t) => {
+      const plan = planReplication({'public': 3, 'local': 1}, {'read_local': ['disk'], 'write_local': ['disk']});
+
+      t.notOk(plan.satisfiable, 'strategy cannot be fulfilled');
+      t.deepEqual(plan.drivers, ['disk'], 'the drivers that help are still chosen');
+      t.deepEqual(plan.unmet, {'public': 3}, 'unmet concern has its shortfall');
+      t.end();
+   });
+
+   test('planReplication counts a driver towards every concern it fulfills', (t) => {
+      const plan = planReplication({'public': 1, 'publish': 1}, {'read_public': ['s3'], 'write_public': ['s3']});
+
+      t.deepEqual(plan.drivers, ['s3'], 'driver is listed once');
+      t.deepEqual(plan.satisfies['s3'], ['public', 'publish'], 'driver fulfills both concerns');
+      t.ok(plan.satisfiable, 'strategy can be fulfilled');
+      t.end();
+   });
+
+   test('planReplication refuses invalid strategies', (t) => {
+      t.throws(() => planReplication({'offsite': 1}, classes), InvalidArgumentError, 'unknown concern');
+      t.throws(() => planReplication({'local': -1}, classes), InvalidArgumentError, 'negative count');
+      t.throws(() => planReplication({}, classes), InvalidArgumentError, 'no drivers at all');
+      t.end();
+   });
+}
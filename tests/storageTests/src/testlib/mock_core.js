@@ -0,0 +1,696 @@
+'use strict'
+
+/*
+ * In-process stand-in for Blockstack Core's /v1/stores API.
+ *
+ * Keeps datastores and inodes in memory, and checks what a real Core node would check
+ * before accepting a write: the datastore signature, the signature over every inode header,
+ * the hash of every inode payload, and the signature on every tombstone.
+ *
+ * Like Core, it has no way to read from a driver of the caller's choosing: its reads return
+ * the newest copy, and each driver's own copies are served only at the driver's public URL
+ * (/public/:driver/:fq_data_id), as a storage driver would serve them.
+ */
+
+import {
+   datastoreGetId,
+   sanitizePath,
+   dirname,
+   basename,
+   hashDataPayload,
+   verifyRawData,
+   verifyDataPayload,
+   MUTABLE_DATUM_DIR_TYPE,
+   MUTABLE_DATUM_FILE_TYPE,
+   getLogger,
+} from '../../../../lib/';
+
+const express = require('express');
+const jsontokens = require('jsontokens');
+
+const log = getLogger();
+
+const EPERM = 1;
+const ENOENT = 2;
+const EACCES = 13;
+const EEXIST = 17;
+const ENOTDIR = 20;
+const EISDIR = 21;
+const EINVAL = 22;
+const ENOTEMPTY = 39;
+const EREMOTEIO = 121;
+
+const ERRNO_STATUS = {};
+ERRNO_STATUS[EPERM] = 400;
+ERRNO_STATUS[EINVAL] = 401;
+ERRNO_STATUS[EACCES] = 403;
+ERRNO_STATUS[ENOENT] = 404;
+
+class MockCoreError extends Error {
+   constructor(errno, message) {
+      super()
+      Object.setPrototypeOf(this, MockCoreError.prototype)
+      this.name = 'MockCoreError'
+      this.errno = errno
+      this.message = message
+   }
+}
+
+
+/*
+ * Send a JSON reply (as Core does, with a charset in the content type)
+ */
+function replyJSON(res, status, obj) {
+   res.status(status);
+   res.set('Content-Type', 'application/json');
+   res.end(JSON.stringify(obj));
+}
+
+
+/*
+ * Send a Core error.  Errors the client maps from the HTTP status get that status;
+ * everything else is sent as a JSON {'error': ..., 'errno': ...} body.
+ */
+function replyError(res, errno, message) {
+   const status = ERRNO_STATUS[errno] || 409;
+   replyJSON(res, status, {'error': message, 'errno': errno});
+}
+
+
+/*
+ * Turn a request's session token down (HTTP 401, with an RFC 6750 challenge)
+ */
+function replyTokenRejected(res, message) {
+   res.set('WWW-Authenticate', `Bearer error="invalid_token", error_description="${message}"`);
+   replyError(res, EINVAL, message);
+}
+
+
+/*
+ * Read the request body as JSON
+ */
+function readJSONBody(req) {
+   return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+         try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString()));
+         }
+         catch(e) {
+            reject(new MockCoreError(EINVAL, 'Invalid JSON body'));
+         }
+      });
+      req.on('error', reject);
+   });
+}
+
+
+/*
+ * Parse a serialized mutable data blob ({fq_data_id, data, version, timestamp})
+ */
+function parseMutableData(blob_str) {
+   try {
+      const blob = JSON.parse(blob_str);
+      return {'blob': blob, 'data': JSON.parse(blob.data)};
+   }
+   catch(e) {
+      throw new MockCoreError(EINVAL, 'Invalid mutable data blob');
+   }
+}
+
+
+/*
+ * Find the raw bytes of an inode payload.  Payloads are sent either as-is or base64-encoded,
+ * so take whichever one matches the hash in the header.
+ */
+function decodePayload(payload, data_hash) {
+   if (hashDataPayload(payload) === data_hash) {
+      return Buffer.from(payload);
+   }
+
+   const decoded = Buffer.from(payload, 'base64');
+   if (hashDataPayload(decoded) === data_hash) {
+      return decoded;
+   }
+
+   throw new MockCoreError(EACCES, 'Payload does not match its inode header hash');
+}
+
+
+/*
+ * Parse and verify a signed tombstone ('delete-{timestamp}:{fq_data_id}:{signature}')
+ * Returns {'device_id': the device whose copy it deletes, 'data_id': the data ID}.
+ */
+function verifyTombstone(signed_tombstone, pubkey_hex) {
+   const sep = signed_tombstone.lastIndexOf(':');
+   const tombstone = signed_tombstone.slice(0, sep);
+   const sigb64 = signed_tombstone.slice(sep + 1);
+
+   if (!tombstone.startsWith('delete-') || !verifyRawData(tombstone, pubkey_hex, sigb64)) {
+      throw new MockCoreError(EACCES, 'Invalid tombstone signature');
+   }
+
+   return splitDataId(unescape(tombstone.slice(tombstone.indexOf(':') + 1)));
+}
+
+
+/*
+ * Split a fully-qualified data ID ('{device_id}:{data_id}') into {'device_id': ..., 'data_id': ...}
+ */
+function splitDataId(fq_data_id) {
+   const unescaped = fq_data_id.replace('\\x2f', '/');
+   const sep = unescaped.indexOf(':');
+   return {'device_id': unescaped.slice(0, sep), 'data_id': unescaped.slice(sep + 1)};
+}
+
+
+/*
+ * Find the device that wrote a signed blob (an inode header or a datastore record)
+ */
+function blobDevice(blob_str) {
+   return splitDataId(unescape(JSON.parse(blob_str).fq_data_id)).device_id;
+}
+
+
+/*
+ * Start a mock Core node.
+ *
+ * @param port (Int) the port to listen on (0 picks a free one)
+ *
+ * Returns a Promise that resolves to an object with:
+ *      .api_endpoint: the URL to put in session tokens
+ *      .stores: the in-memory datastores, by datastore ID, as {'datastore': ..., 'device_id': the device that signed the record, 'version': ...,
+ *              'inodes': ..., 'tombstones': [...], 'replicas': {...}}.  A store whose record was deleted has .deleted set,
+ *              and keeps whatever inodes no tombstone named until the datastore is created again.
+ *              A store's .replicas maps a driver to {uuid: inode} copies it serves instead of the current ones
+ *              (i.e. to make it lag behind); a null copy means the driver does not have the inode.
+ *      .names: the registered names, as {blockchain_id: {'address': the owner's address, 'zonefile': ...}}
+ *      .profiles: profile token files served (without auth) at /profiles/:blockchain_id, as {blockchain_id: [{'token': ...}]}
+ *      .requests: the log of requests received, as {'method': ..., 'path': ..., 'query': ..., 'authorization': the Authorization header or null,
+ *              'drivers': for a write, the drivers named by the datastore record it carries, or null}
+ *      .revoked_tokens: session tokens that Core turns down (with HTTP 401 and a WWW-Authenticate challenge); tests add to this list.
+ *      .failing_drivers: drivers whose writes fail.  A write succeeds if any of its drivers takes it (without saying
+ *              which ones did), and fails with EREMOTEIO if none does.  Tests add to and remove from this list.
+ *              A driver that misses a write (or is left out of it) keeps serving its old copies.
+ *      .faults: requests to fail or hold up before they are handled, as {'method': ..., 'path': ..., 'count': ...}
+ *              plus either .status or .delay.  Each of the next .count requests whose method and path (without the query)
+ *              match is answered with HTTP .status (or has its connection dropped if .status is null), or is handled
+ *              .delay milliseconds late.  Tests push onto this list.
+ *      .close(): stops the server; returns a Promise
+ */
+export function startMockCore(port=0) {
+
+   // datastore_id => {'datastore': ..., 'device_id': ..., 'version': ..., 'inodes': {uuid => {'header': ..., 'payload': Buffer, 'blob': ..., 'signature': ...}}, 'tombstones': [...], 'replicas': {...}}
+   const stores = {};
+   const names = {};
+   const profiles = {};
+   const requests = [];
+   const revoked_tokens = [];
+   const failing_drivers = [];
+   const faults = [];
+   const app = express();
+
+   app.use((req, res, next) => {
+      req.logged = {'method': req.method, 'path': req.path, 'query': req.query, 'authorization': req.get('Authorization') || null, 'drivers': null};
+      requests.push(req.logged);
+      next();
+   });
+
+   // injected faults: the request is held up, or refused (or its connection dropped) without being applied
+   app.use((req, res, next) => {
+      const fault = faults.find((f) => f.count > 0 && f.method === req.method && f.path === req.path);
+      if (!fault) {
+         return next();
+      }
+
+      fault.count -= 1;
+      if (fault.delay) {
+         setTimeout(next, fault.delay);
+         return;
+      }
+      if (fault.status === null) {
+         req.socket.destroy();
+         return;
+      }
+      res.status(fault.status).end();
+   });
+
+   // profiles are not stored in Core, so anyone can read them
+   app.get('/profiles/:blockchain_id', (req, res) => {
+      if (!profiles[req.params.blockchain_id]) {
+         return res.status(404).end();
+      }
+      replyJSON(res, 200, profiles[req.params.blockchain_id]);
+   });
+
+   // every request must carry an unexpired session token (except to public driver URLs)
+   app.use((req, res, next) => {
+      if (req.path.startsWith('/public/')) {
+         return next();
+      }
+
+      const auth = req.get('Authorization') || '';
+      if (!auth.toLowerCase().startsWith('bearer ') || auth.length <= 'bearer '.length) {
+         return replyError(res, EINVAL, 'Missing session token');
+      }
+
+      let session = null;
+      try {
+         session = jsontokens.decodeToken(auth.slice('bearer '.length)).payload;
+      }
+      catch(e) {
+         return replyTokenRejected(res, 'Invalid session token');
+      }
+
+      if (typeof(session.exp) === 'number' && session.exp * 1000 <= Date.now()) {
+         return replyTokenRejected(res, 'Session token expired');
+      }
+      if (revoked_tokens.includes(auth.slice('bearer '.length))) {
+         return replyTokenRejected(res, 'Session token revoked');
+      }
+      next();
+   });
+
+   const getStore = (datastore_id) => {
+      const store = stores[datastore_id];
+      if (!store || store.deleted) {
+         throw new MockCoreError(ENOENT, 'No such datastore');
+      }
+      return store;
+   };
+
+   // a driver's copy of an inode: the current one, unless the driver has a copy of its own
+   const replicaByUUID = (store, uuid, driver) => {
+      const replica = (driver ? store.replicas[driver] : null) || {};
+      const inode = (Object.prototype.hasOwnProperty.call(replica, uuid) ? replica[uuid] : store.inodes[uuid]);
+      if (!inode) {
+         throw new MockCoreError(ENOENT, 'No such file or directory');
+      }
+      return inode;
+   };
+
+   // resolve a path to its inode by walking down from the root (through one driver's copies, if given)
+   const resolvePath = (store, path, driver=null) => {
+      const parts = sanitizePath(path).split('/').filter((x) => x.length > 0);
+      let inode = replicaByUUID(store, store.datastore.root_uuid, driver);
+      for (let name of parts) {
+         if (inode.header.type !== MUTABLE_DATUM_DIR_TYPE) {
+            throw new MockCoreError(ENOTDIR, 'Not a directory');
+         }
+
+         const children = JSON.parse(inode.payload.toString()).children;
+         if (!children[name]) {
+            throw new MockCoreError(ENOENT, 'No such file or directory');
+         }
+         inode = replicaByUUID(store, children[name].uuid, driver);
+      }
+      return inode;
+   };
+
+   // inode as returned by GET .../inodes
+   const inodeResponse = (inode, with_idata) => {
+      const ret = Object.assign({}, inode.header);
+      if (with_idata) {
+         delete ret['data_hash'];
+         if (inode.header.type === MUTABLE_DATUM_DIR_TYPE) {
+            ret['reader_pubkeys'] = [];
+            ret['idata'] = JSON.parse(inode.payload.toString());
+         }
+         else {
+            ret['idata'] = inode.payload.toString('base64');
+         }
+      }
+      return ret;
+   };
+
+   // check the signatures and hashes on a write, and stage the new inodes
+   const verifyWrite = (store, body) => {
+      const pubkey = store.datastore.pubkey;
+      if (!verifyRawData(body.datastore_str, pubkey, body.datastore_sig)) {
+         throw new MockCoreError(EACCES, 'Invalid datastore signature');
+      }
+
+      if (body.inodes.length !== body.payloads.length || body.inodes.length !== body.signatures.length) {
+         throw new MockCoreError(EINVAL, 'Mismatched inodes, payloads and signatures');
+      }
+
+      const staged = [];
+      for (let i = 0; i < body.inodes.length; i++) {
+         if (!verifyDataPayload(body.inodes[i], pubkey, body.signatures[i])) {
+            throw new MockCoreError(EACCES, 'Invalid inode signature');
+         }
+
+         const header = parseMutableData(body.inodes[i]).data;
+         const existing = store.inodes[header.uuid];
+         if (existing && existing.header.version > header.version) {
+            throw new MockCoreError(EPERM, `Stale inode version for ${header.uuid}`);
+         }
+
+         staged.push({
+            'header': header,
+            'payload': decodePayload(body.payloads[i], header.data_hash),
+            'blob': body.inodes[i],
+            'signature': body.signatures[i],
+         });
+      }
+
+      const deleted = [];
+      for (let ts of (body.tombstones || [])) {
+         const parts = verifyTombstone(ts, pubkey).data_id.split('.');
+         if (parts[0] !== datastoreGetId(pubkey)) {
+            throw new MockCoreError(EACCES, 'Tombstone is for a different datastore');
+         }
+         if (!deleted.includes(parts[1])) {
+            deleted.push(parts[1]);
+         }
+      }
+
+      return {'staged': staged, 'deleted': deleted};
+   };
+
+   // Core stores a write on the drivers of the (signed) datastore record that the write carries
+   const writeDrivers = (req, body) => {
+      req.logged.drivers = JSON.parse(body.datastore_str).drivers;
+      return req.logged.drivers;
+   };
+
+   // route handler wrapper: turn MockCoreErrors into Core error replies
+   const handle = (func) => {
+      return (req, res) => {
+         Promise.resolve()
+         .then(() => func(req, res))
+         .catch((e) => {
+            if (e instanceof MockCoreError) {
+               replyError(res, e.errno, e.message);
+            }
+            else {
+               // a bug in the mock or in a test; the stack goes to the library's logger, if one is set
+               log.error('Mock Core route failed', {'method': req.method, 'path': req.path, 'stack': e.stack});
+               res.status(500).end(e.stack);
+            }
+         });
+      };
+   };
+
+   // create a datastore.  One whose record was deleted (see below) can be created again: it keeps
+   // the inodes that no tombstone named, and its new root goes to the new record's drivers.
+   app.post('/v1/stores', handle((req, res) => {
+      return readJSONBody(req).then((body) => {
+         const info = body.datastore_info;
+         const sigs = body.datastore_sigs;
+         const parsed = parseMutableData(info.datastore_blob);
+         const datastore = parsed.data;
+         const datastore_id = datastoreGetId(datastore.pubkey);
+         const existing = stores[datastore_id];
+
+         if (existing && !existing.deleted) {
+            throw new MockCoreError(EEXIST, 'Datastore exists');
+         }
+
+         if (!verifyDataPayload(info.datastore_blob, datastore.pubkey, sigs.datastore_sig) ||
+             !verifyDataPayload(info.root_blob_header, datastore.pubkey, sigs.root_sig)) {
+            throw new MockCoreError(EACCES, 'Invalid datastore signature');
+         }
+
+         for (let ts of body.root_tombstones) {
+            verifyTombstone(ts, datastore.pubkey);
+         }
+
+         const root_header = parseMutableData(info.root_blob_header).data;
+         if (root_header.uuid !== datastore.root_uuid) {
+            throw new MockCoreError(EINVAL, 'Root inode does not match datastore');
+         }
+
+         const root = {
+            'header': root_header,
+            'payload': decodePayload(info.root_blob_idata, root_header.data_hash),
+            'blob': info.root_blob_header,
+            'signature': sigs.root_sig,
+         };
+
+         if (existing) {
+            const old_root = existing.inodes[root_header.uuid];
+            if (old_root && old_root.header.version >= root_header.version) {
+               throw new MockCoreError(EPERM, `Stale inode version for ${root_header.uuid}`);
+            }
+
+            // drivers the old record had and the new one does not keep the old root
+            for (let driver of existing.datastore.drivers.filter((driver) => !datastore.drivers.includes(driver))) {
+               const replica = existing.replicas[driver] || {};
+               if (!Object.prototype.hasOwnProperty.call(replica, root_header.uuid)) {
+                  replica[root_header.uuid] = old_root || null;
+               }
+               existing.replicas[driver] = replica;
+            }
+            for (let driver of datastore.drivers.filter((driver) => existing.replicas[driver])) {
+               delete existing.replicas[driver][root_header.uuid];
+            }
+
+            existing.deleted = false;
+            existing.datastore = datastore;
+            existing.device_id = blobDevice(info.datastore_blob);
+            existing.version = parsed.blob.version;
+            existing.inodes[root_header.uuid] = root;
+            replyJSON(res, 200, {'status': true});
+            return;
+         }
+
+         stores[datastore_id] = {
+            'datastore': datastore,
+            'device_id': blobDevice(info.datastore_blob),
+            'version': parsed.blob.version,
+            'inodes': {},
+            'tombstones': [],
+            'replicas': {},
+         };
+         stores[datastore_id].inodes[root_header.uuid] = root;
+
+         replyJSON(res, 200, {'status': true});
+      });
+   }));
+
+   // delete a datastore's record, and the copies of its inodes that the tombstones name
+   // (a tombstone names one device's copy).  Whatever no tombstone names stays on the drivers.
+   app.delete('/v1/stores', handle((req, res) => {
+      return readJSONBody(req).then((body) => {
+         if (!body.datastore_tombstones || body.datastore_tombstones.length === 0) {
+            throw new MockCoreError(EINVAL, 'Missing datastore tombstones');
+         }
+
+         // find the datastore from its tombstone, and make sure the owner signed it
+         const sep = body.datastore_tombstones[0].lastIndexOf(':');
+         const fq_data_id = unescape(body.datastore_tombstones[0].slice(0, sep).split(':').slice(1).join(':'));
+         const datastore_id = fq_data_id.slice(fq_data_id.indexOf(':') + 1).split('.')[0];
+         const store = getStore(datastore_id);
+
+         const tombstones = body.datastore_tombstones.concat(body.root_tombstones || []);
+         const deleted = tombstones.map((ts) => verifyTombstone(ts, store.datastore.pubkey));
+         if (deleted.some((d) => d.data_id.split('.')[0] !== datastore_id)) {
+            throw new MockCoreError(EACCES, 'Tombstone is for a different datastore');
+         }
+
+         for (let d of deleted) {
+            const uuid = d.data_id.split('.')[1];
+            if (uuid === 'datastore') {
+               if (d.device_id === store.device_id) {
+                  store.deleted = true;
+               }
+            }
+            else if (store.inodes[uuid] && blobDevice(store.inodes[uuid].blob) === d.device_id) {
+               delete store.inodes[uuid];
+            }
+         }
+
+         store.tombstones = store.tombstones.concat(tombstones);
+         replyJSON(res, 200, {'status': true});
+      });
+   }));
+
+   app.get('/v1/names/:blockchain_id', handle((req, res) => {
+      const name_info = names[req.params.blockchain_id];
+      if (!name_info) {
+         throw new MockCoreError(ENOENT, 'No such name');
+      }
+      replyJSON(res, 200, Object.assign({'status': 'registered', 'blockchain': 'bitcoin'}, name_info));
+   }));
+
+   app.get('/v1/stores/:datastore_id', handle((req, res) => {
+      const store = getStore(req.params.datastore_id);
+      replyJSON(res, 200, {'datastore': store.datastore, 'version': store.version});
+   }));
+
+   app.get('/v1/stores/:datastore_id/inodes', handle((req, res) => {
+      const store = getStore(req.params.datastore_id);
+      const inode = resolvePath(store, req.query.path);
+      replyJSON(res, 200, inodeResponse(inode, req.query.idata === '1'));
+   }));
+
+   app.get('/v1/stores/:datastore_id/directories', handle((req, res) => {
+      const store = getStore(req.params.datastore_id);
+      const inode = resolvePath(store, req.query.path);
+      if (inode.header.type !== MUTABLE_DATUM_DIR_TYPE) {
+         throw new MockCoreError(ENOTDIR, 'Not a directory');
+      }
+      replyJSON(res, 200, JSON.parse(inode.payload.toString()));
+   }));
+
+   app.get('/v1/stores/:datastore_id/files', handle((req, res) => {
+      const store = getStore(req.params.datastore_id);
+      const inode = resolvePath(store, req.query.path);
+      if (inode.header.type !== MUTABLE_DATUM_FILE_TYPE) {
+         throw new MockCoreError(EISDIR, 'Is a directory');
+      }
+      res.status(200);
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.end(inode.payload);
+   }));
+
+   // a public driver's URL for a device's copy of an inode's signed header ('.hdr') or data, served as a storage driver would
+   // (drivers keep their data while a datastore's record is deleted)
+   app.get('/public/:driver/:fq_data_id', handle((req, res) => {
+      const name = splitDataId(req.params.fq_data_id);
+      const match = /^([^.]+)\.([^.]+)(\.hdr)?$/.exec(name.data_id);
+      if (!match || !stores[match[1]]) {
+         throw new MockCoreError(ENOENT, 'No such data');
+      }
+
+      const inode = replicaByUUID(stores[match[1]], match[2], req.params.driver);
+      if (blobDevice(inode.blob) !== name.device_id) {
+         throw new MockCoreError(ENOENT, 'No such data');
+      }
+
+      res.status(200);
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.end(match[3] ? JSON.stringify({'header_blob': inode.blob, 'signature': inode.signature}) : inode.payload);
+   }));
+
+   // mkdir and putFile: store the new child and its updated parent
+   const putInodes = (req, res) => {
+      const store = getStore(req.params.datastore_id);
+      return readJSONBody(req).then((body) => {
+         const path = sanitizePath(req.query.path);
+         const parent = resolvePath(store, dirname(path));
+         const write = verifyWrite(store, body);
+
+         // the new inode comes first, and its updated parent directory last
+         if (write.staged.length !== 2) {
+            throw new MockCoreError(EINVAL, 'Expected an inode and its parent directory');
+         }
+
+         const new_parent = write.staged[1];
+         if (new_parent.header.uuid !== parent.header.uuid) {
+            throw new MockCoreError(EINVAL, 'Parent directory does not match path');
+         }
+
+         const child = JSON.parse(new_parent.payload.toString()).children[basename(path)];
+         if (!child || child.uuid !== write.staged[0].header.uuid) {
+            throw new MockCoreError(EINVAL, 'Child is not linked into its parent directory');
+         }
+
+         const targets = writeDrivers(req, body);
+         const failed = targets.filter((driver) => failing_drivers.includes(driver));
+         if (failed.length === targets.length) {
+            return replyJSON(res, 409, {'error': 'Failed to store data', 'errno': EREMOTEIO});
+         }
+
+         // drivers that failed, or were left out, keep serving their old copies
+         const missed = failed.concat(store.datastore.drivers.filter((driver) => !targets.includes(driver)));
+         for (let driver of missed) {
+            const replica = store.replicas[driver] || {};
+            for (let inode of write.staged) {
+               if (!Object.prototype.hasOwnProperty.call(replica, inode.header.uuid)) {
+                  replica[inode.header.uuid] = store.inodes[inode.header.uuid] || null;
+               }
+            }
+            store.replicas[driver] = replica;
+         }
+
+         // drivers that took the write serve the new copies, even if they lagged before
+         for (let driver of targets.filter((driver) => !failed.includes(driver) && store.replicas[driver])) {
+            for (let inode of write.staged) {
+               delete store.replicas[driver][inode.header.uuid];
+            }
+         }
+
+         for (let inode of write.staged) {
+            store.inodes[inode.header.uuid] = inode;
+         }
+
+         // like Core, the reply does not say which drivers failed
+         replyJSON(res, 200, {'status': true});
+      });
+   };
+
+   // deleteFile and rmdir: store the updated parent, and drop the tombstoned child.
+   // Drivers the datastore is no longer stored on (i.e. after a migration) are changed on their own.
+   const deleteInode = (inode_type) => {
+      return (req, res) => {
+         const store = getStore(req.params.datastore_id);
+         return readJSONBody(req).then((body) => {
+            const path = sanitizePath(req.query.path);
+            const write = verifyWrite(store, body);
+            const targets = writeDrivers(req, body);
+            const old_drivers = targets.filter((driver) => !store.datastore.drivers.includes(driver));
+            const driver = (old_drivers.length === targets.length ? targets[0] : null);
+
+            const target = resolvePath(store, path, driver);
+
+            if (target.header.type !== inode_type) {
+               throw new MockCoreError(inode_type === MUTABLE_DATUM_DIR_TYPE ? ENOTDIR : EISDIR, 'Wrong inode type');
+            }
+
+            if (inode_type === MUTABLE_DATUM_DIR_TYPE &&
+                Object.keys(JSON.parse(target.payload.toString()).children).length > 0) {
+               throw new MockCoreError(ENOTEMPTY, 'Directory not empty');
+            }
+
+            if (!write.deleted.includes(target.header.uuid)) {
+               throw new MockCoreError(EINVAL, 'Missing tombstones for the deleted inode');
+            }
+
+            if (driver) {
+               for (let old_driver of targets) {
+                  const replica = store.replicas[old_driver] || {};
+                  for (let inode of write.staged) {
+                     replica[inode.header.uuid] = inode;
+                  }
+                  replica[target.header.uuid] = null;
+                  store.replicas[old_driver] = replica;
+               }
+               return replyJSON(res, 200, {'status': true});
+            }
+
+            for (let inode of write.staged) {
+               store.inodes[inode.header.uuid] = inode;
+            }
+            delete store.inodes[target.header.uuid];
+
+            replyJSON(res, 200, {'status': true});
+         });
+      };
+   };
+
+   app.post('/v1/stores/:datastore_id/directories', handle(putInodes));
+   app.put('/v1/stores/:datastore_id/files', handle(putInodes));
+   app.delete('/v1/stores/:datastore_id/directories', handle(deleteInode(MUTABLE_DATUM_DIR_TYPE)));
+   app.delete('/v1/stores/:datastore_id/files', handle(deleteInode(MUTABLE_DATUM_FILE_TYPE)));
+
+   return new Promise((resolve, reject) => {
+      const server = app.listen(port, 'localhost', () => {
+         const mock = {
+            'api_endpoint': `http://localhost:${server.address().port}`,
+            'stores': stores,
+            'names': names,
+            'profiles': profiles,
+            'requests': requests,
+            'revoked_tokens': revoked_tokens,
+            'failing_drivers': failing_drivers,
+            'faults': faults,
+            'close': () => new Promise((resolve) => server.close(resolve)),
+         };
+         resolve(mock);
+      });
+      server.on('error', reject);
+   });
+}
@@ -0,0 +1,31 @@
+'use strict'
+
+import MockLocalStorage from 'mock-localstorage'
+
+global.localStorage = new MockLocalStorage()
+
+import {
+   logger_tests,
+} from './loggerTests';
+
+import {
+   core_tests,
+} from './coreTests';
+
+import {
+   persistence_tests,
+} from './persistenceTests';
+
+import {
+   replication_tests,
+} from './replicationTests';
+
+import {
+   mock_core_tests,
+} from './mockCoreTests';
+
+logger_tests();
+core_tests();
+persistence_tests();
+replication_tests();
+mock_core_tests();